@@ -0,0 +1,1112 @@
+/**
+ * Module: admin_api_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, review_system_v1, payment_processing_v1, stripe_webhooks_v1, payout_reconciliation_v1
+ * Provides: Staff API for account management, login unlocks, role grants, review moderation, payments, ledger, webhook replay, payout reconciliation, platform metrics and audit log
+ * Integration Points: API routes (/api/v1/admin), admin dashboard
+ * Last Updated: 2025-06-26
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { AuthenticationService, SessionService, LoginAttemptService, RbacError, STAFF_ROLES } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { ReviewService } = require('./review_system_v1');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+const { StripeWebhookService, WebhookEventError, WEBHOOK_EVENT_STATUSES } = require('./stripe_webhooks_v1');
+const { PayoutReconciliationService, ReconciliationError } = require('./payout_reconciliation_v1');
+const { toCsv } = require('./privacy_requests_v1');
+
+// =================================================================
+// ADMIN SERVICE
+// =================================================================
+
+/**
+ * Account statuses staff can set
+ */
+const MANAGEABLE_ACCOUNT_STATUSES = ['active', 'suspended', 'deactivated', 'banned'];
+
+/**
+ * Review moderation actions, as accepted by ReviewService.moderateReview
+ */
+const MODERATION_ACTIONS = ['approve', 'reject', 'hide', 'flag_for_review'];
+
+/**
+ * Error raised when a staff action is rejected
+ */
+class AdminError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'AdminError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Admin Service
+ * Read models for the admin dashboard and the staff actions behind it.
+ * Every change is written to admin_audit_log.
+ */
+class AdminService {
+  constructor(database, reviewService = null, sessionService = null, loginAttemptService = null, webhookService = null, reconciliationService = null) {
+    this.db = database;
+    this.reviewService = reviewService || new ReviewService(database);
+    this.sessionService = sessionService || new SessionService(database);
+    this.loginAttemptService = loginAttemptService || new LoginAttemptService();
+    this.paymentDb = new PaymentDatabaseService(database);
+    // Replaying needs the server's handlers; without them events would only be marked ignored
+    this.webhookService = webhookService;
+    this.reconciliationService = reconciliationService || new PayoutReconciliationService(database);
+  }
+
+  /**
+   * Record a staff action
+   */
+  async recordAction(actor, action, targetType, targetId, details = {}) {
+    await this.db.query(`
+      INSERT INTO admin_audit_log (actor_id, action, target_type, target_id, details, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [actor.id, action, targetType, targetId, JSON.stringify(details), actor.ipAddress || null]);
+  }
+
+  /**
+   * Search accounts by name or email, newest first
+   */
+  async listUsers(filters = {}) {
+    const { search, userType, status, limit = 20, offset = 0 } = filters;
+    const conditions = ['u.deleted_at IS NULL'];
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(u.email ILIKE $${params.length} OR (u.first_name || ' ' || u.last_name) ILIKE $${params.length})`);
+    }
+    if (userType) {
+      params.push(userType);
+      conditions.push(`u.user_type = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`u.account_status = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows, count] = await Promise.all([
+      this.db.query(`
+        SELECT u.id, u.email, u.first_name, u.last_name, u.user_type, u.account_status,
+               u.email_verified_at, u.last_login_at, u.created_at
+        FROM users u
+        ${whereClause}
+        ORDER BY u.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.db.query(`SELECT COUNT(*) AS total FROM users u ${whereClause}`, params)
+    ]);
+
+    return {
+      users: rows.rows.map(formatUserSummary),
+      total: parseInt(count.rows[0].total, 10),
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Account detail with activity counts and security state
+   */
+  async getUser(userId) {
+    const result = await this.db.query(`
+      SELECT u.*,
+        cp.business_name, cp.background_check_status, cp.average_rating, cp.total_jobs_completed,
+        cp.approved_at, cp.suspended_at,
+        (SELECT COUNT(*) FROM jobs j WHERE j.customer_id = u.id OR j.contractor_id = u.id) AS job_count,
+        (SELECT COUNT(*) FROM user_sessions s WHERE s.user_id = u.id AND s.expires_at > NOW()) AS active_sessions,
+        EXISTS (
+          SELECT 1 FROM user_mfa_factors f WHERE f.user_id = u.id AND f.verified_at IS NOT NULL
+        ) AS mfa_enabled
+      FROM users u
+      LEFT JOIN contractor_profiles cp ON cp.user_id = u.id
+      WHERE u.id = $1 AND u.deleted_at IS NULL
+    `, [userId]);
+
+    const user = result.rows[0];
+    if (!user) {
+      throw new AdminError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    return {
+      ...formatUserSummary(user),
+      phone: user.phone,
+      phoneVerified: !!user.phone_verified_at,
+      city: user.city,
+      state: user.state,
+      contractor: user.user_type === 'contractor' ? {
+        businessName: user.business_name,
+        backgroundCheckStatus: user.background_check_status,
+        approvedAt: user.approved_at,
+        suspendedAt: user.suspended_at,
+        averageRating: user.average_rating ? parseFloat(user.average_rating) : null,
+        totalJobsCompleted: user.total_jobs_completed
+      } : null,
+      jobCount: parseInt(user.job_count, 10),
+      activeSessions: parseInt(user.active_sessions, 10),
+      mfaEnabled: user.mfa_enabled,
+      loginLockout: await this.loginAttemptService.getAccountStatus(user.email)
+    };
+  }
+
+  /**
+   * Lift a failed-login lockout before it expires
+   */
+  async unlockAccount(userId, actor) {
+    const result = await this.db.query(`
+      SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL
+    `, [userId]);
+
+    const user = result.rows[0];
+    if (!user) {
+      throw new AdminError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const wasLocked = await this.loginAttemptService.unlockAccount(user.email);
+    await this.recordAction(actor, 'login_unlocked', 'user', userId, { wasLocked });
+
+    return { userId, wasLocked };
+  }
+
+  /**
+   * Suspend, ban, deactivate or reactivate an account
+   * Anything but 'active' signs the user out everywhere. Staff accounts
+   * can only be changed by holders of roles:manage.
+   */
+  async setAccountStatus(userId, status, actor, reason) {
+    if (userId === actor.id) {
+      throw new AdminError('You cannot change your own account status', 'CANNOT_CHANGE_OWN_STATUS', 409);
+    }
+
+    const existing = await this.db.query(`
+      SELECT id, user_type, account_status FROM users WHERE id = $1 AND deleted_at IS NULL
+    `, [userId]);
+
+    const user = existing.rows[0];
+    if (!user) {
+      throw new AdminError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    if (['admin', 'support'].includes(user.user_type) && !actor.permissions.includes('roles:manage')) {
+      throw new AdminError('Staff accounts can only be changed by an admin', 'STAFF_ACCOUNT_PROTECTED', 403);
+    }
+
+    await this.db.query(`
+      UPDATE users SET account_status = $2 WHERE id = $1
+    `, [userId, status]);
+
+    if (status !== 'active') {
+      await this.sessionService.revokeAllUserSessions(userId);
+    }
+
+    await this.recordAction(actor, 'user_status_changed', 'user', userId, {
+      from: user.account_status,
+      to: status,
+      reason
+    });
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Jobs across the platform, newest first
+   */
+  async listJobs(filters = {}) {
+    const { status, search, limit = 20, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`j.status = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`j.title ILIKE $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.query(`
+      SELECT j.id, j.title, j.trade_category, j.status, j.priority, j.estimated_cost, j.quoted_price,
+             j.service_city, j.service_state, j.preferred_date, j.created_at,
+             c.first_name || ' ' || c.last_name AS customer_name,
+             k.first_name || ' ' || k.last_name AS contractor_name
+      FROM jobs j
+      JOIN users c ON c.id = j.customer_id
+      LEFT JOIN users k ON k.id = j.contractor_id
+      ${whereClause}
+      ORDER BY j.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      tradeCategory: row.trade_category,
+      status: row.status,
+      priority: row.priority,
+      estimatedCost: row.estimated_cost ? parseFloat(row.estimated_cost) : null,
+      quotedPrice: row.quoted_price ? parseFloat(row.quoted_price) : null,
+      location: row.service_city ? `${row.service_city}, ${row.service_state}` : null,
+      preferredDate: row.preferred_date,
+      customerName: row.customer_name,
+      contractorName: row.contractor_name,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Apply a moderation decision to a review
+   */
+  async moderateReview(reviewId, actor, action, reason = null) {
+    const existing = await this.db.query('SELECT id FROM reviews WHERE id = $1', [reviewId]);
+    if (existing.rows.length === 0) {
+      throw new AdminError('Review not found', 'REVIEW_NOT_FOUND', 404);
+    }
+
+    await this.reviewService.moderateReview(reviewId, actor.id, action, reason);
+    await this.recordAction(actor, 'review_moderated', 'review', reviewId, { action, reason });
+
+    return { reviewId, action };
+  }
+
+  /**
+   * Payments, newest first
+   */
+  async listPayments(filters = {}) {
+    const { status, limit = 20, offset = 0 } = filters;
+    const params = [limit, offset];
+    let whereClause = '';
+
+    if (status) {
+      params.push(status);
+      whereClause = 'WHERE p.payment_status = $3';
+    }
+
+    const result = await this.db.query(`
+      SELECT p.id, p.job_id, p.customer_id, p.contractor_id, p.amount_total, p.amount_contractor,
+             p.amount_platform_fee, p.amount_stripe_fee, p.payment_status, p.payment_type,
+             p.stripe_payment_intent_id, p.captured_at, p.refunded_at, p.created_at,
+             j.title AS job_title
+      FROM payments p
+      JOIN jobs j ON j.id = p.job_id
+      ${whereClause}
+      ORDER BY p.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, params);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      jobId: row.job_id,
+      jobTitle: row.job_title,
+      customerId: row.customer_id,
+      contractorId: row.contractor_id,
+      amountTotal: parseFloat(row.amount_total),
+      amountContractor: parseFloat(row.amount_contractor),
+      platformFee: parseFloat(row.amount_platform_fee),
+      stripeFee: parseFloat(row.amount_stripe_fee),
+      status: row.payment_status,
+      paymentType: row.payment_type,
+      stripePaymentIntentId: row.stripe_payment_intent_id,
+      capturedAt: row.captured_at,
+      refundedAt: row.refunded_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Contractor payout accounts
+   */
+  async listPayoutAccounts(filters = {}) {
+    const { accountStatus, limit = 20, offset = 0 } = filters;
+    const params = [limit, offset];
+    let whereClause = '';
+
+    if (accountStatus) {
+      params.push(accountStatus);
+      whereClause = 'WHERE cp.account_status = $3';
+    }
+
+    const result = await this.db.query(`
+      SELECT cp.contractor_id, cp.stripe_account_id, cp.account_status, cp.bank_account_last4,
+             cp.bank_name, cp.payout_schedule, cp.updated_at,
+             u.first_name || ' ' || u.last_name AS contractor_name, u.email
+      FROM contractor_payouts cp
+      JOIN users u ON u.id = cp.contractor_id
+      ${whereClause}
+      ORDER BY cp.updated_at DESC
+      LIMIT $1 OFFSET $2
+    `, params);
+
+    return result.rows.map(row => ({
+      contractorId: row.contractor_id,
+      contractorName: row.contractor_name,
+      email: row.email,
+      stripeAccountId: row.stripe_account_id,
+      accountStatus: row.account_status,
+      bankAccountLast4: row.bank_account_last4,
+      bankName: row.bank_name,
+      payoutSchedule: row.payout_schedule,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Ledger account balances, platform-wide or for one customer or contractor
+   */
+  async getLedgerBalances({ partyId } = {}) {
+    return this.paymentDb.getAccountBalances({ partyId });
+  }
+
+  /**
+   * Journal entries behind one payment
+   */
+  async getPaymentLedger(paymentId) {
+    const payment = await this.db.query('SELECT id FROM payments WHERE id = $1', [paymentId]);
+    if (payment.rows.length === 0) {
+      throw new AdminError('Payment not found', 'PAYMENT_NOT_FOUND', 404);
+    }
+
+    return this.paymentDb.getPaymentLedger(paymentId);
+  }
+
+  async checkLedgerIntegrity() {
+    return this.paymentDb.checkLedgerIntegrity();
+  }
+
+  /**
+   * Stored Stripe webhook events, newest first
+   */
+  async listWebhookEvents(filters = {}) {
+    return (this.webhookService || new StripeWebhookService(this.db)).listEvents(filters);
+  }
+
+  /**
+   * Run one failed Stripe webhook event again
+   */
+  async replayWebhookEvent(actor, eventId) {
+    const event = await this.requireWebhookService().replayEvent(eventId);
+
+    await this.recordAction(actor, 'webhook_event_replayed', 'stripe_webhook_event', eventId, {
+      stripeEventId: event.stripeEventId,
+      eventType: event.eventType,
+      status: event.status
+    });
+
+    return event;
+  }
+
+  /**
+   * Run every failed Stripe webhook event matching the filters again
+   */
+  async replayFailedWebhookEvents(actor, filters = {}) {
+    const result = await this.requireWebhookService().replayFailedEvents(filters);
+
+    await this.recordAction(actor, 'webhook_events_replayed', 'stripe_webhook_event', null, {
+      filters,
+      replayed: result.replayed,
+      processed: result.processed
+    });
+
+    return result;
+  }
+
+  requireWebhookService() {
+    if (!this.webhookService) {
+      throw new AdminError('Webhook processing is not available on this server', 'WEBHOOKS_UNAVAILABLE', 503);
+    }
+    return this.webhookService;
+  }
+
+  async listReconciliationRuns(filters = {}) {
+    return this.reconciliationService.listRuns(filters);
+  }
+
+  async getReconciliationReport(runId, { openOnly = false } = {}) {
+    return this.reconciliationService.getReport(runId, { includeResolved: !openOnly });
+  }
+
+  /**
+   * Reconcile a day again, e.g. after fixing missed webhooks
+   */
+  async runReconciliation(actor, date) {
+    const run = await this.reconciliationService.reconcileDay(new Date(date));
+
+    await this.recordAction(actor, 'reconciliation_run', 'reconciliation_run', run.id, {
+      periodStart: run.periodStart,
+      mismatchCount: run.mismatchCount
+    });
+
+    return run;
+  }
+
+  async resolveReconciliationItem(actor, itemId, note) {
+    const item = await this.reconciliationService.resolveItem(itemId, actor.id, note);
+
+    await this.recordAction(actor, 'reconciliation_item_resolved', 'reconciliation_item', itemId, {
+      type: item.type,
+      note
+    });
+
+    return item;
+  }
+
+  /**
+   * Headline metrics for the dashboard overview
+   */
+  async getMetrics(days = 30) {
+    const [revenue, users, jobs, rating] = await Promise.all([
+      this.db.query(`
+        SELECT COALESCE(SUM(amount_total), 0) AS gross,
+               COALESCE(SUM(amount_platform_fee), 0) AS platform_fees,
+               COUNT(*) AS payments
+        FROM payments
+        WHERE payment_status = 'completed' AND captured_at > NOW() - make_interval(days => $1)
+      `, [days]),
+      this.db.query(`
+        SELECT user_type,
+               COUNT(*) AS total,
+               COUNT(*) FILTER (WHERE created_at > NOW() - make_interval(days => $1)) AS new
+        FROM users
+        WHERE deleted_at IS NULL AND user_type IN ('customer', 'contractor')
+        GROUP BY user_type
+      `, [days]),
+      this.db.query(`
+        SELECT status, COUNT(*) AS count
+        FROM jobs
+        WHERE created_at > NOW() - make_interval(days => $1)
+        GROUP BY status
+      `, [days]),
+      this.db.query(`
+        SELECT AVG(overall_rating) AS average, COUNT(*) AS count
+        FROM reviews
+        WHERE created_at > NOW() - make_interval(days => $1)
+      `, [days])
+    ]);
+
+    const usersByType = Object.fromEntries(users.rows.map(row => [row.user_type, {
+      total: parseInt(row.total, 10),
+      new: parseInt(row.new, 10)
+    }]));
+
+    return {
+      periodDays: days,
+      revenue: {
+        gross: parseFloat(revenue.rows[0].gross),
+        platformFees: parseFloat(revenue.rows[0].platform_fees),
+        payments: parseInt(revenue.rows[0].payments, 10)
+      },
+      users: {
+        customers: usersByType.customer || { total: 0, new: 0 },
+        contractors: usersByType.contractor || { total: 0, new: 0 }
+      },
+      jobsByStatus: Object.fromEntries(jobs.rows.map(row => [row.status, parseInt(row.count, 10)])),
+      reviews: {
+        averageRating: rating.rows[0].average ? parseFloat(parseFloat(rating.rows[0].average).toFixed(2)) : null,
+        count: parseInt(rating.rows[0].count, 10)
+      }
+    };
+  }
+
+  /**
+   * Staff action history, newest first
+   */
+  async listAuditLog(filters = {}) {
+    const { actorId, targetType, targetId, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (actorId) {
+      params.push(actorId);
+      conditions.push(`a.actor_id = $${params.length}`);
+    }
+    if (targetType) {
+      params.push(targetType);
+      conditions.push(`a.target_type = $${params.length}`);
+    }
+    if (targetId) {
+      params.push(targetId);
+      conditions.push(`a.target_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.query(`
+      SELECT a.*, u.email AS actor_email
+      FROM admin_audit_log a
+      JOIN users u ON u.id = a.actor_id
+      ${whereClause}
+      ORDER BY a.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      actorId: row.actor_id,
+      actorEmail: row.actor_email,
+      action: row.action,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      details: row.details,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+// =================================================================
+// UTILITY FUNCTIONS
+// =================================================================
+
+function formatUserSummary(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    userType: user.user_type,
+    accountStatus: user.account_status,
+    emailVerified: !!user.email_verified_at,
+    lastLoginAt: user.last_login_at,
+    createdAt: user.created_at
+  };
+}
+
+// =================================================================
+// ROUTES
+// =================================================================
+
+/**
+ * Admin routes factory, mounted at /admin
+ * Every route is gated by requirePermission; role changes also need a step-up check
+ */
+function createAdminRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware, rbacService, sessionService, loginAttemptService } = authService.getServices();
+  const adminService = services.adminService ||
+    new AdminService(database, services.reviewService, sessionService, loginAttemptService,
+      services.stripeWebhookService, services.reconciliationService);
+
+  const handleAdminError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof AdminError || error instanceof RbacError ||
+        error instanceof WebhookEventError || error instanceof ReconciliationError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const toActor = (req) => ({
+    id: req.user.id,
+    userType: req.user.user_type,
+    permissions: req.permissions,
+    ipAddress: req.ip
+  });
+
+  const pageValidators = [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ];
+
+  // Current staff member's roles and permissions
+  router.get('/me',
+    middleware.requireAuth(),
+    middleware.requireUserType(['admin', 'support']),
+    async (req, res) => {
+      try {
+        const roles = await rbacService.getRoles(req.user);
+        res.json({
+          id: req.user.id,
+          email: req.user.email,
+          roles,
+          permissions: rbacService.getPermissions(roles)
+        });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get staff profile', 'GET_STAFF_PROFILE_ERROR');
+      }
+    }
+  );
+
+  // Search Users
+  router.get('/users',
+    middleware.requireAuth(),
+    middleware.requirePermission('users:read'),
+    [
+      query('search').optional().trim().isLength({ min: 1, max: 100 }),
+      query('userType').optional().isIn(['customer', 'contractor', 'admin', 'support']),
+      query('status').optional().isIn(['pending', ...MANAGEABLE_ACCOUNT_STATUSES]),
+      ...pageValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await adminService.listUsers(req.query);
+        res.json(result);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list users', 'LIST_USERS_ERROR');
+      }
+    }
+  );
+
+  // Get User
+  router.get('/users/:userId',
+    middleware.requireAuth(),
+    middleware.requirePermission('users:read'),
+    [param('userId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const user = await adminService.getUser(req.params.userId);
+        res.json(user);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get user', 'GET_USER_ERROR');
+      }
+    }
+  );
+
+  // Change Account Status
+  router.put('/users/:userId/status',
+    middleware.requireAuth(),
+    middleware.requirePermission('users:suspend'),
+    [
+      param('userId').isUUID(),
+      body('status').isIn(MANAGEABLE_ACCOUNT_STATUSES),
+      body('reason').trim().isLength({ min: 5, max: 1000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const user = await adminService.setAccountStatus(
+          req.params.userId, req.body.status, toActor(req), req.body.reason
+        );
+        res.json(user);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to change account status', 'SET_ACCOUNT_STATUS_ERROR');
+      }
+    }
+  );
+
+  // Unlock Sign-in After Failed Attempts
+  router.post('/users/:userId/unlock',
+    middleware.requireAuth(),
+    middleware.requirePermission('users:suspend'),
+    [param('userId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await adminService.unlockAccount(req.params.userId, toActor(req));
+        res.json(result);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to unlock account', 'UNLOCK_ACCOUNT_ERROR');
+      }
+    }
+  );
+
+  // List Staff and Roles
+  router.get('/staff',
+    middleware.requireAuth(),
+    middleware.requirePermission('roles:manage'),
+    async (req, res) => {
+      try {
+        const staff = await rbacService.listStaff();
+        res.json({ staff });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list staff', 'LIST_STAFF_ERROR');
+      }
+    }
+  );
+
+  // Grant Role
+  router.post('/users/:userId/roles',
+    middleware.requireAuth(),
+    middleware.requirePermission('roles:manage'),
+    middleware.requireStepUp(),
+    [
+      param('userId').isUUID(),
+      body('role').isIn(STAFF_ROLES)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const roles = await rbacService.grantRole(req.params.userId, req.body.role, req.user.id);
+        await adminService.recordAction(toActor(req), 'role_granted', 'user', req.params.userId, {
+          role: req.body.role
+        });
+        res.json({ userId: req.params.userId, roles });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to grant role', 'GRANT_ROLE_ERROR');
+      }
+    }
+  );
+
+  // Revoke Role
+  router.delete('/users/:userId/roles/:role',
+    middleware.requireAuth(),
+    middleware.requirePermission('roles:manage'),
+    middleware.requireStepUp(),
+    [
+      param('userId').isUUID(),
+      param('role').isIn(STAFF_ROLES)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const roles = await rbacService.revokeRole(req.params.userId, req.params.role, req.user.id);
+        await adminService.recordAction(toActor(req), 'role_revoked', 'user', req.params.userId, {
+          role: req.params.role
+        });
+        res.json({ userId: req.params.userId, roles });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to revoke role', 'REVOKE_ROLE_ERROR');
+      }
+    }
+  );
+
+  // List Jobs
+  router.get('/jobs',
+    middleware.requireAuth(),
+    middleware.requirePermission('jobs:read'),
+    [
+      query('status').optional().isIn(['draft', 'posted', 'assigned', 'in_progress', 'completed', 'approved', 'cancelled', 'disputed']),
+      query('search').optional().trim().isLength({ min: 1, max: 100 }),
+      ...pageValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const jobs = await adminService.listJobs(req.query);
+        res.json({ jobs });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list jobs', 'LIST_JOBS_ERROR');
+      }
+    }
+  );
+
+  // Review Moderation Queue
+  router.get('/reviews/moderation',
+    middleware.requireAuth(),
+    middleware.requirePermission('reviews:moderate'),
+    [
+      query('page').optional().isInt({ min: 1 }).toInt(),
+      query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+      query('flagType').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const reviews = await adminService.reviewService.getReviewsForModeration({
+          page: req.query.page,
+          limit: req.query.limit,
+          flagType: req.query.flagType
+        });
+        res.json({ reviews });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get moderation queue', 'GET_MODERATION_QUEUE_ERROR');
+      }
+    }
+  );
+
+  // Moderate Review
+  router.post('/reviews/:reviewId/moderate',
+    middleware.requireAuth(),
+    middleware.requirePermission('reviews:moderate'),
+    [
+      param('reviewId').isUUID(),
+      body('action').isIn(MODERATION_ACTIONS),
+      body('reason').optional().trim().isLength({ max: 1000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await adminService.moderateReview(
+          req.params.reviewId, toActor(req), req.body.action, req.body.reason || null
+        );
+        res.json(result);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to moderate review', 'MODERATE_REVIEW_ERROR');
+      }
+    }
+  );
+
+  // List Payments
+  router.get('/payments',
+    middleware.requireAuth(),
+    middleware.requirePermission('payments:read'),
+    [
+      query('status').optional().isIn(['pending', 'processing', 'completed', 'failed', 'refunded', 'disputed', 'cancelled']),
+      ...pageValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const payments = await adminService.listPayments(req.query);
+        res.json({ payments });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list payments', 'LIST_PAYMENTS_ERROR');
+      }
+    }
+  );
+
+  // Payment Ledger Entries
+  router.get('/payments/:paymentId/ledger',
+    middleware.requireAuth(),
+    middleware.requirePermission('payments:read'),
+    [param('paymentId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const entries = await adminService.getPaymentLedger(req.params.paymentId);
+        res.json({ entries });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get payment ledger', 'GET_PAYMENT_LEDGER_ERROR');
+      }
+    }
+  );
+
+  // Ledger Balances
+  router.get('/ledger/balances',
+    middleware.requireAuth(),
+    middleware.requirePermission('payments:read'),
+    [query('partyId').optional().isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const balances = await adminService.getLedgerBalances(req.query);
+        res.json({ balances });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get ledger balances', 'GET_LEDGER_BALANCES_ERROR');
+      }
+    }
+  );
+
+  // Ledger Integrity Check
+  router.get('/ledger/integrity',
+    middleware.requireAuth(),
+    middleware.requirePermission('payments:read'),
+    async (req, res) => {
+      try {
+        const integrity = await adminService.checkLedgerIntegrity();
+        res.json(integrity);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to check ledger integrity', 'CHECK_LEDGER_ERROR');
+      }
+    }
+  );
+
+  // List Stripe Webhook Events
+  router.get('/webhooks/stripe',
+    middleware.requireAuth(),
+    middleware.requirePermission('webhooks:replay'),
+    [
+      query('status').optional().isIn(WEBHOOK_EVENT_STATUSES),
+      query('eventType').optional().isString(),
+      ...pageValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const events = await adminService.listWebhookEvents(req.query);
+        res.json({ events });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list webhook events', 'LIST_WEBHOOK_EVENTS_ERROR');
+      }
+    }
+  );
+
+  // Replay Failed Stripe Webhook Events
+  router.post('/webhooks/stripe/replay',
+    middleware.requireAuth(),
+    middleware.requirePermission('webhooks:replay'),
+    [
+      body('eventType').optional().isString(),
+      body('since').optional().isISO8601(),
+      body('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { eventType, since, limit } = req.body;
+        const result = await adminService.replayFailedWebhookEvents(toActor(req), { eventType, since, limit });
+        res.json(result);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to replay webhook events', 'REPLAY_WEBHOOK_EVENTS_ERROR');
+      }
+    }
+  );
+
+  // Replay One Failed Stripe Webhook Event
+  router.post('/webhooks/stripe/:eventId/replay',
+    middleware.requireAuth(),
+    middleware.requirePermission('webhooks:replay'),
+    [param('eventId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const event = await adminService.replayWebhookEvent(toActor(req), req.params.eventId);
+        res.json(event);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to replay webhook event', 'REPLAY_WEBHOOK_EVENT_ERROR');
+      }
+    }
+  );
+
+  // List Contractor Payout Accounts
+  router.get('/payouts',
+    middleware.requireAuth(),
+    middleware.requirePermission('payouts:read'),
+    [
+      query('accountStatus').optional().isIn(['pending', 'active', 'restricted', 'rejected']),
+      ...pageValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const accounts = await adminService.listPayoutAccounts(req.query);
+        res.json({ accounts });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list payout accounts', 'LIST_PAYOUTS_ERROR');
+      }
+    }
+  );
+
+  // List Payout Reconciliation Runs
+  router.get('/reconciliation/runs',
+    middleware.requireAuth(),
+    middleware.requirePermission('payouts:read'),
+    pageValidators,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const runs = await adminService.listReconciliationRuns(req.query);
+        res.json({ runs });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to list reconciliation runs', 'LIST_RECONCILIATION_RUNS_ERROR');
+      }
+    }
+  );
+
+  // Payout Reconciliation Report (JSON, or CSV with ?format=csv)
+  router.get('/reconciliation/runs/:runId',
+    middleware.requireAuth(),
+    middleware.requirePermission('payouts:read'),
+    [
+      param('runId').isUUID(),
+      query('openOnly').optional().isBoolean().toBoolean(),
+      query('format').optional().isIn(['json', 'csv'])
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const report = await adminService.getReconciliationReport(req.params.runId, { openOnly: req.query.openOnly });
+
+        if (req.query.format === 'csv') {
+          res.set({
+            'Content-Type': 'text/csv',
+            'Content-Disposition': `attachment; filename="payout-reconciliation-${new Date(report.run.periodStart).toISOString().slice(0, 10)}.csv"`
+          });
+          return res.send(toCsv(report.items));
+        }
+
+        res.json(report);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get reconciliation report', 'GET_RECONCILIATION_REPORT_ERROR');
+      }
+    }
+  );
+
+  // Run Payout Reconciliation for a Day
+  router.post('/reconciliation/runs',
+    middleware.requireAuth(),
+    middleware.requirePermission('payouts:reconcile'),
+    [body('date').isISO8601()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const run = await adminService.runReconciliation(toActor(req), req.body.date);
+        res.status(201).json(run);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to run reconciliation', 'RUN_RECONCILIATION_ERROR');
+      }
+    }
+  );
+
+  // Resolve a Reconciliation Mismatch
+  router.put('/reconciliation/items/:itemId/resolve',
+    middleware.requireAuth(),
+    middleware.requirePermission('payouts:reconcile'),
+    [
+      param('itemId').isUUID(),
+      body('note').trim().isLength({ min: 1, max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const item = await adminService.resolveReconciliationItem(toActor(req), req.params.itemId, req.body.note);
+        res.json(item);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to resolve reconciliation item', 'RESOLVE_RECONCILIATION_ITEM_ERROR');
+      }
+    }
+  );
+
+  // Platform Metrics
+  router.get('/metrics',
+    middleware.requireAuth(),
+    middleware.requirePermission('analytics:read'),
+    [query('days').optional().isInt({ min: 1, max: 365 }).toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const metrics = await adminService.getMetrics(req.query.days || 30);
+        res.json(metrics);
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get metrics', 'GET_METRICS_ERROR');
+      }
+    }
+  );
+
+  // Staff Audit Log
+  router.get('/audit-log',
+    middleware.requireAuth(),
+    middleware.requirePermission('audit:read'),
+    [
+      query('actorId').optional().isUUID(),
+      query('targetType').optional().isString(),
+      query('targetId').optional().isUUID(),
+      ...pageValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const entries = await adminService.listAuditLog(req.query);
+        res.json({ entries });
+      } catch (error) {
+        handleAdminError(res, error, 'Failed to get audit log', 'GET_AUDIT_LOG_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  AdminService,
+  AdminError,
+  MANAGEABLE_ACCOUNT_STATUSES,
+  MODERATION_ACTIONS,
+  createAdminRoutes
+};
@@ -0,0 +1,53 @@
+/**
+ * Module: api_middleware_v1
+ * Version: 1.0.0
+ * Dependencies: []
+ * Provides: Shared request validation and error response helpers for route factories
+ * Integration Points: Core API routes, feature route modules
+ * Last Updated: 2025-06-03
+ */
+
+const { validationResult } = require('express-validator');
+
+// =================================================================
+// VALIDATION
+// =================================================================
+
+/**
+ * Validation error handler middleware
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// =================================================================
+// ERROR RESPONSES
+// =================================================================
+
+/**
+ * Respond with a service error carrying its own status and code
+ */
+const sendServiceError = (res, error) => {
+  return res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+};
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  handleValidationErrors,
+  sendServiceError
+};
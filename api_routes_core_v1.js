@@ -1,37 +1,39 @@
 /**
  * Module: api_routes_core_v1
  * Version: 1.0.0
- * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_specification_v1
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_specification_v1, api_middleware_v1, job_state_machine_v1, quote_system_v1, job_cancellation_v1, job_photos_v1, job_completion_v1, dispute_system_v1, change_orders_v1, milestone_payments_v1, recurring_jobs_v1, job_search_v1, saved_searches_v1
  * Provides: Express.js route handlers for core API functionality
  * Integration Points: Mobile apps, admin dashboard, external services
  * Last Updated: 2025-05-31
  */
 
 const express = require('express');
-const { body, param, query, validationResult } = require('express-validator');
-const { AuthenticationService } = require('./auth/auth-strategy');
+const { body, param, query } = require('express-validator');
+const { AuthenticationService, MfaError, MFA_METHODS, AccountTokenError, LoginThrottleError, SessionError, OAuthError } = require('./auth/auth-strategy');
 const { config } = require('./config/env');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { JobStateMachine, JobTransitionError, JOB_STATUSES, SYSTEM_ACTOR } = require('./job_state_machine_v1');
+const { createQuoteRoutes } = require('./quote_system_v1');
+const { JobCancellationService, CancellationError, CANCELLATION_REASONS } = require('./job_cancellation_v1');
+const { createPhotoRoutes } = require('./job_photos_v1');
+const { createCompletionRoutes } = require('./job_completion_v1');
+const { createDisputeRoutes } = require('./dispute_system_v1');
+const { createChangeOrderRoutes } = require('./change_orders_v1');
+const { createMilestoneRoutes } = require('./milestone_payments_v1');
+const { createRecurringJobRoutes } = require('./recurring_jobs_v1');
+const { createJobSearchRoutes } = require('./job_search_v1');
+const { createSavedSearchRoutes } = require('./saved_searches_v1');
+const { createJobDraftRoutes } = require('./job_drafts_v1');
+const { MappingService } = require('./gps_mapping_service_v1');
+const { createEmergencyDispatchRoutes } = require('./emergency_dispatch_v1');
+const { createAdminRoutes } = require('./admin_api_v1');
+const { createPrivacyRoutes } = require('./privacy_requests_v1');
 const rateLimit = require('express-rate-limit');
 
 // =================================================================
 // MIDDLEWARE SETUP
 // =================================================================
 
-/**
- * Validation error handler middleware
- */
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      code: 'VALIDATION_ERROR',
-      details: errors.array()
-    });
-  }
-  next();
-};
-
 /**
  * Rate limiting configurations
  */
@@ -62,10 +64,10 @@ const apiLimiter = rateLimit({
 /**
  * Authentication routes factory
  */
-function createAuthRoutes(database) {
+function createAuthRoutes(database, services = {}) {
   const router = express.Router();
-  const authService = new AuthenticationService(database);
-  const { middleware } = authService.getServices();
+  const authService = new AuthenticationService(database, services.notificationService);
+  const { middleware, mfaService } = authService.getServices();
 
   // User Registration
   router.post('/register',
@@ -134,6 +136,10 @@ function createAuthRoutes(database) {
           `, [user.id]);
         }
 
+        // Verification activates the account; a failed send can be retried via resend
+        authService.sendEmailVerification(user)
+          .catch(error => console.error('Verification email error:', error));
+
         // Generate tokens
         const deviceInfo = {
           deviceType: req.headers['x-device-type'] || 'web',
@@ -142,7 +148,7 @@ function createAuthRoutes(database) {
         };
 
         const session = await authService.sessionService.createSession(user, deviceInfo);
-        const accessToken = authService.jwtService.generateAccessToken(user);
+        const accessToken = authService.jwtService.generateAccessToken(user, session.sessionId);
 
         res.status(201).json({
           user: {
@@ -177,12 +183,13 @@ function createAuthRoutes(database) {
     [
       body('email').isEmail().normalizeEmail(),
       body('password').notEmpty(),
-      body('deviceInfo').optional().isObject()
+      body('deviceInfo').optional().isObject(),
+      body('deviceToken').optional().isString()
     ],
     handleValidationErrors,
     async (req, res) => {
       try {
-        const { email, password, deviceInfo = {} } = req.body;
+        const { email, password, deviceInfo = {}, deviceToken } = req.body;
 
         const deviceData = {
           ...deviceInfo,
@@ -190,11 +197,16 @@ function createAuthRoutes(database) {
           ipAddress: req.ip
         };
 
-        const result = await authService.authenticateUser(email, password, deviceData);
+        // Returns { mfaRequired, challengeToken } instead of tokens when a second factor is due
+        const result = await authService.authenticateUser(email, password, deviceData, { deviceToken });
 
         res.json(result);
 
       } catch (error) {
+        if (error instanceof LoginThrottleError) {
+          res.set('Retry-After', String(error.details.retryAfterSeconds));
+          return sendServiceError(res, error);
+        }
         console.error('Login error:', error);
         res.status(401).json({
           error: 'Invalid credentials',
@@ -204,6 +216,84 @@ function createAuthRoutes(database) {
     }
   );
 
+  // Nonce to hand the provider's client SDK; single use, spent by the sign-in below
+  router.post('/oauth/:provider/nonce',
+    authLimiter,
+    [
+      param('provider').isIn(['google', 'apple'])
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await authService.oAuthService.issueNonce(req.params.provider);
+        res.status(201).json(result);
+
+      } catch (error) {
+        console.error('Sign-in nonce error:', error);
+        res.status(500).json({
+          error: 'Failed to start sign-in',
+          code: 'OAUTH_NONCE_ERROR'
+        });
+      }
+    }
+  );
+
+  // Sign in with Google / Apple (ID token from the provider's client SDK)
+  const providerLogin = (provider) => async (req, res) => {
+    try {
+      const { idToken, nonce, userType, name, deviceInfo = {}, deviceToken } = req.body;
+
+      const deviceData = {
+        ...deviceInfo,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      };
+
+      const result = await authService.authenticateWithProvider(
+        provider, idToken, { nonce, userType, name }, deviceData, { deviceToken }
+      );
+
+      res.json(result);
+
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        return sendServiceError(res, error);
+      }
+      console.error(`${provider} sign-in error:`, error);
+      res.status(500).json({
+        error: 'Sign-in failed',
+        code: 'OAUTH_LOGIN_ERROR'
+      });
+    }
+  };
+
+  const providerLoginValidators = [
+    body('idToken').isString().notEmpty(),
+    body('nonce').isString().isLength({ min: 16, max: 256 }), // From POST /oauth/:provider/nonce
+    body('userType').optional().isIn(['customer', 'contractor']),
+    body('deviceInfo').optional().isObject(),
+    body('deviceToken').optional().isString()
+  ];
+
+  router.post('/oauth/google',
+    authLimiter,
+    providerLoginValidators,
+    handleValidationErrors,
+    providerLogin('google')
+  );
+
+  router.post('/oauth/apple',
+    authLimiter,
+    [
+      ...providerLoginValidators,
+      body('name').optional().isObject(),
+      body('name.firstName').optional().isString().trim().isLength({ max: 100 }),
+      body('name.lastName').optional().isString().trim().isLength({ max: 100 })
+    ],
+    handleValidationErrors,
+    providerLogin('apple')
+  );
+
   // Token Refresh
   router.post('/refresh',
     [
@@ -213,10 +303,14 @@ function createAuthRoutes(database) {
     async (req, res) => {
       try {
         const { refreshToken } = req.body;
-        const result = await authService.refreshAccessToken(refreshToken);
+        // The refresh token rotates; clients must store the one returned
+        const result = await authService.refreshAccessToken(refreshToken, req.ip);
         res.json(result);
 
       } catch (error) {
+        if (error instanceof SessionError) {
+          return sendServiceError(res, error);
+        }
         console.error('Token refresh error:', error);
         res.status(401).json({
           error: 'Invalid refresh token',
@@ -249,6 +343,301 @@ function createAuthRoutes(database) {
     }
   );
 
+  // =================================================================
+  // EMAIL VERIFICATION AND PASSWORD RESET
+  // =================================================================
+
+  const handleAccountTokenError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof AccountTokenError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Resend the verification email (same response whether or not the address exists)
+  router.post('/email/verification',
+    authLimiter,
+    [body('email').isEmail().normalizeEmail()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await authService.resendEmailVerification(req.body.email);
+        res.status(202).json({ message: 'If that address needs verifying, a new link is on its way' });
+      } catch (error) {
+        handleAccountTokenError(res, error, 'Failed to send verification email', 'VERIFICATION_EMAIL_ERROR');
+      }
+    }
+  );
+
+  // Confirm email address from the emailed link
+  router.post('/email/verify',
+    [body('token').isString().notEmpty()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const user = await authService.verifyEmail(req.body.token);
+        res.json({
+          message: 'Email verified',
+          email: user.email,
+          emailVerified: true
+        });
+      } catch (error) {
+        handleAccountTokenError(res, error, 'Failed to verify email', 'EMAIL_VERIFY_ERROR');
+      }
+    }
+  );
+
+  // Request a password reset link (same response whether or not the account exists)
+  router.post('/password/forgot',
+    authLimiter,
+    [body('email').isEmail().normalizeEmail()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await authService.requestPasswordReset(req.body.email);
+        res.status(202).json({ message: 'If an account exists for that address, a reset link is on its way' });
+      } catch (error) {
+        handleAccountTokenError(res, error, 'Failed to request password reset', 'PASSWORD_RESET_REQUEST_ERROR');
+      }
+    }
+  );
+
+  // Set a new password from the emailed link; signs out every session
+  router.post('/password/reset',
+    authLimiter,
+    [
+      body('token').isString().notEmpty(),
+      body('password').isLength({ min: 8 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await authService.resetPassword(req.body.token, req.body.password);
+        res.json({ message: 'Password updated, please sign in again' });
+      } catch (error) {
+        handleAccountTokenError(res, error, 'Failed to reset password', 'PASSWORD_RESET_ERROR');
+      }
+    }
+  );
+
+  // =================================================================
+  // MULTI-FACTOR AUTHENTICATION
+  // =================================================================
+
+  const handleMfaError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof MfaError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const answerValidators = [
+    body('challengeToken').isString().notEmpty(),
+    body('method').isIn(['totp', 'sms', 'recovery']),
+    body('code').isString().trim().isLength({ min: 6, max: 12 })
+  ];
+
+  // Complete login with a second factor
+  router.post('/mfa/verify',
+    authLimiter,
+    [
+      ...answerValidators,
+      body('rememberDevice').optional().isBoolean().toBoolean()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { challengeToken, method, code, rememberDevice } = req.body;
+        const result = await authService.completeMfaLogin(challengeToken, { method, code, rememberDevice });
+        res.json(result);
+      } catch (error) {
+        handleMfaError(res, error, 'Verification failed', 'MFA_VERIFY_ERROR');
+      }
+    }
+  );
+
+  // Text a code for a login, step-up or enrollment challenge (also used to resend)
+  router.post('/mfa/sms/send',
+    authLimiter,
+    [body('challengeToken').isString().notEmpty()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await mfaService.sendSmsCode(req.body.challengeToken);
+        res.json(result);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to send verification code', 'MFA_SMS_ERROR');
+      }
+    }
+  );
+
+  // MFA status, enrolled factors and remembered devices
+  router.get('/mfa',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const status = await mfaService.getStatus(req.user.id);
+        res.json(status);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to get MFA status', 'MFA_STATUS_ERROR');
+      }
+    }
+  );
+
+  // Start authenticator app enrollment (step-up once MFA is on)
+  router.post('/mfa/totp',
+    middleware.requireAuth(),
+    middleware.requireStepUp({ allowUnenrolled: true }),
+    async (req, res) => {
+      try {
+        const enrollment = await mfaService.beginTotpEnrollment(req.user);
+        res.status(201).json(enrollment);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to start enrollment', 'MFA_ENROLL_ERROR');
+      }
+    }
+  );
+
+  // Confirm authenticator app enrollment
+  router.post('/mfa/totp/confirm',
+    middleware.requireAuth(),
+    [body('code').isString().trim().isLength({ min: 6, max: 6 })],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await mfaService.confirmTotpEnrollment(req.user.id, req.body.code);
+        res.json(result);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to confirm enrollment', 'MFA_ENROLL_ERROR');
+      }
+    }
+  );
+
+  // Start SMS enrollment (step-up once MFA is on)
+  router.post('/mfa/sms',
+    middleware.requireAuth(),
+    middleware.requireStepUp({ allowUnenrolled: true }),
+    [body('phone').isMobilePhone()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const enrollment = await mfaService.beginSmsEnrollment(req.user.id, req.body.phone);
+        res.status(201).json(enrollment);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to start enrollment', 'MFA_ENROLL_ERROR');
+      }
+    }
+  );
+
+  // Confirm SMS enrollment
+  router.post('/mfa/sms/confirm',
+    middleware.requireAuth(),
+    [
+      body('challengeToken').isString().notEmpty(),
+      body('code').isString().trim().isLength({ min: 6, max: 6 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { challengeToken, code } = req.body;
+        const result = await mfaService.confirmSmsEnrollment(req.user.id, challengeToken, code);
+        res.json(result);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to confirm enrollment', 'MFA_ENROLL_ERROR');
+      }
+    }
+  );
+
+  // Remove a factor
+  router.delete('/mfa/factors/:method',
+    middleware.requireAuth(),
+    middleware.requireStepUp(),
+    [param('method').isIn(MFA_METHODS)],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await mfaService.removeFactor(req.user.id, req.params.method);
+        res.json(result);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to remove factor', 'MFA_REMOVE_ERROR');
+      }
+    }
+  );
+
+  // Replace recovery codes
+  router.post('/mfa/recovery-codes',
+    middleware.requireAuth(),
+    middleware.requireStepUp(),
+    async (req, res) => {
+      try {
+        const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+        res.json({ recoveryCodes });
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to regenerate recovery codes', 'MFA_RECOVERY_CODES_ERROR');
+      }
+    }
+  );
+
+  // Start a step-up check before a sensitive action
+  router.post('/mfa/step-up',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const challenge = await mfaService.beginStepUp(req.user.id);
+        res.status(201).json(challenge);
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to start verification', 'STEP_UP_ERROR');
+      }
+    }
+  );
+
+  // Answer a step-up check; send the returned token as X-Step-Up-Token
+  router.post('/mfa/step-up/verify',
+    authLimiter,
+    middleware.requireAuth(),
+    answerValidators,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { challengeToken, method, code } = req.body;
+        const result = await mfaService.completeStepUp(req.user.id, challengeToken, { method, code });
+        res.json(result);
+      } catch (error) {
+        handleMfaError(res, error, 'Verification failed', 'STEP_UP_ERROR');
+      }
+    }
+  );
+
+  // Forget all remembered devices
+  router.delete('/mfa/trusted-devices',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const revoked = await mfaService.revokeAllTrustedDevices(req.user.id);
+        res.json({ revoked });
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to forget devices', 'TRUSTED_DEVICE_ERROR');
+      }
+    }
+  );
+
+  // Forget one remembered device
+  router.delete('/mfa/trusted-devices/:deviceId',
+    middleware.requireAuth(),
+    [param('deviceId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await mfaService.revokeTrustedDevice(req.user.id, req.params.deviceId);
+        res.status(204).send();
+      } catch (error) {
+        handleMfaError(res, error, 'Failed to forget device', 'TRUSTED_DEVICE_ERROR');
+      }
+    }
+  );
+
   return router;
 }
 
@@ -256,10 +645,11 @@ function createAuthRoutes(database) {
 // USER MANAGEMENT ROUTES
 // =================================================================
 
-function createUserRoutes(database) {
+function createUserRoutes(database, services = {}) {
   const router = express.Router();
   const authService = new AuthenticationService(database);
-  const { middleware } = authService.getServices();
+  const { middleware, sessionService } = authService.getServices();
+  const mappingService = services.mappingService || new MappingService(database);
 
   // Get User Profile
   router.get('/profile',
@@ -359,31 +749,52 @@ function createUserRoutes(database) {
           }
         });
 
-        // Handle address updates
+        // Handle address updates; the merged address is normalized and
+        // geocoded once it is complete
+        let coordinates;
         if (updates.address) {
-          const { addressLine1, addressLine2, city, state, zipCode, coordinates } = updates.address;
-          if (addressLine1) userUpdates.address_line1 = addressLine1;
-          if (addressLine2) userUpdates.address_line2 = addressLine2;
-          if (city) userUpdates.city = city;
-          if (state) userUpdates.state = state;
-          if (zipCode) userUpdates.zip_code = zipCode;
-          
-          if (coordinates && coordinates.latitude && coordinates.longitude) {
-            userUpdates.coordinates = `POINT(${coordinates.longitude} ${coordinates.latitude})`;
+          const current = await database.query(`
+            SELECT address_line1, address_line2, city, state, zip_code FROM users WHERE id = $1
+          `, [userId]);
+          const existing = current.rows[0];
+
+          const address = {
+            addressLine1: updates.address.addressLine1 || existing.address_line1,
+            addressLine2: updates.address.addressLine2 || existing.address_line2,
+            city: updates.address.city || existing.city,
+            state: updates.address.state || existing.state,
+            zipCode: updates.address.zipCode || existing.zip_code
+          };
+
+          if (address.addressLine1 && address.city && address.state && address.zipCode) {
+            const location = await mappingService.resolveServiceAddress(address, updates.address.coordinates);
+            Object.assign(address, location.address);
+            coordinates = location.coordinates;
           }
+
+          if (updates.address.addressLine1) userUpdates.address_line1 = address.addressLine1;
+          if (updates.address.addressLine2) userUpdates.address_line2 = address.addressLine2;
+          if (updates.address.city) userUpdates.city = address.city;
+          if (updates.address.state) userUpdates.state = address.state;
+          if (updates.address.zipCode) userUpdates.zip_code = address.zipCode;
         }
 
-        if (Object.keys(userUpdates).length > 0) {
-          const setClause = Object.keys(userUpdates).map((key, index) => 
-            key === 'coordinates' ? `${key} = ST_GeomFromText($${index + 2}, 4326)` : `${key} = $${index + 2}`
-          ).join(', ');
-          
-          const values = [userId, ...Object.values(userUpdates).map(val => 
-            val === userUpdates.coordinates ? val.replace('POINT(', '').replace(')', '') : val
-          )];
+        if (Object.keys(userUpdates).length > 0 || coordinates !== undefined) {
+          const values = [userId, ...Object.values(userUpdates)];
+          const setClauses = Object.keys(userUpdates).map((key, index) => `${key} = $${index + 2}`);
+
+          // An address that no longer resolves must not keep the old location
+          if (coordinates !== undefined) {
+            if (coordinates) {
+              values.push(coordinates.longitude, coordinates.latitude);
+              setClauses.push(`coordinates = ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)`);
+            } else {
+              setClauses.push('coordinates = NULL');
+            }
+          }
 
           await database.query(`
-            UPDATE users SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+            UPDATE users SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
             WHERE id = $1
           `, values);
         }
@@ -402,7 +813,10 @@ function createUserRoutes(database) {
           }
         }
 
-        res.json({ message: 'Profile updated successfully' });
+        res.json({
+          message: 'Profile updated successfully',
+          ...(coordinates === null && { addressUnresolved: true })
+        });
 
       } catch (error) {
         console.error('Update profile error:', error);
@@ -414,6 +828,101 @@ function createUserRoutes(database) {
     }
   );
 
+  // List Signed-in Sessions
+  router.get('/sessions',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+        res.json({ sessions });
+      } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+          error: 'Failed to list sessions',
+          code: 'LIST_SESSIONS_ERROR'
+        });
+      }
+    }
+  );
+
+  // Sign Out All Other Sessions
+  router.delete('/sessions',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const revoked = await sessionService.revokeOtherSessions(req.user.id, req.sessionId);
+        res.json({ revoked });
+      } catch (error) {
+        if (error instanceof SessionError) {
+          return sendServiceError(res, error);
+        }
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+          error: 'Failed to revoke sessions',
+          code: 'REVOKE_SESSIONS_ERROR'
+        });
+      }
+    }
+  );
+
+  // Sign Out One Session
+  router.delete('/sessions/:sessionId',
+    middleware.requireAuth(),
+    [param('sessionId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await sessionService.revokeUserSession(req.user.id, req.params.sessionId);
+        res.status(204).send();
+      } catch (error) {
+        if (error instanceof SessionError) {
+          return sendServiceError(res, error);
+        }
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+          error: 'Failed to revoke session',
+          code: 'REVOKE_SESSION_ERROR'
+        });
+      }
+    }
+  );
+
+  // Link to change payout bank details on Stripe (Contractors only, requires step-up)
+  router.post('/payout-account/link',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    middleware.requireStepUp(),
+    async (req, res) => {
+      try {
+        const result = await database.query(`
+          SELECT stripe_account_id, account_status FROM contractor_payouts WHERE contractor_id = $1
+        `, [req.user.id]);
+
+        const payout = result.rows[0];
+        if (!payout || !payout.stripe_account_id) {
+          return res.status(404).json({
+            error: 'Payout account not set up',
+            code: 'PAYOUT_ACCOUNT_NOT_FOUND'
+          });
+        }
+
+        // Finished accounts manage bank details in the Express dashboard; others resume onboarding
+        const url = payout.account_status === 'active'
+          ? await services.paymentService.createDashboardLink(payout.stripe_account_id)
+          : await services.paymentService.createOnboardingLink(payout.stripe_account_id, req.user.id);
+
+        res.json({ url, accountStatus: payout.account_status });
+
+      } catch (error) {
+        console.error('Payout account link error:', error);
+        res.status(500).json({
+          error: 'Failed to create payout account link',
+          code: 'PAYOUT_ACCOUNT_LINK_ERROR'
+        });
+      }
+    }
+  );
+
   return router;
 }
 
@@ -421,10 +930,71 @@ function createUserRoutes(database) {
 // JOB MANAGEMENT ROUTES
 // =================================================================
 
-function createJobRoutes(database) {
+function createJobRoutes(database, services = {}) {
   const router = express.Router();
   const authService = new AuthenticationService(database);
   const { middleware } = authService.getServices();
+  const jobStateMachine = services.jobStateMachine || new JobStateMachine(database, {
+    notificationTriggers: services.notificationTriggers,
+    broadcastJobUpdate: services.broadcastJobUpdate,
+    onJobPosted: services.savedSearchService
+      ? (job) => services.savedSearchService.matchPostedJob(job.id)
+      : null
+  });
+  const cancellationService = new JobCancellationService(database, jobStateMachine, services.paymentService);
+  const mappingService = services.mappingService || new MappingService(database);
+
+  // Transitions carrying payment, assignment or record keeping that the generic
+  // status endpoint would skip, keyed by target status, then by current status
+  // where the workflow depends on it. Only assigned -> in_progress is left to PATCH.
+  const WORKFLOW_STATUS_ENDPOINTS = {
+    posted: {
+      draft: 'POST /jobs/drafts/:id/publish',
+      assigned: 'POST /jobs/:id/cancel'
+    },
+    assigned: 'POST /jobs/:id/quotes/:quoteId/accept',
+    in_progress: {
+      completed: 'POST /jobs/:id/reject',
+      disputed: 'POST /disputes/:disputeId/resolve'
+    },
+    completed: 'POST /jobs/:id/complete',
+    approved: 'POST /jobs/:id/approve',
+    cancelled: 'POST /jobs/:id/cancel',
+    disputed: 'POST /disputes'
+  };
+
+  const TRADE_CATEGORIES = ['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping'];
+
+  /**
+   * Load a job and check the requesting user may see it
+   */
+  const loadAccessibleJob = async (jobId, user) => {
+    const result = await database.query(`
+      SELECT
+        j.*,
+        ST_X(j.service_coordinates) as longitude, ST_Y(j.service_coordinates) as latitude,
+        c.first_name as customer_first_name, c.last_name as customer_last_name,
+        c.profile_image_url as customer_profile_image_url,
+        con.business_name as contractor_business_name,
+        con.average_rating as contractor_rating,
+        cu.first_name as contractor_first_name, cu.last_name as contractor_last_name,
+        (SELECT COUNT(*) FROM job_photos WHERE job_id = j.id) as photo_count
+      FROM jobs j
+      LEFT JOIN users c ON j.customer_id = c.id
+      LEFT JOIN contractor_profiles con ON j.contractor_id = con.user_id
+      LEFT JOIN users cu ON j.contractor_id = cu.id
+      WHERE j.id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) return null;
+
+    const job = result.rows[0];
+    const isParticipant = job.customer_id === user.id || job.contractor_id === user.id;
+    const isOpenToContractor = user.user_type === 'contractor' && job.status === 'posted';
+
+    if (isParticipant || isOpenToContractor) return job;
+    return await middleware.rbacService.hasPermission(user, 'jobs:read') ? job : false;
+  };
 
   // Get Jobs List
   router.get('/',
@@ -432,8 +1002,8 @@ function createJobRoutes(database) {
     [
       query('page').optional().isInt({ min: 1 }),
       query('limit').optional().isInt({ min: 1, max: 100 }),
-      query('status').optional().isIn(['draft', 'posted', 'assigned', 'in_progress', 'completed', 'approved', 'cancelled', 'disputed']),
-      query('tradeCategory').optional().isIn(['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping']),
+      query('status').optional().isIn(JOB_STATUSES),
+      query('tradeCategory').optional().isIn(TRADE_CATEGORIES),
       query('location').optional().matches(/^-?\d+\.?\d*,-?\d+\.?\d*,\d+$/)
     ],
     handleValidationErrors,
@@ -450,7 +1020,8 @@ function createJobRoutes(database) {
 
         // Filter based on user type
         if (userType === 'customer') {
-          whereClause = 'WHERE j.customer_id = $3';
+          // Unfinished drafts are listed via /jobs/drafts unless asked for
+          whereClause = status ? 'WHERE j.customer_id = $3' : 'WHERE j.customer_id = $3 AND j.status <> \'draft\'';
           params.push(userId);
           paramCount++;
         } else if (userType === 'contractor') {
@@ -575,7 +1146,7 @@ function createJobRoutes(database) {
     [
       body('title').trim().isLength({ min: 1, max: 255 }),
       body('description').trim().isLength({ min: 10 }),
-      body('tradeCategory').isIn(['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping']),
+      body('tradeCategory').isIn(TRADE_CATEGORIES),
       body('serviceAddress').isObject(),
       body('serviceAddress.addressLine1').trim().isLength({ min: 1 }),
       body('serviceAddress.city').trim().isLength({ min: 1 }),
@@ -583,6 +1154,8 @@ function createJobRoutes(database) {
       body('serviceAddress.zipCode').trim().isLength({ min: 5 }),
       body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
       body('estimatedCost').optional().isFloat({ min: 0 }),
+      // Urgent jobs go out through emergency dispatch at this price
+      body('estimatedCost').if(body('priority').equals('urgent')).exists({ checkNull: true }),
       body('preferredDate').optional().isISO8601(),
       body('preferredTimeStart').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
       body('preferredTimeEnd').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
@@ -597,24 +1170,30 @@ function createJobRoutes(database) {
 
         const customerId = req.user.id;
 
-        // Create coordinates from address (in real implementation, use geocoding service)
-        const coordinates = serviceAddress.coordinates ? 
-          `POINT(${serviceAddress.coordinates.longitude} ${serviceAddress.coordinates.latitude})` : null;
+        // Geocode server-side; client coordinates are only a fallback
+        const location = await mappingService.resolveServiceAddress(serviceAddress, serviceAddress.coordinates);
+        const { address, coordinates } = location;
 
         const result = await database.query(`
           INSERT INTO jobs (
             customer_id, title, description, trade_category, priority,
             service_address_line1, service_address_line2, service_city, 
-            service_state, service_zip_code, service_coordinates,
+            service_state, service_zip_code, service_coordinates, geocode_status,
             estimated_cost, preferred_date, preferred_time_start, preferred_time_end,
             status, posted_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
+          ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+            CASE WHEN $11::DOUBLE PRECISION IS NULL THEN NULL ELSE ST_SetSRID(ST_MakePoint($12, $11), 4326) END,
+            $13, $14, $15, $16, $17, $18, NOW()
+          )
           RETURNING *
         `, [
           customerId, title, description, tradeCategory, priority,
-          serviceAddress.addressLine1, serviceAddress.addressLine2 || null,
-          serviceAddress.city, serviceAddress.state, serviceAddress.zipCode,
-          coordinates ? `ST_GeomFromText('${coordinates}', 4326)` : null,
+          address.addressLine1, address.addressLine2 || null,
+          address.city, address.state, address.zipCode,
+          coordinates ? coordinates.latitude : null,
+          coordinates ? coordinates.longitude : null,
+          location.geocodeStatus,
           estimatedCost || null, preferredDate || null,
           preferredTimeStart || null, preferredTimeEnd || null, 'posted'
         ]);
@@ -627,6 +1206,18 @@ function createJobRoutes(database) {
           VALUES ($1, $2, $3, $4)
         `, [job.id, customerId, 'posted', 'Job created and posted']);
 
+        // Alert contractors with matching saved searches without delaying the response
+        if (services.savedSearchService) {
+          services.savedSearchService.matchPostedJob(job.id)
+            .catch(error => console.error('Saved search matching error:', error));
+        }
+
+        // Urgent jobs are offered to contractors directly; progress is at GET /jobs/:id/dispatch
+        if (job.priority === 'urgent' && services.emergencyDispatchService) {
+          services.emergencyDispatchService.startDispatch(job.id, SYSTEM_ACTOR)
+            .catch(error => console.error('Emergency dispatch error:', error));
+        }
+
         res.status(201).json({
           id: job.id,
           title: job.title,
@@ -636,6 +1227,7 @@ function createJobRoutes(database) {
           priority: job.priority,
           estimatedCost: job.estimated_cost,
           preferredDate: job.preferred_date,
+          addressUnresolved: job.geocode_status === 'unresolved',
           createdAt: job.created_at
         });
 
@@ -649,6 +1241,255 @@ function createJobRoutes(database) {
     }
   );
 
+  // Get Job Details
+  router.get('/:id',
+    middleware.requireAuth(),
+    [
+      param('id').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const job = await loadAccessibleJob(req.params.id, req.user);
+
+        if (job === null) {
+          return res.status(404).json({
+            error: 'Job not found',
+            code: 'JOB_NOT_FOUND'
+          });
+        }
+
+        if (job === false) {
+          return res.status(403).json({
+            error: 'Not permitted to view this job',
+            code: 'JOB_ACCESS_DENIED'
+          });
+        }
+
+        const statusHistory = job.customer_id === req.user.id || job.contractor_id === req.user.id
+          ? await jobStateMachine.getStatusHistory(job.id)
+          : [];
+
+        res.json({
+          ...formatJobDetails(job),
+          allowedTransitions: jobStateMachine.getAllowedTransitions(job.status),
+          statusHistory
+        });
+
+      } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({
+          error: 'Failed to get job',
+          code: 'GET_JOB_ERROR'
+        });
+      }
+    }
+  );
+
+  // Update Job (Customers only)
+  router.put('/:id',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('id').isUUID(),
+      body('title').optional().trim().isLength({ min: 1, max: 255 }),
+      body('description').optional().trim().isLength({ min: 10 }),
+      body('tradeCategory').optional().isIn(TRADE_CATEGORIES),
+      body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+      body('estimatedCost').optional().isFloat({ min: 0 }),
+      body('preferredDate').optional().isISO8601(),
+      body('preferredTimeStart').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+      body('preferredTimeEnd').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+      body('accessInstructions').optional().trim().isLength({ max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const job = await loadAccessibleJob(req.params.id, req.user);
+
+        if (!job || job.customer_id !== req.user.id) {
+          return res.status(404).json({
+            error: 'Job not found',
+            code: 'JOB_NOT_FOUND'
+          });
+        }
+
+        // Once a contractor is committed only site access notes may change;
+        // schedule changes go through the reschedule flow
+        const editableFields = ['draft', 'posted'].includes(job.status)
+          ? ['title', 'description', 'tradeCategory', 'priority', 'estimatedCost',
+            'preferredDate', 'preferredTimeStart', 'preferredTimeEnd', 'accessInstructions']
+          : job.status === 'assigned' ? ['accessInstructions'] : [];
+
+        const requestedFields = Object.keys(req.body);
+        const blockedFields = requestedFields.filter(field => !editableFields.includes(field));
+
+        if (blockedFields.length > 0) {
+          return res.status(409).json({
+            error: `Fields cannot be changed while job is ${job.status}`,
+            code: 'JOB_NOT_EDITABLE',
+            details: { blockedFields, editableFields }
+          });
+        }
+
+        const jobUpdates = {};
+        requestedFields.forEach(field => {
+          const dbField = field.replace(/([A-Z])/g, '_$1').toLowerCase();
+          jobUpdates[dbField] = req.body[field];
+        });
+
+        if (Object.keys(jobUpdates).length === 0) {
+          return res.json(formatJobDetails(job));
+        }
+
+        const setClause = Object.keys(jobUpdates).map((key, index) => `${key} = $${index + 3}`).join(', ');
+
+        // Guard on status so a concurrent transition cannot slip an edit through
+        const result = await database.query(`
+          UPDATE jobs SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = $2
+          RETURNING id
+        `, [job.id, job.status, ...Object.values(jobUpdates)]);
+
+        if (result.rows.length === 0) {
+          return res.status(409).json({
+            error: 'Job status changed concurrently, please retry',
+            code: 'JOB_STATUS_CONFLICT'
+          });
+        }
+
+        const updatedJob = await loadAccessibleJob(job.id, req.user);
+        res.json(formatJobDetails(updatedJob));
+
+      } catch (error) {
+        console.error('Update job error:', error);
+        res.status(500).json({
+          error: 'Failed to update job',
+          code: 'UPDATE_JOB_ERROR'
+        });
+      }
+    }
+  );
+
+  // Preview Cancellation Terms
+  router.get('/:id/cancellation',
+    middleware.requireAuth(),
+    [
+      param('id').isUUID(),
+      query('reasonCode').optional().isIn(CANCELLATION_REASONS)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const actor = { id: req.user.id, userType: req.user.user_type };
+        const preview = await cancellationService.previewCancellation(
+          req.params.id, actor, req.query.reasonCode
+        );
+        res.json(preview);
+
+      } catch (error) {
+        if (error instanceof CancellationError) {
+          return sendServiceError(res, error);
+        }
+        console.error('Cancellation preview error:', error);
+        res.status(500).json({
+          error: 'Failed to preview cancellation',
+          code: 'CANCELLATION_PREVIEW_ERROR'
+        });
+      }
+    }
+  );
+
+  // Cancel Job
+  router.post('/:id/cancel',
+    middleware.requireAuth(),
+    [
+      param('id').isUUID(),
+      body('reasonCode').optional().isIn(CANCELLATION_REASONS),
+      body('reason').optional().trim().isLength({ max: 500 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const actor = { id: req.user.id, userType: req.user.user_type };
+        const result = await cancellationService.cancelJob(req.params.id, actor, {
+          reasonCode: req.body.reasonCode,
+          reason: req.body.reason
+        });
+        res.json(result);
+
+      } catch (error) {
+        if (error instanceof CancellationError || error instanceof JobTransitionError) {
+          return sendServiceError(res, error);
+        }
+        console.error('Cancel job error:', error);
+        res.status(500).json({
+          error: 'Failed to cancel job',
+          code: 'CANCEL_JOB_ERROR'
+        });
+      }
+    }
+  );
+
+  // Update Job Status
+  router.patch('/:id/status',
+    middleware.requireAuth(),
+    [
+      param('id').isUUID(),
+      body('status').isIn(JOB_STATUSES),
+      body('reason').optional().trim().isLength({ max: 500 }),
+      body('notes').optional().trim().isLength({ max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { status, reason, notes } = req.body;
+        const actor = { id: req.user.id, userType: req.user.user_type };
+
+        const current = await database.query('SELECT status FROM jobs WHERE id = $1', [req.params.id]);
+
+        if (current.rows.length === 0) {
+          return res.status(404).json({
+            error: 'Job not found',
+            code: 'JOB_NOT_FOUND'
+          });
+        }
+
+        const workflow = WORKFLOW_STATUS_ENDPOINTS[status];
+        const workflowEndpoint = typeof workflow === 'string'
+          ? workflow
+          : workflow && workflow[current.rows[0].status];
+
+        if (workflowEndpoint) {
+          return res.status(409).json({
+            error: `Use ${workflowEndpoint} to move a job to '${status}'`,
+            code: 'STATUS_REQUIRES_WORKFLOW',
+            details: { status, from: current.rows[0].status, endpoint: workflowEndpoint }
+          });
+        }
+
+        const job = await jobStateMachine.transition(req.params.id, status, actor, { reason, notes });
+
+        res.json({
+          id: job.id,
+          status: job.status,
+          allowedTransitions: jobStateMachine.getAllowedTransitions(job.status),
+          updatedAt: job.updated_at
+        });
+
+      } catch (error) {
+        if (error instanceof JobTransitionError) {
+          return sendServiceError(res, error);
+        }
+        console.error('Update job status error:', error);
+        res.status(500).json({
+          error: 'Failed to update job status',
+          code: 'UPDATE_JOB_STATUS_ERROR'
+        });
+      }
+    }
+  );
+
   return router;
 }
 
@@ -659,7 +1500,7 @@ function createJobRoutes(database) {
 /**
  * Create complete API router with all routes
  */
-function createAPIRoutes(database) {
+function createAPIRoutes(database, services = {}) {
   const router = express.Router();
 
   // Apply global middleware
@@ -691,9 +1532,22 @@ function createAPIRoutes(database) {
   });
 
   // Mount route modules
-  router.use('/auth', createAuthRoutes(database));
-  router.use('/users', createUserRoutes(database));
-  router.use('/jobs', createJobRoutes(database));
+  router.use('/auth', createAuthRoutes(database, services));
+  router.use('/users', createUserRoutes(database, services));
+  router.use('/jobs', createJobSearchRoutes(database, services)); // before /jobs/:id
+  router.use('/jobs', createJobDraftRoutes(database, services)); // before /jobs/:id
+  router.use('/jobs', createJobRoutes(database, services));
+  router.use('/jobs', createQuoteRoutes(database, services));
+  router.use('/jobs', createPhotoRoutes(database, services));
+  router.use('/jobs', createCompletionRoutes(database, services));
+  router.use('/jobs', createChangeOrderRoutes(database, services));
+  router.use('/jobs', createMilestoneRoutes(database, services));
+  router.use('/jobs', createEmergencyDispatchRoutes(database, services));
+  router.use('/disputes', createDisputeRoutes(database, services));
+  router.use('/recurring-jobs', createRecurringJobRoutes(database, services));
+  router.use('/saved-searches', createSavedSearchRoutes(database, services));
+  router.use('/admin', createAdminRoutes(database, services));
+  router.use('/privacy', createPrivacyRoutes(database, services));
 
   // Global error handler
   router.use((error, req, res, next) => {
@@ -733,6 +1587,62 @@ function generateReferralCode() {
   return result;
 }
 
+/**
+ * Map a job row to the job details response shape
+ */
+function formatJobDetails(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    tradeCategory: row.trade_category,
+    status: row.status,
+    priority: row.priority,
+    serviceAddress: {
+      addressLine1: row.service_address_line1,
+      addressLine2: row.service_address_line2,
+      city: row.service_city,
+      state: row.service_state,
+      zipCode: row.service_zip_code,
+      coordinates: row.longitude && row.latitude ? {
+        latitude: row.latitude,
+        longitude: row.longitude
+      } : null
+    },
+    addressUnresolved: row.geocode_status === 'unresolved',
+    accessInstructions: row.access_instructions,
+    estimatedCost: row.estimated_cost,
+    quotedPrice: row.quoted_price,
+    finalPrice: row.final_price,
+    preferredDate: row.preferred_date,
+    preferredTimeStart: row.preferred_time_start,
+    preferredTimeEnd: row.preferred_time_end,
+    customer: row.customer_first_name ? {
+      id: row.customer_id,
+      firstName: row.customer_first_name,
+      lastName: row.customer_last_name,
+      profileImageUrl: row.customer_profile_image_url
+    } : null,
+    contractor: row.contractor_id ? {
+      id: row.contractor_id,
+      businessName: row.contractor_business_name,
+      firstName: row.contractor_first_name,
+      lastName: row.contractor_last_name,
+      rating: parseFloat(row.contractor_rating) || 0
+    } : null,
+    photoCount: parseInt(row.photo_count) || 0,
+    postedAt: row.posted_at,
+    assignedAt: row.assigned_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    approvedAt: row.approved_at,
+    cancelledAt: row.cancelled_at,
+    cancellationReason: row.cancellation_reason,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
 /**
  * Get user ID by referral code
  */
@@ -754,6 +1664,7 @@ module.exports = {
   createUserRoutes,
   createJobRoutes,
   handleValidationErrors,
+  sendServiceError,
   authLimiter,
   apiLimiter
 };
\ No newline at end of file
@@ -2,28 +2,223 @@
  * Module: auth_strategy_v1
  * Version: 1.0.0
  * Dependencies: config_env_v1, db_schema_foundation_v1
- * Provides: JWT authentication, session management, OAuth integration, password security
- * Integration Points: All API routes, mobile apps, admin dashboard
- * Last Updated: 2025-05-31
+ * Provides: JWT authentication, signing key rotation and JWKS, session management, OAuth ID token sign-in, password security, login lockout, multi-factor authentication, email verification, password reset, role-based access control
+ * Integration Points: All API routes, mobile apps, admin dashboard, notification_service_v1 (SMS codes, account emails), Redis (login attempt counters), Google and Apple JWKS (ID token keys)
+ * Last Updated: 2025-06-22
  */
 
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const util = require('util');
+const Redis = require('ioredis');
+const geoip = require('geoip-lite');
+const axios = require('axios');
+const { normalizeEmail } = require('validator');
 const { config } = require('./config/env');
 
+// =================================================================
+// SIGNING KEY RING
+// =================================================================
+
+/**
+ * Supported access token algorithms and their key pair parameters
+ */
+const SIGNING_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+const generateKeyPair = util.promisify(crypto.generateKeyPair);
+
+/**
+ * Signing Key Ring
+ * In-memory copy of jwt_signing_keys shared by every JWTService in the
+ * process. SigningKeyService fills it at startup and reloads it on an
+ * interval, so keys published by another instance are picked up.
+ */
+class SigningKeyRing {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  replace(keys) {
+    this.keys = new Map(keys.map(key => [key.kid, key]));
+  }
+
+  /**
+   * Newest key that has reached its activation time
+   */
+  getSigningKey(now = new Date()) {
+    let signingKey = null;
+    for (const key of this.keys.values()) {
+      if (key.activatesAt <= now && key.expiresAt > now &&
+          (!signingKey || key.activatesAt > signingKey.activatesAt)) {
+        signingKey = key;
+      }
+    }
+    return signingKey;
+  }
+
+  getVerificationKey(kid, now = new Date()) {
+    const key = this.keys.get(kid);
+    return key && key.expiresAt > now ? key : null;
+  }
+
+  /**
+   * Every unexpired key, including ones not yet signing
+   */
+  getPublishedKeys(now = new Date()) {
+    return [...this.keys.values()].filter(key => key.expiresAt > now);
+  }
+
+  /**
+   * JSON Web Key Set for /.well-known/jwks.json
+   */
+  getJwks() {
+    return {
+      keys: this.getPublishedKeys().map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+const signingKeyRing = new SigningKeyRing();
+
+/**
+ * Signing Key Service
+ * Stores the key ring and rotates it. A new key is published in the JWKS
+ * publishLeadMinutes before it signs anything, and the outgoing key stays
+ * published for overlapHours after it stops signing, so verifiers holding a
+ * cached JWKS never see an unknown kid or lose a key early.
+ */
+class SigningKeyService {
+  constructor(database, keyRing = signingKeyRing, options = config.auth.jwt.signing) {
+    this.db = database;
+    this.keyRing = keyRing;
+    this.options = options;
+    this.encryptionKey = crypto.createHash('sha256').update(options.keyEncryptionKey).digest();
+  }
+
+  /**
+   * Load the ring at startup, creating the first key on a fresh database
+   */
+  async initialize() {
+    await this.load();
+    await this.rotateIfDue();
+  }
+
+  /**
+   * Replace the in-memory ring with the unexpired keys in the database
+   */
+  async load() {
+    const result = await this.db.query(`
+      SELECT kid, algorithm, public_key, private_key_encrypted, activates_at, expires_at
+      FROM jwt_signing_keys
+      WHERE expires_at > NOW()
+    `);
+
+    this.keyRing.replace(result.rows.map(row => ({
+      kid: row.kid,
+      algorithm: row.algorithm,
+      publicKey: crypto.createPublicKey(row.public_key),
+      privateKey: crypto.createPrivateKey(this.decryptPrivateKey(row.private_key_encrypted)),
+      activatesAt: new Date(row.activates_at),
+      expiresAt: new Date(row.expires_at)
+    })));
+
+    return result.rows.length;
+  }
+
+  /**
+   * Publish the next key once the current one is within publishLeadMinutes of rotation
+   * Returns the new key, or null when no rotation was due
+   */
+  async rotateIfDue(now = new Date()) {
+    const current = this.keyRing.getSigningKey(now);
+    const leadMs = this.options.publishLeadMinutes * 60 * 1000;
+
+    // Nothing to overlap with on a fresh database, so sign straight away
+    if (!current) {
+      return this.publishKey(now);
+    }
+
+    const hasUpcoming = this.keyRing.getPublishedKeys(now).some(key => key.activatesAt > now);
+    const rotateAt = current.activatesAt.getTime() + this.options.rotationDays * 24 * 60 * 60 * 1000;
+
+    if (hasUpcoming || now.getTime() < rotateAt - leadMs) {
+      return null;
+    }
+
+    // A rotation run this late would leave the outgoing key signing until it
+    // drops out of the ring; switch immediately instead of pre-publishing
+    let activatesAt = new Date(Math.max(rotateAt, now.getTime() + leadMs));
+    if (activatesAt.getTime() > current.expiresAt.getTime() - leadMs) {
+      activatesAt = now;
+    }
+
+    return this.publishKey(activatesAt);
+  }
+
+  async publishKey(activatesAt) {
+    const { algorithm, rotationDays, overlapHours } = this.options;
+    const { type, options } = SIGNING_ALGORITHMS[algorithm];
+
+    const { publicKey, privateKey } = await generateKeyPair(type, {
+      ...options,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    const kid = crypto.randomBytes(12).toString('hex');
+    const expiresAt = new Date(activatesAt.getTime() +
+      (rotationDays * 24 + overlapHours) * 60 * 60 * 1000);
+
+    await this.db.query(`
+      INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key_encrypted, activates_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [kid, algorithm, publicKey, this.encryptPrivateKey(privateKey), activatesAt, expiresAt]);
+
+    await this.load();
+
+    return { kid, algorithm, activatesAt, expiresAt };
+  }
+
+  encryptPrivateKey(pem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptPrivateKey(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
 // =================================================================
 // JWT TOKEN MANAGEMENT
 // =================================================================
 
 /**
  * JWT Token Service
- * Handles access token and refresh token generation and validation
+ * Handles access token and refresh token generation and validation.
+ * Access tokens are signed with the asymmetric key ring so other services can
+ * verify them against the JWKS; refresh, step-up and account link tokens are
+ * only ever verified here and stay on the shared secret.
  */
 class JWTService {
-  constructor() {
-    this.accessTokenSecret = config.auth.jwt.secret;
+  constructor(keyRing = signingKeyRing) {
+    this.keyRing = keyRing;
     this.refreshTokenSecret = config.auth.jwt.secret + '_refresh';
+    this.stepUpTokenSecret = config.auth.jwt.secret + '_step_up';
     this.accessTokenExpiry = config.auth.jwt.accessTokenExpiry;
     this.refreshTokenExpiry = config.auth.jwt.refreshTokenExpiry;
     this.issuer = config.auth.jwt.issuer;
@@ -33,9 +228,10 @@ class JWTService {
   /**
    * Generate access token for authenticated user
    */
-  generateAccessToken(user) {
+  generateAccessToken(user, sessionId) {
     const payload = {
       userId: user.id,
+      sessionId,
       email: user.email,
       userType: user.user_type,
       accountStatus: user.account_status,
@@ -43,7 +239,14 @@ class JWTService {
       phoneVerified: !!user.phone_verified_at
     };
 
-    return jwt.sign(payload, this.accessTokenSecret, {
+    const signingKey = this.keyRing.getSigningKey();
+    if (!signingKey) {
+      throw new Error('No active JWT signing key; the key ring has not been loaded');
+    }
+
+    return jwt.sign(payload, signingKey.privateKey, {
+      algorithm: signingKey.algorithm,
+      keyid: signingKey.kid,
       expiresIn: this.accessTokenExpiry,
       issuer: this.issuer,
       audience: this.audience,
@@ -58,7 +261,8 @@ class JWTService {
     const payload = {
       userId: user.id,
       sessionId: sessionId,
-      tokenType: 'refresh'
+      tokenType: 'refresh',
+      jti: crypto.randomUUID() // Rotations within the same second must still hash differently
     };
 
     return jwt.sign(payload, this.refreshTokenSecret, {
@@ -74,7 +278,14 @@ class JWTService {
    */
   verifyAccessToken(token) {
     try {
-      return jwt.verify(token, this.accessTokenSecret, {
+      const decoded = jwt.decode(token, { complete: true });
+      const verificationKey = decoded && this.keyRing.getVerificationKey(decoded.header.kid);
+      if (!verificationKey) {
+        throw new Error('unknown signing key');
+      }
+
+      return jwt.verify(token, verificationKey.publicKey, {
+        algorithms: [verificationKey.algorithm],
         issuer: this.issuer,
         audience: this.audience
       });
@@ -97,6 +308,70 @@ class JWTService {
     }
   }
 
+  /**
+   * Generate short-lived token proving a recent second-factor check
+   */
+  generateStepUpToken(userId, expiresIn) {
+    const payload = {
+      userId,
+      tokenType: 'step_up'
+    };
+
+    return jwt.sign(payload, this.stepUpTokenSecret, {
+      expiresIn,
+      issuer: this.issuer,
+      audience: this.audience,
+      subject: userId
+    });
+  }
+
+  /**
+   * Verify and decode step-up token
+   */
+  verifyStepUpToken(token) {
+    try {
+      return jwt.verify(token, this.stepUpTokenSecret, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+    } catch (error) {
+      throw new Error(`Invalid step-up token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate token for an email verification or password reset link
+   * Each purpose has its own signing secret; tokenId is the account_tokens row
+   */
+  generateAccountToken(userId, tokenId, purpose, expiresInSeconds) {
+    const payload = {
+      userId,
+      tokenType: purpose
+    };
+
+    return jwt.sign(payload, `${config.auth.jwt.secret}_${purpose}`, {
+      expiresIn: expiresInSeconds,
+      issuer: this.issuer,
+      audience: this.audience,
+      subject: userId,
+      jwtid: tokenId
+    });
+  }
+
+  /**
+   * Verify and decode an account link token for the expected purpose
+   */
+  verifyAccountToken(token, purpose) {
+    try {
+      return jwt.verify(token, `${config.auth.jwt.secret}_${purpose}`, {
+        issuer: this.issuer,
+        audience: this.audience
+      });
+    } catch (error) {
+      throw new Error(`Invalid account token: ${error.message}`);
+    }
+  }
+
   /**
    * Extract token from Authorization header
    */
@@ -118,6 +393,9 @@ class JWTService {
 // PASSWORD SECURITY
 // =================================================================
 
+// Hash compared against when an email has no account; created on first use
+let dummyPasswordHash = null;
+
 /**
  * Password Service
  * Handles password hashing, validation, and security requirements
@@ -146,6 +424,19 @@ class PasswordService {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
+  /**
+   * Spend the same bcrypt time as verifyPassword when there is no account to check
+   * Always false; keeps response timing from revealing which emails are registered.
+   */
+  async verifyAgainstDummy(plainPassword) {
+    if (!dummyPasswordHash) {
+      dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.saltRounds);
+    }
+
+    await bcrypt.compare(plainPassword, await dummyPasswordHash);
+    return false;
+  }
+
   /**
    * Validate password meets security requirements
    */
@@ -208,18 +499,318 @@ class PasswordService {
   }
 }
 
+// =================================================================
+// LOGIN ATTEMPT TRACKING
+// =================================================================
+
+/**
+ * Error raised when a sign-in is refused before the password is checked
+ */
+class LoginThrottleError extends Error {
+  constructor(message, code, status = 429, details = {}) {
+    super(message);
+    this.name = 'LoginThrottleError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Redis Attempt Store
+ * Counters and blocks shared by every API instance
+ */
+class RedisAttemptStore {
+  constructor(redisConfig = config.database.redis) {
+    this.redis = new Redis({
+      host: redisConfig.host,
+      port: redisConfig.port,
+      password: redisConfig.password || undefined,
+      db: redisConfig.db,
+      keyPrefix: redisConfig.keyPrefix,
+      lazyConnect: true
+    });
+  }
+
+  /**
+   * Count a failure; the counter lapses windowSeconds after the latest one
+   */
+  async increment(key, windowSeconds) {
+    const [[, count]] = await this.redis.multi()
+      .incr(key)
+      .expire(key, windowSeconds)
+      .exec();
+    return count;
+  }
+
+  async block(key, seconds) {
+    await this.redis.set(key, '1', 'EX', seconds);
+  }
+
+  /**
+   * Milliseconds left on a block, or 0
+   */
+  async getBlockRemaining(key) {
+    const ttl = await this.redis.pttl(key);
+    return ttl > 0 ? ttl : 0;
+  }
+
+  async getCount(key) {
+    return parseInt(await this.redis.get(key) || '0', 10);
+  }
+
+  async clear(...keys) {
+    await this.redis.del(...keys);
+  }
+}
+
+/**
+ * Memory Attempt Store
+ * Single-process fallback for tests and local development
+ */
+class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async increment(key, windowSeconds) {
+    const count = (await this.getCount(key)) + 1;
+    this.entries.set(key, { value: count, expiresAt: Date.now() + windowSeconds * 1000 });
+    return count;
+  }
+
+  async block(key, seconds) {
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + seconds * 1000 });
+  }
+
+  async getBlockRemaining(key) {
+    const entry = this.read(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  }
+
+  async getCount(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : 0;
+  }
+
+  async clear(...keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+}
+
+/**
+ * Create the attempt store selected by configuration
+ */
+function createAttemptStore(lockoutConfig = config.auth.lockout) {
+  switch (lockoutConfig.store) {
+    case 'redis':
+      return new RedisAttemptStore();
+    case 'memory':
+      return new MemoryAttemptStore();
+    default:
+      throw new Error(`Unknown login attempt store: ${lockoutConfig.store}`);
+  }
+}
+
+// Shared so every AuthenticationService (login routes, admin unlock) sees the same counters
+let defaultAttemptStore = null;
+
+function getDefaultAttemptStore() {
+  if (!defaultAttemptStore) {
+    defaultAttemptStore = createAttemptStore();
+  }
+  return defaultAttemptStore;
+}
+
+/**
+ * Login Attempt Service
+ * Tracks failed sign-ins per account and per IP. After freeAttempts an
+ * account must wait a doubling delay between tries; at accountMaxAttempts
+ * (or ipMaxAttempts from one address) sign-in is locked for lockoutMinutes.
+ * Accounts are keyed by email hash, so unknown addresses are throttled the
+ * same way and responses don't reveal which accounts exist.
+ */
+class LoginAttemptService {
+  constructor(store = getDefaultAttemptStore(), options = config.auth.lockout) {
+    this.store = store;
+    this.options = options;
+  }
+
+  /**
+   * Refuse the attempt if the account or IP is delayed or locked
+   */
+  async assertAllowed(email, ipAddress) {
+    const account = this.accountKeys(email);
+    const ip = ipAddress ? this.ipKeys(ipAddress) : null;
+
+    const [accountLock, accountDelay, ipLock] = await Promise.all([
+      this.store.getBlockRemaining(account.lock),
+      this.store.getBlockRemaining(account.delay),
+      ip ? this.store.getBlockRemaining(ip.lock) : 0
+    ]);
+
+    if (accountLock > 0 || ipLock > 0) {
+      throw new LoginThrottleError(
+        'Too many failed sign-in attempts. Try again later or reset your password.',
+        'LOGIN_LOCKED',
+        429,
+        { retryAfterSeconds: Math.ceil(Math.max(accountLock, ipLock) / 1000) }
+      );
+    }
+
+    if (accountDelay > 0) {
+      throw new LoginThrottleError(
+        'Please wait before trying again',
+        'LOGIN_DELAYED',
+        429,
+        { retryAfterSeconds: Math.ceil(accountDelay / 1000) }
+      );
+    }
+  }
+
+  /**
+   * Count a failed attempt and apply any delay or lockout it triggers
+   * Returns { accountLocked } so the caller can tell the account owner
+   */
+  async recordFailure(email, ipAddress) {
+    const { windowMinutes, freeAttempts, baseDelaySeconds, maxDelaySeconds,
+      accountMaxAttempts, ipMaxAttempts, lockoutMinutes } = this.options;
+    const windowSeconds = windowMinutes * 60;
+    const lockoutSeconds = lockoutMinutes * 60;
+    const account = this.accountKeys(email);
+    let accountLocked = false;
+
+    const failures = await this.store.increment(account.failures, windowSeconds);
+
+    if (failures >= accountMaxAttempts) {
+      await this.store.block(account.lock, lockoutSeconds);
+      await this.store.clear(account.failures, account.delay);
+      accountLocked = true;
+    } else if (failures > freeAttempts) {
+      const delaySeconds = Math.min(baseDelaySeconds * 2 ** (failures - freeAttempts - 1), maxDelaySeconds);
+      await this.store.block(account.delay, delaySeconds);
+    }
+
+    if (ipAddress) {
+      const ip = this.ipKeys(ipAddress);
+      const ipFailures = await this.store.increment(ip.failures, windowSeconds);
+
+      if (ipFailures >= ipMaxAttempts) {
+        await this.store.block(ip.lock, lockoutSeconds);
+        await this.store.clear(ip.failures);
+      }
+    }
+
+    return { accountLocked };
+  }
+
+  /**
+   * Reset the account's failure count after a successful sign-in
+   */
+  async recordSuccess(email) {
+    const account = this.accountKeys(email);
+    await this.store.clear(account.failures, account.delay);
+  }
+
+  /**
+   * Lift any lockout or delay on the account (admin unlock, password reset)
+   * Returns whether the account was locked
+   */
+  async unlockAccount(email) {
+    const account = this.accountKeys(email);
+    const remaining = await this.store.getBlockRemaining(account.lock);
+    await this.store.clear(account.failures, account.delay, account.lock);
+    return remaining > 0;
+  }
+
+  /**
+   * Current lockout state for an account
+   */
+  async getAccountStatus(email) {
+    const account = this.accountKeys(email);
+    const [failedAttempts, lockRemaining] = await Promise.all([
+      this.store.getCount(account.failures),
+      this.store.getBlockRemaining(account.lock)
+    ]);
+
+    return {
+      locked: lockRemaining > 0,
+      lockedUntil: lockRemaining > 0 ? new Date(Date.now() + lockRemaining) : null,
+      failedAttempts
+    };
+  }
+
+  accountKeys(email) {
+    const id = hashToken(email.trim().toLowerCase());
+    return {
+      failures: `login:account:${id}:failures`,
+      delay: `login:account:${id}:delay`,
+      lock: `login:account:${id}:lock`
+    };
+  }
+
+  ipKeys(ipAddress) {
+    return {
+      failures: `login:ip:${ipAddress}:failures`,
+      lock: `login:ip:${ipAddress}:lock`
+    };
+  }
+}
+
 // =================================================================
 // SESSION MANAGEMENT
 // =================================================================
 
+/**
+ * Error raised when a session or refresh token is rejected
+ */
+class SessionError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Approximate city/region/country for a session IP, or null when unknown
+ */
+function lookupIpLocation(ipAddress) {
+  const match = ipAddress && geoip.lookup(ipAddress.replace(/^::ffff:/, ''));
+  if (!match) {
+    return null;
+  }
+
+  return {
+    city: match.city || null,
+    region: match.region || null,
+    country: match.country
+  };
+}
+
 /**
  * Session Service
- * Manages user sessions, refresh tokens, and device tracking
+ * Manages user sessions, refresh tokens, and device tracking.
+ * Refresh tokens rotate on every use; presenting one that has already been
+ * rotated out means it was copied, so the whole session is revoked.
  */
 class SessionService {
-  constructor(database) {
+  constructor(database, ipLocator = lookupIpLocation) {
     this.db = database;
     this.jwtService = new JWTService();
+    this.ipLocator = ipLocator;
+    this.reuseGraceSeconds = config.auth.jwt.refreshReuseGraceSeconds;
   }
 
   /**
@@ -228,7 +819,7 @@ class SessionService {
   async createSession(user, deviceInfo = {}) {
     const sessionId = crypto.randomUUID();
     const refreshToken = this.jwtService.generateRefreshToken(user, sessionId);
-    const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+    const refreshTokenHash = hashToken(refreshToken);
 
     const expiresAt = new Date();
     expiresAt.setTime(expiresAt.getTime() + (7 * 24 * 60 * 60 * 1000)); // 7 days
@@ -257,61 +848,166 @@ class SessionService {
   }
 
   /**
-   * Validate session and refresh token
+   * Exchange a refresh token for its successor
+   * A token rotated out within reuseGraceSeconds is refused without revoking
+   * (a client retrying or refreshing twice at once); any older one is reuse.
    */
-  async validateSession(refreshToken) {
+  async rotateRefreshToken(refreshToken, ipAddress = null) {
+    let decoded;
     try {
-      const decoded = this.jwtService.verifyRefreshToken(refreshToken);
-      const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+      decoded = this.jwtService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
 
-      const result = await this.db.query(`
-        SELECT s.*, u.id, u.email, u.user_type, u.account_status, 
-               u.email_verified_at, u.phone_verified_at
-        FROM user_sessions s
-        JOIN users u ON s.user_id = u.id
-        WHERE s.id = $1 AND s.refresh_token_hash = $2 AND s.expires_at > NOW()
-      `, [decoded.sessionId, refreshTokenHash]);
+    const result = await this.db.query(`
+      SELECT s.*, u.email, u.user_type, u.account_status,
+             u.email_verified_at, u.phone_verified_at
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = $1 AND s.expires_at > NOW()
+    `, [decoded.sessionId]);
+
+    const session = result.rows[0];
+    if (!session) {
+      throw new SessionError('Invalid or expired session', 'INVALID_REFRESH_TOKEN', 401);
+    }
 
-      if (result.rows.length === 0) {
-        throw new Error('Invalid or expired session');
-      }
+    const presentedHash = hashToken(refreshToken);
+    const user = {
+      id: session.user_id,
+      email: session.email,
+      user_type: session.user_type,
+      account_status: session.account_status,
+      email_verified_at: session.email_verified_at,
+      phone_verified_at: session.phone_verified_at
+    };
+    const nextToken = this.jwtService.generateRefreshToken(user, session.id);
+
+    const rotated = await this.db.query(`
+      UPDATE user_sessions SET
+        refresh_token_hash = $3,
+        previous_refresh_token_hash = refresh_token_hash,
+        refresh_rotated_at = NOW(),
+        last_used_at = NOW(),
+        ip_address = COALESCE($4, ip_address)
+      WHERE id = $1 AND refresh_token_hash = $2
+      RETURNING id
+    `, [session.id, presentedHash, hashToken(nextToken), ipAddress]);
+
+    if (rotated.rows.length > 0) {
+      return { session, user, refreshToken: nextToken };
+    }
 
-      const session = result.rows[0];
+    // Lost the race to a concurrent refresh, or the token was already rotated out
+    const current = await this.db.query(`
+      SELECT previous_refresh_token_hash,
+             refresh_rotated_at > NOW() - make_interval(secs => $2) AS in_grace
+      FROM user_sessions WHERE id = $1
+    `, [session.id, this.reuseGraceSeconds]);
 
-      // Update last used timestamp
-      await this.db.query(`
-        UPDATE user_sessions SET last_used_at = NOW() WHERE id = $1
-      `, [session.id]);
+    const latest = current.rows[0];
+    if (latest && latest.previous_refresh_token_hash === presentedHash && latest.in_grace) {
+      throw new SessionError('Refresh token already used', 'REFRESH_TOKEN_ROTATED', 401);
+    }
+
+    console.warn(`Refresh token reuse detected for session ${session.id}; revoking session`);
+    await this.revokeSession(session.id, { forgetDevice: true });
+
+    throw new SessionError('Refresh token reuse detected; please sign in again', 'REFRESH_TOKEN_REUSED', 401);
+  }
 
+  /**
+   * Signed-in devices for a user, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const result = await this.db.query(`
+      SELECT id, device_type, device_info, ip_address, user_agent, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1 AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => {
+      const deviceInfo = row.device_info || {};
       return {
-        session,
-        user: {
-          id: session.user_id,
-          email: session.email,
-          user_type: session.user_type,
-          account_status: session.account_status,
-          email_verified_at: session.email_verified_at,
-          phone_verified_at: session.phone_verified_at
-        }
+        id: row.id,
+        current: row.id === currentSessionId,
+        device: {
+          type: row.device_type,
+          name: deviceInfo.deviceName || null,
+          platform: deviceInfo.platform || null,
+          userAgent: row.user_agent
+        },
+        ipAddress: row.ip_address,
+        location: this.ipLocator(row.ip_address),
+        createdAt: row.created_at,
+        lastSeenAt: row.last_used_at,
+        expiresAt: row.expires_at
       };
-    } catch (error) {
-      throw new Error(`Session validation failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Sign out one of the user's sessions, forgetting its remembered device
+   */
+  async revokeUserSession(userId, sessionId) {
+    const result = await this.db.query(`
+      SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2
+    `, [sessionId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new SessionError('Session not found', 'SESSION_NOT_FOUND', 404);
     }
+
+    await this.revokeSession(sessionId, { forgetDevice: true });
+  }
+
+  /**
+   * Sign out every session except the current one
+   * Remembered devices go too, apart from the one tied to the current session
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    if (!currentSessionId) {
+      throw new SessionError('Sign in again to manage other sessions', 'SESSION_UNKNOWN', 400);
+    }
+
+    await this.db.query(`
+      DELETE FROM trusted_devices
+      WHERE user_id = $1 AND session_id IS DISTINCT FROM $2
+    `, [userId, currentSessionId]);
+
+    const result = await this.db.query(`
+      DELETE FROM user_sessions WHERE user_id = $1 AND id <> $2
+    `, [userId, currentSessionId]);
+
+    return result.rowCount;
   }
 
   /**
    * Revoke session
+   * A remembered device outlives its session (e.g. logout) unless forgetDevice is set
    */
-  async revokeSession(sessionId) {
+  async revokeSession(sessionId, options = {}) {
+    if (options.forgetDevice) {
+      await this.db.query(`
+        DELETE FROM trusted_devices WHERE session_id = $1
+      `, [sessionId]);
+    }
+
     await this.db.query(`
       DELETE FROM user_sessions WHERE id = $1
     `, [sessionId]);
   }
 
   /**
-   * Revoke all sessions for user
+   * Revoke all sessions for user, including remembered devices
    */
   async revokeAllUserSessions(userId) {
+    await this.db.query(`
+      DELETE FROM trusted_devices WHERE user_id = $1
+    `, [userId]);
+
     await this.db.query(`
       DELETE FROM user_sessions WHERE user_id = $1
     `, [userId]);
@@ -328,6 +1024,1046 @@ class SessionService {
   }
 }
 
+// =================================================================
+// MULTI-FACTOR AUTHENTICATION
+// =================================================================
+
+const MFA_METHODS = ['totp', 'sms'];
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Error raised when a second-factor operation is rejected
+ */
+class MfaError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32, the secret format authenticator apps expect
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ */
+function base32Decode(encoded) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compute the RFC 6238 code for a time step
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a submitted code belongs to, within the allowed drift window
+ * Returns null when no step in the window matches
+ */
+function matchTotpStep(secret, code, window, now = Date.now()) {
+  const submitted = Buffer.from(String(code).replace(/\s/g, ''));
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = Buffer.from(generateTotp(secret, currentStep + drift));
+    if (expected.length === submitted.length && crypto.timingSafeEqual(expected, submitted)) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Recovery codes are shown as XXXX-XXXX; compare them case and separator insensitively
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Show only the last four digits of a phone number
+ */
+function maskPhone(phone) {
+  return phone ? `***-***-${phone.slice(-4)}` : null;
+}
+
+/**
+ * MFA Service
+ * TOTP and SMS second factors, recovery codes, login and step-up
+ * challenges, and remembered devices
+ */
+class MfaService {
+  constructor(database, notificationService = null, options = config.auth.mfa, attemptStore = getDefaultAttemptStore()) {
+    this.db = database;
+    this.notificationService = notificationService;
+    this.options = options;
+    this.attemptStore = attemptStore;
+    this.jwtService = new JWTService();
+    this.encryptionKey = crypto.createHash('sha256').update(options.encryptionKey).digest();
+  }
+
+  /**
+   * Methods the user has finished enrolling
+   */
+  async getVerifiedMethods(userId) {
+    const result = await this.db.query(`
+      SELECT method FROM user_mfa_factors
+      WHERE user_id = $1 AND verified_at IS NOT NULL
+      ORDER BY method
+    `, [userId]);
+
+    return result.rows.map(row => row.method);
+  }
+
+  /**
+   * MFA overview for the account settings screen
+   */
+  async getStatus(userId) {
+    const [factors, recoveryCodes, devices] = await Promise.all([
+      this.db.query(`
+        SELECT method, phone, verified_at, last_used_at
+        FROM user_mfa_factors
+        WHERE user_id = $1 AND verified_at IS NOT NULL
+        ORDER BY method
+      `, [userId]),
+      this.db.query(`
+        SELECT COUNT(*) AS remaining FROM mfa_recovery_codes
+        WHERE user_id = $1 AND used_at IS NULL
+      `, [userId]),
+      this.listTrustedDevices(userId)
+    ]);
+
+    return {
+      enabled: factors.rows.length > 0,
+      factors: factors.rows.map(factor => ({
+        method: factor.method,
+        phone: maskPhone(factor.phone),
+        verifiedAt: factor.verified_at,
+        lastUsedAt: factor.last_used_at
+      })),
+      recoveryCodesRemaining: parseInt(recoveryCodes.rows[0].remaining, 10),
+      trustedDevices: devices
+    };
+  }
+
+  /**
+   * Start authenticator app enrollment
+   * Returns the secret for manual entry and the otpauth:// URI to render as a QR code
+   */
+  async beginTotpEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    // A pending enrollment is replaced; a verified one must be removed first
+    const result = await this.db.query(`
+      INSERT INTO user_mfa_factors (user_id, method, secret_encrypted)
+      VALUES ($1, 'totp', $2)
+      ON CONFLICT (user_id, method) DO UPDATE SET
+        secret_encrypted = EXCLUDED.secret_encrypted,
+        last_used_step = NULL
+      WHERE user_mfa_factors.verified_at IS NULL
+      RETURNING id
+    `, [user.id, this.encryptSecret(secret)]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('An authenticator app is already enrolled', 'MFA_ALREADY_ENROLLED', 409);
+    }
+
+    const issuer = this.options.issuer;
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}` +
+      `&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+    return { secret, otpauthUrl };
+  }
+
+  /**
+   * Finish authenticator app enrollment with a code from the app
+   * Recovery codes are returned the first time any factor is enrolled
+   */
+  async confirmTotpEnrollment(userId, code) {
+    const factor = await this.getFactor(userId, 'totp');
+    if (!factor || factor.verified_at) {
+      throw new MfaError('No authenticator app enrollment is pending', 'MFA_ENROLLMENT_NOT_PENDING', 409);
+    }
+
+    const step = matchTotpStep(this.decryptSecret(factor.secret_encrypted), code, this.options.totpWindow);
+    if (step === null) {
+      throw new MfaError('Invalid verification code', 'INVALID_MFA_CODE', 400);
+    }
+
+    const activated = await this.db.query(`
+      UPDATE user_mfa_factors
+      SET verified_at = NOW(), last_used_step = $2, last_used_at = NOW()
+      WHERE id = $1 AND verified_at IS NULL
+      RETURNING id
+    `, [factor.id, step]);
+
+    if (activated.rows.length === 0) {
+      throw new MfaError('No authenticator app enrollment is pending', 'MFA_ENROLLMENT_NOT_PENDING', 409);
+    }
+
+    return {
+      method: 'totp',
+      recoveryCodes: await this.issueInitialRecoveryCodes(userId)
+    };
+  }
+
+  /**
+   * Start SMS enrollment by texting a code to the new phone number
+   */
+  async beginSmsEnrollment(userId, phone) {
+    const result = await this.db.query(`
+      INSERT INTO user_mfa_factors (user_id, method, phone)
+      VALUES ($1, 'sms', $2)
+      ON CONFLICT (user_id, method) DO UPDATE SET phone = EXCLUDED.phone
+      WHERE user_mfa_factors.verified_at IS NULL
+      RETURNING id
+    `, [userId, phone]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('SMS verification is already enrolled', 'MFA_ALREADY_ENROLLED', 409);
+    }
+
+    const challenge = await this.createChallenge(userId, 'enroll');
+    await this.sendSmsCode(challenge.challengeToken);
+
+    return {
+      challengeToken: challenge.challengeToken,
+      expiresAt: challenge.expiresAt,
+      phone: maskPhone(phone)
+    };
+  }
+
+  /**
+   * Finish SMS enrollment with the texted code
+   */
+  async confirmSmsEnrollment(userId, challengeToken, code) {
+    await this.verifyChallenge(challengeToken, { method: 'sms', code }, 'enroll', userId);
+
+    const activated = await this.db.query(`
+      UPDATE user_mfa_factors
+      SET verified_at = NOW(), last_used_at = NOW()
+      WHERE user_id = $1 AND method = 'sms' AND verified_at IS NULL
+      RETURNING phone
+    `, [userId]);
+
+    if (activated.rows.length === 0) {
+      throw new MfaError('No SMS enrollment is pending', 'MFA_ENROLLMENT_NOT_PENDING', 409);
+    }
+
+    // Receiving the code proves the profile phone too, when it is the same number
+    await this.db.query(`
+      UPDATE users SET phone_verified_at = NOW()
+      WHERE id = $1 AND phone = $2 AND phone_verified_at IS NULL
+    `, [userId, activated.rows[0].phone]);
+
+    return {
+      method: 'sms',
+      recoveryCodes: await this.issueInitialRecoveryCodes(userId)
+    };
+  }
+
+  /**
+   * Remove an enrolled factor
+   * Removing the last one turns MFA off, dropping recovery codes and remembered devices
+   */
+  async removeFactor(userId, method) {
+    const result = await this.db.query(`
+      DELETE FROM user_mfa_factors WHERE user_id = $1 AND method = $2
+      RETURNING id
+    `, [userId, method]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('Factor not enrolled', 'MFA_FACTOR_NOT_FOUND', 404);
+    }
+
+    const remaining = await this.getVerifiedMethods(userId);
+    if (remaining.length === 0) {
+      await this.db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      await this.revokeAllTrustedDevices(userId);
+    }
+
+    return { method, enabled: remaining.length > 0, methods: remaining };
+  }
+
+  /**
+   * Replace all recovery codes with a fresh set
+   */
+  async regenerateRecoveryCodes(userId) {
+    const methods = await this.getVerifiedMethods(userId);
+    if (methods.length === 0) {
+      throw new MfaError('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED', 409);
+    }
+
+    await this.db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    return this.generateRecoveryCodes(userId);
+  }
+
+  /**
+   * Open a challenge the user answers with a second factor
+   * Only the hash of the returned token is stored
+   */
+  async createChallenge(userId, purpose, deviceInfo = null) {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+    const result = await this.db.query(`
+      INSERT INTO mfa_challenges (user_id, purpose, token_hash, device_info, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+      RETURNING expires_at
+    `, [
+      userId,
+      purpose,
+      hashToken(challengeToken),
+      deviceInfo ? JSON.stringify(deviceInfo) : null,
+      this.options.challengeTtlMinutes
+    ]);
+
+    return { challengeToken, expiresAt: result.rows[0].expires_at };
+  }
+
+  /**
+   * Start a step-up check before a sensitive action
+   */
+  async beginStepUp(userId) {
+    const methods = await this.getVerifiedMethods(userId);
+    if (methods.length === 0) {
+      throw new MfaError('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED', 409);
+    }
+
+    const challenge = await this.createChallenge(userId, 'step_up');
+    return { ...challenge, methods };
+  }
+
+  /**
+   * Answer a step-up challenge and receive a short-lived step-up token
+   */
+  async completeStepUp(userId, challengeToken, answer) {
+    await this.verifyChallenge(challengeToken, answer, 'step_up', userId);
+
+    const expiresAt = new Date(Date.now() + this.options.stepUpMinutes * 60 * 1000);
+    const stepUpToken = this.jwtService.generateStepUpToken(userId, `${this.options.stepUpMinutes}m`);
+
+    return { stepUpToken, expiresAt };
+  }
+
+  /**
+   * Whether a step-up token is valid for this user
+   */
+  hasValidStepUp(stepUpToken, userId) {
+    try {
+      const decoded = this.jwtService.verifyStepUpToken(stepUpToken);
+      return decoded.tokenType === 'step_up' && decoded.userId === userId;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Text a one-time code for an open challenge
+   * Used for login, step-up and SMS enrollment; resends are throttled
+   */
+  async sendSmsCode(challengeToken) {
+    if (!this.notificationService) {
+      throw new MfaError('SMS verification is unavailable', 'SMS_UNAVAILABLE', 503);
+    }
+
+    const challenge = await this.getOpenChallenge(challengeToken);
+    const factor = await this.getFactor(challenge.user_id, 'sms');
+    const enrolling = challenge.purpose === 'enroll';
+
+    if (!factor || !!factor.verified_at === enrolling) {
+      throw new MfaError('SMS verification is not enrolled', 'METHOD_NOT_ENROLLED', 400);
+    }
+
+    const code = String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+
+    const result = await this.db.query(`
+      UPDATE mfa_challenges
+      SET sms_code_hash = $2, sms_sent_at = NOW()
+      WHERE id = $1
+        AND (sms_sent_at IS NULL OR sms_sent_at < NOW() - make_interval(secs => $3))
+      RETURNING id
+    `, [challenge.id, hashToken(`${challenge.id}:${code}`), this.options.smsResendSeconds]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('Please wait before requesting another code', 'SMS_RESEND_TOO_SOON', 429);
+    }
+
+    try {
+      await this.notificationService.sendSecuritySMS(
+        challenge.user_id,
+        factor.phone,
+        `Your ${this.options.issuer} verification code is ${code}. It expires in ${this.options.challengeTtlMinutes} minutes.`
+      );
+    } catch (error) {
+      console.error('MFA SMS delivery error:', error);
+      throw new MfaError('Could not send verification code', 'SMS_DELIVERY_FAILED', 502);
+    }
+
+    return { phone: maskPhone(factor.phone), expiresAt: challenge.expires_at };
+  }
+
+  /**
+   * Check a second-factor answer and close the challenge
+   * answer.method is 'totp', 'sms' or 'recovery'
+   */
+  async verifyChallenge(challengeToken, answer, purpose, userId = null) {
+    const challenge = await this.getOpenChallenge(challengeToken, purpose);
+
+    if (userId && challenge.user_id !== userId) {
+      throw new MfaError('Challenge not found', 'CHALLENGE_NOT_FOUND', 404);
+    }
+
+    // Starting a fresh challenge resets the per-challenge count, so failures
+    // are also counted per account across challenges
+    const keys = this.failureKeys(challenge.user_id);
+    const lockRemaining = await this.attemptStore.getBlockRemaining(keys.lock);
+
+    if (lockRemaining > 0) {
+      throw new MfaError('Too many incorrect codes. Try again later.', 'MFA_LOCKED', 429, {
+        retryAfterSeconds: Math.ceil(lockRemaining / 1000)
+      });
+    }
+
+    if (challenge.attempts >= this.options.maxAttempts) {
+      throw new MfaError('Too many incorrect codes, start again', 'TOO_MANY_ATTEMPTS', 429);
+    }
+
+    const valid = await this.checkAnswer(challenge, answer);
+
+    if (!valid) {
+      await this.db.query(`
+        UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1
+      `, [challenge.id]);
+
+      const failures = await this.attemptStore.increment(keys.failures, this.options.failureWindowMinutes * 60);
+
+      if (failures >= this.options.accountMaxFailures) {
+        await this.attemptStore.block(keys.lock, this.options.lockoutMinutes * 60);
+        await this.attemptStore.clear(keys.failures);
+
+        throw new MfaError('Too many incorrect codes. Try again later.', 'MFA_LOCKED', 429, {
+          retryAfterSeconds: this.options.lockoutMinutes * 60
+        });
+      }
+
+      throw new MfaError('Invalid verification code', 'INVALID_MFA_CODE', 400, {
+        attemptsRemaining: Math.max(this.options.maxAttempts - challenge.attempts - 1, 0)
+      });
+    }
+
+    const completed = await this.db.query(`
+      UPDATE mfa_challenges SET completed_at = NOW()
+      WHERE id = $1 AND completed_at IS NULL
+      RETURNING *
+    `, [challenge.id]);
+
+    if (completed.rows.length === 0) {
+      throw new MfaError('Challenge already used', 'CHALLENGE_ALREADY_USED', 409);
+    }
+
+    await this.attemptStore.clear(keys.failures);
+
+    return completed.rows[0];
+  }
+
+  failureKeys(userId) {
+    return {
+      failures: `mfa:user:${userId}:failures`,
+      lock: `mfa:user:${userId}:lock`
+    };
+  }
+
+  /**
+   * Remember the device behind a session so later logins can skip the second factor
+   * Only the hash of the returned device token is stored
+   */
+  async trustDevice(userId, sessionId, deviceInfo = {}) {
+    const deviceToken = crypto.randomBytes(32).toString('base64url');
+
+    const result = await this.db.query(`
+      INSERT INTO trusted_devices (
+        user_id, session_id, token_hash, device_type, user_agent, ip_address, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+      RETURNING expires_at
+    `, [
+      userId,
+      sessionId,
+      hashToken(deviceToken),
+      deviceInfo.deviceType || 'unknown',
+      deviceInfo.userAgent || null,
+      deviceInfo.ipAddress || null,
+      this.options.trustedDeviceDays
+    ]);
+
+    return { deviceToken, trustedUntil: result.rows[0].expires_at };
+  }
+
+  /**
+   * Look up an unexpired remembered device by its token
+   */
+  async findTrustedDevice(userId, deviceToken) {
+    const result = await this.db.query(`
+      SELECT id FROM trusted_devices
+      WHERE user_id = $1 AND token_hash = $2 AND expires_at > NOW()
+    `, [userId, hashToken(deviceToken)]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Point a remembered device at the session it just signed in to
+   */
+  async attachTrustedDevice(deviceId, sessionId) {
+    await this.db.query(`
+      UPDATE trusted_devices SET session_id = $2, last_used_at = NOW() WHERE id = $1
+    `, [deviceId, sessionId]);
+  }
+
+  async listTrustedDevices(userId) {
+    const result = await this.db.query(`
+      SELECT id, device_type, user_agent, ip_address, expires_at, last_used_at, created_at
+      FROM trusted_devices
+      WHERE user_id = $1 AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `, [userId]);
+
+    return result.rows.map(device => ({
+      id: device.id,
+      deviceType: device.device_type,
+      userAgent: device.user_agent,
+      ipAddress: device.ip_address,
+      trustedUntil: device.expires_at,
+      lastUsedAt: device.last_used_at,
+      createdAt: device.created_at
+    }));
+  }
+
+  async revokeTrustedDevice(userId, deviceId) {
+    const result = await this.db.query(`
+      DELETE FROM trusted_devices WHERE id = $1 AND user_id = $2
+    `, [deviceId, userId]);
+
+    if (result.rowCount === 0) {
+      throw new MfaError('Trusted device not found', 'TRUSTED_DEVICE_NOT_FOUND', 404);
+    }
+  }
+
+  async revokeAllTrustedDevices(userId) {
+    const result = await this.db.query(`
+      DELETE FROM trusted_devices WHERE user_id = $1
+    `, [userId]);
+    return result.rowCount;
+  }
+
+  async getFactor(userId, method) {
+    const result = await this.db.query(`
+      SELECT * FROM user_mfa_factors WHERE user_id = $1 AND method = $2
+    `, [userId, method]);
+    return result.rows[0] || null;
+  }
+
+  async getOpenChallenge(challengeToken, purpose = null) {
+    const result = await this.db.query(`
+      SELECT *, expires_at < NOW() AS expired
+      FROM mfa_challenges
+      WHERE token_hash = $1
+    `, [hashToken(challengeToken)]);
+
+    const challenge = result.rows[0];
+
+    if (!challenge || (purpose && challenge.purpose !== purpose)) {
+      throw new MfaError('Challenge not found', 'CHALLENGE_NOT_FOUND', 404);
+    }
+    if (challenge.completed_at) {
+      throw new MfaError('Challenge already used', 'CHALLENGE_ALREADY_USED', 409);
+    }
+    if (challenge.expired) {
+      throw new MfaError('Challenge expired, start again', 'CHALLENGE_EXPIRED', 410);
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Check one answer against the user's enrolled factors
+   * TOTP steps and recovery codes are claimed atomically so each works once
+   */
+  async checkAnswer(challenge, { method, code }) {
+    if (challenge.purpose === 'enroll' && method !== 'sms') {
+      throw new MfaError('SMS enrollment must be confirmed with the texted code', 'METHOD_NOT_ALLOWED', 400);
+    }
+
+    if (method === 'recovery') {
+      const result = await this.db.query(`
+        UPDATE mfa_recovery_codes SET used_at = NOW()
+        WHERE id = (
+          SELECT id FROM mfa_recovery_codes
+          WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+          LIMIT 1
+        )
+        RETURNING id
+      `, [challenge.user_id, hashToken(normalizeRecoveryCode(code))]);
+      return result.rows.length > 0;
+    }
+
+    const factor = await this.getFactor(challenge.user_id, method);
+    const enrolling = challenge.purpose === 'enroll';
+    if (!factor || !!factor.verified_at === enrolling) {
+      throw new MfaError('Method not enrolled', 'METHOD_NOT_ENROLLED', 400);
+    }
+
+    if (method === 'sms') {
+      if (!challenge.sms_code_hash) {
+        throw new MfaError('Request a code first', 'SMS_CODE_NOT_SENT', 400);
+      }
+      const expected = Buffer.from(challenge.sms_code_hash);
+      const submitted = Buffer.from(hashToken(`${challenge.id}:${String(code).trim()}`));
+      if (!crypto.timingSafeEqual(expected, submitted)) {
+        return false;
+      }
+      if (!enrolling) {
+        await this.db.query(`
+          UPDATE user_mfa_factors SET last_used_at = NOW() WHERE id = $1
+        `, [factor.id]);
+      }
+      return true;
+    }
+
+    const step = matchTotpStep(this.decryptSecret(factor.secret_encrypted), code, this.options.totpWindow);
+    if (step === null) {
+      return false;
+    }
+
+    // Refuse a code whose time step was already accepted
+    const claimed = await this.db.query(`
+      UPDATE user_mfa_factors SET last_used_step = $2, last_used_at = NOW()
+      WHERE id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING id
+    `, [factor.id, step]);
+
+    return claimed.rows.length > 0;
+  }
+
+  async issueInitialRecoveryCodes(userId) {
+    const existing = await this.db.query(`
+      SELECT 1 FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL LIMIT 1
+    `, [userId]);
+
+    return existing.rows.length > 0 ? null : this.generateRecoveryCodes(userId);
+  }
+
+  async generateRecoveryCodes(userId) {
+    const codes = [];
+    for (let i = 0; i < this.options.recoveryCodeCount; i++) {
+      const raw = base32Encode(crypto.randomBytes(5));
+      codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}`);
+    }
+
+    await this.db.query(`
+      INSERT INTO mfa_recovery_codes (user_id, code_hash)
+      SELECT $1, UNNEST($2::text[])
+    `, [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]);
+
+    return codes;
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    const secret = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    return base32Decode(secret);
+  }
+}
+
+/**
+ * SHA-256 hex digest for stored tokens and codes
+ */
+function hashToken(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// =================================================================
+// EMAIL VERIFICATION AND PASSWORD RESET
+// =================================================================
+
+/**
+ * Error raised when an account link is rejected
+ */
+class AccountTokenError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'AccountTokenError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Account Token Service
+ * Issues and consumes the signed, single-use, expiring tokens carried by
+ * email verification and password reset links
+ */
+class AccountTokenService {
+  constructor(database, options = config.auth.accountTokens) {
+    this.db = database;
+    this.options = options;
+    this.jwtService = new JWTService();
+  }
+
+  /**
+   * Issue a token for the user's current email address
+   * Any earlier unused token for the same purpose stops working
+   */
+  async issue(user, purpose) {
+    const recent = await this.db.query(`
+      SELECT 1 FROM account_tokens
+      WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL
+        AND created_at > NOW() - make_interval(secs => $3)
+      LIMIT 1
+    `, [user.id, purpose, this.options.resendCooldownSeconds]);
+
+    if (recent.rows.length > 0) {
+      throw new AccountTokenError('A link was sent recently, please check your email', 'TOKEN_RESEND_TOO_SOON', 429);
+    }
+
+    await this.db.query(`
+      UPDATE account_tokens SET consumed_at = NOW()
+      WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL
+    `, [user.id, purpose]);
+
+    const ttlSeconds = this.getTtlSeconds(purpose);
+    const result = await this.db.query(`
+      INSERT INTO account_tokens (user_id, purpose, email, expires_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+      RETURNING id, expires_at
+    `, [user.id, purpose, user.email, ttlSeconds]);
+
+    const { id, expires_at: expiresAt } = result.rows[0];
+    const token = this.jwtService.generateAccountToken(user.id, id, purpose, ttlSeconds);
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Check a token's signature and expiry, then mark it used
+   * Returns { userId, email } for the address the link was sent to
+   */
+  async consume(token, purpose) {
+    let decoded;
+    try {
+      decoded = this.jwtService.verifyAccountToken(token, purpose);
+    } catch (error) {
+      throw this.invalidTokenError();
+    }
+
+    const result = await this.db.query(`
+      UPDATE account_tokens SET consumed_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND purpose = $3
+        AND consumed_at IS NULL AND expires_at > NOW()
+      RETURNING user_id, email
+    `, [decoded.jti, decoded.userId, purpose]);
+
+    if (result.rows.length === 0) {
+      throw this.invalidTokenError();
+    }
+
+    return { userId: result.rows[0].user_id, email: result.rows[0].email };
+  }
+
+  /**
+   * Stop every unused token for a purpose
+   */
+  async revokeAll(userId, purpose) {
+    await this.db.query(`
+      UPDATE account_tokens SET consumed_at = NOW()
+      WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL
+    `, [userId, purpose]);
+  }
+
+  /**
+   * Link the user opens from the email
+   */
+  buildLink(purpose, token) {
+    const path = purpose === 'password_reset' ? 'reset-password' : 'verify-email';
+    return `${this.options.linkBaseUrl}/${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Human-readable lifetime for the email copy
+   */
+  describeTtl(purpose) {
+    return purpose === 'password_reset'
+      ? `${this.options.passwordResetMinutes} minutes`
+      : `${this.options.emailVerificationHours} hours`;
+  }
+
+  getTtlSeconds(purpose) {
+    return purpose === 'password_reset'
+      ? this.options.passwordResetMinutes * 60
+      : this.options.emailVerificationHours * 60 * 60;
+  }
+
+  invalidTokenError() {
+    return new AccountTokenError('This link is invalid or has expired', 'INVALID_OR_EXPIRED_TOKEN', 400);
+  }
+}
+
+// =================================================================
+// ROLE-BASED ACCESS CONTROL
+// =================================================================
+
+/**
+ * Staff roles, mirroring the staff_role enum
+ */
+const STAFF_ROLES = ['admin', 'support', 'moderator', 'finance'];
+
+/**
+ * Fine-grained permissions, as resource:action
+ */
+const PERMISSIONS = [
+  'users:read',        // Search and view accounts
+  'users:suspend',     // Suspend, ban or reactivate accounts
+  'roles:manage',      // Grant and revoke staff roles
+  'jobs:read',         // View any job
+  'jobs:manage',       // Move jobs between statuses on behalf of participants
+  'disputes:read',     // View the dispute queue
+  'disputes:assign',   // Claim disputes for review
+  'disputes:resolve',  // Settle disputes and move escrow
+  'reviews:moderate',  // Approve, hide or reject reviews
+  'payments:read',     // View payments and refunds
+  'payouts:read',      // View contractor payout accounts and reconciliation reports
+  'payouts:reconcile', // Run reconciliation and resolve mismatches
+  'webhooks:replay',   // Inspect and replay failed Stripe webhook events
+  'analytics:read',    // Platform metrics
+  'audit:read'         // Staff action audit log
+];
+
+/**
+ * Permissions each role grants
+ */
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  support: ['users:read', 'jobs:read', 'disputes:read', 'disputes:assign', 'payments:read'],
+  moderator: ['users:read', 'jobs:read', 'reviews:moderate'],
+  finance: ['users:read', 'jobs:read', 'disputes:read', 'payments:read', 'payouts:read', 'payouts:reconcile', 'webhooks:replay', 'analytics:read']
+};
+
+/**
+ * Staff account types and the role each holds without a grant
+ */
+const USER_TYPE_ROLES = {
+  admin: 'admin',
+  support: 'support'
+};
+
+/**
+ * Error raised when a role change is rejected
+ */
+class RbacError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'RbacError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * RBAC Service
+ * Resolves staff roles to permissions. Admin and support accounts hold the
+ * role matching their user type; further roles are granted in user_roles.
+ */
+class RbacService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Roles held by a user (implicit user-type role plus grants)
+   */
+  async getRoles(user) {
+    const implicitRole = USER_TYPE_ROLES[user.user_type];
+    if (!implicitRole) {
+      return [];
+    }
+
+    const result = await this.db.query(`
+      SELECT role FROM user_roles WHERE user_id = $1
+    `, [user.id]);
+
+    return [...new Set([implicitRole, ...result.rows.map(row => row.role)])];
+  }
+
+  /**
+   * Whether a user holds a permission through any of their roles
+   */
+  async hasPermission(user, permission) {
+    const roles = await this.getRoles(user);
+    return this.getPermissions(roles).includes(permission);
+  }
+
+  /**
+   * Union of the permissions granted by a set of roles
+   */
+  getPermissions(roles) {
+    return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+  }
+
+  /**
+   * Grant a role to a staff account
+   */
+  async grantRole(userId, role, grantedBy) {
+    const user = await this.getStaffUser(userId);
+
+    await this.db.query(`
+      INSERT INTO user_roles (user_id, role, granted_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, role) DO NOTHING
+    `, [user.id, role, grantedBy]);
+
+    return this.getRoles(user);
+  }
+
+  /**
+   * Revoke a granted role
+   * The role implied by the account type stays, and admins cannot drop their own admin role
+   */
+  async revokeRole(userId, role, revokedBy) {
+    const user = await this.getStaffUser(userId);
+
+    if (USER_TYPE_ROLES[user.user_type] === role) {
+      throw new RbacError('This role comes from the account type and cannot be revoked', 'IMPLICIT_ROLE', 409);
+    }
+    if (userId === revokedBy && role === 'admin') {
+      throw new RbacError('You cannot revoke your own admin role', 'CANNOT_REVOKE_OWN_ADMIN', 409);
+    }
+
+    const result = await this.db.query(`
+      DELETE FROM user_roles WHERE user_id = $1 AND role = $2
+    `, [userId, role]);
+
+    if (result.rowCount === 0) {
+      throw new RbacError('Role not granted', 'ROLE_NOT_GRANTED', 404);
+    }
+
+    return this.getRoles(user);
+  }
+
+  /**
+   * Staff accounts with their roles
+   */
+  async listStaff() {
+    const result = await this.db.query(`
+      SELECT u.id, u.email, u.first_name, u.last_name, u.user_type, u.account_status,
+             COALESCE(ARRAY_AGG(r.role) FILTER (WHERE r.role IS NOT NULL), '{}') AS granted_roles
+      FROM users u
+      LEFT JOIN user_roles r ON r.user_id = u.id
+      WHERE u.user_type IN ('admin', 'support') AND u.deleted_at IS NULL
+      GROUP BY u.id
+      ORDER BY u.last_name, u.first_name
+    `);
+
+    return result.rows.map(row => {
+      const roles = [...new Set([USER_TYPE_ROLES[row.user_type], ...row.granted_roles])];
+      return {
+        id: row.id,
+        email: row.email,
+        firstName: row.first_name,
+        lastName: row.last_name,
+        userType: row.user_type,
+        accountStatus: row.account_status,
+        roles,
+        permissions: this.getPermissions(roles)
+      };
+    });
+  }
+
+  async getStaffUser(userId) {
+    const result = await this.db.query(`
+      SELECT id, user_type FROM users WHERE id = $1 AND deleted_at IS NULL
+    `, [userId]);
+
+    const user = result.rows[0];
+    if (!user) {
+      throw new RbacError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    if (!USER_TYPE_ROLES[user.user_type]) {
+      throw new RbacError('Roles can only be granted to staff accounts', 'NOT_STAFF_ACCOUNT', 400);
+    }
+
+    return user;
+  }
+}
+
 // =================================================================
 // AUTHENTICATION MIDDLEWARE
 // =================================================================
@@ -340,6 +2076,8 @@ class AuthMiddleware {
   constructor(database) {
     this.jwtService = new JWTService();
     this.sessionService = new SessionService(database);
+    this.mfaService = new MfaService(database);
+    this.rbacService = new RbacService(database);
     this.db = database;
   }
 
@@ -352,17 +2090,22 @@ class AuthMiddleware {
         const token = this.jwtService.extractTokenFromHeader(req.headers.authorization);
         const decoded = this.jwtService.verifyAccessToken(token);
 
-        // Fetch current user data
+        // Fetch current user data; a signed-out session invalidates its access tokens
         const result = await this.db.query(`
-          SELECT id, email, user_type, account_status, email_verified_at, phone_verified_at
-          FROM users WHERE id = $1 AND account_status = 'active'
-        `, [decoded.userId]);
+          SELECT u.id, u.email, u.user_type, u.account_status, u.email_verified_at, u.phone_verified_at
+          FROM users u
+          WHERE u.id = $1 AND u.account_status = 'active'
+            AND ($2::uuid IS NULL OR EXISTS (
+              SELECT 1 FROM user_sessions s WHERE s.id = $2 AND s.user_id = u.id AND s.expires_at > NOW()
+            ))
+        `, [decoded.userId, decoded.sessionId || null]);
 
         if (result.rows.length === 0) {
           return res.status(401).json({ error: 'User not found or inactive' });
         }
 
         req.user = result.rows[0];
+        req.sessionId = decoded.sessionId || null;
         req.tokenPayload = decoded;
         next();
       } catch (error) {
@@ -407,6 +2150,83 @@ class AuthMiddleware {
     };
   }
 
+  /**
+   * Require staff permissions; every listed permission must be held
+   * Sets req.roles and req.permissions for the handler
+   */
+  requirePermission(requiredPermissions) {
+    const required = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      try {
+        const roles = await this.rbacService.getRoles(req.user);
+        const permissions = this.rbacService.getPermissions(roles);
+
+        if (!required.every(permission => permissions.includes(permission))) {
+          return res.status(403).json({
+            error: 'Insufficient permissions',
+            code: 'PERMISSION_DENIED',
+            details: { required }
+          });
+        }
+
+        req.roles = roles;
+        req.permissions = permissions;
+        next();
+      } catch (error) {
+        console.error('Permission check error:', error);
+        return res.status(500).json({ error: 'Permission check failed' });
+      }
+    };
+  }
+
+  /**
+   * Require a recent second-factor check (X-Step-Up-Token header) for sensitive actions
+   * Users without MFA are turned away unless allowUnenrolled is set, in which
+   * case the check only applies once they have enrolled
+   */
+  requireStepUp(options = {}) {
+    const { allowUnenrolled = false } = options;
+
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      try {
+        const methods = await this.mfaService.getVerifiedMethods(req.user.id);
+
+        if (methods.length === 0) {
+          if (allowUnenrolled) {
+            return next();
+          }
+          return res.status(403).json({
+            error: 'Two-factor authentication must be enabled for this action',
+            code: 'MFA_ENROLLMENT_REQUIRED'
+          });
+        }
+
+        const stepUpToken = req.headers['x-step-up-token'];
+        if (!stepUpToken || !this.mfaService.hasValidStepUp(stepUpToken, req.user.id)) {
+          return res.status(403).json({
+            error: 'Confirm it is you to continue',
+            code: 'STEP_UP_REQUIRED',
+            details: { methods }
+          });
+        }
+
+        next();
+      } catch (error) {
+        console.error('Step-up check error:', error);
+        return res.status(500).json({ error: 'Step-up check failed' });
+      }
+    };
+  }
+
   /**
    * Optional authentication middleware
    */
@@ -443,82 +2263,333 @@ class AuthMiddleware {
 // OAUTH INTEGRATION
 // =================================================================
 
+/**
+ * Sign-in providers: where their signing keys live and how their ID tokens look
+ * Apple puts the SHA-256 of the client's nonce in the token; Google puts it verbatim.
+ */
+const OAUTH_PROVIDERS = {
+  google: {
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    hashedNonce: false
+  },
+  apple: {
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    hashedNonce: true
+  }
+};
+
+/**
+ * Error raised when a provider sign-in is rejected
+ */
+class OAuthError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * JWKS Key Source
+ * Caches a provider's public keys. An unknown kid triggers one refetch (at
+ * most once a minute) so provider key rotation is picked up without waiting
+ * for the cache to expire. fetchJwks is injectable for offline tests.
+ */
+class JwksKeySource {
+  constructor(fetchJwks, cacheMinutes = config.auth.oauth.jwksCacheMinutes) {
+    this.fetchJwks = fetchJwks;
+    this.cacheMs = cacheMinutes * 60 * 1000;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+  }
+
+  static fromUri(jwksUri, cacheMinutes) {
+    return new JwksKeySource(async () => (await axios.get(jwksUri, { timeout: 5000 })).data, cacheMinutes);
+  }
+
+  async getKey(kid) {
+    const age = Date.now() - this.fetchedAt;
+    if (age > this.cacheMs || (!this.keys.has(kid) && age > 60 * 1000)) {
+      await this.refresh();
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  async refresh() {
+    const jwks = await this.fetchJwks();
+    this.keys = new Map(jwks.keys
+      .filter(jwk => jwk.kid && (!jwk.use || jwk.use === 'sig'))
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+    this.fetchedAt = Date.now();
+  }
+}
+
+// Shared so provider keys are fetched once per process, not per route module
+const defaultKeySources = Object.fromEntries(Object.entries(OAUTH_PROVIDERS)
+  .map(([provider, { jwksUri }]) => [provider, JwksKeySource.fromUri(jwksUri)]));
+
 /**
  * OAuth Service
- * Handles Google and Apple Sign-In integration
+ * Signs users in with a Google or Apple ID token. The token signature,
+ * issuer, audience and nonce are checked before any claim is trusted; the
+ * nonce must be one this server issued and is spent by the sign-in.
+ * Identities are linked by provider subject first, then by verified email.
  */
 class OAuthService {
-  constructor(database) {
+  constructor(database, keySources = defaultKeySources, options = config.auth.oauth) {
     this.db = database;
     this.passwordService = new PasswordService();
+    this.keySources = keySources;
+    this.options = options;
   }
 
   /**
-   * Handle Google OAuth callback
+   * Issue a single-use nonce for the client to pass to the provider's SDK
    */
-  async handleGoogleAuth(googleProfile) {
-    const { id: googleId, email, given_name, family_name, picture } = googleProfile;
+  async issueNonce(provider) {
+    const nonce = crypto.randomBytes(32).toString('base64url');
 
-    // Check if user exists with this email
-    let user = await this.findUserByEmail(email);
+    const result = await this.db.query(`
+      INSERT INTO oauth_nonces (provider, nonce_hash, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3))
+      RETURNING expires_at
+    `, [provider, hashToken(nonce), this.options.nonceTtlMinutes]);
 
-    if (!user) {
-      // Create new user
-      const tempPassword = this.passwordService.generateSecurePassword();
-      const hashedPassword = await this.passwordService.hashPassword(tempPassword);
+    return { nonce, expiresAt: result.rows[0].expires_at };
+  }
+
+  /**
+   * Handle Google sign-in from an ID token
+   */
+  async handleGoogleAuth(idToken, { nonce, userType = 'customer' } = {}) {
+    const claims = await this.verifyIdToken('google', idToken, nonce);
+
+    return this.signIn('google', claims, {
+      userType,
+      email: claims.email && normalizeEmail(claims.email),
+      emailVerified: claims.email_verified === true,
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      picture: claims.picture
+    });
+  }
+
+  /**
+   * Handle Apple sign-in from an ID token
+   * Apple sends the user's name to the client on first sign-in only, never in the token
+   */
+  async handleAppleAuth(idToken, { nonce, name = null, userType = 'customer' } = {}) {
+    const claims = await this.verifyIdToken('apple', idToken, nonce);
+
+    return this.signIn('apple', claims, {
+      userType,
+      email: claims.email && normalizeEmail(claims.email),
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      isPrivateRelay: claims.is_private_email === true || claims.is_private_email === 'true',
+      firstName: name?.firstName,
+      lastName: name?.lastName
+    });
+  }
+
+  /**
+   * Verify a provider ID token and return its claims
+   */
+  async verifyIdToken(provider, idToken, nonce) {
+    const { issuers, hashedNonce } = OAUTH_PROVIDERS[provider];
+    const audiences = this.options[provider].audiences;
+
+    if (audiences.length === 0) {
+      throw new OAuthError(`${provider} sign-in is not configured`, 'PROVIDER_NOT_CONFIGURED', 503);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || decoded.header.alg !== 'RS256') {
+      throw new OAuthError('Invalid ID token', 'INVALID_ID_TOKEN', 401);
+    }
+
+    const key = await this.keySources[provider].getKey(decoded.header.kid);
+    if (!key) {
+      throw new OAuthError('ID token signed with an unknown key', 'INVALID_ID_TOKEN', 401);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer: issuers,
+        audience: audiences
+      });
+    } catch (error) {
+      throw new OAuthError(`Invalid ID token: ${error.message}`, 'INVALID_ID_TOKEN', 401);
+    }
+
+    // Binds the token to a sign-in attempt this server started
+    const expectedNonce = hashedNonce ? crypto.createHash('sha256').update(nonce).digest('hex') : nonce;
+    if (!claims.nonce || claims.nonce !== expectedNonce) {
+      throw new OAuthError('ID token nonce mismatch', 'INVALID_NONCE', 401);
+    }
+
+    // Spending the nonce is what stops the same token being replayed
+    const consumed = await this.db.query(`
+      UPDATE oauth_nonces SET consumed_at = NOW()
+      WHERE nonce_hash = $1 AND provider = $2 AND consumed_at IS NULL AND expires_at > NOW()
+      RETURNING id
+    `, [hashToken(nonce), provider]);
+
+    if (consumed.rows.length === 0) {
+      throw new OAuthError('Sign-in nonce is unknown, expired or already used', 'INVALID_NONCE', 401);
+    }
 
+    return claims;
+  }
+
+  /**
+   * Resolve the account for verified provider claims, linking or creating as needed
+   * Emails are normalized the way registration stores them so linking matches
+   * Returns { user, isNewUser }
+   */
+  async signIn(provider, claims, profile) {
+    const linked = await this.db.query(`
+      UPDATE user_identities SET last_used_at = NOW(), email = COALESCE($3, email)
+      WHERE provider = $1 AND provider_user_id = $2
+      RETURNING user_id
+    `, [provider, claims.sub, profile.email || null]);
+
+    if (linked.rows.length > 0) {
       const result = await this.db.query(`
-        INSERT INTO users (
-          email, password_hash, user_type, first_name, last_name, 
-          profile_image_url, email_verified_at, account_status
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), 'active')
-        RETURNING *
-      `, [email, hashedPassword, 'customer', given_name, family_name, picture]);
+        SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL
+      `, [linked.rows[0].user_id]);
 
-      user = result.rows[0];
+      if (result.rows.length === 0) {
+        throw new OAuthError('Account not found', 'ACCOUNT_NOT_FOUND', 404);
+      }
+      return { user: result.rows[0], isNewUser: false };
     }
 
-    return user;
+    if (!profile.email || !profile.emailVerified) {
+      throw new OAuthError('The provider did not confirm an email address for this account', 'EMAIL_NOT_VERIFIED', 400);
+    }
+
+    const existing = await this.findUserByEmail(profile.email);
+    if (existing) {
+      const providers = await this.db.query(`
+        SELECT 1 FROM user_identities WHERE user_id = $1 AND provider = $2
+      `, [existing.id, provider]);
+
+      if (providers.rows.length > 0) {
+        throw new OAuthError(`This account is already linked to a different ${provider} account`, 'IDENTITY_CONFLICT', 409);
+      }
+
+      if (existing.email_verified_at) {
+        await this.linkIdentity(existing.id, provider, claims.sub, profile);
+        return { user: existing, isNewUser: false };
+      }
+
+      return { user: await this.claimUnverifiedAccount(existing, provider, claims.sub, profile), isNewUser: false };
+    }
+
+    const user = await this.createUser(profile);
+    await this.linkIdentity(user.id, provider, claims.sub, profile);
+    return { user, isNewUser: true };
   }
 
   /**
-   * Handle Apple OAuth callback
+   * Create an account for a first-time provider sign-in
+   * The random password is never shared; the user can set one via password reset
    */
-  async handleAppleAuth(appleProfile) {
-    const { sub: appleId, email, name } = appleProfile;
+  async createUser(profile) {
+    const tempPassword = this.passwordService.generateSecurePassword();
+    const hashedPassword = await this.passwordService.hashPassword(tempPassword);
 
-    let user = await this.findUserByEmail(email);
+    const result = await this.db.query(`
+      INSERT INTO users (
+        email, password_hash, user_type, first_name, last_name,
+        profile_image_url, email_verified_at, account_status, terms_accepted_at, privacy_accepted_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), 'active', NOW(), NOW())
+      RETURNING *
+    `, [
+      profile.email,
+      hashedPassword,
+      profile.userType,
+      profile.firstName || '',
+      profile.lastName || '',
+      profile.picture || null
+    ]);
 
-    if (!user) {
-      const tempPassword = this.passwordService.generateSecurePassword();
-      const hashedPassword = await this.passwordService.hashPassword(tempPassword);
+    const user = result.rows[0];
 
-      const result = await this.db.query(`
-        INSERT INTO users (
-          email, password_hash, user_type, first_name, last_name,
-          email_verified_at, account_status
-        ) VALUES ($1, $2, $3, $4, $5, NOW(), 'active')
-        RETURNING *
-      `, [
-        email, 
-        hashedPassword, 
-        'customer', 
-        name?.firstName || '', 
-        name?.lastName || ''
-      ]);
+    await this.db.query(`
+      INSERT INTO user_preferences (user_id) VALUES ($1)
+    `, [user.id]);
 
-      user = result.rows[0];
+    if (profile.userType === 'contractor') {
+      await this.db.query(`
+        INSERT INTO contractor_profiles (user_id) VALUES ($1)
+      `, [user.id]);
     }
 
     return user;
   }
 
+  /**
+   * Hand an unverified account to the provider-proven owner of its email
+   * Whoever registered it never proved the address, so anything they could
+   * sign in with (password, sessions, second factors) is discarded first.
+   */
+  async claimUnverifiedAccount(user, provider, providerUserId, profile) {
+    const hashedPassword = await this.passwordService.hashPassword(this.passwordService.generateSecurePassword());
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM trusted_devices WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM user_sessions WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM mfa_challenges WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM user_mfa_factors WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM account_tokens WHERE user_id = $1', [user.id]);
+
+      // The provider has proven the address, which also completes email verification
+      const result = await client.query(`
+        UPDATE users SET
+          password_hash = $2,
+          email_verified_at = NOW(),
+          account_status = CASE WHEN account_status = 'pending' THEN 'active' ELSE account_status END
+        WHERE id = $1
+        RETURNING *
+      `, [user.id, hashedPassword]);
+
+      await this.linkIdentity(user.id, provider, providerUserId, profile, client);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async linkIdentity(userId, provider, providerUserId, profile, client = this.db) {
+    await client.query(`
+      INSERT INTO user_identities (user_id, provider, provider_user_id, email, is_private_relay)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [userId, provider, providerUserId, profile.email, !!profile.isPrivateRelay]);
+  }
+
   /**
    * Find user by email
    */
   async findUserByEmail(email) {
     const result = await this.db.query(`
-      SELECT * FROM users WHERE email = $1
+      SELECT * FROM users WHERE email = $1 AND deleted_at IS NULL
     `, [email]);
 
     return result.rows[0] || null;
@@ -534,34 +2605,127 @@ class OAuthService {
  * Orchestrates all authentication-related functionality
  */
 class AuthenticationService {
-  constructor(database) {
+  constructor(database, notificationService = null) {
     this.db = database;
     this.jwtService = new JWTService();
     this.passwordService = new PasswordService();
     this.sessionService = new SessionService(database);
+    this.mfaService = new MfaService(database, notificationService);
+    this.accountTokenService = new AccountTokenService(database);
+    this.rbacService = new RbacService(database);
+    this.loginAttemptService = new LoginAttemptService();
+    this.notificationService = notificationService;
     this.oAuthService = new OAuthService(database);
     this.middleware = new AuthMiddleware(database);
   }
 
   /**
    * Authenticate user with email and password
+   * Users with MFA get a challenge instead of tokens unless options.deviceToken
+   * belongs to a device they chose to remember. Throws LoginThrottleError while
+   * the account or deviceInfo.ipAddress is delayed or locked out.
    */
-  async authenticateUser(email, password, deviceInfo = {}) {
+  async authenticateUser(email, password, deviceInfo = {}, options = {}) {
+    await this.loginAttemptService.assertAllowed(email, deviceInfo.ipAddress);
+
     const result = await this.db.query(`
       SELECT * FROM users WHERE email = $1 AND account_status = 'active'
     `, [email]);
 
-    if (result.rows.length === 0) {
-      throw new Error('Invalid credentials');
-    }
-
     const user = result.rows[0];
-    const isValidPassword = await this.passwordService.verifyPassword(password, user.password_hash);
+    const isValidPassword = user
+      ? await this.passwordService.verifyPassword(password, user.password_hash)
+      : await this.passwordService.verifyAgainstDummy(password);
 
     if (!isValidPassword) {
+      const { accountLocked } = await this.loginAttemptService.recordFailure(email, deviceInfo.ipAddress);
+
+      if (accountLocked && user) {
+        this.sendAccountEmail(user.id, 'account_locked', 'Sign-in to your account was locked', {
+          lockout: {
+            duration: `${this.loginAttemptService.options.lockoutMinutes} minutes`,
+            ipAddress: deviceInfo.ipAddress || 'an unknown address'
+          }
+        }).catch(error => console.error('Account locked email error:', error));
+      }
+
       throw new Error('Invalid credentials');
     }
 
+    await this.loginAttemptService.recordSuccess(email);
+
+    return this.beginLogin(user, deviceInfo, options);
+  }
+
+  /**
+   * Authenticate with a Google or Apple ID token
+   * params: { nonce, userType, name (Apple first sign-in) }. Goes through the
+   * same second-factor check as a password login.
+   */
+  async authenticateWithProvider(provider, idToken, params = {}, deviceInfo = {}, options = {}) {
+    const { user, isNewUser } = provider === 'apple'
+      ? await this.oAuthService.handleAppleAuth(idToken, params)
+      : await this.oAuthService.handleGoogleAuth(idToken, params);
+
+    if (user.account_status !== 'active') {
+      throw new OAuthError('Account is not active', 'ACCOUNT_INACTIVE', 403);
+    }
+
+    const result = await this.beginLogin(user, deviceInfo, options);
+    return { ...result, isNewUser };
+  }
+
+  /**
+   * Issue tokens for a user whose first factor checked out, or hold for the second
+   */
+  async beginLogin(user, deviceInfo = {}, options = {}) {
+    // Second factor
+    const methods = await this.mfaService.getVerifiedMethods(user.id);
+    let trustedDevice = null;
+
+    if (methods.length > 0) {
+      if (options.deviceToken) {
+        trustedDevice = await this.mfaService.findTrustedDevice(user.id, options.deviceToken);
+      }
+
+      if (!trustedDevice) {
+        const challenge = await this.mfaService.createChallenge(user.id, 'login', deviceInfo);
+        return {
+          mfaRequired: true,
+          methods,
+          challengeToken: challenge.challengeToken,
+          expiresAt: challenge.expiresAt
+        };
+      }
+    }
+
+    return this.completeLogin(user, deviceInfo, { trustedDeviceId: trustedDevice?.id });
+  }
+
+  /**
+   * Finish a login that was held for a second factor
+   * answer: { method: 'totp' | 'sms' | 'recovery', code, rememberDevice }
+   */
+  async completeMfaLogin(challengeToken, answer) {
+    const challenge = await this.mfaService.verifyChallenge(challengeToken, answer, 'login');
+
+    const result = await this.db.query(`
+      SELECT * FROM users WHERE id = $1 AND account_status = 'active'
+    `, [challenge.user_id]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('Invalid credentials', 'INVALID_CREDENTIALS', 401);
+    }
+
+    return this.completeLogin(result.rows[0], challenge.device_info || {}, {
+      rememberDevice: !!answer.rememberDevice
+    });
+  }
+
+  /**
+   * Create the session and tokens for a fully authenticated user
+   */
+  async completeLogin(user, deviceInfo = {}, options = {}) {
     // Update last login
     await this.db.query(`
       UPDATE users SET last_login_at = NOW() WHERE id = $1
@@ -569,9 +2733,17 @@ class AuthenticationService {
 
     // Create session
     const session = await this.sessionService.createSession(user, deviceInfo);
+
+    // Tie the remembered device to the session it signed in to
+    let trustedDevice = null;
+    if (options.trustedDeviceId) {
+      await this.mfaService.attachTrustedDevice(options.trustedDeviceId, session.sessionId);
+    } else if (options.rememberDevice) {
+      trustedDevice = await this.mfaService.trustDevice(user.id, session.sessionId, deviceInfo);
+    }
     
     // Generate access token
-    const accessToken = this.jwtService.generateAccessToken(user);
+    const accessToken = this.jwtService.generateAccessToken(user, session.sessionId);
 
     return {
       user: {
@@ -587,19 +2759,22 @@ class AuthenticationService {
         accessToken,
         refreshToken: session.refreshToken,
         expiresAt: session.expiresAt
-      }
+      },
+      ...(trustedDevice && { trustedDevice })
     };
   }
 
   /**
    * Refresh access token using refresh token
    */
-  async refreshAccessToken(refreshToken) {
-    const { user } = await this.sessionService.validateSession(refreshToken);
-    const accessToken = this.jwtService.generateAccessToken(user);
+  async refreshAccessToken(refreshToken, ipAddress = null) {
+    const { session, user, refreshToken: nextRefreshToken } =
+      await this.sessionService.rotateRefreshToken(refreshToken, ipAddress);
+    const accessToken = this.jwtService.generateAccessToken(user, session.id);
 
     return {
       accessToken,
+      refreshToken: nextRefreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -622,6 +2797,153 @@ class AuthenticationService {
     }
   }
 
+  /**
+   * Email a verification link to the user's current address
+   */
+  async sendEmailVerification(user) {
+    if (user.email_verified_at) {
+      throw new AccountTokenError('Email already verified', 'EMAIL_ALREADY_VERIFIED', 409);
+    }
+
+    const { token, expiresAt } = await this.accountTokenService.issue(user, 'email_verification');
+
+    await this.sendAccountEmail(user.id, 'email_verification', 'Verify your email address', {
+      app: { verifyUrl: this.accountTokenService.buildLink('email_verification', token) },
+      link: { expiresIn: this.accountTokenService.describeTtl('email_verification') }
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Resend the verification link by email address
+   * Stays silent about unknown, verified or recently emailed addresses
+   */
+  async resendEmailVerification(email) {
+    const result = await this.db.query(`
+      SELECT * FROM users
+      WHERE email = $1 AND email_verified_at IS NULL AND deleted_at IS NULL
+        AND account_status IN ('pending', 'active')
+    `, [email]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    try {
+      await this.sendEmailVerification(result.rows[0]);
+    } catch (error) {
+      if (!(error instanceof AccountTokenError)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Confirm an email address from its verification link
+   * Verifying activates accounts still pending from registration
+   */
+  async verifyEmail(token) {
+    const { userId, email } = await this.accountTokenService.consume(token, 'email_verification');
+
+    const result = await this.db.query(`
+      UPDATE users SET
+        email_verified_at = COALESCE(email_verified_at, NOW()),
+        account_status = CASE WHEN account_status = 'pending' THEN 'active' ELSE account_status END
+      WHERE id = $1 AND email = $2
+      RETURNING id, email, email_verified_at
+    `, [userId, email]);
+
+    // The account email changed after the link was sent
+    if (result.rows.length === 0) {
+      throw this.accountTokenService.invalidTokenError();
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Email a password reset link
+   * Stays silent about unknown or recently emailed addresses so the route cannot reveal accounts
+   */
+  async requestPasswordReset(email) {
+    const result = await this.db.query(`
+      SELECT * FROM users
+      WHERE email = $1 AND deleted_at IS NULL AND account_status IN ('pending', 'active')
+    `, [email]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const user = result.rows[0];
+    let issued;
+    try {
+      issued = await this.accountTokenService.issue(user, 'password_reset');
+    } catch (error) {
+      if (error instanceof AccountTokenError) {
+        return;
+      }
+      throw error;
+    }
+
+    await this.sendAccountEmail(user.id, 'password_reset', 'Reset your password', {
+      app: { resetUrl: this.accountTokenService.buildLink('password_reset', issued.token) },
+      link: { expiresIn: this.accountTokenService.describeTtl('password_reset') }
+    });
+  }
+
+  /**
+   * Set a new password from a reset link and sign the user out everywhere
+   */
+  async resetPassword(token, newPassword) {
+    // Check the password first so a weak one doesn't burn the link
+    try {
+      this.passwordService.validatePasswordRequirements(newPassword);
+    } catch (error) {
+      throw new AccountTokenError(error.message, 'WEAK_PASSWORD', 400);
+    }
+
+    const { userId, email } = await this.accountTokenService.consume(token, 'password_reset');
+    const passwordHash = await this.passwordService.hashPassword(newPassword);
+
+    // Opening the emailed link also proves the address
+    const result = await this.db.query(`
+      UPDATE users SET
+        password_hash = $3,
+        email_verified_at = COALESCE(email_verified_at, NOW())
+      WHERE id = $1 AND email = $2
+      RETURNING id
+    `, [userId, email, passwordHash]);
+
+    if (result.rows.length === 0) {
+      throw this.accountTokenService.invalidTokenError();
+    }
+
+    await this.accountTokenService.revokeAll(userId, 'password_reset');
+    await this.sessionService.revokeAllUserSessions(userId);
+    await this.loginAttemptService.unlockAccount(email);
+
+    await this.sendAccountEmail(userId, 'password_changed', 'Your password was changed', {})
+      .catch(error => console.error('Password changed email error:', error));
+  }
+
+  /**
+   * Send a security email through NotificationService templates
+   */
+  async sendAccountEmail(userId, template, subject, data) {
+    if (!this.notificationService) {
+      throw new Error('Email delivery is not configured');
+    }
+
+    return this.notificationService.sendEmailNotification(userId, {
+      template,
+      subject,
+      data,
+      security: true
+    });
+  }
+
   /**
    * Get all service instances for dependency injection
    */
@@ -630,6 +2952,10 @@ class AuthenticationService {
       jwtService: this.jwtService,
       passwordService: this.passwordService,
       sessionService: this.sessionService,
+      mfaService: this.mfaService,
+      accountTokenService: this.accountTokenService,
+      rbacService: this.rbacService,
+      loginAttemptService: this.loginAttemptService,
       oAuthService: this.oAuthService,
       middleware: this.middleware
     };
@@ -643,8 +2969,28 @@ class AuthenticationService {
 module.exports = {
   AuthenticationService,
   JWTService,
+  SigningKeyService,
+  signingKeyRing,
   PasswordService,
+  LoginAttemptService,
+  LoginThrottleError,
+  MemoryAttemptStore,
+  RedisAttemptStore,
   SessionService,
+  SessionError,
   AuthMiddleware,
-  OAuthService
+  OAuthService,
+  OAuthError,
+  JwksKeySource,
+  OAUTH_PROVIDERS,
+  MfaService,
+  MfaError,
+  MFA_METHODS,
+  AccountTokenService,
+  AccountTokenError,
+  RbacService,
+  RbacError,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS
 };
\ No newline at end of file
@@ -14,11 +14,27 @@ const { Pool } = require('pg');
 const { config } = require('./config/env');
 const { createAPIRoutes } = require('./api_routes_core_v1');
 const { MessagingService } = require('./messaging_system_v1');
-const { StripePaymentService } = require('./payment_processing_v1');
-const { NotificationService } = require('./notification_service_v1');
+const { StripePaymentService, PaymentDatabaseService } = require('./payment_processing_v1');
+const { NotificationService, NotificationTriggers } = require('./notification_service_v1');
 const { MappingService } = require('./gps_mapping_service_v1');
 const { ReviewService } = require('./review_system_v1');
 const { SchedulingService } = require('./scheduling_system_v1');
+const { JobStateMachine, SYSTEM_ACTOR } = require('./job_state_machine_v1');
+const { QuoteService } = require('./quote_system_v1');
+const { createStorageAdapter } = require('./file_storage_v1');
+const { JobCompletionService } = require('./job_completion_v1');
+const { JobCancellationService } = require('./job_cancellation_v1');
+const { MilestoneService } = require('./milestone_payments_v1');
+const { RecurringJobService } = require('./recurring_jobs_v1');
+const { SavedSearchService } = require('./saved_searches_v1');
+const { JobDraftService } = require('./job_drafts_v1');
+const { SmartMatchingService } = require('./smart_matching_algorithm');
+const { EmergencyDispatchService } = require('./emergency_dispatch_v1');
+const { DisputeService } = require('./dispute_system_v1');
+const { SigningKeyService, signingKeyRing } = require('./auth/auth-strategy');
+const { PrivacyService } = require('./privacy_requests_v1');
+const { StripeWebhookService } = require('./stripe_webhooks_v1');
+const { PayoutReconciliationService } = require('./payout_reconciliation_v1');
 
 // =================================================================
 // SERVER SETUP
@@ -79,7 +95,9 @@ app.use(cors({
 
 // Compression and parsing
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// Stripe signs the raw body, so its webhook parses its own
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path === '/webhooks/stripe' ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -109,10 +127,44 @@ app.use((req, res, next) => {
 // Initialize core services
 const messagingService = new MessagingService(server, db);
 const paymentService = new StripePaymentService();
+const paymentDb = new PaymentDatabaseService(db);
 const notificationService = new NotificationService(db);
 const mappingService = new MappingService(db);
 const reviewService = new ReviewService(db, notificationService);
-const schedulingService = new SchedulingService(db, notificationService, mappingService);
+const notificationTriggers = new NotificationTriggers(notificationService);
+const savedSearchService = new SavedSearchService(db, mappingService, notificationService);
+const jobStateMachine = new JobStateMachine(db, {
+  notificationTriggers,
+  broadcastJobUpdate,
+  onJobPosted: async (job) => {
+    await savedSearchService.matchPostedJob(job.id);
+    // Urgent jobs go straight to emergency dispatch, including reposts
+    if (job.priority === 'urgent') {
+      await emergencyDispatchService.startDispatch(job.id, SYSTEM_ACTOR);
+    }
+  }
+});
+const schedulingService = new SchedulingService(db, notificationService, mappingService, jobStateMachine);
+const quoteService = new QuoteService(db, jobStateMachine, notificationService);
+const storage = createStorageAdapter();
+const signingKeyService = new SigningKeyService(db);
+const completionService = new JobCompletionService(db, jobStateMachine, paymentService);
+const cancellationService = new JobCancellationService(db, jobStateMachine, paymentService);
+const disputeService = new DisputeService(db, jobStateMachine, paymentService, notificationService);
+const milestoneService = new MilestoneService(db, paymentService, notificationService);
+const recurringJobService = new RecurringJobService(db, jobStateMachine, schedulingService, paymentService, notificationService, mappingService);
+const jobDraftService = new JobDraftService(db, jobStateMachine, mappingService);
+const matchingService = new SmartMatchingService(db, mappingService);
+const emergencyDispatchService = new EmergencyDispatchService(db, matchingService, jobStateMachine, notificationService);
+const privacyService = new PrivacyService(db, storage, notificationService);
+const stripeWebhookService = new StripeWebhookService(db, {
+  'payment_intent.amount_capturable_updated': handlePaymentAuthorized,
+  'payment_intent.succeeded': handlePaymentSuccess,
+  'payment_intent.payment_failed': handlePaymentFailure,
+  'account.updated': handleContractorAccountUpdate,
+  'payout.paid': handleContractorPayout
+});
+const reconciliationService = new PayoutReconciliationService(db, paymentService.stripe);
 
 // =================================================================
 // API ROUTES
@@ -129,42 +181,66 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens; cached no longer than the ring reload interval
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${config.auth.jwt.signing.refreshSeconds}`);
+  res.json(signingKeyRing.getJwks());
+});
+
+// Serve locally stored uploads (S3 serves its own objects)
+if (config.services.storage.driver === 'local') {
+  app.use(config.services.storage.local.publicBaseUrl, express.static(config.services.storage.local.directory, {
+    maxAge: '7d',
+    index: false
+  }));
+}
+
 // Mount API routes
-app.use('/api/v1', createAPIRoutes(db));
+app.use('/api/v1', createAPIRoutes(db, {
+  notificationService,
+  notificationTriggers,
+  broadcastJobUpdate,
+  jobStateMachine,
+  paymentService,
+  storage,
+  completionService,
+  disputeService,
+  milestoneService,
+  schedulingService,
+  recurringJobService,
+  mappingService,
+  savedSearchService,
+  jobDraftService,
+  matchingService,
+  emergencyDispatchService,
+  reviewService,
+  privacyService,
+  stripeWebhookService,
+  reconciliationService
+}));
 
 // =================================================================
 // WEBHOOK HANDLERS
 // =================================================================
 
-// Stripe webhooks
+// Stripe webhooks: stored, then processed once; handler failures are retried by the background job
 app.post('/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
   try {
-    const sig = req.headers['stripe-signature'];
-    const event = paymentService.validateWebhookSignature(req.body, sig);
-
-    console.log(`Stripe webhook received: ${event.type}`);
-
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailure(event.data.object);
-        break;
-      case 'account.updated':
-        await handleContractorAccountUpdate(event.data.object);
-        break;
-      case 'payout.paid':
-        await handleContractorPayout(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled Stripe event: ${event.type}`);
-    }
+    event = paymentService.validateWebhookSignature(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+
+  try {
+    const { event: stored, duplicate } = await stripeWebhookService.receiveEvent(event);
+    console.log(`Stripe webhook ${event.type} ${event.id}: ${duplicate ? 'duplicate, ' : ''}${stored.status}`);
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate });
   } catch (error) {
-    console.error('Stripe webhook error:', error);
-    res.status(400).send(`Webhook Error: ${error.message}`);
+    // Not stored; let Stripe redeliver
+    console.error('Stripe webhook storage error:', error);
+    res.status(500).json({ error: 'Failed to store webhook event', code: 'WEBHOOK_STORAGE_ERROR' });
   }
 });
 
@@ -185,96 +261,157 @@ app.post('/webhooks/twilio/status', express.urlencoded({ extended: false }), (re
 // PAYMENT WEBHOOK HANDLERS
 // =================================================================
 
+async function handlePaymentAuthorized(paymentIntent) {
+  // Escrow hold confirmed by the customer; funds can now be captured
+  await db.query(`
+    UPDATE payments
+    SET payment_status = 'processing', authorized_at = NOW()
+    WHERE stripe_payment_intent_id = $1 AND authorized_at IS NULL
+  `, [paymentIntent.id]);
+
+  await paymentDb.recordAuthorization(paymentIntent.id);
+}
+
 async function handlePaymentSuccess(paymentIntent) {
-  try {
-    const jobId = paymentIntent.metadata.job_id;
-    const customerId = paymentIntent.metadata.customer_id;
-
-    // Update payment status in database
-    await db.query(`
-      UPDATE payments 
-      SET 
-        payment_status = 'completed',
-        stripe_charge_id = $2,
-        captured_at = NOW()
-      WHERE stripe_payment_intent_id = $1
-    `, [paymentIntent.id, paymentIntent.charges.data[0].id]);
-
-    // Update job status
-    await db.query(`
-      UPDATE jobs SET status = 'payment_received' WHERE id = $1
-    `, [jobId]);
+  const jobId = paymentIntent.metadata.job_id;
+  const customerId = paymentIntent.metadata.customer_id;
+
+  // Update payment status in database
+  await db.query(`
+    UPDATE payments 
+    SET 
+      payment_status = 'completed',
+      stripe_charge_id = $2,
+      captured_at = COALESCE(captured_at, NOW())
+    WHERE stripe_payment_intent_id = $1
+  `, [paymentIntent.id, paymentIntent.charges.data[0].id]);
+
+  // Usually already posted by the service that captured; the reference makes this a no-op then
+  await paymentDb.recordCapture(paymentIntent.id, {
+    amountCaptured: paymentIntent.amount_received / 100,
+    platformFee: (paymentIntent.application_fee_amount || 0) / 100
+  });
 
-    // Get job and contractor details
-    const jobResult = await db.query(`
-      SELECT j.*, c.first_name, c.last_name 
-      FROM jobs j 
-      JOIN users c ON j.contractor_id = c.id 
-      WHERE j.id = $1
-    `, [jobId]);
+  // Job status is owned by the job state machine; capture follows approval
 
-    if (jobResult.rows.length > 0) {
-      const job = jobResult.rows[0];
-
-      // Send notification to contractor
-      await notificationService.sendMultiChannelNotification(job.contractor_id, {
-        channels: ['push', 'email'],
-        title: 'Payment Received!',
-        body: `Payment of $${paymentIntent.amount / 100} received for "${job.title}"`,
-        template: 'payment_received',
-        data: {
-          type: 'payment_received',
-          jobId: job.id,
-          amount: paymentIntent.amount / 100
-        }
-      });
-
-      // Send system message to conversation
-      const conversationResult = await db.query(`
-        SELECT id FROM conversations 
-        WHERE customer_id = $1 AND contractor_id = $2 AND job_id = $3
-      `, [job.customer_id, job.contractor_id, job.id]);
-
-      if (conversationResult.rows.length > 0) {
-        await messagingService.sendSystemMessage(
-          conversationResult.rows[0].id,
-          'payment_processed',
-          { amount: paymentIntent.amount / 100 }
-        );
+  // Get job and contractor details
+  const jobResult = await db.query(`
+    SELECT j.*, c.first_name, c.last_name 
+    FROM jobs j 
+    JOIN users c ON j.contractor_id = c.id 
+    WHERE j.id = $1
+  `, [jobId]);
+
+  if (jobResult.rows.length > 0) {
+    const job = jobResult.rows[0];
+
+    // Send notification to contractor
+    await notificationService.sendMultiChannelNotification(job.contractor_id, {
+      channels: ['push', 'email'],
+      title: 'Payment Received!',
+      body: `Payment of $${paymentIntent.amount / 100} received for "${job.title}"`,
+      template: 'payment_received',
+      data: {
+        type: 'payment_received',
+        jobId: job.id,
+        amount: paymentIntent.amount / 100
       }
-    }
+    });
 
-  } catch (error) {
-    console.error('Payment success handler error:', error);
+    // Send system message to conversation
+    const conversationResult = await db.query(`
+      SELECT id FROM conversations 
+      WHERE customer_id = $1 AND contractor_id = $2 AND job_id = $3
+    `, [job.customer_id, job.contractor_id, job.id]);
+
+    if (conversationResult.rows.length > 0) {
+      await messagingService.sendSystemMessage(
+        conversationResult.rows[0].id,
+        'payment_processed',
+        { amount: paymentIntent.amount / 100 }
+      );
+    }
   }
 }
 
 async function handlePaymentFailure(paymentIntent) {
-  try {
-    const jobId = paymentIntent.metadata.job_id;
-    const customerId = paymentIntent.metadata.customer_id;
-
-    // Update payment status
-    await db.query(`
-      UPDATE payments 
-      SET payment_status = 'failed'
-      WHERE stripe_payment_intent_id = $1
-    `, [paymentIntent.id]);
-
-    // Notify customer
-    await notificationService.sendMultiChannelNotification(customerId, {
+  const jobId = paymentIntent.metadata.job_id;
+  const customerId = paymentIntent.metadata.customer_id;
+
+  // Update payment status
+  await db.query(`
+    UPDATE payments 
+    SET payment_status = 'failed'
+    WHERE stripe_payment_intent_id = $1
+  `, [paymentIntent.id]);
+
+  await paymentDb.recordRelease(paymentIntent.id);
+
+  // Notify customer
+  await notificationService.sendMultiChannelNotification(customerId, {
+    channels: ['push', 'email'],
+    title: 'Payment Failed',
+    body: 'Your payment could not be processed. Please update your payment method.',
+    data: {
+      type: 'payment_failed',
+      jobId: jobId
+    }
+  });
+}
+
+async function handleContractorAccountUpdate(account) {
+  const wasActive = (await paymentDb.getContractorPayoutByAccount(account.id))?.account_status === 'active';
+  const payout = await paymentDb.syncContractorAccount(account, paymentService.determinePayoutAccountStatus(account));
+
+  if (!payout) {
+    console.log(`Stripe account ${account.id} is not linked to a contractor`);
+    return;
+  }
+
+  if (payout.account_status === 'active' && !wasActive) {
+    await notificationService.sendMultiChannelNotification(payout.contractor_id, {
       channels: ['push', 'email'],
-      title: 'Payment Failed',
-      body: 'Your payment could not be processed. Please update your payment method.',
-      data: {
-        type: 'payment_failed',
-        jobId: jobId
-      }
+      title: 'Payouts Enabled',
+      body: 'Your payout account is verified. Earnings from completed jobs will be sent to your bank.',
+      data: { type: 'payout_account_active' }
+    });
+  } else if (payout.account_status !== 'active' && wasActive) {
+    await notificationService.sendMultiChannelNotification(payout.contractor_id, {
+      channels: ['push', 'email'],
+      title: 'Action Needed on Your Payout Account',
+      body: 'Stripe needs more information before it can send your payouts.',
+      data: { type: 'payout_account_restricted', accountStatus: payout.account_status }
     });
+  }
+}
 
-  } catch (error) {
-    console.error('Payment failure handler error:', error);
+// Connect event: the payout object doesn't name the account, the event does
+async function handleContractorPayout(payout, event) {
+  const contractorPayout = await paymentDb.getContractorPayoutByAccount(event.account);
+
+  if (!contractorPayout) {
+    console.log(`Payout ${payout.id} is for unknown Stripe account ${event.account}`);
+    return;
   }
+
+  await paymentDb.recordPayout({
+    contractorId: contractorPayout.contractor_id,
+    payoutId: payout.id,
+    amount: payout.amount / 100,
+    currency: payout.currency
+  });
+
+  await notificationService.sendMultiChannelNotification(contractorPayout.contractor_id, {
+    channels: ['push'],
+    title: 'Payout Sent',
+    body: `$${(payout.amount / 100).toFixed(2)} is on its way to your bank account`,
+    data: {
+      type: 'payout_paid',
+      payoutId: payout.id,
+      amount: payout.amount / 100,
+      arrivalDate: new Date(payout.arrival_date * 1000).toISOString()
+    }
+  });
 }
 
 // =================================================================
@@ -332,18 +469,238 @@ function getJobUpdateMessage(status) {
 // BACKGROUND JOBS
 // =================================================================
 
-// Cleanup expired sessions daily
+// Cleanup expired sessions, MFA challenges, remembered devices, account links and sign-in nonces daily
 setInterval(async () => {
   try {
     const result = await db.query(`
       DELETE FROM user_sessions WHERE expires_at < NOW()
     `);
     console.log(`Cleaned up ${result.rowCount} expired sessions`);
+
+    const challenges = await db.query(`
+      DELETE FROM mfa_challenges WHERE expires_at < NOW() - INTERVAL '1 day'
+    `);
+    const devices = await db.query(`
+      DELETE FROM trusted_devices WHERE expires_at < NOW()
+    `);
+    const accountTokens = await db.query(`
+      DELETE FROM account_tokens WHERE expires_at < NOW() - INTERVAL '1 day'
+    `);
+    const nonces = await db.query(`
+      DELETE FROM oauth_nonces WHERE expires_at < NOW() - INTERVAL '1 day'
+    `);
+    console.log(`Cleaned up ${challenges.rowCount} MFA challenges, ${devices.rowCount} expired trusted devices, ${accountTokens.rowCount} account tokens, ${nonces.rowCount} sign-in nonces`);
   } catch (error) {
     console.error('Session cleanup error:', error);
   }
 }, 24 * 60 * 60 * 1000); // Run daily
 
+// Reload the signing key ring so keys published by other instances are picked up
+setInterval(async () => {
+  try {
+    await signingKeyService.load();
+  } catch (error) {
+    console.error('Signing key reload error:', error);
+  }
+}, config.auth.jwt.signing.refreshSeconds * 1000);
+
+// Publish the next access token signing key ahead of rotation hourly
+setInterval(async () => {
+  try {
+    const key = await signingKeyService.rotateIfDue();
+    if (key) {
+      console.log(`Published signing key ${key.kid}, active from ${key.activatesAt.toISOString()}`);
+    }
+  } catch (error) {
+    console.error('Signing key rotation error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Expire quotes past their validity window hourly
+setInterval(async () => {
+  try {
+    const expired = await quoteService.expireStaleQuotes();
+    console.log(`Expired ${expired} stale quotes`);
+  } catch (error) {
+    console.error('Quote expiry error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Auto-approve completed work past its review window and retry failed escrow captures
+setInterval(async () => {
+  try {
+    const approved = await completionService.autoApproveOverdue();
+    const captured = await completionService.releasePendingEscrow();
+    console.log(`Auto-approved ${approved} jobs, released ${captured} escrow holds`);
+  } catch (error) {
+    console.error('Completion auto-approval error:', error);
+  }
+}, 15 * 60 * 1000); // Run every 15 minutes
+
+// Retry escrow settlement for cancellations where Stripe failed
+setInterval(async () => {
+  try {
+    const { attempted, settled } = await cancellationService.retryPendingSettlements();
+    if (attempted > 0) {
+      console.log(`Retried ${attempted} cancellation settlements, ${settled} settled`);
+    }
+  } catch (error) {
+    console.error('Cancellation settlement retry error:', error);
+  }
+}, 15 * 60 * 1000); // Run every 15 minutes
+
+// Retry escrow settlement for resolved disputes where Stripe failed
+setInterval(async () => {
+  try {
+    const { attempted, settled } = await disputeService.retryFailedSettlements();
+    if (attempted > 0) {
+      console.log(`Retried ${attempted} dispute settlements, ${settled} settled`);
+    }
+  } catch (error) {
+    console.error('Dispute settlement retry error:', error);
+  }
+}, 15 * 60 * 1000); // Run every 15 minutes
+
+// Renew milestone escrow holds before their authorization expires and retry failed releases
+setInterval(async () => {
+  try {
+    const renewed = await milestoneService.renewExpiringAuthorizations();
+    const released = await milestoneService.releaseApprovedMilestones();
+    console.log(`Milestone holds: ${renewed.reauthorized} re-authorized, ${renewed.converted} converted to charge on approval, ${released} released`);
+  } catch (error) {
+    console.error('Milestone authorization renewal error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Generate upcoming recurring job occurrences and place their escrow holds
+setInterval(async () => {
+  try {
+    const generated = await recurringJobService.generateUpcomingOccurrences();
+    const funded = await recurringJobService.fundUpcomingOccurrences();
+    console.log(`Recurring jobs: generated ${generated} occurrences, funded ${funded}`);
+  } catch (error) {
+    console.error('Recurring job generation error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Send saved search alerts held back by throttling
+setInterval(async () => {
+  try {
+    await savedSearchService.flushThrottledAlerts();
+  } catch (error) {
+    console.error('Saved search alert error:', error);
+  }
+}, 5 * 60 * 1000); // Run every 5 minutes
+
+// Send daily saved search digests (acts only during the digest hour)
+setInterval(async () => {
+  try {
+    const sent = await savedSearchService.sendDailyDigests();
+    if (sent > 0) {
+      console.log(`Sent ${sent} saved search digests`);
+    }
+  } catch (error) {
+    console.error('Saved search digest error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Expire unanswered emergency offers and cascade to the next wave
+setInterval(async () => {
+  try {
+    const { expired, advanced } = await emergencyDispatchService.processExpiredOffers();
+    if (expired > 0) {
+      console.log(`Emergency dispatch: expired ${expired} offers, sent ${advanced} new waves`);
+    }
+  } catch (error) {
+    console.error('Emergency dispatch cascade error:', error);
+  }
+}, 15 * 1000); // Run every 15 seconds
+
+// Cancel job drafts left untouched past their expiry
+setInterval(async () => {
+  try {
+    const expired = await jobDraftService.expireStaleDrafts();
+    if (expired > 0) {
+      console.log(`Expired ${expired} stale job drafts`);
+    }
+  } catch (error) {
+    console.error('Job draft expiry error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Retry geocoding for jobs whose lookup failed when they were posted
+setInterval(async () => {
+  try {
+    const resolved = await mappingService.retryFailedJobGeocodes();
+    if (resolved > 0) {
+      console.log(`Geocoded ${resolved} previously failed job addresses`);
+    }
+  } catch (error) {
+    console.error('Job geocoding retry error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Retry Stripe webhook events whose handlers failed
+setInterval(async () => {
+  try {
+    const { attempted, processed } = await stripeWebhookService.retryDueEvents();
+    if (attempted > 0) {
+      console.log(`Retried ${attempted} Stripe webhook events, ${processed} processed`);
+    }
+  } catch (error) {
+    console.error('Stripe webhook retry error:', error);
+  }
+}, 60 * 1000); // Run every minute
+
+// Verify the payment ledger balances
+setInterval(async () => {
+  try {
+    const integrity = await paymentDb.checkLedgerIntegrity();
+    if (!integrity.healthy) {
+      console.error('Ledger integrity check failed:', JSON.stringify(integrity));
+    }
+  } catch (error) {
+    console.error('Ledger integrity check error:', error);
+  }
+}, 24 * 60 * 60 * 1000); // Run daily
+
+// Reconcile yesterday's Stripe transfers and payouts against payments and the ledger
+setInterval(async () => {
+  try {
+    const report = await reconciliationService.runNightly();
+    if (report && report.mismatchCount > 0) {
+      console.log(`Payout reconciliation for ${report.periodStart.toISOString().slice(0, 10)} found ${report.mismatchCount} mismatches`);
+    }
+  } catch (error) {
+    console.error('Payout reconciliation error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
+// Build requested personal data exports
+setInterval(async () => {
+  try {
+    const built = await privacyService.processPendingExports();
+    if (built > 0) {
+      console.log(`Built ${built} personal data exports`);
+    }
+  } catch (error) {
+    console.error('Data export error:', error);
+  }
+}, 5 * 60 * 1000); // Run every 5 minutes
+
+// Delete accounts past their grace period and expired export files
+setInterval(async () => {
+  try {
+    const deleted = await privacyService.processDueDeletions();
+    const expired = await privacyService.expireExports();
+    if (deleted > 0 || expired > 0) {
+      console.log(`Deleted ${deleted} accounts and ${expired} expired data exports`);
+    }
+  } catch (error) {
+    console.error('Account deletion error:', error);
+  }
+}, 60 * 60 * 1000); // Run hourly
+
 // Update contractor locations every 5 minutes
 setInterval(async () => {
   try {
@@ -436,7 +793,13 @@ const PORT = config.PORT || 3000;
 db.connect()
   .then(() => {
     console.log('✅ Database connected successfully');
-    
+
+    // Access tokens cannot be issued or verified until the key ring is loaded
+    return signingKeyService.initialize();
+  })
+  .then(() => {
+    console.log('🔑 JWT signing keys loaded');
+
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 Environment: ${config.NODE_ENV}`);
@@ -446,7 +809,7 @@ db.connect()
     });
   })
   .catch((error) => {
-    console.error('❌ Database connection failed:', error);
+    console.error('❌ Startup failed:', error);
     process.exit(1);
   });
 
@@ -0,0 +1,665 @@
+/**
+ * Module: change_orders_v1
+ * Version: 1.0.0
+ * Dependencies: db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, quote_system_v1, payment_processing_v1, notification_service_v1
+ * Provides: Change orders on active jobs, escrow top-ups and supplementary holds, change order audit trail
+ * Integration Points: API routes, contractor active job screen, customer job details, completion and cancellation flows
+ * Last Updated: 2025-06-08
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { LINE_ITEM_CATEGORIES, normalizeLineItems, calculateLineItemTotal } = require('./quote_system_v1');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+
+// =================================================================
+// CHANGE ORDER SERVICE
+// =================================================================
+
+/**
+ * Change order statuses, mirroring the change_order_status enum
+ */
+const CHANGE_ORDER_STATUSES = ['proposed', 'approving', 'approved', 'declined', 'withdrawn'];
+
+/**
+ * Job statuses in which scope can still change
+ */
+const CHANGEABLE_JOB_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Error raised when a change order operation is rejected
+ */
+class ChangeOrderError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'ChangeOrderError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Change Order Service
+ * Handles added scope on active jobs and keeps escrow in step with price
+ */
+class ChangeOrderService {
+  constructor(database, paymentService = null, notificationService = null) {
+    this.db = database;
+    this.paymentService = paymentService;
+    this.notificationService = notificationService;
+    this.paymentDb = new PaymentDatabaseService(database);
+    this.rbacService = new RbacService(database);
+  }
+
+  /**
+   * Propose added scope (assigned contractor)
+   */
+  async proposeChangeOrder(jobId, actor, { description, reason = null, lineItems }) {
+    const job = await this.getJob(jobId);
+
+    if (job.contractor_id !== actor.id) {
+      throw new ChangeOrderError('Only the assigned contractor can propose changes', 'CHANGE_ORDER_NOT_PERMITTED', 403);
+    }
+
+    this.assertJobChangeable(job);
+
+    const normalizedItems = normalizeLineItems(lineItems);
+    const amount = calculateLineItemTotal(normalizedItems);
+
+    const result = await this.db.query(`
+      INSERT INTO change_orders (job_id, proposed_by, description, reason, line_items, amount, previous_job_price)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [jobId, actor.id, description, reason, JSON.stringify(normalizedItems), amount, this.getJobPrice(job)]);
+
+    const changeOrder = result.rows[0];
+    await this.recordEvent(changeOrder.id, actor.id, 'proposed', { amount, lineItems: normalizedItems });
+
+    await this.notify(job.customer_id, {
+      title: 'Change Order Requested',
+      body: `Your contractor proposed $${amount} of added work on "${job.title}".`,
+      data: { type: 'change_order_proposed', jobId, changeOrderId: changeOrder.id }
+    });
+
+    return this.formatChangeOrder(changeOrder);
+  }
+
+  /**
+   * List change orders on a job with their audit history
+   */
+  async getJobChangeOrders(jobId, user) {
+    const job = await this.getJob(jobId);
+    const isParticipant = job.customer_id === user.id || job.contractor_id === user.id;
+
+    if (!isParticipant && !(await this.rbacService.hasPermission(user, 'jobs:read'))) {
+      throw new ChangeOrderError('Not permitted to view change orders for this job', 'CHANGE_ORDER_ACCESS_DENIED', 403);
+    }
+
+    const result = await this.db.query(`
+      SELECT co.*, p.payment_status as supplementary_payment_status
+      FROM change_orders co
+      LEFT JOIN payments p ON co.payment_id = p.id
+      WHERE co.job_id = $1
+      ORDER BY co.created_at ASC
+    `, [jobId]);
+
+    const eventsResult = await this.db.query(`
+      SELECT coe.*
+      FROM change_order_events coe
+      JOIN change_orders co ON coe.change_order_id = co.id
+      WHERE co.job_id = $1
+      ORDER BY coe.created_at ASC
+    `, [jobId]);
+
+    return result.rows.map(row => ({
+      ...this.formatChangeOrder(row),
+      history: eventsResult.rows
+        .filter(event => event.change_order_id === row.id)
+        .map(event => ({
+          event: event.event,
+          actorId: event.actor_id,
+          details: event.details,
+          createdAt: event.created_at
+        }))
+    }));
+  }
+
+  /**
+   * Approve a change order and grow the escrow to cover it (customer)
+   * The order is claimed before escrow is touched, so a concurrent withdraw or a
+   * second approval cannot adjust the hold for it; a failed adjustment hands it back.
+   */
+  async approveChangeOrder(jobId, changeOrderId, actor) {
+    const { job, changeOrder } = await this.getPendingChangeOrder(jobId, changeOrderId);
+
+    if (job.customer_id !== actor.id) {
+      throw new ChangeOrderError('Only the customer can approve changes', 'CHANGE_ORDER_NOT_PERMITTED', 403);
+    }
+
+    this.assertJobChangeable(job);
+
+    const claimed = await this.db.query(`
+      UPDATE change_orders
+      SET status = 'approving', updated_at = NOW()
+      WHERE id = $1 AND status = 'proposed'
+      RETURNING id
+    `, [changeOrderId]);
+
+    if (claimed.rows.length === 0) {
+      throw new ChangeOrderError('Change order is no longer pending', 'CHANGE_ORDER_NOT_PENDING', 409);
+    }
+
+    const amount = parseFloat(changeOrder.amount);
+    let escrow;
+
+    try {
+      escrow = await this.extendEscrow(job, changeOrder, amount);
+    } catch (error) {
+      await this.db.query(`
+        UPDATE change_orders SET status = 'proposed', updated_at = NOW() WHERE id = $1 AND status = 'approving'
+      `, [changeOrderId]);
+      throw error;
+    }
+
+    // The approval and the price it adds to the job land together
+    const client = await this.db.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      result = await client.query(`
+        UPDATE change_orders
+        SET status = 'approved', responded_at = NOW(), payment_action = $2, payment_id = $3, updated_at = NOW()
+        WHERE id = $1 AND status = 'approving'
+        RETURNING *
+      `, [changeOrderId, escrow.action, escrow.paymentId || null]);
+
+      await client.query(`
+        UPDATE jobs
+        SET quoted_price = COALESCE(quoted_price, estimated_cost, 0) + $2, updated_at = NOW()
+        WHERE id = $1
+      `, [jobId, amount]);
+
+      await this.recordEvent(changeOrderId, actor.id, 'approved', {
+        amount,
+        paymentAction: escrow.action,
+        newJobPrice: this.getJobPrice(job) + amount
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.notify(job.contractor_id, {
+      title: 'Change Order Approved',
+      body: `The customer approved your $${amount} change order on "${job.title}".`,
+      data: { type: 'change_order_approved', jobId, changeOrderId }
+    });
+
+    return {
+      ...this.formatChangeOrder(result.rows[0]),
+      // Present when the customer must confirm a supplementary hold in the app
+      clientSecret: escrow.clientSecret || null
+    };
+  }
+
+  /**
+   * Decline a change order (customer)
+   */
+  async declineChangeOrder(jobId, changeOrderId, actor, { reason = null } = {}) {
+    const { job } = await this.getPendingChangeOrder(jobId, changeOrderId);
+
+    if (job.customer_id !== actor.id) {
+      throw new ChangeOrderError('Only the customer can decline changes', 'CHANGE_ORDER_NOT_PERMITTED', 403);
+    }
+
+    const changeOrder = await this.closeChangeOrder(changeOrderId, actor.id, 'declined', reason);
+
+    await this.notify(job.contractor_id, {
+      title: 'Change Order Declined',
+      body: `The customer declined your change order on "${job.title}".`,
+      data: { type: 'change_order_declined', jobId, changeOrderId }
+    });
+
+    return changeOrder;
+  }
+
+  /**
+   * Withdraw a proposed change order (contractor)
+   */
+  async withdrawChangeOrder(jobId, changeOrderId, actor) {
+    const { changeOrder } = await this.getPendingChangeOrder(jobId, changeOrderId);
+
+    if (changeOrder.proposed_by !== actor.id) {
+      throw new ChangeOrderError('Only the proposing contractor can withdraw this change order', 'CHANGE_ORDER_NOT_PERMITTED', 403);
+    }
+
+    return this.closeChangeOrder(changeOrderId, actor.id, 'withdrawn', null);
+  }
+
+  // =================================================================
+  // ESCROW
+  // =================================================================
+
+  /**
+   * Grow the job's escrow by a change order amount
+   * Increments the existing hold where the card allows it, otherwise
+   * creates a supplementary hold the customer confirms in the app.
+   */
+  async extendEscrow(job, changeOrder, amount) {
+    const payment = await this.paymentDb.getPaymentByJobId(job.id);
+
+    // No hold yet: the new price is picked up when payment is set up
+    if (!this.paymentService || !payment || !payment.stripe_payment_intent_id) {
+      return { action: 'none' };
+    }
+
+    if (payment.captured_at || !['pending', 'processing'].includes(payment.payment_status)) {
+      throw new ChangeOrderError('Job payment can no longer be changed', 'ESCROW_NOT_ADJUSTABLE', 409, {
+        paymentStatus: payment.payment_status
+      });
+    }
+
+    if (payment.authorized_at) {
+      const newTotal = Math.round((parseFloat(payment.amount_total) + amount) * 100) / 100;
+      const fees = this.paymentService.calculatePlatformFee(newTotal);
+
+      try {
+        await this.paymentService.incrementEscrowAuthorization(payment.stripe_payment_intent_id, newTotal, fees.platformFee, {
+          idempotencyKey: `change-order-${changeOrder.id}-increment`
+        });
+
+        await this.db.query(`
+          UPDATE payments
+          SET amount_total = $2, amount_platform_fee = $3, amount_contractor = $4, amount_stripe_fee = $5, updated_at = NOW()
+          WHERE id = $1
+        `, [payment.id, newTotal, fees.platformFee, fees.contractorAmount, fees.stripeFee]);
+
+        await this.paymentDb.recordAuthorization(payment.stripe_payment_intent_id)
+          .catch(error => console.error(`Ledger authorization error for job ${job.id}:`, error));
+
+        return { action: 'increment' };
+      } catch (error) {
+        // Card doesn't support incremental authorization; fall through
+        console.error(`Escrow increment declined for job ${job.id}, using supplementary hold:`, error.message);
+      }
+    }
+
+    return this.createSupplementaryHold(job, changeOrder, amount);
+  }
+
+  /**
+   * Create a separate manual-capture hold for a change order
+   * Keyed on the change order, so an approval retried after a failure reuses the hold.
+   */
+  async createSupplementaryHold(job, changeOrder, amount) {
+    const accountResult = await this.db.query(`
+      SELECT stripe_account_id FROM contractor_payouts WHERE contractor_id = $1
+    `, [job.contractor_id]);
+
+    if (accountResult.rows.length === 0 || !accountResult.rows[0].stripe_account_id) {
+      throw new ChangeOrderError('Contractor cannot receive payments yet', 'CONTRACTOR_PAYOUTS_NOT_SET_UP', 409);
+    }
+
+    const fees = this.paymentService.calculatePlatformFee(amount);
+    const escrow = await this.paymentService.createEscrowPayment({
+      jobId: job.id,
+      customerId: job.customer_id,
+      contractorStripeAccountId: accountResult.rows[0].stripe_account_id,
+      amount,
+      platformFee: fees.platformFee,
+      description: `Change order for job #${job.id}`
+    }, { idempotencyKey: `change-order-${changeOrder.id}-hold` });
+
+    const existing = await this.paymentDb.getPaymentByIntentId(escrow.paymentIntentId);
+    if (existing) {
+      return { action: 'supplementary', paymentId: existing.id, clientSecret: escrow.clientSecret };
+    }
+
+    const payment = await this.paymentDb.createPaymentRecord({
+      jobId: job.id,
+      customerId: job.customer_id,
+      contractorId: job.contractor_id,
+      amountTotal: amount,
+      amountContractor: fees.contractorAmount,
+      amountPlatformFee: fees.platformFee,
+      amountStripeFee: fees.stripeFee,
+      stripePaymentIntentId: escrow.paymentIntentId,
+      paymentType: 'change_order'
+    });
+
+    await this.recordEvent(changeOrder.id, null, 'supplementary_hold_created', {
+      paymentIntentId: escrow.paymentIntentId,
+      amount
+    });
+
+    return {
+      action: 'supplementary',
+      paymentId: payment.id,
+      clientSecret: escrow.clientSecret
+    };
+  }
+
+  /**
+   * Capture supplementary holds once the job is approved
+   */
+  async captureSupplementaryPayments(jobId) {
+    if (!this.paymentService) return [];
+
+    const payments = await this.paymentDb.getSupplementaryPayments(jobId);
+    const results = [];
+
+    for (const payment of payments) {
+      if (!payment.authorized_at || payment.captured_at || !['pending', 'processing'].includes(payment.payment_status)) {
+        continue;
+      }
+
+      try {
+        const capture = await this.paymentService.releaseEscrowPayment(payment.stripe_payment_intent_id);
+        await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'completed', {
+          chargeId: capture.chargeId,
+          transferId: capture.transferId,
+          amountCaptured: capture.amountCaptured
+        });
+        results.push({ paymentId: payment.id, captured: true, amount: capture.amountCaptured });
+      } catch (error) {
+        console.error(`Supplementary capture error for payment ${payment.id}:`, error);
+        results.push({ paymentId: payment.id, captured: false });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Close out change orders when a job is cancelled
+   * Pending proposals are withdrawn and uncaptured supplementary holds released.
+   */
+  async settleCancelledJob(jobId) {
+    const pending = await this.db.query(`
+      SELECT id FROM change_orders WHERE job_id = $1 AND status = 'proposed'
+    `, [jobId]);
+
+    for (const row of pending.rows) {
+      await this.closeChangeOrder(row.id, null, 'withdrawn', 'Job was cancelled');
+    }
+
+    if (!this.paymentService) return;
+
+    const payments = await this.paymentDb.getSupplementaryPayments(jobId);
+    for (const payment of payments) {
+      if (payment.captured_at || !['pending', 'processing'].includes(payment.payment_status)) {
+        continue;
+      }
+
+      try {
+        await this.paymentService.cancelEscrowPayment(payment.stripe_payment_intent_id);
+        await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'cancelled');
+      } catch (error) {
+        console.error(`Supplementary release error for payment ${payment.id}:`, error);
+      }
+    }
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  async closeChangeOrder(changeOrderId, actorId, status, reason) {
+    const result = await this.db.query(`
+      UPDATE change_orders
+      SET status = $2, responded_at = NOW(), decline_reason = $3, updated_at = NOW()
+      WHERE id = $1 AND status = 'proposed'
+      RETURNING *
+    `, [changeOrderId, status, reason]);
+
+    if (result.rows.length === 0) {
+      throw new ChangeOrderError('Change order is no longer pending', 'CHANGE_ORDER_NOT_PENDING', 409);
+    }
+
+    await this.recordEvent(changeOrderId, actorId, status, reason ? { reason } : {});
+    return this.formatChangeOrder(result.rows[0]);
+  }
+
+  async recordEvent(changeOrderId, actorId, event, details = {}, client = this.db) {
+    await client.query(`
+      INSERT INTO change_order_events (change_order_id, actor_id, event, details)
+      VALUES ($1, $2, $3, $4)
+    `, [changeOrderId, actorId, event, JSON.stringify(details)]);
+  }
+
+  assertJobChangeable(job) {
+    if (!CHANGEABLE_JOB_STATUSES.includes(job.status)) {
+      throw new ChangeOrderError(
+        `Change orders are not allowed while job is ${job.status}`,
+        'JOB_NOT_CHANGEABLE',
+        409,
+        { allowedStatuses: CHANGEABLE_JOB_STATUSES }
+      );
+    }
+  }
+
+  getJobPrice(job) {
+    return parseFloat(job.quoted_price || job.estimated_cost || 0);
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new ChangeOrderError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getPendingChangeOrder(jobId, changeOrderId) {
+    const job = await this.getJob(jobId);
+
+    const result = await this.db.query(`
+      SELECT * FROM change_orders WHERE id = $1 AND job_id = $2
+    `, [changeOrderId, jobId]);
+
+    if (result.rows.length === 0) {
+      throw new ChangeOrderError('Change order not found', 'CHANGE_ORDER_NOT_FOUND', 404);
+    }
+
+    const changeOrder = result.rows[0];
+
+    if (changeOrder.status !== 'proposed') {
+      throw new ChangeOrderError(`Change order is already ${changeOrder.status}`, 'CHANGE_ORDER_NOT_PENDING', 409);
+    }
+
+    return { job, changeOrder };
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService || !userId) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, {
+        channels: ['push'],
+        ...notification
+      });
+    } catch (error) {
+      console.error('Change order notification error:', error);
+    }
+  }
+
+  formatChangeOrder(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      status: row.status,
+      description: row.description,
+      reason: row.reason,
+      lineItems: row.line_items,
+      amount: parseFloat(row.amount),
+      previousJobPrice: row.previous_job_price !== null ? parseFloat(row.previous_job_price) : null,
+      paymentAction: row.payment_action,
+      supplementaryPaymentStatus: row.supplementary_payment_status || null,
+      declineReason: row.decline_reason,
+      proposedBy: row.proposed_by,
+      respondedAt: row.responded_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// =================================================================
+// CHANGE ORDER ROUTES
+// =================================================================
+
+/**
+ * Create change order routes, mounted under /jobs
+ */
+function createChangeOrderRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const changeOrderService = services.changeOrderService ||
+    new ChangeOrderService(database, services.paymentService, services.notificationService);
+
+  const handleChangeOrderError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof ChangeOrderError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const toActor = (user) => ({ id: user.id, userType: user.user_type });
+
+  // Propose Change Order (Contractors only)
+  router.post('/:jobId/change-orders',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('jobId').isUUID(),
+      body('description').trim().isLength({ min: 10, max: 2000 }),
+      body('reason').optional().trim().isLength({ max: 2000 }),
+      body('lineItems').isArray({ min: 1, max: 50 }),
+      body('lineItems.*.description').trim().isLength({ min: 1, max: 255 }),
+      body('lineItems.*.quantity').optional().isFloat({ gt: 0 }),
+      body('lineItems.*.unitPrice').isFloat({ gt: 0 }),
+      body('lineItems.*.category').optional().isIn(LINE_ITEM_CATEGORIES)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const changeOrder = await changeOrderService.proposeChangeOrder(req.params.jobId, toActor(req.user), {
+          description: req.body.description,
+          reason: req.body.reason,
+          lineItems: req.body.lineItems
+        });
+        res.status(201).json(changeOrder);
+      } catch (error) {
+        handleChangeOrderError(res, error, 'Failed to propose change order', 'PROPOSE_CHANGE_ORDER_ERROR');
+      }
+    }
+  );
+
+  // List Change Orders
+  router.get('/:jobId/change-orders',
+    middleware.requireAuth(),
+    [
+      param('jobId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const changeOrders = await changeOrderService.getJobChangeOrders(req.params.jobId, req.user);
+        res.json({ data: changeOrders });
+      } catch (error) {
+        handleChangeOrderError(res, error, 'Failed to get change orders', 'GET_CHANGE_ORDERS_ERROR');
+      }
+    }
+  );
+
+  // Approve Change Order (Customers only)
+  router.post('/:jobId/change-orders/:changeOrderId/approve',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('jobId').isUUID(),
+      param('changeOrderId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const changeOrder = await changeOrderService.approveChangeOrder(
+          req.params.jobId, req.params.changeOrderId, toActor(req.user)
+        );
+        res.json(changeOrder);
+      } catch (error) {
+        handleChangeOrderError(res, error, 'Failed to approve change order', 'APPROVE_CHANGE_ORDER_ERROR');
+      }
+    }
+  );
+
+  // Decline Change Order (Customers only)
+  router.post('/:jobId/change-orders/:changeOrderId/decline',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('jobId').isUUID(),
+      param('changeOrderId').isUUID(),
+      body('reason').optional().trim().isLength({ max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const changeOrder = await changeOrderService.declineChangeOrder(
+          req.params.jobId, req.params.changeOrderId, toActor(req.user), { reason: req.body.reason }
+        );
+        res.json(changeOrder);
+      } catch (error) {
+        handleChangeOrderError(res, error, 'Failed to decline change order', 'DECLINE_CHANGE_ORDER_ERROR');
+      }
+    }
+  );
+
+  // Withdraw Change Order (Contractors only)
+  router.delete('/:jobId/change-orders/:changeOrderId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('jobId').isUUID(),
+      param('changeOrderId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const changeOrder = await changeOrderService.withdrawChangeOrder(
+          req.params.jobId, req.params.changeOrderId, toActor(req.user)
+        );
+        res.json(changeOrder);
+      } catch (error) {
+        handleChangeOrderError(res, error, 'Failed to withdraw change order', 'WITHDRAW_CHANGE_ORDER_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  ChangeOrderService,
+  ChangeOrderError,
+  CHANGE_ORDER_STATUSES,
+  createChangeOrderRoutes
+};
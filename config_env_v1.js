@@ -14,6 +14,11 @@ const path = require('path');
 // Load environment variables
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
+// Development-only fallbacks; validateConfig refuses them in production
+const DEFAULT_JWT_SECRET = 'your-super-secret-jwt-key-change-in-production';
+const DEFAULT_JWT_KEY_ENCRYPTION_KEY = 'your-jwt-key-encryption-key-change-in-production';
+const DEFAULT_MFA_ENCRYPTION_KEY = 'your-mfa-encryption-key-change-in-production';
+
 /**
  * Environment Configuration Object
  * Centralizes all environment variables with validation and defaults
@@ -67,11 +72,22 @@ const config = {
   auth: {
     // JWT Configuration
     jwt: {
-      secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
+      secret: process.env.JWT_SECRET || DEFAULT_JWT_SECRET, // Refresh, step-up and account link tokens
       accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
       refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
       issuer: process.env.JWT_ISSUER || 'trades-platform',
       audience: process.env.JWT_AUDIENCE || 'trades-users',
+      refreshReuseGraceSeconds: parseInt(process.env.JWT_REFRESH_REUSE_GRACE_SECONDS || '30', 10), // Concurrent refreshes tolerated
+
+      // Asymmetric access token signing (key ring published at /.well-known/jwks.json)
+      signing: {
+        algorithm: process.env.JWT_SIGNING_ALGORITHM || 'RS256', // RS256 or ES256
+        keyEncryptionKey: process.env.JWT_KEY_ENCRYPTION_KEY || DEFAULT_JWT_KEY_ENCRYPTION_KEY,
+        rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30', 10),
+        publishLeadMinutes: parseInt(process.env.JWT_KEY_PUBLISH_LEAD_MINUTES || '60', 10), // In JWKS before first use
+        overlapHours: parseInt(process.env.JWT_KEY_OVERLAP_HOURS || '24', 10), // In JWKS after last use
+        refreshSeconds: parseInt(process.env.JWT_KEY_REFRESH_SECONDS || '60', 10), // Key ring reload interval
+      },
     },
     
     // Password Requirements
@@ -82,19 +98,61 @@ const config = {
       requireNumbers: process.env.PASSWORD_REQUIRE_NUMBERS !== 'false',
       requireSpecialChars: process.env.PASSWORD_REQUIRE_SPECIAL !== 'false',
     },
-    
+
+    // Multi-Factor Authentication
+    mfa: {
+      issuer: process.env.MFA_ISSUER || 'Trades Platform', // Shown in authenticator apps
+      encryptionKey: process.env.MFA_ENCRYPTION_KEY || DEFAULT_MFA_ENCRYPTION_KEY,
+      totpWindow: parseInt(process.env.MFA_TOTP_WINDOW || '1', 10), // 30s steps accepted either side of now
+      challengeTtlMinutes: parseInt(process.env.MFA_CHALLENGE_TTL_MINUTES || '10', 10),
+      smsResendSeconds: parseInt(process.env.MFA_SMS_RESEND_SECONDS || '30', 10),
+      maxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS || '5', 10), // Per challenge
+      accountMaxFailures: parseInt(process.env.MFA_ACCOUNT_MAX_FAILURES || '10', 10), // Across challenges, per window
+      failureWindowMinutes: parseInt(process.env.MFA_FAILURE_WINDOW_MINUTES || '15', 10),
+      lockoutMinutes: parseInt(process.env.MFA_LOCKOUT_MINUTES || '30', 10),
+      stepUpMinutes: parseInt(process.env.MFA_STEP_UP_MINUTES || '10', 10),
+      recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT || '10', 10),
+      trustedDeviceDays: parseInt(process.env.MFA_TRUSTED_DEVICE_DAYS || '30', 10),
+    },
+
+    // Email Verification and Password Reset Links
+    accountTokens: {
+      linkBaseUrl: process.env.ACCOUNT_LINK_BASE_URL || 'https://tradesplatform.com',
+      emailVerificationHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10),
+      passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+      resendCooldownSeconds: parseInt(process.env.ACCOUNT_TOKEN_RESEND_SECONDS || '60', 10),
+    },
+
+    // Failed Login Tracking
+    lockout: {
+      store: process.env.LOGIN_ATTEMPT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis'), // redis, memory
+      windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10), // Failures counted until this long without one
+      freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3', 10), // Per account before delays start
+      baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS || '2', 10), // Doubles with each further failure
+      maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10),
+      accountMaxAttempts: parseInt(process.env.LOGIN_ACCOUNT_MAX_ATTEMPTS || '10', 10),
+      ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '50', 10), // Across all accounts
+      lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10),
+    },
+
     // OAuth Providers
     oauth: {
+      jwksCacheMinutes: parseInt(process.env.OAUTH_JWKS_CACHE_MINUTES || '60', 10), // Provider signing keys
+      nonceTtlMinutes: parseInt(process.env.OAUTH_NONCE_TTL_MINUTES || '10', 10), // Issued nonce must be used within this
       google: {
         clientId: process.env.GOOGLE_CLIENT_ID || '',
         clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
         redirectUri: process.env.GOOGLE_REDIRECT_URI || '',
+        // ID token audiences: web, iOS and Android client IDs
+        audiences: (process.env.GOOGLE_ID_TOKEN_AUDIENCES || process.env.GOOGLE_CLIENT_ID || '').split(',').filter(Boolean),
       },
       apple: {
         clientId: process.env.APPLE_CLIENT_ID || '',
         teamId: process.env.APPLE_TEAM_ID || '',
         keyId: process.env.APPLE_KEY_ID || '',
         privateKey: process.env.APPLE_PRIVATE_KEY || '',
+        // ID token audiences: Services ID (web) and app bundle IDs
+        audiences: (process.env.APPLE_ID_TOKEN_AUDIENCES || process.env.APPLE_CLIENT_ID || '').split(',').filter(Boolean),
       }
     }
   },
@@ -113,15 +171,89 @@ const config = {
       platformFeePercent: parseFloat(process.env.PLATFORM_FEE_PERCENT || '2.9'),
       stripeFeePercent: parseFloat(process.env.STRIPE_FEE_PERCENT || '2.9'),
       stripeFeeFixed: parseInt(process.env.STRIPE_FEE_FIXED || '30', 10), // cents
+    },
+    
+    // Milestone Escrow
+    milestones: {
+      maxPerJob: parseInt(process.env.MILESTONE_MAX_PER_JOB || '10', 10),
+      authorizationValidityDays: parseInt(process.env.STRIPE_AUTH_VALIDITY_DAYS || '7', 10),
+      renewBeforeHours: parseInt(process.env.MILESTONE_AUTH_RENEW_BEFORE_HOURS || '24', 10),
+      expiryStrategy: process.env.MILESTONE_AUTH_EXPIRY_STRATEGY || 'reauthorize', // reauthorize, charge_on_approval
+    },
+    
+    // Webhook Event Processing
+    webhooks: {
+      maxAttempts: parseInt(process.env.STRIPE_WEBHOOK_MAX_ATTEMPTS || '8', 10),
+      retryBaseSeconds: parseInt(process.env.STRIPE_WEBHOOK_RETRY_BASE_SECONDS || '60', 10), // Doubles after each failure
+      staleProcessingMinutes: parseInt(process.env.STRIPE_WEBHOOK_STALE_MINUTES || '10', 10), // Reclaim events left mid-processing
+    },
+    
+    // Nightly Payout Reconciliation
+    reconciliation: {
+      roundingToleranceCents: parseInt(process.env.RECONCILIATION_ROUNDING_TOLERANCE_CENTS || '1', 10), // Reported separately from real mismatches
+      settlementLagMinutes: parseInt(process.env.RECONCILIATION_SETTLEMENT_LAG_MINUTES || '60', 10), // Transfers matched this long after the day ends
     }
   },
 
+  // Job Lifecycle Policies
+  jobs: {
+    cancellation: {
+      freeWindowHours: parseInt(process.env.JOB_CANCEL_FREE_WINDOW_HOURS || '24', 10),
+      lateFeePercent: parseFloat(process.env.JOB_CANCEL_LATE_FEE_PERCENT || '15'),
+      lateFeeMinimum: parseFloat(process.env.JOB_CANCEL_LATE_FEE_MIN || '25'),
+      noShowGraceMinutes: parseInt(process.env.JOB_NO_SHOW_GRACE_MINUTES || '30', 10),
+      reopenOnContractorCancel: process.env.JOB_REOPEN_ON_CONTRACTOR_CANCEL !== 'false',
+      settlementMaxAttempts: parseInt(process.env.JOB_CANCEL_SETTLEMENT_MAX_ATTEMPTS || '10', 10), // Escrow settlement retries before staff follow up
+    },
+    disputes: {
+      settlementMaxAttempts: parseInt(process.env.DISPUTE_SETTLEMENT_MAX_ATTEMPTS || '10', 10), // Escrow settlement retries before staff follow up
+    },
+    completion: {
+      autoApproveHours: parseInt(process.env.JOB_AUTO_APPROVE_HOURS || '72', 10),
+      requireAfterPhotos: process.env.JOB_REQUIRE_AFTER_PHOTOS !== 'false',
+    },
+    recurring: {
+      generateAheadDays: parseInt(process.env.RECURRING_GENERATE_AHEAD_DAYS || '14', 10),
+      holdLeadDays: parseInt(process.env.RECURRING_HOLD_LEAD_DAYS || '2', 10),
+      maxOccurrencesPerSeries: parseInt(process.env.RECURRING_MAX_OCCURRENCES || '520', 10),
+    },
+    alerts: {
+      maxSavedSearches: parseInt(process.env.JOB_ALERTS_MAX_SAVED_SEARCHES || '10', 10),
+      alertIntervalMinutes: parseInt(process.env.JOB_ALERTS_INTERVAL_MINUTES || '30', 10),
+      digestHour: parseInt(process.env.JOB_ALERTS_DIGEST_HOUR || '7', 10), // server time
+    },
+    drafts: {
+      expiryDays: parseInt(process.env.JOB_DRAFT_EXPIRY_DAYS || '30', 10),
+      maxOpenDrafts: parseInt(process.env.JOB_DRAFT_MAX_OPEN || '5', 10),
+    },
+    emergency: {
+      offerTimeoutSeconds: parseInt(process.env.EMERGENCY_OFFER_TIMEOUT_SECONDS || '120', 10),
+      waveSizes: (process.env.EMERGENCY_WAVE_SIZES || '1,2,4').split(',').map(size => parseInt(size, 10)), // last size repeats
+      maxCandidates: parseInt(process.env.EMERGENCY_MAX_CANDIDATES || '12', 10),
+      radiusMiles: parseInt(process.env.EMERGENCY_RADIUS_MILES || '25', 10),
+    }
+  },
+
+  // Personal Data Requests (GDPR/CCPA)
+  privacy: {
+    exportRetentionDays: parseInt(process.env.PRIVACY_EXPORT_RETENTION_DAYS || '7', 10), // Download window
+    exportCooldownHours: parseInt(process.env.PRIVACY_EXPORT_COOLDOWN_HOURS || '24', 10),
+    deletionGraceDays: parseInt(process.env.PRIVACY_DELETION_GRACE_DAYS || '30', 10), // Cancellable until then
+    settingsUrl: process.env.PRIVACY_SETTINGS_URL || 'https://tradesplatform.com/settings/privacy'
+  },
+
   // External Services
   services: {
     // Maps & Geolocation
     maps: {
       googleApiKey: process.env.GOOGLE_MAPS_API_KEY || '',
       mapboxApiKey: process.env.MAPBOX_API_KEY || '',
+      geocoding: {
+        provider: process.env.GEOCODING_PROVIDER || 'google', // google, mapbox, fixture
+        fixturesPath: process.env.GEOCODING_FIXTURES_PATH || '', // JSON file for the fixture provider
+        cacheDays: parseInt(process.env.GEOCODING_CACHE_DAYS || '90', 10),
+        notFoundCacheHours: parseInt(process.env.GEOCODING_NOT_FOUND_CACHE_HOURS || '24', 10),
+      }
     },
     
     // Communication
@@ -148,12 +280,24 @@ const config = {
     
     // File Storage
     storage: {
+      driver: process.env.STORAGE_DRIVER || 'local', // local, s3
+      local: {
+        directory: process.env.STORAGE_LOCAL_DIR || path.resolve(__dirname, '../uploads'),
+        publicBaseUrl: process.env.STORAGE_LOCAL_BASE_URL || '/uploads',
+      },
       aws: {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || '',
         region: process.env.AWS_REGION || 'us-east-1',
         s3Bucket: process.env.AWS_S3_BUCKET || 'trades-platform-files',
         cloudFrontDomain: process.env.AWS_CLOUDFRONT_DOMAIN || '',
+        endpoint: process.env.AWS_S3_ENDPOINT || '', // S3-compatible stores (MinIO, R2)
+        forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true',
+      },
+      photos: {
+        maxFileSizeMb: parseInt(process.env.PHOTO_MAX_FILE_SIZE_MB || '15', 10),
+        maxDimension: parseInt(process.env.PHOTO_MAX_DIMENSION || '2048', 10),
+        thumbnailWidth: parseInt(process.env.PHOTO_THUMBNAIL_WIDTH || '320', 10),
       }
     }
   },
@@ -193,8 +337,8 @@ const config = {
   cors: {
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
     credentials: process.env.CORS_CREDENTIALS === 'true',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Step-Up-Token'], // X-Step-Up-Token carries the MFA step-up proof
   },
 
   // Mobile App Configuration
@@ -244,10 +388,26 @@ function validateConfig() {
   }
 
   // Validate JWT secret strength in production
+  if (config.NODE_ENV === 'production' && config.auth.jwt.secret === DEFAULT_JWT_SECRET) {
+    throw new Error('JWT secret is still the default value; refusing to start in production');
+  }
+
   if (config.NODE_ENV === 'production' && config.auth.jwt.secret.length < 32) {
     throw new Error('JWT secret must be at least 32 characters long in production');
   }
 
+  if (config.NODE_ENV === 'production' && config.auth.jwt.signing.keyEncryptionKey === DEFAULT_JWT_KEY_ENCRYPTION_KEY) {
+    throw new Error('JWT key encryption key is still the default value; refusing to start in production');
+  }
+
+  if (config.NODE_ENV === 'production' && config.auth.mfa.encryptionKey === DEFAULT_MFA_ENCRYPTION_KEY) {
+    throw new Error('MFA encryption key is still the default value; refusing to start in production');
+  }
+
+  if (!['RS256', 'ES256'].includes(config.auth.jwt.signing.algorithm)) {
+    throw new Error(`Unsupported JWT signing algorithm: ${config.auth.jwt.signing.algorithm}`);
+  }
+
   return true;
 }
 
@@ -277,27 +277,35 @@ function OpportunityCard({ job }) {
 
   const handleQuickApply = async () => {
     try {
-      const response = await fetch(`/api/v1/jobs/${job.id}/apply`, {
+      const response = await fetch(`/api/v1/jobs/${job.id}/quotes`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${await getAuthToken()}`
         },
         body: JSON.stringify({
-          quotedPrice: job.estimatedCost,
-          message: 'I can handle this job efficiently with my experience.',
-          estimatedCompletionDate: new Date().toISOString().split('T')[0]
+          lineItems: [{
+            description: job.title,
+            category: 'labor',
+            quantity: 1,
+            unitPrice: job.estimatedCost
+          }],
+          notes: 'I can handle this job efficiently with my experience.',
+          estimatedStartDate: new Date().toISOString().split('T')[0]
         })
       });
 
       if (response.ok) {
-        Alert.alert('Success', 'Application submitted successfully!');
+        Alert.alert('Success', 'Quote submitted successfully!');
+      } else if (response.status === 409) {
+        const error = await response.json();
+        Alert.alert('Quote Not Submitted', error.error);
       } else {
-        throw new Error('Failed to apply');
+        throw new Error('Failed to submit quote');
       }
     } catch (error) {
       console.error('Quick apply error:', error);
-      Alert.alert('Error', 'Failed to submit application');
+      Alert.alert('Error', 'Failed to submit quote');
     }
   };
 
@@ -355,9 +363,12 @@ function ActiveJobScreen({ route }) {
   const [isTimerRunning, setIsTimerRunning] = useState(false);
   const [workPhotos, setWorkPhotos] = useState([]);
   const [materialsUsed, setMaterialsUsed] = useState([]);
+  const [changeOrders, setChangeOrders] = useState([]);
+  const [changeOrderDraft, setChangeOrderDraft] = useState({ description: '', amount: '' });
 
   useEffect(() => {
     fetchJobDetails();
+    fetchChangeOrders();
     setupTimer();
   }, []);
 
@@ -373,6 +384,49 @@ function ActiveJobScreen({ route }) {
     }
   };
 
+  const fetchChangeOrders = async () => {
+    try {
+      const response = await fetch(`/api/v1/jobs/${jobId}/change-orders`, {
+        headers: { 'Authorization': `Bearer ${await getAuthToken()}` }
+      });
+      const result = await response.json();
+      setChangeOrders(result.data || []);
+    } catch (error) {
+      console.error('Failed to fetch change orders:', error);
+    }
+  };
+
+  const proposeChangeOrder = async () => {
+    try {
+      const response = await fetch(`/api/v1/jobs/${jobId}/change-orders`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${await getAuthToken()}`
+        },
+        body: JSON.stringify({
+          description: changeOrderDraft.description,
+          lineItems: [{
+            description: changeOrderDraft.description.slice(0, 255),
+            unitPrice: parseFloat(changeOrderDraft.amount)
+          }]
+        })
+      });
+
+      if (response.ok) {
+        const changeOrder = await response.json();
+        setChangeOrders([...changeOrders, changeOrder]);
+        setChangeOrderDraft({ description: '', amount: '' });
+        Alert.alert('Sent', 'Change order sent to the customer for approval');
+      } else {
+        const error = await response.json();
+        Alert.alert('Could not send change order', error.error);
+      }
+    } catch (error) {
+      console.error('Propose change order error:', error);
+    }
+  };
+
   const startTimer = () => {
     setIsTimerRunning(true);
     // Start background timer
@@ -511,6 +565,38 @@ function ActiveJobScreen({ route }) {
           </TouchableOpacity>
         </View>
 
+        {/* Change Orders */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Change Orders</Text>
+          {changeOrders.map((changeOrder) => (
+            <View key={changeOrder.id} style={styles.materialItem}>
+              <Text style={styles.materialName}>{changeOrder.description}</Text>
+              <Text style={styles.materialCost}>${changeOrder.amount} · {changeOrder.status}</Text>
+            </View>
+          ))}
+          <TextInput
+            style={styles.changeOrderInput}
+            placeholder="Describe the extra work"
+            value={changeOrderDraft.description}
+            onChangeText={(description) => setChangeOrderDraft({ ...changeOrderDraft, description })}
+            multiline
+          />
+          <TextInput
+            style={styles.changeOrderInput}
+            placeholder="Added price ($)"
+            value={changeOrderDraft.amount}
+            onChangeText={(amount) => setChangeOrderDraft({ ...changeOrderDraft, amount })}
+            keyboardType="decimal-pad"
+          />
+          <TouchableOpacity
+            style={styles.addMaterialButton}
+            onPress={proposeChangeOrder}
+            disabled={changeOrderDraft.description.length < 10 || !(parseFloat(changeOrderDraft.amount) > 0)}
+          >
+            <Text style={styles.addMaterialText}>+ Propose Change Order</Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
           <TouchableOpacity style={styles.updateButton}>
@@ -627,6 +713,14 @@ const styles = StyleSheet.create({
     color: '#1e293b',
     marginBottom: 12,
   },
+  changeOrderInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+    color: '#1e293b',
+  },
   jobCard: {
     backgroundColor: '#f8fafc',
     borderRadius: 12,
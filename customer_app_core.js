@@ -1,7 +1,7 @@
 // Customer Mobile App - Core Implementation
 // Based on customer_mobile_app_v1.md specifications
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -190,6 +190,8 @@ function JobCard({ job }) {
 // Post Job Screen Implementation
 function PostJobScreen({ navigation }) {
   const [currentStep, setCurrentStep] = useState(1);
+  const draftId = useRef(null);
+  const pendingSave = useRef(Promise.resolve());
   const [jobData, setJobData] = useState({
     title: '',
     description: '',
@@ -202,6 +204,77 @@ function PostJobScreen({ navigation }) {
     photos: []
   });
 
+  useEffect(() => {
+    // Pick up where the customer left off if the app was closed mid-flow
+    resumeDraft();
+  }, []);
+
+  const resumeDraft = async () => {
+    try {
+      const response = await fetch('/api/v1/jobs/drafts', {
+        headers: {
+          'Authorization': `Bearer ${await getAuthToken()}`
+        }
+      });
+      const drafts = await response.json();
+      const draft = drafts.data?.[0];
+      if (!draft) return;
+
+      draftId.current = draft.id;
+      setJobData(current => ({
+        ...current,
+        title: draft.title || '',
+        description: draft.description || '',
+        tradeCategory: draft.tradeCategory || '',
+        serviceAddress: draft.serviceAddress || {},
+        estimatedCost: draft.estimatedCost !== null ? String(draft.estimatedCost) : '',
+        preferredDate: draft.preferredDate,
+        preferredTimeStart: draft.preferredTimeStart?.slice(0, 5) || '',
+        preferredTimeEnd: draft.preferredTimeEnd?.slice(0, 5) || ''
+      }));
+      setCurrentStep(draft.step || 1);
+    } catch (error) {
+      console.error('Failed to resume job draft:', error);
+    }
+  };
+
+  // Autosave on every step change; a failed save never blocks the flow.
+  // Saves are queued so a quick second tap reuses the first one's draft.
+  const saveDraft = (step) => {
+    pendingSave.current = pendingSave.current.then(() => persistDraft(step));
+    return pendingSave.current;
+  };
+
+  const persistDraft = async (step) => {
+    const { photos, ...fields } = jobData;
+
+    try {
+      const response = await fetch(draftId.current ? `/api/v1/jobs/drafts/${draftId.current}` : '/api/v1/jobs/drafts', {
+        method: draftId.current ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${await getAuthToken()}`
+        },
+        body: JSON.stringify({ ...fields, step })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Draft save failed with status ${response.status}`);
+      }
+
+      const draft = await response.json();
+      draftId.current = draft.id;
+    } catch (error) {
+      console.error('Save job draft error:', error);
+    }
+    return draftId.current;
+  };
+
+  const goToStep = (step) => {
+    saveDraft(step);
+    setCurrentStep(step);
+  };
+
   const renderStep = () => {
     switch (currentStep) {
       case 1:
@@ -223,26 +296,42 @@ function PostJobScreen({ navigation }) {
 
   const handleNext = () => {
     if (currentStep < 6) {
-      setCurrentStep(currentStep + 1);
+      goToStep(currentStep + 1);
     } else {
       submitJob();
     }
   };
 
+  // Steps that collect each field, for sending the customer back to fix it
+  const FIELD_STEPS = {
+    tradeCategory: 1,
+    title: 2,
+    description: 2,
+    preferredDate: 5
+  };
+
   const submitJob = async () => {
     try {
-      const response = await fetch('/api/v1/jobs', {
+      const savedDraftId = await saveDraft(currentStep);
+      if (!savedDraftId) {
+        throw new Error('Failed to save job draft');
+      }
+
+      const response = await fetch(`/api/v1/jobs/drafts/${savedDraftId}/publish`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
           'Authorization': `Bearer ${await getAuthToken()}`
-        },
-        body: JSON.stringify(jobData)
+        }
       });
 
       if (response.ok) {
         const newJob = await response.json();
         navigation.navigate('JobDetails', { jobId: newJob.id });
+      } else if (response.status === 422) {
+        const { details } = await response.json();
+        const [firstProblem] = details.fields;
+        Alert.alert('Almost there', firstProblem.message);
+        setCurrentStep(firstProblem.field.startsWith('serviceAddress') ? 3 : FIELD_STEPS[firstProblem.field] || 1);
       } else {
         throw new Error('Failed to create job');
       }
@@ -271,7 +360,7 @@ function PostJobScreen({ navigation }) {
         {currentStep > 1 && (
           <TouchableOpacity 
             style={styles.backButton}
-            onPress={() => setCurrentStep(currentStep - 1)}
+            onPress={() => goToStep(currentStep - 1)}
           >
             <Text style={styles.backText}>Back</Text>
           </TouchableOpacity>
@@ -60,7 +60,82 @@ CREATE TYPE payment_status AS ENUM (
     'completed',
     'failed',
     'refunded',
-    'disputed'
+    'disputed',
+    'cancelled'        -- Escrow hold released without capture
+);
+
+-- Contractor quote status
+CREATE TYPE quote_status AS ENUM (
+    'pending',         -- Awaiting customer decision
+    'accepted',        -- Customer accepted, job assigned
+    'declined',        -- Customer declined this quote
+    'rejected',        -- Another quote was accepted
+    'withdrawn',       -- Contractor withdrew the quote
+    'expired'          -- Validity window passed
+);
+
+-- Change order status
+CREATE TYPE change_order_status AS ENUM (
+    'proposed',        -- Awaiting customer decision
+    'approving',       -- Customer approved, escrow being adjusted
+    'approved',        -- Customer approved, price and escrow adjusted
+    'declined',        -- Customer declined
+    'withdrawn'        -- Contractor withdrew, or job closed first
+);
+
+-- Milestone status
+CREATE TYPE milestone_status AS ENUM (
+    'pending',         -- Defined, not yet funded
+    'funded',          -- Escrow hold placed (or saved card on file)
+    'submitted',       -- Contractor marked the milestone done
+    'approved',        -- Customer approved, release in progress
+    'released',        -- Payment captured to the contractor
+    'cancelled'        -- Job cancelled before release
+);
+
+-- Recurring series status
+CREATE TYPE recurring_series_status AS ENUM (
+    'active',          -- Generating occurrences
+    'paused',          -- Temporarily not generating, optionally until a date
+    'ended'            -- Ended by the customer or rule exhausted
+);
+
+-- Emergency dispatch progress
+CREATE TYPE dispatch_status AS ENUM (
+    'searching',       -- Offers out, waiting for an acceptance
+    'accepted',        -- A contractor accepted and the job was assigned
+    'exhausted',       -- Every candidate declined or let the offer time out
+    'cancelled'        -- Stopped by the customer or the job closed
+);
+
+-- Emergency dispatch offer to a single contractor
+CREATE TYPE dispatch_offer_status AS ENUM (
+    'offered',         -- Waiting for the contractor, until expires_at
+    'accepted',        -- Contractor took the job
+    'declined',        -- Contractor turned it down
+    'expired',         -- Accept window ran out
+    'withdrawn'        -- Job taken by someone else or dispatch stopped
+);
+
+-- Dispute status
+CREATE TYPE dispute_status AS ENUM (
+    'open',            -- Awaiting admin pickup
+    'under_review',    -- Assigned to an admin
+    'resolved'         -- Resolution applied
+);
+
+-- Staff roles; each grants a fixed permission set (see auth_strategy_v1)
+CREATE TYPE staff_role AS ENUM (
+    'admin',           -- Everything, including role management
+    'support',         -- Account lookups, jobs, dispute triage
+    'moderator',       -- Review moderation
+    'finance'          -- Payments, payouts and revenue metrics
+);
+
+-- Second factor kinds a user can enroll
+CREATE TYPE mfa_method AS ENUM (
+    'totp',            -- Authenticator app (RFC 6238 time-based codes)
+    'sms'              -- One-time code texted to the enrolled phone
 );
 
 -- Priority levels
@@ -118,7 +193,9 @@ CREATE TABLE users (
 CREATE TABLE user_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    refresh_token_hash VARCHAR(255) NOT NULL,
+    refresh_token_hash VARCHAR(255) NOT NULL, -- Current token; rotated on every refresh
+    previous_refresh_token_hash VARCHAR(255), -- Token it replaced, tolerated briefly for concurrent refreshes
+    refresh_rotated_at TIMESTAMP,
     device_type VARCHAR(50), -- mobile, web, desktop
     device_info JSONB,
     ip_address INET,
@@ -128,6 +205,163 @@ CREATE TABLE user_sessions (
     last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Second factors enrolled for multi-factor authentication
+CREATE TABLE user_mfa_factors (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    method mfa_method NOT NULL,
+    
+    secret_encrypted TEXT, -- TOTP seed, AES-256-GCM encrypted
+    phone VARCHAR(20), -- SMS destination
+    last_used_step BIGINT, -- Last accepted TOTP time step, blocks code replay
+    
+    verified_at TIMESTAMP, -- NULL while enrollment is pending
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(user_id, method)
+);
+
+-- Single-use recovery codes for when no second factor is at hand
+CREATE TABLE mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pending second-factor checks for login, step-up and SMS enrollment
+CREATE TABLE mfa_challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL, -- login, step_up, enroll
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    
+    sms_code_hash VARCHAR(64),
+    sms_sent_at TIMESTAMP,
+    attempts SMALLINT DEFAULT 0,
+    device_info JSONB, -- Login only: device that passed the password check
+    
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Devices allowed to skip the second factor at login ("remember this device")
+CREATE TABLE trusted_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL, -- Latest session signed in from this device
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    
+    device_type VARCHAR(50),
+    user_agent TEXT,
+    ip_address INET,
+    
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use email verification and password reset links
+CREATE TABLE account_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- Signed into the link as the JWT ID
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL, -- email_verification, password_reset
+    email VARCHAR(255) NOT NULL, -- Address the link was sent to; stale once the account email changes
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP, -- Used, or superseded by a newer link
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sign in with Google / Apple identities linked to accounts
+CREATE TABLE user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL, -- google, apple
+    provider_user_id VARCHAR(255) NOT NULL, -- ID token subject
+    email VARCHAR(255), -- As reported by the provider; may be an Apple private relay address
+    is_private_relay BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(provider, provider_user_id),
+    UNIQUE(user_id, provider)
+);
+
+-- Single-use nonces issued for Google / Apple sign-in
+CREATE TABLE oauth_nonces (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(20) NOT NULL, -- google, apple
+    nonce_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Key ring for asymmetric access token signing, published at /.well-known/jwks.json
+CREATE TABLE jwt_signing_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    kid VARCHAR(64) UNIQUE NOT NULL, -- JWT header key ID
+    algorithm VARCHAR(10) NOT NULL, -- RS256, ES256
+    public_key TEXT NOT NULL, -- PEM (SPKI)
+    private_key_encrypted TEXT NOT NULL, -- PEM (PKCS#8), AES-256-GCM
+    activates_at TIMESTAMP NOT NULL, -- Signs new tokens from here; published before
+    expires_at TIMESTAMP NOT NULL, -- Dropped from the ring; tokens signed with it stop verifying
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Staff roles granted on top of the one implied by user_type
+CREATE TABLE user_roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role staff_role NOT NULL,
+    granted_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(user_id, role)
+);
+
+-- Staff actions taken through the admin API
+CREATE TABLE admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id UUID NOT NULL REFERENCES users(id),
+    action VARCHAR(50) NOT NULL, -- e.g. user_status_changed, role_granted, review_moderated
+    target_type VARCHAR(30) NOT NULL, -- user, review, ...
+    target_id UUID,
+    details JSONB DEFAULT '{}',
+    ip_address INET,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Self-service personal data exports (ZIP of JSON/CSV per domain)
+CREATE TABLE data_export_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, processing, ready, failed, expired
+    storage_key TEXT, -- Unguessable key; downloads go through the authenticated API only
+    file_size INTEGER,
+    error TEXT,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP, -- File deleted after this
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Account deletion requests, cancellable during the grace period
+CREATE TABLE account_deletion_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    status VARCHAR(20) DEFAULT 'scheduled', -- scheduled, cancelled, completed
+    reason TEXT,
+    scheduled_for TIMESTAMP NOT NULL,
+    last_error TEXT, -- Why the last attempt was held back (e.g. an active job)
+    cancelled_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- User preferences and settings
 CREATE TABLE user_preferences (
     user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
@@ -247,6 +481,46 @@ CREATE TABLE contractor_insurance (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Contractor working hours used when scheduling jobs
+CREATE TABLE contractor_availability (
+    contractor_id UUID PRIMARY KEY REFERENCES contractor_profiles(user_id) ON DELETE CASCADE,
+    
+    working_hours JSONB NOT NULL, -- {monday: {enabled, start, end}, ...}
+    time_zone VARCHAR(50) NOT NULL DEFAULT 'America/Chicago',
+    break_duration_minutes INTEGER DEFAULT 30,
+    max_jobs_per_day INTEGER DEFAULT 6,
+    advance_booking_days INTEGER DEFAULT 30,
+    emergency_available BOOLEAN DEFAULT false,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Contractor days off
+CREATE TABLE contractor_blocked_dates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contractor_id UUID NOT NULL REFERENCES contractor_profiles(user_id) ON DELETE CASCADE,
+    
+    blocked_date DATE NOT NULL,
+    reason VARCHAR(255),
+    all_day BOOLEAN DEFAULT true,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- GPS breadcrumbs reported by contractors while on the way to or at a job
+CREATE TABLE contractor_location_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contractor_id UUID NOT NULL REFERENCES contractor_profiles(user_id) ON DELETE CASCADE,
+    
+    latitude DECIMAL(10,7) NOT NULL,
+    longitude DECIMAL(10,7) NOT NULL,
+    accuracy DECIMAL(8,2), -- meters
+    recorded_at TIMESTAMP NOT NULL,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =================================================================
 -- JOB MANAGEMENT
 -- =================================================================
@@ -257,20 +531,21 @@ CREATE TABLE jobs (
     customer_id UUID NOT NULL REFERENCES users(id),
     contractor_id UUID REFERENCES contractor_profiles(user_id),
     
-    -- Job Details
-    title VARCHAR(255) NOT NULL,
-    description TEXT NOT NULL,
-    trade_category trade_category NOT NULL,
+    -- Job Details (may be incomplete while the job is a draft, see CHECK below)
+    title VARCHAR(255),
+    description TEXT,
+    trade_category trade_category,
     priority priority_level DEFAULT 'medium',
     status job_status DEFAULT 'draft',
     
     -- Location
-    service_address_line1 VARCHAR(255) NOT NULL,
+    service_address_line1 VARCHAR(255),
     service_address_line2 VARCHAR(255),
-    service_city VARCHAR(100) NOT NULL,
-    service_state VARCHAR(50) NOT NULL,
-    service_zip_code VARCHAR(20) NOT NULL,
+    service_city VARCHAR(100),
+    service_state VARCHAR(50),
+    service_zip_code VARCHAR(20),
     service_coordinates GEOMETRY(POINT, 4326),
+    geocode_status VARCHAR(20), -- resolved, client, unresolved (no match), failed (retried)
     access_instructions TEXT,
     
     -- Pricing
@@ -285,6 +560,14 @@ CREATE TABLE jobs (
     preferred_time_end TIME,
     flexible_scheduling BOOLEAN DEFAULT false,
     urgency_level priority_level DEFAULT 'medium',
+    estimated_duration_hours DECIMAL(4,2),
+    customer_notes TEXT,
+    
+    -- Full-text search over title (weighted higher) and description
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED,
     
     -- Job lifecycle timestamps
     posted_at TIMESTAMP,
@@ -300,8 +583,21 @@ CREATE TABLE jobs (
     requires_insurance BOOLEAN DEFAULT true,
     requires_background_check BOOLEAN DEFAULT true,
     
+    -- Draft autosave (cleared when the draft is posted)
+    draft_step SMALLINT,
+    draft_expires_at TIMESTAMP,
+    
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Only drafts may leave job details or the service address unfilled
+    CONSTRAINT jobs_complete_unless_draft CHECK (
+        status = 'draft' OR (
+            title IS NOT NULL AND description IS NOT NULL AND trade_category IS NOT NULL AND
+            service_address_line1 IS NOT NULL AND service_city IS NOT NULL AND
+            service_state IS NOT NULL AND service_zip_code IS NOT NULL
+        )
+    )
 );
 
 -- Job photos for before/during/after documentation
@@ -311,9 +607,15 @@ CREATE TABLE job_photos (
     uploaded_by UUID NOT NULL REFERENCES users(id),
     
     photo_url TEXT NOT NULL,
-    photo_type VARCHAR(20) NOT NULL, -- before, during, after, issue, completion
+    thumbnail_url TEXT,
+    storage_key TEXT, -- object key in the configured storage backend
+    thumbnail_key TEXT,
+    photo_type VARCHAR(20) NOT NULL, -- before, progress, after, issue
     caption TEXT,
     timestamp_taken TIMESTAMP,
+    width INTEGER,
+    height INTEGER,
+    file_size INTEGER, -- bytes, after re-encoding
     
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -322,7 +624,7 @@ CREATE TABLE job_photos (
 CREATE TABLE job_status_history (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
-    changed_by UUID NOT NULL REFERENCES users(id),
+    changed_by UUID REFERENCES users(id), -- NULL for system-initiated transitions
     
     previous_status job_status,
     new_status job_status NOT NULL,
@@ -332,6 +634,227 @@ CREATE TABLE job_status_history (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Contractor quotes on posted jobs
+CREATE TABLE job_quotes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    contractor_id UUID NOT NULL REFERENCES contractor_profiles(user_id),
+    
+    status quote_status DEFAULT 'pending',
+    line_items JSONB NOT NULL, -- [{description, category, quantity, unitPrice, total}]
+    total_amount DECIMAL(10,2) NOT NULL,
+    notes TEXT,
+    estimated_duration_hours DECIMAL(5,2),
+    estimated_start_date DATE,
+    
+    valid_until TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    decline_reason TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Completion submissions awaiting customer review
+CREATE TABLE job_completions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    submitted_by UUID NOT NULL REFERENCES users(id),
+    
+    status VARCHAR(20) DEFAULT 'pending_review', -- pending_review, approved, auto_approved, rejected, superseded
+    work_duration_minutes INTEGER,
+    materials_used JSONB DEFAULT '[]', -- [{name, cost}]
+    materials_total DECIMAL(10,2) DEFAULT 0.00,
+    completion_notes TEXT,
+    final_price DECIMAL(10,2),
+    
+    review_due_at TIMESTAMP NOT NULL, -- auto-approved after this
+    reviewed_by UUID REFERENCES users(id), -- NULL when auto-approved
+    reviewed_at TIMESTAMP,
+    rejection_reason TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Job cancellations and the fee outcome applied
+CREATE TABLE job_cancellations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    cancelled_by UUID REFERENCES users(id),
+    canceller_role VARCHAR(20) NOT NULL, -- customer, contractor, admin
+    
+    reason_code VARCHAR(50) NOT NULL,
+    reason TEXT,
+    fault_party VARCHAR(20), -- customer, contractor or NULL when no-fault
+    fee_amount DECIMAL(10,2) DEFAULT 0.00,
+    escrow_action VARCHAR(20) NOT NULL, -- pending, none, cancelled, partial_capture
+    stripe_payment_intent_id VARCHAR(255),
+    
+    -- Escrow is settled after the status change commits; failures are retried
+    settlement_attempts SMALLINT DEFAULT 0,
+    settlement_error TEXT,
+    settled_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring job series (maintenance plans); each occurrence becomes a job
+CREATE TABLE recurring_job_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id),
+    contractor_id UUID REFERENCES contractor_profiles(user_id), -- assigned to every occurrence when set
+    
+    -- Job template
+    title VARCHAR(255) NOT NULL,
+    description TEXT NOT NULL,
+    trade_category trade_category NOT NULL,
+    priority priority_level DEFAULT 'medium',
+    service_address_line1 VARCHAR(255), -- NULL only once the customer's account is deleted
+    service_address_line2 VARCHAR(255),
+    service_city VARCHAR(100) NOT NULL,
+    service_state VARCHAR(50) NOT NULL,
+    service_zip_code VARCHAR(20) NOT NULL,
+    access_instructions TEXT,
+    price_per_occurrence DECIMAL(10,2) NOT NULL,
+    
+    -- Recurrence
+    recurrence_rule VARCHAR(255) NOT NULL, -- RRULE subset, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO
+    start_date DATE NOT NULL,
+    preferred_time_start TIME,
+    preferred_time_end TIME,
+    estimated_duration_hours DECIMAL(4,2),
+    generated_through DATE, -- occurrences up to this date have been generated
+    
+    -- Saved card used for per-occurrence escrow holds
+    stripe_customer_id VARCHAR(255),
+    payment_method_id VARCHAR(255),
+    
+    status recurring_series_status DEFAULT 'active',
+    paused_until DATE,
+    ended_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Generated and skipped occurrences of a recurring series
+CREATE TABLE recurring_job_occurrences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    series_id UUID NOT NULL REFERENCES recurring_job_series(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    
+    status VARCHAR(20) NOT NULL, -- generated, skipped
+    skip_reason TEXT,
+    skipped_by UUID REFERENCES users(id),
+    scheduling_error TEXT, -- contractor could not be assigned; job left posted
+    payment_error TEXT, -- saved card could not be authorized
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(series_id, occurrence_date)
+);
+
+-- Contractor saved searches used for new-job alerts
+CREATE TABLE saved_searches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contractor_id UUID NOT NULL REFERENCES contractor_profiles(user_id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    
+    -- Criteria (empty arrays and NULLs match anything)
+    keywords VARCHAR(200),
+    trade_categories trade_category[] DEFAULT '{}',
+    priorities priority_level[] DEFAULT '{}',
+    radius_miles INTEGER, -- NULL uses the contractor's service area
+    min_budget DECIMAL(10,2),
+    
+    -- Delivery
+    alert_mode VARCHAR(20) DEFAULT 'instant', -- instant, daily_digest, off
+    last_alerted_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Jobs matched by a saved search, pending until alerted
+CREATE TABLE saved_search_matches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    distance_miles DECIMAL(6,1),
+    
+    matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    notified_at TIMESTAMP,
+    
+    UNIQUE(saved_search_id, job_id)
+);
+
+-- Emergency dispatch runs; an urgent job is offered to ranked contractors in waves
+CREATE TABLE emergency_dispatches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    status dispatch_status DEFAULT 'searching',
+    
+    -- Ranked candidates: [{contractorId, smartScore, distance}]
+    candidates JSONB NOT NULL DEFAULT '[]',
+    current_wave INTEGER DEFAULT 0,
+    next_candidate_index INTEGER DEFAULT 0,
+    offer_timeout_seconds INTEGER NOT NULL,
+    
+    accepted_contractor_id UUID REFERENCES contractor_profiles(user_id),
+    started_by UUID REFERENCES users(id), -- NULL when started automatically
+    close_reason VARCHAR(255),
+    completed_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Individual offers sent during an emergency dispatch
+CREATE TABLE emergency_dispatch_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispatch_id UUID NOT NULL REFERENCES emergency_dispatches(id) ON DELETE CASCADE,
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    contractor_id UUID NOT NULL REFERENCES contractor_profiles(user_id),
+    
+    wave INTEGER NOT NULL,
+    rank INTEGER NOT NULL,
+    smart_score DECIMAL(4,3),
+    distance_miles DECIMAL(6,1),
+    offered_price DECIMAL(10,2) NOT NULL, -- Job's estimated cost when offered; becomes the agreed price on acceptance
+    
+    status dispatch_offer_status DEFAULT 'offered',
+    decline_reason VARCHAR(255),
+    offered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(dispatch_id, contractor_id)
+);
+
+-- Geocoding results per normalized address and provider, including "no match"
+CREATE TABLE geocode_cache (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    address_key VARCHAR(500) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    resolved BOOLEAN NOT NULL,
+    latitude DECIMAL(10,7),
+    longitude DECIMAL(10,7),
+    formatted_address TEXT,
+    place_id VARCHAR(255),
+    location_type VARCHAR(50),
+    
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(address_key, provider)
+);
+
 -- =================================================================
 -- PAYMENT SYSTEM
 -- =================================================================
@@ -350,6 +873,7 @@ CREATE TABLE payments (
     amount_stripe_fee DECIMAL(10,2) NOT NULL,
     
     payment_status payment_status DEFAULT 'pending',
+    payment_type VARCHAR(20) DEFAULT 'job', -- job, change_order, milestone
     payment_method VARCHAR(50), -- card, bank_transfer, apple_pay, google_pay
     
     -- Stripe integration
@@ -372,6 +896,73 @@ CREATE TABLE payments (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Change orders adding scope to an active job
+CREATE TABLE change_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    proposed_by UUID NOT NULL REFERENCES users(id),
+    
+    status change_order_status DEFAULT 'proposed',
+    description TEXT NOT NULL,
+    reason TEXT,
+    line_items JSONB NOT NULL, -- [{description, category, quantity, unitPrice, total}]
+    amount DECIMAL(10,2) NOT NULL,
+    previous_job_price DECIMAL(10,2),
+    
+    -- Escrow adjustment applied on approval
+    payment_action VARCHAR(20), -- increment, supplementary, none
+    payment_id UUID REFERENCES payments(id), -- supplementary hold, when one was needed
+    
+    responded_at TIMESTAMP,
+    decline_reason TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail for change orders
+CREATE TABLE change_order_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    change_order_id UUID NOT NULL REFERENCES change_orders(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id), -- NULL for system events
+    
+    event VARCHAR(50) NOT NULL, -- proposed, approved, declined, withdrawn, supplementary_hold_created
+    details JSONB DEFAULT '{}',
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Milestone schedule for multi-day jobs, each funded separately
+CREATE TABLE job_milestones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES users(id),
+    
+    sequence INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    amount DECIMAL(10,2) NOT NULL,
+    due_date DATE,
+    status milestone_status DEFAULT 'pending',
+    
+    -- Funding
+    funding_mode VARCHAR(20) DEFAULT 'escrow', -- escrow, charge_on_approval
+    payment_id UUID REFERENCES payments(id),
+    authorization_renewals INTEGER DEFAULT 0,
+    stripe_customer_id VARCHAR(255), -- saved for charge_on_approval
+    payment_method_id VARCHAR(255),
+    
+    submission_notes TEXT,
+    submitted_at TIMESTAMP,
+    approved_at TIMESTAMP,
+    released_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(job_id, sequence)
+);
+
 -- Contractor payout information
 CREATE TABLE contractor_payouts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -398,6 +989,92 @@ CREATE TABLE contractor_payouts (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Double-entry ledger: each money movement is a journal entry whose lines sum to zero
+CREATE TABLE ledger_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_type VARCHAR(30) NOT NULL, -- authorization, authorization_release, capture, stripe_fee, refund, payout
+    reference VARCHAR(255) UNIQUE NOT NULL, -- Idempotency key, e.g. capture:<payment id>, payout:<Stripe payout id>
+    
+    payment_id UUID REFERENCES payments(id),
+    job_id UUID REFERENCES jobs(id),
+    description TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Journal entry lines; append-only
+CREATE TABLE ledger_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_id UUID NOT NULL REFERENCES ledger_entries(id) ON DELETE CASCADE,
+    
+    account VARCHAR(30) NOT NULL, -- customer_funds, customer_escrow, contractor_payable, contractor_bank, platform_revenue, stripe_fees, refunds
+    party_id UUID REFERENCES users(id), -- Customer or contractor the line belongs to; NULL for platform accounts
+    amount_cents BIGINT NOT NULL CHECK (amount_cents <> 0), -- Positive moves money into the account, negative out of it
+    currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Verified Stripe webhook events, stored before processing so redeliveries run once
+CREATE TABLE stripe_webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    stripe_event_id VARCHAR(255) UNIQUE NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    stripe_account_id VARCHAR(255), -- Connect account the event came from, if any
+    livemode BOOLEAN DEFAULT false,
+    payload JSONB NOT NULL,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, processing, processed, ignored (no handler), failed
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    last_attempt_at TIMESTAMP,
+    next_retry_at TIMESTAMP, -- NULL once retries are exhausted; replay from the admin API
+    processed_at TIMESTAMP,
+    
+    stripe_created_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Nightly reconciliation of Stripe transfers, fees and payouts, one run per UTC day
+CREATE TABLE payout_reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    period_start TIMESTAMP UNIQUE NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, completed, failed
+    mismatch_count INTEGER DEFAULT 0,
+    summary JSONB DEFAULT '{}', -- Objects checked and mismatch counts by type
+    error TEXT,
+    
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Mismatches found by a reconciliation run, for finance to review
+CREATE TABLE payout_reconciliation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL REFERENCES payout_reconciliation_runs(id) ON DELETE CASCADE,
+    mismatch_type VARCHAR(30) NOT NULL, -- missing_transfer, unknown_transfer, amount_mismatch, rounding_difference, fee_discrepancy, payout_not_recorded, payout_amount_mismatch
+    
+    payment_id UUID REFERENCES payments(id),
+    job_id UUID REFERENCES jobs(id),
+    contractor_id UUID REFERENCES users(id),
+    stripe_account_id VARCHAR(255),
+    stripe_object_id VARCHAR(255), -- Transfer, balance transaction or payout
+    
+    expected_cents BIGINT, -- Per our records
+    actual_cents BIGINT, -- Per Stripe
+    difference_cents BIGINT,
+    details JSONB DEFAULT '{}',
+    
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id),
+    resolution_note TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =================================================================
 -- RATING AND REVIEW SYSTEM
 -- =================================================================
@@ -431,6 +1108,27 @@ CREATE TABLE reviews (
     UNIQUE(job_id, reviewer_id, reviewee_id)
 );
 
+-- Automatic quality flags raised on new reviews
+CREATE TABLE review_quality_flags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    flag_type VARCHAR(50) NOT NULL,
+    severity VARCHAR(20), -- low, medium, high
+    description TEXT,
+    auto_generated BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Moderator decisions on reviews
+CREATE TABLE review_moderation_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    moderator_id UUID NOT NULL REFERENCES users(id),
+    action VARCHAR(30) NOT NULL, -- approve, reject, hide, flag_for_review
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =================================================================
 -- MESSAGING SYSTEM
 -- =================================================================
@@ -474,6 +1172,47 @@ CREATE TABLE messages (
     system_message_data JSONB
 );
 
+-- Disputes raised on jobs, with escrow frozen until resolved
+CREATE TABLE disputes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id),
+    opened_by UUID NOT NULL REFERENCES users(id),
+    opened_by_role VARCHAR(20) NOT NULL, -- customer, contractor
+    
+    status dispute_status DEFAULT 'open',
+    reason VARCHAR(50) NOT NULL,
+    description TEXT NOT NULL,
+    previous_job_status job_status,
+    
+    -- Resolution
+    assigned_to UUID REFERENCES users(id),
+    resolution VARCHAR(20), -- release_full, partial_refund, cancel_full, resume_work
+    refund_amount DECIMAL(10,2),
+    resolution_notes TEXT,
+    payment_outcome JSONB, -- Stripe actions taken, including failures
+    resolved_by UUID REFERENCES users(id),
+    resolved_at TIMESTAMP,
+    settled_at TIMESTAMP, -- NULL after resolution until the escrow settlement succeeds
+    settlement_attempts SMALLINT DEFAULT 0,
+    settlement_error TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Evidence attached to a dispute: a job photo, a conversation message or a note
+CREATE TABLE dispute_evidence (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    submitted_by UUID NOT NULL REFERENCES users(id),
+    
+    photo_id UUID REFERENCES job_photos(id),
+    message_id UUID REFERENCES messages(id),
+    note TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =================================================================
 -- NOTIFICATIONS
 -- =================================================================
@@ -533,6 +1272,37 @@ CREATE INDEX idx_users_phone ON users(phone);
 CREATE INDEX idx_users_type_status ON users(user_type, account_status);
 CREATE INDEX idx_users_location ON users USING GIST(coordinates);
 
+-- Multi-factor authentication indexes
+CREATE INDEX idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id) WHERE used_at IS NULL;
+CREATE INDEX idx_mfa_challenges_user ON mfa_challenges(user_id, purpose);
+CREATE INDEX idx_mfa_challenges_expiry ON mfa_challenges(expires_at);
+CREATE INDEX idx_trusted_devices_user ON trusted_devices(user_id);
+CREATE INDEX idx_trusted_devices_session ON trusted_devices(session_id);
+
+-- Personal data request indexes
+CREATE INDEX idx_data_export_requests_user ON data_export_requests(user_id, created_at DESC);
+CREATE INDEX idx_data_export_requests_status ON data_export_requests(status, created_at);
+CREATE UNIQUE INDEX idx_account_deletion_requests_open ON account_deletion_requests(user_id) WHERE status = 'scheduled';
+CREATE INDEX idx_account_deletion_requests_due ON account_deletion_requests(scheduled_for) WHERE status = 'scheduled';
+
+-- Signing key indexes
+CREATE INDEX idx_jwt_signing_keys_expiry ON jwt_signing_keys(expires_at);
+
+-- OAuth nonce indexes
+CREATE INDEX idx_oauth_nonces_expiry ON oauth_nonces(expires_at);
+
+-- Staff access indexes
+CREATE INDEX idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+CREATE INDEX idx_admin_audit_log_actor ON admin_audit_log(actor_id, created_at DESC);
+
+-- Account token indexes
+CREATE INDEX idx_account_tokens_user ON account_tokens(user_id, purpose) WHERE consumed_at IS NULL;
+
+-- Contractor scheduling indexes
+CREATE INDEX idx_contractor_blocked_dates ON contractor_blocked_dates(contractor_id, blocked_date);
+CREATE INDEX idx_contractor_location_history ON contractor_location_history(contractor_id, recorded_at DESC);
+
 -- Job indexes
 CREATE INDEX idx_jobs_customer ON jobs(customer_id);
 CREATE INDEX idx_jobs_contractor ON jobs(contractor_id);
@@ -541,13 +1311,82 @@ CREATE INDEX idx_jobs_trade_category ON jobs(trade_category);
 CREATE INDEX idx_jobs_location ON jobs USING GIST(service_coordinates);
 CREATE INDEX idx_jobs_created_at ON jobs(created_at);
 CREATE INDEX idx_jobs_preferred_date ON jobs(preferred_date);
+CREATE INDEX idx_jobs_search_vector ON jobs USING GIN(search_vector);
+CREATE INDEX idx_jobs_posted_feed ON jobs(created_at DESC, id DESC) WHERE status = 'posted';
+CREATE INDEX idx_jobs_draft_expiry ON jobs(draft_expires_at) WHERE status = 'draft';
+CREATE INDEX idx_jobs_geocode_failed ON jobs(created_at) WHERE geocode_status = 'failed';
+
+-- Job photo indexes
+CREATE INDEX idx_job_photos_job ON job_photos(job_id, photo_type);
+
+-- Quote indexes
+CREATE INDEX idx_job_quotes_job ON job_quotes(job_id, status);
+CREATE INDEX idx_job_quotes_contractor ON job_quotes(contractor_id);
+CREATE UNIQUE INDEX idx_job_quotes_one_pending ON job_quotes(job_id, contractor_id) WHERE status = 'pending';
+
+-- Completion indexes
+CREATE INDEX idx_job_completions_job ON job_completions(job_id, created_at);
+CREATE INDEX idx_job_completions_review_due ON job_completions(review_due_at) WHERE status = 'pending_review';
+
+-- Cancellation indexes
+CREATE INDEX idx_job_cancellations_job ON job_cancellations(job_id);
+CREATE INDEX idx_job_cancellations_cancelled_by ON job_cancellations(cancelled_by, created_at);
+CREATE INDEX idx_job_cancellations_unsettled ON job_cancellations(created_at) WHERE settled_at IS NULL;
+
+-- Recurring job indexes
+CREATE INDEX idx_recurring_series_customer ON recurring_job_series(customer_id);
+CREATE INDEX idx_recurring_series_contractor ON recurring_job_series(contractor_id);
+CREATE INDEX idx_recurring_series_status ON recurring_job_series(status);
+CREATE INDEX idx_recurring_occurrences_job ON recurring_job_occurrences(job_id);
+
+-- Saved search indexes
+CREATE INDEX idx_saved_searches_contractor ON saved_searches(contractor_id);
+CREATE INDEX idx_saved_searches_alerting ON saved_searches(alert_mode) WHERE alert_mode != 'off';
+CREATE INDEX idx_saved_search_matches_pending ON saved_search_matches(saved_search_id) WHERE notified_at IS NULL;
+CREATE INDEX idx_saved_search_matches_job ON saved_search_matches(job_id);
+
+-- Emergency dispatch indexes
+CREATE UNIQUE INDEX idx_emergency_dispatches_active ON emergency_dispatches(job_id) WHERE status = 'searching';
+CREATE INDEX idx_emergency_dispatches_job ON emergency_dispatches(job_id, created_at);
+CREATE INDEX idx_dispatch_offers_open ON emergency_dispatch_offers(expires_at) WHERE status = 'offered';
+CREATE INDEX idx_dispatch_offers_dispatch ON emergency_dispatch_offers(dispatch_id, status);
+CREATE INDEX idx_dispatch_offers_job ON emergency_dispatch_offers(job_id, contractor_id);
+
+-- Change order indexes
+CREATE INDEX idx_change_orders_job ON change_orders(job_id, status);
+CREATE INDEX idx_change_order_events_change_order ON change_order_events(change_order_id, created_at);
+
+-- Milestone indexes
+CREATE INDEX idx_job_milestones_outstanding ON job_milestones(status) WHERE status IN ('funded', 'submitted', 'approved');
+
+-- Dispute indexes
+CREATE UNIQUE INDEX idx_disputes_one_open ON disputes(job_id) WHERE status != 'resolved';
+CREATE INDEX idx_disputes_queue ON disputes(status, created_at);
+CREATE INDEX idx_disputes_assigned ON disputes(assigned_to) WHERE status != 'resolved';
+CREATE INDEX idx_dispute_evidence_dispute ON dispute_evidence(dispute_id);
 
 -- Payment indexes
-CREATE INDEX idx_payments_job ON payments(job_id);
+CREATE INDEX idx_payments_job ON payments(job_id, payment_type);
 CREATE INDEX idx_payments_customer ON payments(customer_id);
 CREATE INDEX idx_payments_contractor ON payments(contractor_id);
 CREATE INDEX idx_payments_status ON payments(payment_status);
 CREATE INDEX idx_payments_created_at ON payments(created_at);
+CREATE INDEX idx_payments_transfer ON payments(stripe_transfer_id);
+CREATE INDEX idx_payments_charge ON payments(stripe_charge_id);
+
+-- Ledger indexes
+CREATE INDEX idx_ledger_entries_payment ON ledger_entries(payment_id);
+CREATE INDEX idx_ledger_entries_created_at ON ledger_entries(created_at);
+CREATE INDEX idx_ledger_lines_entry ON ledger_lines(entry_id);
+CREATE INDEX idx_ledger_lines_account ON ledger_lines(account, party_id);
+
+-- Webhook event indexes
+CREATE INDEX idx_stripe_webhook_events_retry ON stripe_webhook_events(status, next_retry_at);
+CREATE INDEX idx_stripe_webhook_events_type ON stripe_webhook_events(event_type, created_at);
+
+-- Reconciliation indexes
+CREATE INDEX idx_payout_reconciliation_items_run ON payout_reconciliation_items(run_id, mismatch_type);
+CREATE INDEX idx_payout_reconciliation_items_open ON payout_reconciliation_items(created_at) WHERE resolved_at IS NULL;
 
 -- Message indexes
 CREATE INDEX idx_messages_conversation ON messages(conversation_id);
@@ -558,6 +1397,9 @@ CREATE INDEX idx_messages_sent_at ON messages(sent_at);
 CREATE INDEX idx_reviews_job ON reviews(job_id);
 CREATE INDEX idx_reviews_reviewer ON reviews(reviewer_id);
 CREATE INDEX idx_reviews_reviewee ON reviews(reviewee_id);
+CREATE INDEX idx_reviews_unmoderated ON reviews(created_at) WHERE moderated_at IS NULL;
+CREATE INDEX idx_review_quality_flags_review ON review_quality_flags(review_id);
+CREATE INDEX idx_review_moderation_log_review ON review_moderation_log(review_id);
 
 -- =================================================================
 -- FUNCTIONS AND TRIGGERS
@@ -576,15 +1418,54 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_user_mfa_factors_updated_at BEFORE UPDATE ON user_mfa_factors
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_contractor_profiles_updated_at BEFORE UPDATE ON contractor_profiles
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON jobs
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_job_quotes_updated_at BEFORE UPDATE ON job_quotes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contractor_availability_updated_at BEFORE UPDATE ON contractor_availability
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_recurring_job_series_updated_at BEFORE UPDATE ON recurring_job_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_recurring_job_occurrences_updated_at BEFORE UPDATE ON recurring_job_occurrences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_saved_searches_updated_at BEFORE UPDATE ON saved_searches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_emergency_dispatches_updated_at BEFORE UPDATE ON emergency_dispatches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_emergency_dispatch_offers_updated_at BEFORE UPDATE ON emergency_dispatch_offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_geocode_cache_updated_at BEFORE UPDATE ON geocode_cache
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_change_orders_updated_at BEFORE UPDATE ON change_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_job_milestones_updated_at BEFORE UPDATE ON job_milestones
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_disputes_updated_at BEFORE UPDATE ON disputes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stripe_webhook_events_updated_at BEFORE UPDATE ON stripe_webhook_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to automatically update contractor metrics
 CREATE OR REPLACE FUNCTION update_contractor_metrics()
 RETURNS TRIGGER AS $$
@@ -606,4 +1487,22 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_contractor_metrics_trigger 
     AFTER UPDATE ON jobs
     FOR EACH ROW 
-    EXECUTE FUNCTION update_contractor_metrics();
\ No newline at end of file
+    EXECUTE FUNCTION update_contractor_metrics();
+
+-- Reject journal entries whose lines don't sum to zero, checked at commit
+CREATE OR REPLACE FUNCTION check_ledger_entry_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT SUM(amount_cents) FROM ledger_lines WHERE entry_id = NEW.entry_id) <> 0 THEN
+        RAISE EXCEPTION 'Ledger entry % does not balance', NEW.entry_id;
+    END IF;
+    
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE CONSTRAINT TRIGGER check_ledger_entry_balanced_trigger
+    AFTER INSERT ON ledger_lines
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION check_ledger_entry_balanced();
\ No newline at end of file
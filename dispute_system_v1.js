@@ -0,0 +1,818 @@
+/**
+ * Module: dispute_system_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, job_state_machine_v1, job_completion_v1, change_orders_v1, milestone_payments_v1, payment_processing_v1, notification_service_v1
+ * Provides: Job disputes with evidence, escrow freeze, admin resolution queue and payment resolutions
+ * Integration Points: API routes, admin dashboard, customer and contractor job screens
+ * Last Updated: 2025-06-09
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { JobStateMachine, JobTransitionError } = require('./job_state_machine_v1');
+const { JobCompletionService } = require('./job_completion_v1');
+const { ChangeOrderService } = require('./change_orders_v1');
+const { MilestoneService } = require('./milestone_payments_v1');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+
+// =================================================================
+// DISPUTE SERVICE
+// =================================================================
+
+/**
+ * Reasons a dispute can be opened under
+ */
+const DISPUTE_REASONS = [
+  'work_incomplete', 'poor_quality', 'property_damage', 'no_show',
+  'pricing_disagreement', 'payment_issue', 'other'
+];
+
+/**
+ * Ways an admin can resolve a dispute, and the job status each leads to
+ */
+const DISPUTE_RESOLUTIONS = {
+  release_full: 'approved',    // Contractor paid in full
+  partial_refund: 'approved',  // Contractor paid, part refunded to customer
+  cancel_full: 'cancelled',    // Escrow returned to customer
+  resume_work: 'in_progress'   // Contractor finishes the job, escrow stays held
+};
+
+/**
+ * Dispute statuses, mirroring the dispute_status enum
+ */
+const DISPUTE_STATUSES = ['open', 'under_review', 'resolved'];
+
+/**
+ * Error raised when a dispute operation is rejected
+ */
+class DisputeError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'DisputeError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Dispute Service
+ * Opens disputes, freezes escrow and applies admin resolutions
+ */
+class DisputeService {
+  constructor(database, jobStateMachine, paymentService = null, notificationService = null) {
+    this.db = database;
+    this.jobStateMachine = jobStateMachine;
+    this.paymentService = paymentService;
+    this.notificationService = notificationService;
+    this.paymentDb = new PaymentDatabaseService(database);
+    this.rbacService = new RbacService(database);
+    this.completionService = new JobCompletionService(database, jobStateMachine, paymentService);
+    this.changeOrderService = new ChangeOrderService(database, paymentService);
+    this.milestoneService = new MilestoneService(database, paymentService, notificationService);
+  }
+
+  /**
+   * Open a dispute on a job (customer or contractor)
+   */
+  async openDispute(jobId, actor, { reason, description, evidence = {} }) {
+    const job = await this.getJob(jobId);
+    const openedByRole = await this.jobStateMachine.resolveActorRole(job, actor);
+
+    if (!['customer', 'contractor'].includes(openedByRole)) {
+      throw new DisputeError('Only job participants can open a dispute', 'DISPUTE_NOT_PERMITTED', 403);
+    }
+
+    const existing = await this.db.query(`
+      SELECT id FROM disputes WHERE job_id = $1 AND status != 'resolved'
+    `, [jobId]);
+
+    if (existing.rows.length > 0) {
+      throw new DisputeError('This job already has an open dispute', 'DISPUTE_ALREADY_OPEN', 409, {
+        disputeId: existing.rows[0].id
+      });
+    }
+
+    await this.assertEvidenceBelongsToJob(job, evidence);
+
+    let dispute;
+
+    await this.jobStateMachine.transition(jobId, 'disputed', actor, {
+      reason: `Dispute opened: ${reason}`,
+      notes: description,
+      withinTransaction: async (client) => {
+        // Freeze escrow so neither auto-approval nor capture retries release it
+        await client.query(`
+          UPDATE payments
+          SET payment_status = 'disputed', disputed_at = NOW(), dispute_reason = $2, updated_at = NOW()
+          WHERE job_id = $1 AND payment_status IN ('pending', 'processing')
+        `, [jobId, reason]);
+
+        const result = await client.query(`
+          INSERT INTO disputes (job_id, opened_by, opened_by_role, reason, description, previous_job_status)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [jobId, actor.id, openedByRole, reason, description, job.status]);
+
+        dispute = result.rows[0];
+        await this.insertEvidence(dispute.id, actor.id, evidence, null, client);
+      }
+    });
+
+    const otherPartyId = openedByRole === 'customer' ? job.contractor_id : job.customer_id;
+    await this.notify(otherPartyId, {
+      title: 'Dispute Opened',
+      body: `A dispute was opened on "${job.title}". Our team will review it shortly.`,
+      data: { type: 'dispute_opened', jobId, disputeId: dispute.id }
+    });
+
+    return this.getDispute(dispute.id, { id: actor.id, user_type: actor.userType });
+  }
+
+  /**
+   * Add evidence or a statement to an unresolved dispute
+   */
+  async addEvidence(disputeId, actor, { note = null, evidence = {} }) {
+    const dispute = await this.getDisputeRow(disputeId);
+    const job = await this.getJob(dispute.job_id);
+    const role = await this.jobStateMachine.resolveActorRole(job, actor);
+    const isDisputeStaff = await this.rbacService.hasPermission({ id: actor.id, user_type: actor.userType }, 'disputes:assign');
+
+    if (!['customer', 'contractor', 'admin'].includes(role) && !isDisputeStaff) {
+      throw new DisputeError('Not permitted to add evidence to this dispute', 'DISPUTE_ACCESS_DENIED', 403);
+    }
+
+    if (dispute.status === 'resolved') {
+      throw new DisputeError('Dispute is already resolved', 'DISPUTE_RESOLVED', 409);
+    }
+
+    await this.assertEvidenceBelongsToJob(job, evidence);
+    await this.insertEvidence(disputeId, actor.id, evidence, note);
+
+    return this.getDispute(disputeId, { id: actor.id, user_type: actor.userType });
+  }
+
+  /**
+   * Get a dispute with its evidence
+   */
+  async getDispute(disputeId, user) {
+    const dispute = await this.getDisputeRow(disputeId);
+    const job = await this.getJob(dispute.job_id);
+    const isParticipant = job.customer_id === user.id || job.contractor_id === user.id;
+
+    if (!isParticipant && !(await this.rbacService.hasPermission(user, 'disputes:read'))) {
+      throw new DisputeError('Not permitted to view this dispute', 'DISPUTE_ACCESS_DENIED', 403);
+    }
+
+    const evidenceResult = await this.db.query(`
+      SELECT de.*, jp.photo_url, jp.thumbnail_url, m.message_text, m.sender_id, m.sent_at
+      FROM dispute_evidence de
+      LEFT JOIN job_photos jp ON de.photo_id = jp.id
+      LEFT JOIN messages m ON de.message_id = m.id
+      WHERE de.dispute_id = $1
+      ORDER BY de.created_at ASC
+    `, [disputeId]);
+
+    return {
+      ...this.formatDispute(dispute),
+      job: { id: job.id, title: job.title, status: job.status },
+      evidence: evidenceResult.rows.map(row => ({
+        id: row.id,
+        submittedBy: row.submitted_by,
+        type: row.photo_id ? 'photo' : row.message_id ? 'message' : 'note',
+        note: row.note,
+        photo: row.photo_id ? { id: row.photo_id, url: row.photo_url, thumbnailUrl: row.thumbnail_url } : null,
+        message: row.message_id ? {
+          id: row.message_id,
+          senderId: row.sender_id,
+          text: row.message_text,
+          sentAt: row.sent_at
+        } : null,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Get disputes awaiting resolution, oldest first (admin)
+   */
+  async getResolutionQueue({ status = null, assignedTo = null, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`d.status = $${values.length}`);
+    } else {
+      conditions.push(`d.status != 'resolved'`);
+    }
+
+    if (assignedTo) {
+      values.push(assignedTo);
+      conditions.push(`d.assigned_to = $${values.length}`);
+    }
+
+    values.push(limit, offset);
+
+    const result = await this.db.query(`
+      SELECT
+        d.*, j.title as job_title, j.final_price, j.quoted_price,
+        p.amount_total as escrow_amount, p.payment_status,
+        (SELECT COUNT(*) FROM dispute_evidence WHERE dispute_id = d.id) as evidence_count,
+        COUNT(*) OVER() as total_count
+      FROM disputes d
+      JOIN jobs j ON d.job_id = j.id
+      LEFT JOIN payments p ON p.job_id = j.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.created_at ASC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `, values);
+
+    return {
+      data: result.rows.map(row => ({
+        ...this.formatDispute(row),
+        jobTitle: row.job_title,
+        jobAmount: parseFloat(row.final_price || row.quoted_price || 0),
+        escrowAmount: row.escrow_amount !== null ? parseFloat(row.escrow_amount) : null,
+        paymentStatus: row.payment_status,
+        evidenceCount: parseInt(row.evidence_count)
+      })),
+      pagination: {
+        total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+        limit,
+        offset
+      }
+    };
+  }
+
+  /**
+   * Claim a dispute for review (admin)
+   */
+  async assignDispute(disputeId, adminId) {
+    const result = await this.db.query(`
+      UPDATE disputes
+      SET status = 'under_review', assigned_to = $2, updated_at = NOW()
+      WHERE id = $1 AND status != 'resolved'
+      RETURNING *
+    `, [disputeId, adminId]);
+
+    if (result.rows.length === 0) {
+      await this.getDisputeRow(disputeId);
+      throw new DisputeError('Dispute is already resolved', 'DISPUTE_RESOLVED', 409);
+    }
+
+    return this.formatDispute(result.rows[0]);
+  }
+
+  /**
+   * Resolve a dispute and settle the escrow (admin)
+   */
+  async resolveDispute(disputeId, actor, { resolution, refundAmount = null, notes = null }) {
+    const dispute = await this.getDisputeRow(disputeId);
+
+    if (dispute.status === 'resolved') {
+      throw new DisputeError('Dispute is already resolved', 'DISPUTE_RESOLVED', 409);
+    }
+
+    const job = await this.getJob(dispute.job_id);
+    const payment = await this.paymentDb.getPaymentByJobId(job.id);
+    const jobAmount = parseFloat(job.final_price || job.quoted_price || 0);
+
+    if (resolution === 'partial_refund') {
+      if (!refundAmount || refundAmount <= 0 || refundAmount >= jobAmount) {
+        throw new DisputeError(
+          'Partial refund must be greater than zero and less than the job amount',
+          'INVALID_REFUND_AMOUNT',
+          400,
+          { jobAmount }
+        );
+      }
+
+      if (!payment) {
+        throw new DisputeError(
+          'Partial refunds are not available for milestone-funded jobs',
+          'PARTIAL_REFUND_UNSUPPORTED',
+          409
+        );
+      }
+    }
+
+    let resolved;
+
+    const updatedJob = await this.jobStateMachine.transition(job.id, DISPUTE_RESOLUTIONS[resolution], actor, {
+      reason: `Dispute resolved: ${resolution}`,
+      notes,
+      withinTransaction: async (client) => {
+        const result = await client.query(`
+          UPDATE disputes
+          SET status = 'resolved', resolution = $2, refund_amount = $3, resolution_notes = $4,
+              resolved_by = $5, resolved_at = NOW(), updated_at = NOW()
+          WHERE id = $1 AND status != 'resolved'
+          RETURNING *
+        `, [disputeId, resolution, resolution === 'partial_refund' ? refundAmount : null, notes, actor.id]);
+
+        if (result.rows.length === 0) {
+          throw new DisputeError('Dispute is already resolved', 'DISPUTE_RESOLVED', 409);
+        }
+        resolved = result.rows[0];
+      }
+    });
+
+    const settled = await this.settleDispute(resolved, updatedJob, payment);
+
+    const summary = this.describeResolution(resolution, refundAmount);
+    for (const userId of [job.customer_id, job.contractor_id]) {
+      await this.notify(userId, {
+        title: 'Dispute Resolved',
+        body: `The dispute on "${job.title}" has been resolved: ${summary}.`,
+        data: { type: 'dispute_resolved', jobId: job.id, disputeId, resolution }
+      });
+    }
+
+    return {
+      ...this.formatDispute(settled),
+      job: { id: updatedJob.id, status: updatedJob.status }
+    };
+  }
+
+  /**
+   * Settle a resolved dispute's escrow and record the outcome
+   * A failed settlement stays unsettled for retryFailedSettlements.
+   */
+  async settleDispute(dispute, job, payment) {
+    const refundAmount = dispute.refund_amount !== null ? parseFloat(dispute.refund_amount) : null;
+    const outcome = await this.settlePayment(job, payment, dispute.resolution, refundAmount, dispute.id);
+
+    const result = await this.db.query(`
+      UPDATE disputes SET
+        payment_outcome = $2, settlement_attempts = settlement_attempts + 1, settlement_error = $3,
+        settled_at = CASE WHEN $3::text IS NULL THEN NOW() END, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [dispute.id, JSON.stringify(outcome), outcome.failed ? outcome.error : null]);
+
+    if (!outcome.failed) {
+      await this.db.query(`
+        UPDATE payments SET resolved_at = NOW(), updated_at = NOW() WHERE job_id = $1
+      `, [job.id]);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Retry resolved disputes whose escrow settlement failed
+   */
+  async retryFailedSettlements(maxAttempts = config.jobs.disputes.settlementMaxAttempts) {
+    const result = await this.db.query(`
+      SELECT * FROM disputes
+      WHERE status = 'resolved' AND settled_at IS NULL AND settlement_attempts < $1
+      ORDER BY resolved_at
+    `, [maxAttempts]);
+
+    let settled = 0;
+    for (const dispute of result.rows) {
+      const job = await this.getJob(dispute.job_id);
+      const payment = await this.paymentDb.getPaymentByJobId(job.id);
+      const updated = await this.settleDispute(dispute, job, payment);
+      if (updated.settled_at) settled++;
+    }
+
+    return { attempted: result.rows.length, settled };
+  }
+
+  /**
+   * Apply a resolution to the frozen escrow
+   * Failures are returned rather than thrown, since the job transition has
+   * already been committed. Stripe calls are keyed on the dispute and steps
+   * already done are skipped, so a retry can't settle twice.
+   */
+  async settlePayment(job, payment, resolution, refundAmount, disputeId) {
+    if (!this.paymentService) {
+      return { action: 'none' };
+    }
+
+    if (!payment || !payment.stripe_payment_intent_id) {
+      return this.settleMilestonePayments(job, resolution);
+    }
+
+    const intentId = payment.stripe_payment_intent_id;
+
+    try {
+      // Unfreeze every hold on the job (including change order holds) so the
+      // release retry job and cancellation settle them as usual
+      await this.db.query(`
+        UPDATE payments SET payment_status = 'processing', updated_at = NOW()
+        WHERE job_id = $1 AND payment_status = 'disputed'
+      `, [job.id]);
+
+      switch (resolution) {
+        case 'release_full':
+        case 'partial_refund': {
+          const escrow = await this.completionService.captureEscrow(job);
+          const captured = escrow.captured || escrow.reason === 'ALREADY_CAPTURED';
+
+          if (resolution === 'release_full') {
+            // releasePendingEscrow retries a failed capture for approved jobs
+            return { action: 'capture', captured, amount: escrow.amount, reason: escrow.reason };
+          }
+
+          if (!captured) {
+            throw new Error(`Escrow capture failed before partial refund (${escrow.reason})`);
+          }
+
+          const capturedPayment = await this.paymentDb.getPaymentByJobId(job.id);
+          if (capturedPayment.refunded_at) {
+            return { action: 'partial_refund', captured: true, alreadyRefunded: true };
+          }
+
+          // The contractor was paid by transfer on capture; take their part of the refund back from it
+          const refund = await this.paymentService.processRefund(
+            capturedPayment.stripe_charge_id, refundAmount, 'requested_by_customer',
+            { reverseTransfer: true, idempotencyKey: `dispute-${disputeId}-refund` }
+          );
+
+          await this.db.query(`
+            UPDATE payments SET refunded_at = NOW(), updated_at = NOW() WHERE stripe_payment_intent_id = $1
+          `, [intentId]);
+          await this.paymentDb.recordRefund(intentId, { ...refund, reverseTransfer: true })
+            .catch(error => console.error(`Ledger refund error for job ${job.id}:`, error));
+
+          return { action: 'partial_refund', captured: true, amount: escrow.amount, refundId: refund.refundId, refundAmount: refund.amount };
+        }
+
+        case 'cancel_full': {
+          await this.changeOrderService.settleCancelledJob(job.id);
+          await this.milestoneService.cancelOutstandingMilestones(job.id);
+
+          if (payment.refunded_at || payment.payment_status === 'cancelled') {
+            return { action: payment.refunded_at ? 'refund' : 'cancel', alreadySettled: true };
+          }
+
+          if (payment.captured_at) {
+            const refund = await this.paymentService.processRefund(
+              payment.stripe_charge_id, null, 'requested_by_customer',
+              { reverseTransfer: true, idempotencyKey: `dispute-${disputeId}-refund` }
+            );
+            await this.db.query(`
+              UPDATE payments SET payment_status = 'refunded', refunded_at = NOW(), updated_at = NOW()
+              WHERE stripe_payment_intent_id = $1
+            `, [intentId]);
+            await this.paymentDb.recordRefund(intentId, { ...refund, reverseTransfer: true })
+              .catch(error => console.error(`Ledger refund error for job ${job.id}:`, error));
+            return { action: 'refund', refundId: refund.refundId, refundAmount: refund.amount };
+          }
+
+          await this.paymentService.cancelEscrowPayment(intentId, 'requested_by_customer', {
+            idempotencyKey: `dispute-${disputeId}-cancel`
+          });
+          await this.paymentDb.updatePaymentStatus(intentId, 'cancelled');
+          return { action: 'cancel' };
+        }
+
+        case 'resume_work':
+          // Keep the hold; the normal completion flow releases it later
+          return { action: 'unfreeze' };
+
+        default:
+          return { action: 'none' };
+      }
+    } catch (error) {
+      console.error(`Dispute settlement error for job ${job.id}:`, error);
+      return { action: resolution, failed: true, error: error.message };
+    }
+  }
+
+  /**
+   * Settle a job funded through milestones rather than a single hold
+   * Milestones already released stay with the contractor.
+   */
+  async settleMilestonePayments(job, resolution) {
+    try {
+      await this.db.query(`
+        UPDATE payments SET payment_status = 'processing', updated_at = NOW()
+        WHERE job_id = $1 AND payment_status = 'disputed'
+      `, [job.id]);
+
+      switch (resolution) {
+        case 'release_full': {
+          const milestones = await this.milestoneService.releaseOutstandingMilestones(job.id);
+          return { action: 'release_milestones', milestones };
+        }
+
+        case 'cancel_full': {
+          await this.changeOrderService.settleCancelledJob(job.id);
+          const cancelled = await this.milestoneService.cancelOutstandingMilestones(job.id);
+          return { action: 'cancel_milestones', cancelled };
+        }
+
+        case 'resume_work':
+          return { action: 'unfreeze' };
+
+        default:
+          return { action: 'none' };
+      }
+    } catch (error) {
+      console.error(`Dispute milestone settlement error for job ${job.id}:`, error);
+      return { action: resolution, failed: true, error: error.message };
+    }
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  async assertEvidenceBelongsToJob(job, { photoIds = [], messageIds = [] }) {
+    if (photoIds.length > 0) {
+      const photos = await this.db.query(`
+        SELECT id FROM job_photos WHERE job_id = $1 AND id = ANY($2)
+      `, [job.id, photoIds]);
+
+      if (photos.rows.length !== new Set(photoIds).size) {
+        throw new DisputeError('Evidence photos must belong to this job', 'INVALID_EVIDENCE', 400);
+      }
+    }
+
+    if (messageIds.length > 0) {
+      const messages = await this.db.query(`
+        SELECT m.id FROM messages m
+        JOIN conversations c ON m.conversation_id = c.id
+        WHERE c.job_id = $1 AND m.id = ANY($2)
+      `, [job.id, messageIds]);
+
+      if (messages.rows.length !== new Set(messageIds).size) {
+        throw new DisputeError('Evidence messages must belong to this job', 'INVALID_EVIDENCE', 400);
+      }
+    }
+  }
+
+  async insertEvidence(disputeId, userId, { photoIds = [], messageIds = [] }, note = null, client = this.db) {
+    const rows = [
+      ...[...new Set(photoIds)].map(photoId => [photoId, null, null]),
+      ...[...new Set(messageIds)].map(messageId => [null, messageId, null])
+    ];
+
+    if (note) rows.push([null, null, note]);
+
+    for (const [photoId, messageId, text] of rows) {
+      await client.query(`
+        INSERT INTO dispute_evidence (dispute_id, submitted_by, photo_id, message_id, note)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [disputeId, userId, photoId, messageId, text]);
+    }
+  }
+
+  describeResolution(resolution, refundAmount) {
+    switch (resolution) {
+      case 'release_full': return 'payment released to the contractor';
+      case 'partial_refund': return `$${refundAmount} refunded to the customer, remainder paid to the contractor`;
+      case 'cancel_full': return 'job cancelled and payment returned to the customer';
+      case 'resume_work': return 'work will resume on the job';
+      default: return resolution;
+    }
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService || !userId) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, {
+        channels: ['push', 'email'],
+        ...notification
+      });
+    } catch (error) {
+      console.error('Dispute notification error:', error);
+    }
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new DisputeError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getDisputeRow(disputeId) {
+    const result = await this.db.query(`
+      SELECT * FROM disputes WHERE id = $1
+    `, [disputeId]);
+
+    if (result.rows.length === 0) {
+      throw new DisputeError('Dispute not found', 'DISPUTE_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  formatDispute(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      status: row.status,
+      reason: row.reason,
+      description: row.description,
+      openedBy: row.opened_by,
+      openedByRole: row.opened_by_role,
+      assignedTo: row.assigned_to,
+      resolution: row.resolution,
+      refundAmount: row.refund_amount !== null ? parseFloat(row.refund_amount) : null,
+      resolutionNotes: row.resolution_notes,
+      paymentOutcome: row.payment_outcome,
+      resolvedAt: row.resolved_at,
+      settledAt: row.settled_at,
+      settlementError: row.settlement_error,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// =================================================================
+// DISPUTE ROUTES
+// =================================================================
+
+/**
+ * Create dispute routes, mounted under /disputes
+ */
+function createDisputeRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const jobStateMachine = services.jobStateMachine || new JobStateMachine(database, {
+    notificationTriggers: services.notificationTriggers,
+    broadcastJobUpdate: services.broadcastJobUpdate
+  });
+  const disputeService = services.disputeService ||
+    new DisputeService(database, jobStateMachine, services.paymentService, services.notificationService);
+
+  const handleDisputeError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof DisputeError || error instanceof JobTransitionError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const toActor = (user) => ({ id: user.id, userType: user.user_type });
+
+  const evidenceValidators = [
+    body('evidence.photoIds').optional().isArray({ max: 20 }),
+    body('evidence.photoIds.*').isUUID(),
+    body('evidence.messageIds').optional().isArray({ max: 50 }),
+    body('evidence.messageIds.*').isUUID()
+  ];
+
+  // Open Dispute
+  router.post('/',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer', 'contractor']),
+    [
+      body('jobId').isUUID(),
+      body('reason').isIn(DISPUTE_REASONS),
+      body('description').trim().isLength({ min: 20, max: 5000 }),
+      ...evidenceValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const dispute = await disputeService.openDispute(req.body.jobId, toActor(req.user), {
+          reason: req.body.reason,
+          description: req.body.description,
+          evidence: req.body.evidence
+        });
+        res.status(201).json(dispute);
+      } catch (error) {
+        handleDisputeError(res, error, 'Failed to open dispute', 'OPEN_DISPUTE_ERROR');
+      }
+    }
+  );
+
+  // Resolution Queue (Staff with disputes:read)
+  router.get('/queue',
+    middleware.requireAuth(),
+    middleware.requirePermission('disputes:read'),
+    [
+      query('status').optional().isIn(DISPUTE_STATUSES),
+      query('mine').optional().isBoolean(),
+      query('limit').optional().isInt({ min: 1, max: 100 }),
+      query('offset').optional().isInt({ min: 0 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const queue = await disputeService.getResolutionQueue({
+          status: req.query.status,
+          assignedTo: req.query.mine === 'true' ? req.user.id : null,
+          limit: parseInt(req.query.limit) || 20,
+          offset: parseInt(req.query.offset) || 0
+        });
+        res.json(queue);
+      } catch (error) {
+        handleDisputeError(res, error, 'Failed to get dispute queue', 'GET_DISPUTE_QUEUE_ERROR');
+      }
+    }
+  );
+
+  // Get Dispute
+  router.get('/:disputeId',
+    middleware.requireAuth(),
+    [
+      param('disputeId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const dispute = await disputeService.getDispute(req.params.disputeId, req.user);
+        res.json(dispute);
+      } catch (error) {
+        handleDisputeError(res, error, 'Failed to get dispute', 'GET_DISPUTE_ERROR');
+      }
+    }
+  );
+
+  // Add Evidence
+  router.post('/:disputeId/evidence',
+    middleware.requireAuth(),
+    [
+      param('disputeId').isUUID(),
+      body('note').optional().trim().isLength({ min: 1, max: 5000 }),
+      ...evidenceValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const dispute = await disputeService.addEvidence(req.params.disputeId, toActor(req.user), {
+          note: req.body.note,
+          evidence: req.body.evidence
+        });
+        res.status(201).json(dispute);
+      } catch (error) {
+        handleDisputeError(res, error, 'Failed to add evidence', 'ADD_EVIDENCE_ERROR');
+      }
+    }
+  );
+
+  // Assign Dispute (Staff with disputes:assign)
+  router.post('/:disputeId/assign',
+    middleware.requireAuth(),
+    middleware.requirePermission('disputes:assign'),
+    [
+      param('disputeId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const dispute = await disputeService.assignDispute(req.params.disputeId, req.user.id);
+        res.json(dispute);
+      } catch (error) {
+        handleDisputeError(res, error, 'Failed to assign dispute', 'ASSIGN_DISPUTE_ERROR');
+      }
+    }
+  );
+
+  // Resolve Dispute (Staff with disputes:resolve)
+  router.post('/:disputeId/resolve',
+    middleware.requireAuth(),
+    middleware.requirePermission('disputes:resolve'),
+    [
+      param('disputeId').isUUID(),
+      body('resolution').isIn(Object.keys(DISPUTE_RESOLUTIONS)),
+      body('refundAmount').optional().isFloat({ gt: 0 }),
+      body('notes').trim().isLength({ min: 10, max: 5000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const dispute = await disputeService.resolveDispute(req.params.disputeId, toActor(req.user), {
+          resolution: req.body.resolution,
+          refundAmount: req.body.refundAmount !== undefined ? parseFloat(req.body.refundAmount) : null,
+          notes: req.body.notes
+        });
+        res.json(dispute);
+      } catch (error) {
+        handleDisputeError(res, error, 'Failed to resolve dispute', 'RESOLVE_DISPUTE_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  DisputeService,
+  DisputeError,
+  DISPUTE_REASONS,
+  DISPUTE_RESOLUTIONS,
+  createDisputeRoutes
+};
@@ -0,0 +1,751 @@
+/**
+ * Module: emergency_dispatch_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, job_state_machine_v1, smart_matching_v1, notification_service_v1
+ * Provides: Emergency job dispatch: ranked contractor offers with accept timeouts, cascading waves, first-accept job lock, dispatch timeline
+ * Integration Points: API routes, job posting (create route and state machine), background jobs, contractor app offers
+ * Last Updated: 2025-06-15
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { JobStateMachine, JobTransitionError, SYSTEM_ACTOR } = require('./job_state_machine_v1');
+const { SmartMatchingService } = require('./smart_matching_algorithm');
+const { MappingService } = require('./gps_mapping_service_v1');
+
+// =================================================================
+// EMERGENCY DISPATCH SERVICE
+// =================================================================
+
+/**
+ * Dispatch statuses, mirroring the dispatch_status enum
+ */
+const DISPATCH_STATUSES = ['searching', 'accepted', 'exhausted', 'cancelled'];
+
+/**
+ * Offer statuses, mirroring the dispatch_offer_status enum
+ */
+const OFFER_STATUSES = ['offered', 'accepted', 'declined', 'expired', 'withdrawn'];
+
+/**
+ * Error raised when a dispatch operation is rejected
+ */
+class DispatchError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'DispatchError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Emergency Dispatch Service
+ * Offers an urgent job to ranked contractors a few at a time. Each wave
+ * waits for its offers to be declined or time out before the next one
+ * goes out; the first acceptance claims the dispatch and assigns the job.
+ */
+class EmergencyDispatchService {
+  constructor(database, matchingService, jobStateMachine, notificationService = null, options = config.jobs.emergency) {
+    this.db = database;
+    this.matchingService = matchingService;
+    this.jobStateMachine = jobStateMachine;
+    this.notificationService = notificationService;
+    this.rbacService = new RbacService(database);
+    this.offerTimeoutSeconds = options.offerTimeoutSeconds;
+    this.waveSizes = options.waveSizes;
+    this.maxCandidates = options.maxCandidates;
+    this.radiusMiles = options.radiusMiles;
+  }
+
+  /**
+   * Rank candidates for an urgent posted job and send the first wave
+   */
+  async startDispatch(jobId, actor) {
+    const job = await this.getJob(jobId);
+
+    if (actor.userType !== 'system' && actor.userType !== 'admin' && job.customer_id !== actor.id) {
+      throw new DispatchError('Only the job owner can dispatch this job', 'DISPATCH_NOT_PERMITTED', 403);
+    }
+
+    if (job.status !== 'posted') {
+      throw new DispatchError(`Cannot dispatch a job that is ${job.status}`, 'JOB_NOT_DISPATCHABLE', 409);
+    }
+
+    if (job.priority !== 'urgent') {
+      throw new DispatchError('Only urgent jobs are dispatched', 'JOB_NOT_URGENT', 409);
+    }
+
+    // Accepting an offer assigns the job at this price, with no quote in between
+    if (job.estimated_cost === null) {
+      throw new DispatchError('Set an estimated cost before dispatching', 'ESTIMATED_COST_REQUIRED', 422);
+    }
+
+    if (job.latitude === null) {
+      throw new DispatchError('Job address has no location to dispatch from', 'JOB_LOCATION_UNKNOWN', 409);
+    }
+
+    const active = await this.getActiveDispatch(jobId);
+    if (active) {
+      throw new DispatchError('Job is already being dispatched', 'DISPATCH_IN_PROGRESS', 409, { dispatchId: active.id });
+    }
+
+    const candidates = await this.rankCandidates(job);
+
+    let dispatch;
+    try {
+      const result = await this.db.query(`
+        INSERT INTO emergency_dispatches (job_id, candidates, offer_timeout_seconds, started_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [jobId, JSON.stringify(candidates), this.offerTimeoutSeconds, actor.id]);
+      dispatch = result.rows[0];
+    } catch (error) {
+      // One searching dispatch per job, enforced by a partial unique index
+      if (error.code === '23505') {
+        throw new DispatchError('Job is already being dispatched', 'DISPATCH_IN_PROGRESS', 409);
+      }
+      throw error;
+    }
+
+    await this.sendNextWave(dispatch);
+
+    return this.getDispatchTimeline(jobId, { id: job.customer_id, user_type: 'customer' });
+  }
+
+  /**
+   * Offer the job to the next wave of candidates, or close the dispatch
+   * when none are left. Guarded on the wave number so concurrent
+   * triggers (a decline and the expiry job) send a wave only once.
+   */
+  async sendNextWave(dispatch) {
+    const job = await this.getJob(dispatch.job_id);
+
+    if (job.status !== 'posted') {
+      await this.closeDispatch(dispatch, 'cancelled', `Job is ${job.status}`);
+      return null;
+    }
+
+    if (job.estimated_cost === null) {
+      await this.closeDispatch(dispatch, 'cancelled', 'Job has no estimated cost');
+      return null;
+    }
+
+    const candidates = dispatch.candidates || [];
+    const wave = dispatch.current_wave + 1;
+    const waveSize = this.waveSizes[Math.min(wave, this.waveSizes.length) - 1];
+    const batch = candidates.slice(dispatch.next_candidate_index, dispatch.next_candidate_index + waveSize);
+
+    if (batch.length === 0) {
+      await this.closeDispatch(dispatch, 'exhausted');
+      return null;
+    }
+
+    const advanced = await this.db.query(`
+      UPDATE emergency_dispatches
+      SET current_wave = $3, next_candidate_index = $4, updated_at = NOW()
+      WHERE id = $1 AND status = 'searching' AND current_wave = $2
+      RETURNING *
+    `, [dispatch.id, dispatch.current_wave, wave, dispatch.next_candidate_index + batch.length]);
+
+    if (advanced.rows.length === 0) return null;
+
+    const offers = [];
+    for (const [index, candidate] of batch.entries()) {
+      const result = await this.db.query(`
+        INSERT INTO emergency_dispatch_offers (
+          dispatch_id, job_id, contractor_id, wave, rank, smart_score, distance_miles, offered_price, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(secs => $9))
+        ON CONFLICT (dispatch_id, contractor_id) DO NOTHING
+        RETURNING *
+      `, [
+        dispatch.id, dispatch.job_id, candidate.contractorId, wave,
+        dispatch.next_candidate_index + index + 1, candidate.smartScore, candidate.distance,
+        job.estimated_cost, dispatch.offer_timeout_seconds
+      ]);
+
+      if (result.rows.length > 0) offers.push(result.rows[0]);
+    }
+
+    // Every candidate in the batch already had an offer; move straight on
+    if (offers.length === 0) {
+      return this.sendNextWave(advanced.rows[0]);
+    }
+
+    for (const offer of offers) {
+      await this.notify(offer.contractor_id, {
+        channels: ['push', 'sms'],
+        title: '🚨 Emergency Job Offer',
+        body: `Urgent ${job.trade_category.replace(/_/g, ' ')} job ${parseFloat(offer.distance_miles) || 0} miles away for $${parseFloat(offer.offered_price)}. ` +
+          `Accept within ${Math.round(dispatch.offer_timeout_seconds / 60) || 1} min to claim it.`,
+        urgent: true,
+        data: {
+          type: 'emergency_job_offer',
+          jobId: dispatch.job_id,
+          offerId: offer.id,
+          price: parseFloat(offer.offered_price),
+          expiresAt: offer.expires_at
+        }
+      });
+    }
+
+    return advanced.rows[0];
+  }
+
+  /**
+   * Accept an offer (contractor). The dispatch row is claimed first so
+   * only one acceptance can win, then the job is assigned.
+   */
+  async acceptOffer(jobId, offerId, contractorId) {
+    const offer = await this.getOffer(jobId, offerId, contractorId);
+
+    if (offer.status !== 'offered') {
+      throw new DispatchError(`Offer is ${offer.status}`, 'OFFER_NOT_OPEN', 409);
+    }
+
+    if (new Date(offer.expires_at) <= new Date()) {
+      throw new DispatchError('Offer has expired', 'OFFER_EXPIRED', 409);
+    }
+
+    const claimed = await this.db.query(`
+      UPDATE emergency_dispatches
+      SET status = 'accepted', accepted_contractor_id = $2, completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'searching'
+      RETURNING *
+    `, [offer.dispatch_id, contractorId]);
+
+    if (claimed.rows.length === 0) {
+      throw new DispatchError('Job has already been taken', 'DISPATCH_CLOSED', 409);
+    }
+
+    const dispatch = claimed.rows[0];
+    const job = await this.getJob(jobId);
+
+    let assignedJob;
+    try {
+      assignedJob = await this.jobStateMachine.transition(jobId, 'assigned', SYSTEM_ACTOR, {
+        reason: 'Emergency dispatch offer accepted',
+        notes: `Offer ${offerId}`,
+        updates: {
+          contractor_id: contractorId,
+          quoted_price: offer.offered_price
+        }
+      });
+    } catch (error) {
+      // Job was cancelled or assigned another way while the offer was out
+      await this.db.query(`
+        UPDATE emergency_dispatches
+        SET status = 'cancelled', accepted_contractor_id = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [dispatch.id]);
+      await this.withdrawOutstandingOffers(dispatch, job, null);
+      throw error;
+    }
+
+    await this.db.query(`
+      UPDATE emergency_dispatch_offers
+      SET status = 'accepted', responded_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [offerId]);
+
+    await this.withdrawOutstandingOffers(dispatch, job, offerId);
+
+    // Pending quotes lose to the emergency acceptance, as with an accepted quote
+    const rejectedQuotes = await this.db.query(`
+      UPDATE job_quotes
+      SET status = 'rejected', responded_at = NOW(), updated_at = NOW(),
+          decline_reason = 'Job was taken through emergency dispatch'
+      WHERE job_id = $1 AND status = 'pending'
+      RETURNING contractor_id
+    `, [jobId]);
+
+    for (const row of rejectedQuotes.rows) {
+      await this.notify(row.contractor_id, {
+        title: 'Quote Not Selected',
+        body: `"${job.title}" was taken by another contractor.`,
+        data: { type: 'quote_rejected', jobId }
+      });
+    }
+
+    return {
+      dispatchId: dispatch.id,
+      job: {
+        id: assignedJob.id,
+        status: assignedJob.status,
+        contractorId: assignedJob.contractor_id,
+        quotedPrice: assignedJob.quoted_price
+      }
+    };
+  }
+
+  /**
+   * Decline an offer (contractor). When it was the last open offer in
+   * the wave, the next wave goes out straight away.
+   */
+  async declineOffer(jobId, offerId, contractorId, reason = null) {
+    const result = await this.db.query(`
+      UPDATE emergency_dispatch_offers
+      SET status = 'declined', decline_reason = $4, responded_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND job_id = $2 AND contractor_id = $3 AND status = 'offered'
+      RETURNING *
+    `, [offerId, jobId, contractorId, reason]);
+
+    if (result.rows.length === 0) {
+      throw new DispatchError('Offer not found or no longer open', 'OFFER_NOT_OPEN', 409);
+    }
+
+    await this.advanceIfWaveResolved(result.rows[0].dispatch_id);
+
+    return this.formatOffer(result.rows[0]);
+  }
+
+  /**
+   * Stop an active dispatch (job owner or admin)
+   */
+  async cancelDispatch(jobId, actor) {
+    const job = await this.getJob(jobId);
+
+    if (actor.userType !== 'admin' && job.customer_id !== actor.id) {
+      throw new DispatchError('Only the job owner can stop dispatch', 'DISPATCH_NOT_PERMITTED', 403);
+    }
+
+    const dispatch = await this.getActiveDispatch(jobId);
+    if (!dispatch) {
+      throw new DispatchError('Job is not being dispatched', 'DISPATCH_NOT_ACTIVE', 409);
+    }
+
+    await this.closeDispatch(dispatch, 'cancelled', 'Stopped by customer', { notifyCustomer: false });
+
+    return this.getDispatchTimeline(jobId, { id: job.customer_id, user_type: 'customer' });
+  }
+
+  /**
+   * Expire timed-out offers and cascade dispatches whose wave is done
+   */
+  async processExpiredOffers() {
+    const expired = await this.db.query(`
+      UPDATE emergency_dispatch_offers
+      SET status = 'expired', responded_at = expires_at, updated_at = NOW()
+      WHERE status = 'offered' AND expires_at <= NOW()
+      RETURNING dispatch_id
+    `);
+
+    const dispatchIds = [...new Set(expired.rows.map(row => row.dispatch_id))];
+    let advanced = 0;
+
+    for (const dispatchId of dispatchIds) {
+      try {
+        if (await this.advanceIfWaveResolved(dispatchId)) advanced++;
+      } catch (error) {
+        console.error(`Failed to advance dispatch ${dispatchId}:`, error);
+      }
+    }
+
+    return { expired: expired.rows.length, advanced };
+  }
+
+  /**
+   * Dispatch progress for the customer: each wave, response and outcome
+   * in order. Contractors other than the one who accepted stay anonymous.
+   */
+  async getDispatchTimeline(jobId, user) {
+    const job = await this.getJob(jobId);
+    if (job.customer_id !== user.id && !(await this.rbacService.hasPermission(user, 'jobs:read'))) {
+      throw new DispatchError('Dispatch not found', 'DISPATCH_NOT_FOUND', 404);
+    }
+
+    const dispatchResult = await this.db.query(`
+      SELECT d.*, cp.business_name as accepted_business_name
+      FROM emergency_dispatches d
+      LEFT JOIN contractor_profiles cp ON d.accepted_contractor_id = cp.user_id
+      WHERE d.job_id = $1
+      ORDER BY d.created_at DESC
+      LIMIT 1
+    `, [jobId]);
+
+    if (dispatchResult.rows.length === 0) {
+      throw new DispatchError('Job has not been dispatched', 'DISPATCH_NOT_FOUND', 404);
+    }
+
+    const dispatch = dispatchResult.rows[0];
+
+    const offersResult = await this.db.query(`
+      SELECT * FROM emergency_dispatch_offers
+      WHERE dispatch_id = $1
+      ORDER BY wave ASC, rank ASC
+    `, [dispatch.id]);
+
+    const events = [{
+      type: 'dispatch_started',
+      at: dispatch.created_at,
+      candidates: (dispatch.candidates || []).length
+    }];
+
+    const waves = new Map();
+    offersResult.rows.forEach(offer => {
+      if (!waves.has(offer.wave)) waves.set(offer.wave, []);
+      waves.get(offer.wave).push(offer);
+    });
+
+    waves.forEach((offers, wave) => {
+      events.push({
+        type: 'offers_sent',
+        at: offers[0].offered_at,
+        wave,
+        offers: offers.length,
+        expiresAt: offers[0].expires_at
+      });
+
+      offers
+        .filter(offer => ['accepted', 'declined', 'expired'].includes(offer.status))
+        .forEach(offer => {
+          events.push({
+            type: `offer_${offer.status}`,
+            at: offer.responded_at,
+            wave,
+            rank: offer.rank,
+            contractor: offer.status === 'accepted' ? {
+              id: offer.contractor_id,
+              businessName: dispatch.accepted_business_name
+            } : undefined
+          });
+        });
+    });
+
+    if (['exhausted', 'cancelled'].includes(dispatch.status)) {
+      events.push({ type: `dispatch_${dispatch.status}`, at: dispatch.completed_at, reason: dispatch.close_reason });
+    }
+
+    events.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return {
+      dispatchId: dispatch.id,
+      jobId,
+      status: dispatch.status,
+      currentWave: dispatch.current_wave,
+      offerTimeoutSeconds: dispatch.offer_timeout_seconds,
+      acceptedContractor: dispatch.accepted_contractor_id ? {
+        id: dispatch.accepted_contractor_id,
+        businessName: dispatch.accepted_business_name
+      } : null,
+      startedAt: dispatch.created_at,
+      completedAt: dispatch.completed_at,
+      events
+    };
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  /**
+   * Rank contractors with the matching service, dropping anyone who
+   * opted out of emergency work or already declined this job
+   */
+  async rankCandidates(job) {
+    const { contractors = [] } = await this.matchingService.findBestContractors({
+      jobId: job.id,
+      customerId: job.customer_id,
+      tradeCategory: job.trade_category,
+      location: { latitude: parseFloat(job.latitude), longitude: parseFloat(job.longitude) },
+      preferredDate: job.preferred_date,
+      estimatedCost: job.estimated_cost ? parseFloat(job.estimated_cost) : null,
+      priority: job.priority
+    }, {
+      maxResults: this.maxCandidates,
+      radiusMiles: this.radiusMiles,
+      minRating: 0, // new contractors still get emergency offers
+      includeReasons: false
+    });
+
+    if (contractors.length === 0) return [];
+
+    const excluded = await this.db.query(`
+      SELECT contractor_id FROM contractor_availability
+      WHERE contractor_id = ANY($1) AND emergency_available = false
+      UNION
+      SELECT contractor_id FROM emergency_dispatch_offers
+      WHERE job_id = $2 AND status = 'declined'
+    `, [contractors.map(contractor => contractor.contractorId), job.id]);
+
+    const excludedIds = new Set(excluded.rows.map(row => row.contractor_id));
+
+    return contractors
+      .filter(contractor => contractor.contractorId !== job.customer_id && !excludedIds.has(contractor.contractorId))
+      .map(contractor => ({
+        contractorId: contractor.contractorId,
+        smartScore: Math.round(contractor.smartScore * 1000) / 1000,
+        distance: contractor.distance
+      }));
+  }
+
+  /**
+   * Send the next wave once no offer in the current one is still open
+   */
+  async advanceIfWaveResolved(dispatchId) {
+    const result = await this.db.query(`
+      SELECT d.*,
+        (SELECT COUNT(*) FROM emergency_dispatch_offers o
+         WHERE o.dispatch_id = d.id AND o.status = 'offered') as open_offers
+      FROM emergency_dispatches d
+      WHERE d.id = $1 AND d.status = 'searching'
+    `, [dispatchId]);
+
+    if (result.rows.length === 0 || parseInt(result.rows[0].open_offers) > 0) {
+      return false;
+    }
+
+    return Boolean(await this.sendNextWave(result.rows[0]));
+  }
+
+  /**
+   * End a searching dispatch as exhausted or cancelled
+   */
+  async closeDispatch(dispatch, status, reason = null, options = {}) {
+    const { notifyCustomer = true } = options;
+
+    const result = await this.db.query(`
+      UPDATE emergency_dispatches
+      SET status = $2, close_reason = $3, completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'searching'
+      RETURNING *
+    `, [dispatch.id, status, reason]);
+
+    if (result.rows.length === 0) return;
+
+    const job = await this.getJob(dispatch.job_id);
+    await this.withdrawOutstandingOffers(dispatch, job, null);
+
+    if (notifyCustomer && status === 'exhausted') {
+      await this.notify(job.customer_id, {
+        title: 'No Emergency Contractor Available',
+        body: `No contractor could take "${job.title}" right away. It stays posted for quotes, or you can try dispatch again.`,
+        data: { type: 'emergency_dispatch_exhausted', jobId: job.id, dispatchId: dispatch.id }
+      });
+    }
+  }
+
+  /**
+   * Withdraw open offers, telling those contractors the job is gone
+   */
+  async withdrawOutstandingOffers(dispatch, job, exceptOfferId) {
+    const result = await this.db.query(`
+      UPDATE emergency_dispatch_offers
+      SET status = 'withdrawn', responded_at = NOW(), updated_at = NOW()
+      WHERE dispatch_id = $1 AND status = 'offered' AND ($2::UUID IS NULL OR id != $2)
+      RETURNING contractor_id
+    `, [dispatch.id, exceptOfferId]);
+
+    for (const row of result.rows) {
+      await this.notify(row.contractor_id, {
+        title: 'Emergency Job No Longer Available',
+        body: `The urgent ${job.trade_category.replace(/_/g, ' ')} job has been taken or closed.`,
+        data: { type: 'emergency_job_offer_withdrawn', jobId: job.id }
+      });
+    }
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT id, customer_id, contractor_id, title, status, priority, trade_category,
+        estimated_cost, preferred_date,
+        ST_X(service_coordinates) as longitude, ST_Y(service_coordinates) as latitude
+      FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new DispatchError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getActiveDispatch(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM emergency_dispatches WHERE job_id = $1 AND status = 'searching'
+    `, [jobId]);
+
+    return result.rows[0] || null;
+  }
+
+  async getOffer(jobId, offerId, contractorId) {
+    const result = await this.db.query(`
+      SELECT * FROM emergency_dispatch_offers
+      WHERE id = $1 AND job_id = $2 AND contractor_id = $3
+    `, [offerId, jobId, contractorId]);
+
+    if (result.rows.length === 0) {
+      throw new DispatchError('Offer not found', 'OFFER_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, {
+        channels: ['push'],
+        ...notification
+      });
+    } catch (error) {
+      console.error('Emergency dispatch notification error:', error);
+    }
+  }
+
+  formatOffer(row) {
+    return {
+      id: row.id,
+      dispatchId: row.dispatch_id,
+      jobId: row.job_id,
+      contractorId: row.contractor_id,
+      wave: row.wave,
+      rank: row.rank,
+      status: row.status,
+      distanceMiles: row.distance_miles !== null ? parseFloat(row.distance_miles) : null,
+      offeredPrice: parseFloat(row.offered_price),
+      declineReason: row.decline_reason,
+      offeredAt: row.offered_at,
+      expiresAt: row.expires_at,
+      respondedAt: row.responded_at
+    };
+  }
+}
+
+// =================================================================
+// EMERGENCY DISPATCH ROUTES
+// =================================================================
+
+/**
+ * Create emergency dispatch routes, mounted under /jobs
+ */
+function createEmergencyDispatchRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const jobStateMachine = services.jobStateMachine || new JobStateMachine(database, {
+    notificationTriggers: services.notificationTriggers,
+    broadcastJobUpdate: services.broadcastJobUpdate
+  });
+  const matchingService = services.matchingService ||
+    new SmartMatchingService(database, services.mappingService || new MappingService(database));
+  const dispatchService = services.emergencyDispatchService ||
+    new EmergencyDispatchService(database, matchingService, jobStateMachine, services.notificationService);
+
+  const handleDispatchError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof DispatchError || error instanceof JobTransitionError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Start Emergency Dispatch (Customers and admin)
+  router.post('/:jobId/dispatch',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer', 'admin']),
+    [param('jobId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const actor = { id: req.user.id, userType: req.user.user_type };
+        const timeline = await dispatchService.startDispatch(req.params.jobId, actor);
+        res.status(201).json(timeline);
+      } catch (error) {
+        handleDispatchError(res, error, 'Failed to start dispatch', 'START_DISPATCH_ERROR');
+      }
+    }
+  );
+
+  // Get Dispatch Timeline (Job owner and staff)
+  router.get('/:jobId/dispatch',
+    middleware.requireAuth(),
+    [param('jobId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const timeline = await dispatchService.getDispatchTimeline(req.params.jobId, req.user);
+        res.json(timeline);
+      } catch (error) {
+        handleDispatchError(res, error, 'Failed to get dispatch', 'GET_DISPATCH_ERROR');
+      }
+    }
+  );
+
+  // Stop Emergency Dispatch (Customers and admin)
+  router.delete('/:jobId/dispatch',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer', 'admin']),
+    [param('jobId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const actor = { id: req.user.id, userType: req.user.user_type };
+        const timeline = await dispatchService.cancelDispatch(req.params.jobId, actor);
+        res.json(timeline);
+      } catch (error) {
+        handleDispatchError(res, error, 'Failed to stop dispatch', 'CANCEL_DISPATCH_ERROR');
+      }
+    }
+  );
+
+  // Accept Emergency Offer (Contractors only)
+  router.post('/:jobId/dispatch/offers/:offerId/accept',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('jobId').isUUID(),
+      param('offerId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await dispatchService.acceptOffer(req.params.jobId, req.params.offerId, req.user.id);
+        res.json(result);
+      } catch (error) {
+        handleDispatchError(res, error, 'Failed to accept offer', 'ACCEPT_OFFER_ERROR');
+      }
+    }
+  );
+
+  // Decline Emergency Offer (Contractors only)
+  router.post('/:jobId/dispatch/offers/:offerId/decline',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('jobId').isUUID(),
+      param('offerId').isUUID(),
+      body('reason').optional().trim().isLength({ max: 255 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const offer = await dispatchService.declineOffer(
+          req.params.jobId, req.params.offerId, req.user.id, req.body.reason || null
+        );
+        res.json(offer);
+      } catch (error) {
+        handleDispatchError(res, error, 'Failed to decline offer', 'DECLINE_OFFER_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  EmergencyDispatchService,
+  DispatchError,
+  DISPATCH_STATUSES,
+  OFFER_STATUSES,
+  createEmergencyDispatchRoutes
+};
@@ -0,0 +1,176 @@
+/**
+ * Module: file_storage_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1
+ * Provides: Pluggable object storage (local disk for dev/tests, S3-compatible for production)
+ * Integration Points: Job photos, document uploads, data exports
+ * Last Updated: 2025-06-05
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { config } = require('./config/env');
+
+// =================================================================
+// LOCAL DISK STORAGE
+// =================================================================
+
+/**
+ * Local Storage Adapter
+ * Writes objects under a directory served statically by the API server
+ */
+class LocalStorageAdapter {
+  constructor(options = config.services.storage.local) {
+    this.directory = options.directory;
+    this.publicBaseUrl = options.publicBaseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Store an object and return its public URL
+   */
+  async putObject(key, body, contentType) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+
+    return { key, url: this.getPublicUrl(key), contentType };
+  }
+
+  /**
+   * Read an object back as a buffer
+   */
+  async getObject(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Delete an object, ignoring objects that are already gone
+   */
+  async deleteObject(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getPublicUrl(key) {
+    return `${this.publicBaseUrl}/${key}`;
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+
+    // Keys are generated server side, but never allow escaping the root
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+// =================================================================
+// S3-COMPATIBLE STORAGE
+// =================================================================
+
+/**
+ * S3 Storage Adapter
+ * Works with AWS S3 and S3-compatible stores via a custom endpoint
+ */
+class S3StorageAdapter {
+  constructor(options = config.services.storage.aws) {
+    this.bucket = options.s3Bucket;
+    this.region = options.region;
+    this.endpoint = options.endpoint;
+    this.cloudFrontDomain = options.cloudFrontDomain;
+
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId ? {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      } : undefined
+    });
+  }
+
+  /**
+   * Store an object and return its public URL
+   */
+  async putObject(key, body, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+
+    return { key, url: this.getPublicUrl(key), contentType };
+  }
+
+  /**
+   * Read an object back as a buffer
+   */
+  async getObject(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Delete an object
+   */
+  async deleteObject(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  getPublicUrl(key) {
+    if (this.cloudFrontDomain) {
+      return `https://${this.cloudFrontDomain}/${key}`;
+    }
+
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/$/, '')}/${this.bucket}/${key}`;
+    }
+
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+// =================================================================
+// FACTORY
+// =================================================================
+
+/**
+ * Create the storage adapter selected by configuration
+ */
+function createStorageAdapter(storageConfig = config.services.storage) {
+  switch (storageConfig.driver) {
+    case 's3':
+      return new S3StorageAdapter(storageConfig.aws);
+    case 'local':
+      return new LocalStorageAdapter(storageConfig.local);
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  LocalStorageAdapter,
+  S3StorageAdapter,
+  createStorageAdapter
+};
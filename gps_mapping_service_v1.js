@@ -2,15 +2,246 @@
  * Module: mapping_service_v1
  * Version: 1.0.0
  * Dependencies: config_env_v1, db_schema_foundation_v1
- * Provides: GPS tracking, route optimization, geocoding, distance calculations
- * Integration Points: Mobile apps, job management, contractor matching
- * Last Updated: 2025-05-31
+ * Provides: GPS tracking, route optimization, geocoding (pluggable providers, cached), address normalization, distance calculations
+ * Integration Points: Mobile apps, job management, contractor matching, user profiles
+ * Last Updated: 2025-06-14
  */
 
+const fs = require('fs');
 const axios = require('axios');
 const geolib = require('geolib');
 const { config } = require('./config/env');
 
+// =================================================================
+// ADDRESS NORMALIZATION
+// =================================================================
+
+/**
+ * USPS street suffix and directional abbreviations
+ */
+const STREET_ABBREVIATIONS = {
+  street: 'St', avenue: 'Ave', road: 'Rd', boulevard: 'Blvd', drive: 'Dr',
+  lane: 'Ln', court: 'Ct', place: 'Pl', terrace: 'Ter', parkway: 'Pkwy',
+  highway: 'Hwy', circle: 'Cir', square: 'Sq', trail: 'Trl', way: 'Way',
+  north: 'N', south: 'S', east: 'E', west: 'W',
+  northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW',
+  apartment: 'Apt', suite: 'Ste', unit: 'Unit'
+};
+
+/**
+ * US state and territory names to postal codes
+ */
+const US_STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC',
+  florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID', illinois: 'IL',
+  indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+  maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK',
+  oregon: 'OR', pennsylvania: 'PA', 'puerto rico': 'PR', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX',
+  utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA', 'west virginia': 'WV',
+  wisconsin: 'WI', wyoming: 'WY'
+};
+
+const collapseWhitespace = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+const abbreviateStreetWords = (value) => collapseWhitespace(value)
+  .split(' ')
+  .map(word => {
+    const bare = word.replace(/[.,]+$/, '');
+    return STREET_ABBREVIATIONS[bare.toLowerCase()] || bare;
+  })
+  .join(' ');
+
+const titleCase = (value) => collapseWhitespace(value)
+  .toLowerCase()
+  .replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+
+/**
+ * Normalize a US street address so equivalent spellings share a
+ * geocode cache entry and are stored consistently
+ *
+ * "123 north main street.", "des moines", "Iowa", "50309-1234"
+ *   -> "123 N Main St", "Des Moines", "IA", "50309-1234"
+ */
+function normalizeAddress(address) {
+  const state = collapseWhitespace(address.state);
+  const zipMatch = collapseWhitespace(address.zipCode).match(/^(\d{5})(?:-?(\d{4}))?$/);
+
+  return {
+    addressLine1: abbreviateStreetWords(address.addressLine1),
+    addressLine2: address.addressLine2 ? abbreviateStreetWords(address.addressLine2) : null,
+    city: titleCase(address.city),
+    state: state.length === 2 ? state.toUpperCase() : (US_STATE_CODES[state.toLowerCase()] || state),
+    zipCode: zipMatch
+      ? (zipMatch[2] ? `${zipMatch[1]}-${zipMatch[2]}` : zipMatch[1])
+      : collapseWhitespace(address.zipCode)
+  };
+}
+
+/**
+ * Single-line geocoding query for a normalized address. The second
+ * address line is left out: units share their building's coordinates.
+ */
+function formatAddressQuery(normalized) {
+  return `${normalized.addressLine1}, ${normalized.city}, ${normalized.state} ${normalized.zipCode}`;
+}
+
+// =================================================================
+// GEOCODING PROVIDERS
+// =================================================================
+
+/**
+ * Error raised when an address cannot be geocoded
+ *
+ * ADDRESS_NOT_FOUND means the provider has no match (worth flagging to
+ * the user); GEOCODING_UNAVAILABLE means the lookup itself failed and
+ * may succeed on retry.
+ */
+class GeocodingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'GeocodingError';
+    this.code = code;
+  }
+}
+
+/**
+ * Google Geocoding API provider
+ */
+class GoogleGeocodingProvider {
+  constructor(options = {}) {
+    this.name = 'google';
+    this.apiKey = options.apiKey;
+  }
+
+  async geocode(query) {
+    let response;
+    try {
+      response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+        params: {
+          address: query,
+          key: this.apiKey
+        }
+      });
+    } catch (error) {
+      throw new GeocodingError(`Geocoding request failed: ${error.message}`, 'GEOCODING_UNAVAILABLE');
+    }
+
+    if (response.data.status === 'ZERO_RESULTS') {
+      throw new GeocodingError('No match for address', 'ADDRESS_NOT_FOUND');
+    }
+
+    if (response.data.status !== 'OK' || response.data.results.length === 0) {
+      throw new GeocodingError(`Geocoding failed: ${response.data.status}`, 'GEOCODING_UNAVAILABLE');
+    }
+
+    const result = response.data.results[0];
+    const location = result.geometry.location;
+
+    return {
+      latitude: location.lat,
+      longitude: location.lng,
+      formattedAddress: result.formatted_address,
+      placeId: result.place_id,
+      locationType: result.geometry.location_type
+    };
+  }
+}
+
+/**
+ * Mapbox Geocoding API provider
+ */
+class MapboxGeocodingProvider {
+  constructor(options = {}) {
+    this.name = 'mapbox';
+    this.accessToken = options.accessToken;
+  }
+
+  async geocode(query) {
+    let response;
+    try {
+      response = await axios.get(`https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json`, {
+        params: {
+          access_token: this.accessToken,
+          country: 'us',
+          types: 'address',
+          limit: 1
+        }
+      });
+    } catch (error) {
+      throw new GeocodingError(`Geocoding request failed: ${error.message}`, 'GEOCODING_UNAVAILABLE');
+    }
+
+    const feature = (response.data.features || [])[0];
+    if (!feature) {
+      throw new GeocodingError('No match for address', 'ADDRESS_NOT_FOUND');
+    }
+
+    const [longitude, latitude] = feature.center;
+
+    return {
+      latitude,
+      longitude,
+      formattedAddress: feature.place_name,
+      placeId: feature.id,
+      locationType: (feature.properties && feature.properties.accuracy) || null
+    };
+  }
+}
+
+/**
+ * Offline provider for tests and local development
+ *
+ * Fixtures map a lower-cased geocoding query, or "zip:<5-digit ZIP>"
+ * as a fallback, to { latitude, longitude }. Anything else is reported
+ * as not found, so tests can exercise unresolved addresses.
+ */
+class FixtureGeocodingProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtures = options.fixtures ||
+      (options.fixturesPath ? JSON.parse(fs.readFileSync(options.fixturesPath, 'utf8')) : {});
+  }
+
+  async geocode(query) {
+    const key = query.toLowerCase();
+    const zipMatch = query.match(/\b(\d{5})(?:-\d{4})?$/);
+    const fixture = this.fixtures[key] || (zipMatch && this.fixtures[`zip:${zipMatch[1]}`]);
+
+    if (!fixture) {
+      throw new GeocodingError('No match for address', 'ADDRESS_NOT_FOUND');
+    }
+
+    return {
+      latitude: fixture.latitude,
+      longitude: fixture.longitude,
+      formattedAddress: fixture.formattedAddress || query,
+      placeId: fixture.placeId || null,
+      locationType: this.fixtures[key] ? 'ROOFTOP' : 'APPROXIMATE'
+    };
+  }
+}
+
+/**
+ * Create the geocoding provider selected by configuration
+ */
+function createGeocodingProvider(mapsConfig = config.services.maps) {
+  switch (mapsConfig.geocoding.provider) {
+    case 'google':
+      return new GoogleGeocodingProvider({ apiKey: mapsConfig.googleApiKey });
+    case 'mapbox':
+      return new MapboxGeocodingProvider({ accessToken: mapsConfig.mapboxApiKey });
+    case 'fixture':
+      return new FixtureGeocodingProvider({ fixturesPath: mapsConfig.geocoding.fixturesPath });
+    default:
+      throw new Error(`Unknown geocoding provider: ${mapsConfig.geocoding.provider}`);
+  }
+}
+
 // =================================================================
 // MAPPING SERVICE CORE
 // =================================================================
@@ -20,10 +251,13 @@ const { config } = require('./config/env');
  * Handles location services, geocoding, route optimization
  */
 class MappingService {
-  constructor(database) {
+  constructor(database, options = {}) {
     this.db = database;
     this.googleMapsApiKey = config.services.maps.googleApiKey;
     this.mapboxApiKey = config.services.maps.mapboxApiKey;
+    this.geocoder = options.geocoder || createGeocodingProvider();
+    this.geocodeCacheDays = config.services.maps.geocoding.cacheDays;
+    this.geocodeNotFoundCacheHours = config.services.maps.geocoding.notFoundCacheHours;
   }
 
   // =================================================================
@@ -31,40 +265,163 @@ class MappingService {
   // =================================================================
 
   /**
-   * Convert address to coordinates using Google Geocoding API
+   * Convert address to coordinates through the configured provider
+   *
+   * Structured addresses are normalized first; results (including "no
+   * match") are cached per provider so repeat lookups stay offline.
+   * Throws GeocodingError.
    */
   async geocodeAddress(address) {
+    const normalizedAddress = typeof address === 'string' ? null : normalizeAddress(address);
+    const query = normalizedAddress ? formatAddressQuery(normalizedAddress) : collapseWhitespace(address);
+    const cacheKey = query.toLowerCase();
+
+    const cached = await this.db.query(`
+      SELECT * FROM geocode_cache
+      WHERE address_key = $1 AND provider = $2 AND expires_at > NOW()
+    `, [cacheKey, this.geocoder.name]);
+
+    if (cached.rows.length > 0) {
+      const entry = cached.rows[0];
+      if (!entry.resolved) {
+        throw new GeocodingError('No match for address', 'ADDRESS_NOT_FOUND');
+      }
+      return {
+        latitude: parseFloat(entry.latitude),
+        longitude: parseFloat(entry.longitude),
+        formattedAddress: entry.formatted_address,
+        placeId: entry.place_id,
+        locationType: entry.location_type,
+        normalizedAddress
+      };
+    }
+
+    let result;
     try {
-      const formattedAddress = typeof address === 'string' ? address : 
-        `${address.addressLine1}, ${address.city}, ${address.state} ${address.zipCode}`;
+      result = await this.geocoder.geocode(query);
+    } catch (error) {
+      if (error instanceof GeocodingError && error.code === 'ADDRESS_NOT_FOUND') {
+        await this.cacheGeocode(cacheKey, null, `${this.geocodeNotFoundCacheHours} hours`);
+        throw error;
+      }
+      console.error('Geocoding error:', error);
+      throw error instanceof GeocodingError
+        ? error
+        : new GeocodingError(`Failed to geocode address: ${error.message}`, 'GEOCODING_UNAVAILABLE');
+    }
 
-      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
-        params: {
-          address: formattedAddress,
-          key: this.googleMapsApiKey
-        }
-      });
+    await this.cacheGeocode(cacheKey, result, `${this.geocodeCacheDays} days`);
 
-      if (response.data.status !== 'OK' || response.data.results.length === 0) {
-        throw new Error(`Geocoding failed: ${response.data.status}`);
-      }
+    return { ...result, normalizedAddress };
+  }
 
-      const result = response.data.results[0];
-      const location = result.geometry.location;
+  /**
+   * Resolve a service address for storage on a job or profile
+   *
+   * Never throws: returns the normalized address, the coordinates to
+   * store (server geocode first, then valid client-supplied ones) and
+   * a geocode status of resolved, client, unresolved (no match) or
+   * failed (provider error, retried later).
+   */
+  async resolveServiceAddress(address, clientCoordinates = null) {
+    const normalizedAddress = normalizeAddress(address);
 
+    try {
+      const result = await this.geocodeAddress(normalizedAddress);
       return {
-        latitude: location.lat,
-        longitude: location.lng,
-        formattedAddress: result.formatted_address,
-        placeId: result.place_id,
-        addressComponents: result.address_components,
-        bounds: result.geometry.bounds,
-        locationType: result.geometry.location_type
+        address: normalizedAddress,
+        coordinates: { latitude: result.latitude, longitude: result.longitude },
+        geocodeStatus: 'resolved'
       };
+    } catch (error) {
+      if (clientCoordinates && this.isValidCoordinates(clientCoordinates.latitude, clientCoordinates.longitude)) {
+        return {
+          address: normalizedAddress,
+          coordinates: { latitude: clientCoordinates.latitude, longitude: clientCoordinates.longitude },
+          geocodeStatus: 'client'
+        };
+      }
+
+      return {
+        address: normalizedAddress,
+        coordinates: null,
+        geocodeStatus: error.code === 'ADDRESS_NOT_FOUND' ? 'unresolved' : 'failed'
+      };
+    }
+  }
+
+  /**
+   * Retry geocoding for open jobs whose lookup failed on creation
+   */
+  async retryFailedJobGeocodes(limit = 100) {
+    const result = await this.db.query(`
+      SELECT id, service_address_line1, service_address_line2, service_city, service_state, service_zip_code
+      FROM jobs
+      WHERE geocode_status = 'failed' AND status IN ('posted', 'assigned', 'in_progress')
+      ORDER BY created_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    let resolved = 0;
+
+    for (const job of result.rows) {
+      const location = await this.resolveServiceAddress({
+        addressLine1: job.service_address_line1,
+        addressLine2: job.service_address_line2,
+        city: job.service_city,
+        state: job.service_state,
+        zipCode: job.service_zip_code
+      });
+
+      if (location.geocodeStatus === 'failed') continue;
 
+      await this.db.query(`
+        UPDATE jobs
+        SET service_coordinates = CASE WHEN $2::DOUBLE PRECISION IS NULL THEN NULL
+              ELSE ST_SetSRID(ST_MakePoint($3, $2), 4326) END,
+            geocode_status = $4, updated_at = NOW()
+        WHERE id = $1 AND geocode_status = 'failed'
+      `, [
+        job.id,
+        location.coordinates ? location.coordinates.latitude : null,
+        location.coordinates ? location.coordinates.longitude : null,
+        location.geocodeStatus
+      ]);
+
+      if (location.geocodeStatus === 'resolved') resolved++;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Store a geocode result, or a "no match" when result is null
+   */
+  async cacheGeocode(cacheKey, result, ttl) {
+    try {
+      await this.db.query(`
+        INSERT INTO geocode_cache (
+          address_key, provider, resolved, latitude, longitude,
+          formatted_address, place_id, location_type, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + $9::INTERVAL)
+        ON CONFLICT (address_key, provider) DO UPDATE SET
+          resolved = EXCLUDED.resolved,
+          latitude = EXCLUDED.latitude,
+          longitude = EXCLUDED.longitude,
+          formatted_address = EXCLUDED.formatted_address,
+          place_id = EXCLUDED.place_id,
+          location_type = EXCLUDED.location_type,
+          expires_at = EXCLUDED.expires_at,
+          updated_at = NOW()
+      `, [
+        cacheKey, this.geocoder.name, Boolean(result),
+        result ? result.latitude : null, result ? result.longitude : null,
+        result ? result.formattedAddress : null, result ? result.placeId : null,
+        result ? result.locationType : null, ttl
+      ]);
     } catch (error) {
-      console.error('Geocoding error:', error);
-      throw new Error(`Failed to geocode address: ${error.message}`);
+      // A cache write failure must not fail the lookup itself
+      console.error('Geocode cache write error:', error);
     }
   }
 
@@ -844,5 +1201,11 @@ class JobLocationTracker {
 
 module.exports = {
   MappingService,
-  JobLocationTracker
+  JobLocationTracker,
+  GeocodingError,
+  GoogleGeocodingProvider,
+  MapboxGeocodingProvider,
+  FixtureGeocodingProvider,
+  createGeocodingProvider,
+  normalizeAddress
 };
\ No newline at end of file
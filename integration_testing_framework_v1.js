@@ -7,10 +7,33 @@
  * Last Updated: 2025-05-31
  */
 
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const request = require('supertest');
 const { Pool } = require('pg');
 const WebSocket = require('ws');
 const { config } = require('./config/env');
+const {
+  AuthenticationService,
+  LoginAttemptService,
+  MemoryAttemptStore,
+  MfaService,
+  OAuthService,
+  JwksKeySource,
+  SigningKeyService
+} = require('./auth/auth-strategy');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+const { StripeWebhookService } = require('./stripe_webhooks_v1');
+const { PayoutReconciliationService } = require('./payout_reconciliation_v1');
+const { JobStateMachine } = require('./job_state_machine_v1');
+const { JobCancellationService } = require('./job_cancellation_v1');
+const { QuoteService } = require('./quote_system_v1');
+const { DisputeService } = require('./dispute_system_v1');
+const { ChangeOrderService } = require('./change_orders_v1');
+const { MilestoneService } = require('./milestone_payments_v1');
+const { RecurringJobService } = require('./recurring_jobs_v1');
+const { EmergencyDispatchService } = require('./emergency_dispatch_v1');
+const { MappingService, FixtureGeocodingProvider, GeocodingError } = require('./gps_mapping_service_v1');
 
 // =================================================================
 // INTEGRATION TEST FRAMEWORK
@@ -51,6 +74,9 @@ class IntegrationTestFramework {
       // Clear test database
       await this.clearTestData();
 
+      // Load the JWT signing key ring that services called directly issue tokens from
+      await new SigningKeyService(this.dbPool).initialize();
+
       // Create test users
       await this.createTestUsers();
 
@@ -91,10 +117,11 @@ class IntegrationTestFramework {
    */
   async clearTestData() {
     const tables = [
-      'job_photos', 'job_status_history', 'messages', 'conversations',
-      'payments', 'reviews', 'notifications', 'notification_tokens',
-      'contractor_location_history', 'jobs', 'contractor_profiles',
-      'user_preferences', 'user_sessions', 'users'
+      'dispute_evidence', 'disputes', 'emergency_dispatch_offers', 'emergency_dispatches', 'saved_search_matches', 'saved_searches', 'recurring_job_occurrences', 'recurring_job_series', 'job_photos', 'job_status_history', 'job_quotes',
+      'job_completions', 'job_cancellations', 'change_order_events', 'change_orders', 'job_milestones',
+      'messages', 'conversations', 'payout_reconciliation_items', 'payout_reconciliation_runs', 'ledger_lines', 'ledger_entries', 'stripe_webhook_events', 'payments', 'review_moderation_log', 'review_quality_flags', 'reviews', 'notifications', 'notification_tokens',
+      'contractor_location_history', 'jobs', 'geocode_cache', 'contractor_payouts', 'contractor_profiles',
+      'data_export_requests', 'account_deletion_requests', 'admin_audit_log', 'user_roles', 'user_identities', 'oauth_nonces', 'user_preferences', 'account_tokens', 'trusted_devices', 'mfa_challenges', 'mfa_recovery_codes', 'user_mfa_factors', 'user_sessions', 'users'
     ];
 
     for (const table of tables) {
@@ -119,6 +146,7 @@ class IntegrationTestFramework {
 
     this.testUsers.customer = customerResponse.body.user;
     this.testTokens.customer = customerResponse.body.tokens.accessToken;
+    await this.activateTestUser(this.testUsers.customer.id);
 
     // Test contractor
     const contractorResponse = await request(this.baseUrl)
@@ -133,11 +161,12 @@ class IntegrationTestFramework {
 
     this.testUsers.contractor = contractorResponse.body.user;
     this.testTokens.contractor = contractorResponse.body.tokens.accessToken;
+    await this.activateTestUser(this.testUsers.contractor.id);
 
     // Setup contractor profile
     await this.setupContractorProfile();
 
-    // Test admin
+    // Test admin (staff accounts can't self-register; promote a customer)
     const adminResponse = await request(this.baseUrl)
       .post('/auth/register')
       .send({
@@ -145,11 +174,25 @@ class IntegrationTestFramework {
         password: 'TestPassword123!',
         firstName: 'Test',
         lastName: 'Admin',
-        userType: 'admin'
+        userType: 'customer'
       });
 
     this.testUsers.admin = adminResponse.body.user;
     this.testTokens.admin = adminResponse.body.tokens.accessToken;
+    await this.activateTestUser(this.testUsers.admin.id, 'admin');
+  }
+
+  /**
+   * Skip email verification for a test account, optionally changing its type
+   */
+  async activateTestUser(userId, userType = null) {
+    await this.dbPool.query(`
+      UPDATE users SET
+        account_status = 'active',
+        email_verified_at = NOW(),
+        user_type = COALESCE($2, user_type)
+      WHERE id = $1
+    `, [userId, userType]);
   }
 
   /**
@@ -176,6 +219,108 @@ class IntegrationTestFramework {
     `, [this.testUsers.contractor.id]);
   }
 
+  /**
+   * Insert a job for the test customer directly, at any point in its lifecycle
+   */
+  async createTestJob(fields = {}) {
+    const job = {
+      status: 'posted',
+      contractorId: null,
+      quotedPrice: null,
+      preferredDate: null,
+      preferredTimeStart: null,
+      ...fields
+    };
+
+    const result = await this.dbPool.query(`
+      INSERT INTO jobs (
+        customer_id, contractor_id, title, description, trade_category,
+        service_address_line1, service_city, service_state, service_zip_code, service_coordinates,
+        status, quoted_price, preferred_date, preferred_time_start, posted_at
+      ) VALUES (
+        $1, $2, 'Bathroom Sink Repair', 'Slow drain and dripping tap', 'plumbing',
+        '123 Test St', 'Des Moines', 'IA', '50309', ST_GeomFromText('POINT(-93.6250 41.5868)', 4326),
+        $3, $4, $5, $6, NOW()
+      )
+      RETURNING *
+    `, [
+      this.testUsers.customer.id, job.contractorId, job.status,
+      job.quotedPrice, job.preferredDate, job.preferredTimeStart
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Insert the escrow payment for a test job
+   */
+  async createTestPayment(job, fields = {}) {
+    const payment = {
+      status: 'processing',
+      paymentIntentId: `pi_test_${job.id.slice(0, 8)}`,
+      authorized: true,
+      ...fields
+    };
+    const amount = parseFloat(job.quoted_price);
+
+    const result = await this.dbPool.query(`
+      INSERT INTO payments (
+        job_id, customer_id, contractor_id,
+        amount_total, amount_contractor, amount_platform_fee, amount_stripe_fee,
+        payment_status, stripe_payment_intent_id, authorized_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $10 THEN NOW() END)
+      RETURNING *
+    `, [
+      job.id, job.customer_id, job.contractor_id,
+      amount, Math.round(amount * 90) / 100, Math.round(amount * 10) / 100, Math.round((amount * 0.029 + 0.30) * 100) / 100,
+      payment.status, payment.paymentIntentId, payment.authorized
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Preferred date and start time a number of hours from now, in UTC
+   */
+  scheduleFromNow(hours) {
+    const start = new Date(Date.now() + hours * 60 * 60 * 1000);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+      preferredDate: `${start.getUTCFullYear()}-${pad(start.getUTCMonth() + 1)}-${pad(start.getUTCDate())}`,
+      preferredTimeStart: `${pad(start.getUTCHours())}:${pad(start.getUTCMinutes())}`
+    };
+  }
+
+  /**
+   * Auth service for sign-in tests, called directly so the per-IP route
+   * rate limit doesn't cap how many sign-ins a test can make
+   */
+  createAuthService(lockoutOptions = {}) {
+    const authService = new AuthenticationService(this.dbPool);
+    authService.loginAttemptService = new LoginAttemptService(new MemoryAttemptStore(), {
+      ...config.auth.lockout,
+      ...lockoutOptions
+    });
+    return authService;
+  }
+
+  /**
+   * Insert an active customer that only one test signs in as
+   */
+  async createAuthTestUser(authService, email) {
+    const passwordHash = await authService.passwordService.hashPassword('TestPassword123!');
+
+    const result = await this.dbPool.query(`
+      INSERT INTO users (
+        email, password_hash, user_type, first_name, last_name, account_status, email_verified_at
+      ) VALUES ($1, $2, 'customer', 'Auth', 'Tester', 'active', NOW())
+      RETURNING *
+    `, [email, passwordHash]);
+
+    return result.rows[0];
+  }
+
   // =================================================================
   // CORE WORKFLOW TESTS
   // =================================================================
@@ -223,27 +368,28 @@ class IntegrationTestFramework {
       expect(jobsResponse.body.data.length).toBeGreaterThan(0);
 
       // 3. Contractor submits quote
-      const applyResponse = await request(this.baseUrl)
-        .post(`/jobs/${job.id}/apply`)
+      const quoteResponse = await request(this.baseUrl)
+        .post(`/jobs/${job.id}/quotes`)
         .set('Authorization', `Bearer ${this.testTokens.contractor}`)
         .send({
-          quotedPrice: 125,
-          message: 'I can fix this today',
-          estimatedCompletionDate: new Date().toISOString().split('T')[0]
+          lineItems: [
+            { description: 'Faucet repair labor', category: 'labor', quantity: 1, unitPrice: 95 },
+            { description: 'Cartridge and seals', category: 'materials', quantity: 1, unitPrice: 30 }
+          ],
+          notes: 'I can fix this today',
+          estimatedStartDate: new Date().toISOString().split('T')[0]
         });
 
-      expect(applyResponse.status).toBe(200);
+      expect(quoteResponse.status).toBe(201);
+      expect(quoteResponse.body.totalAmount).toBe(125);
 
-      // 4. Customer assigns job to contractor
-      const assignResponse = await request(this.baseUrl)
-        .post(`/jobs/${job.id}/assign`)
-        .set('Authorization', `Bearer ${this.testTokens.customer}`)
-        .send({
-          contractorId: this.testUsers.contractor.id,
-          agreedPrice: 125
-        });
+      // 4. Customer accepts quote, assigning the job to the contractor
+      const acceptResponse = await request(this.baseUrl)
+        .post(`/jobs/${job.id}/quotes/${quoteResponse.body.id}/accept`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`);
 
-      expect(assignResponse.status).toBe(200);
+      expect(acceptResponse.status).toBe(200);
+      expect(acceptResponse.body.job.status).toBe('assigned');
 
       // 5. Create conversation
       const conversationResponse = await request(this.baseUrl)
@@ -358,15 +504,49 @@ class IntegrationTestFramework {
   async testJobCompletion(jobId) {
     console.log('✅ Testing job completion and review...');
 
-    // Contractor marks job as completed
+    // Contractor starts work
+    const startResponse = await request(this.baseUrl)
+      .patch(`/jobs/${jobId}/status`)
+      .set('Authorization', `Bearer ${this.testTokens.contractor}`)
+      .send({ status: 'in_progress' });
+
+    expect(startResponse.status).toBe(200);
+
+    // After photo required for completion
     await this.dbPool.query(`
-      UPDATE jobs SET status = 'completed', completed_at = NOW() WHERE id = $1
-    `, [jobId]);
+      INSERT INTO job_photos (job_id, uploaded_by, photo_url, photo_type)
+      VALUES ($1, $2, 'https://example.com/after.jpg', 'after')
+    `, [jobId, this.testUsers.contractor.id]);
+
+    // Raising the price at completion needs a change order the customer approves
+    const overpricedResponse = await request(this.baseUrl)
+      .post(`/jobs/${jobId}/complete`)
+      .set('Authorization', `Bearer ${this.testTokens.contractor}`)
+      .send({ workDuration: 5400, finalPrice: 100000 });
+
+    expect(overpricedResponse.status).toBe(422);
+    expect(overpricedResponse.body.code).toBe('FINAL_PRICE_EXCEEDS_AGREED');
+
+    // Contractor submits completion
+    const completeResponse = await request(this.baseUrl)
+      .post(`/jobs/${jobId}/complete`)
+      .set('Authorization', `Bearer ${this.testTokens.contractor}`)
+      .send({
+        workDuration: 5400,
+        materialsUsed: [{ name: 'Faucet cartridge', cost: 24.99 }],
+        completionNotes: 'Replaced cartridge and tested for leaks'
+      });
+
+    expect(completeResponse.status).toBe(201);
+    expect(completeResponse.body.job.status).toBe('completed');
 
     // Customer approves job
-    await this.dbPool.query(`
-      UPDATE jobs SET status = 'approved', approved_at = NOW() WHERE id = $1
-    `, [jobId]);
+    const approveResponse = await request(this.baseUrl)
+      .post(`/jobs/${jobId}/approve`)
+      .set('Authorization', `Bearer ${this.testTokens.customer}`);
+
+    expect(approveResponse.status).toBe(200);
+    expect(approveResponse.body.job.status).toBe('approved');
 
     // Customer submits review
     const reviewResponse = await request(this.baseUrl)
@@ -387,6 +567,1474 @@ class IntegrationTestFramework {
     expect(reviewResponse.status).toBe(201);
   }
 
+  // =================================================================
+  // JOB LIFECYCLE TESTS
+  // =================================================================
+
+  /**
+   * Test that the generic status endpoint only allows plain transitions
+   */
+  async testJobStateMachine() {
+    console.log('🚦 Testing job state machine...');
+
+    try {
+      const job = await this.createTestJob();
+      const setStatus = (token, status) => request(this.baseUrl)
+        .patch(`/jobs/${job.id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status });
+
+      // Not a legal move from 'posted'
+      const illegalResponse = await setStatus(this.testTokens.customer, 'in_progress');
+      expect(illegalResponse.status).toBe(409);
+      expect(illegalResponse.body.code).toBe('ILLEGAL_STATUS_TRANSITION');
+
+      // Legal, but only through its workflow endpoint
+      const workflowResponse = await setStatus(this.testTokens.customer, 'cancelled');
+      expect(workflowResponse.status).toBe(409);
+      expect(workflowResponse.body.code).toBe('STATUS_REQUIRES_WORKFLOW');
+
+      // An unknown job is a 404 even for workflow-only statuses
+      const missingResponse = await request(this.baseUrl)
+        .patch(`/jobs/${crypto.randomUUID()}/status`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({ status: 'cancelled' });
+      expect(missingResponse.status).toBe(404);
+      expect(missingResponse.body.code).toBe('JOB_NOT_FOUND');
+
+      await this.dbPool.query(`
+        UPDATE jobs SET status = 'assigned', contractor_id = $2, quoted_price = 150.00 WHERE id = $1
+      `, [job.id, this.testUsers.contractor.id]);
+
+      // Reopening drops the assignment and escrow, so it goes through cancellation
+      const reopenResponse = await setStatus(this.testTokens.contractor, 'posted');
+      expect(reopenResponse.status).toBe(409);
+      expect(reopenResponse.body.details.endpoint).toBe('POST /jobs/:id/cancel');
+
+      // Only the contractor starts work
+      const customerStartResponse = await setStatus(this.testTokens.customer, 'in_progress');
+      expect(customerStartResponse.status).toBe(403);
+      expect(customerStartResponse.body.code).toBe('TRANSITION_NOT_PERMITTED');
+
+      const startResponse = await setStatus(this.testTokens.contractor, 'in_progress');
+      expect(startResponse.status).toBe(200);
+      expect(startResponse.body.status).toBe('in_progress');
+
+      const history = await this.dbPool.query(`
+        SELECT previous_status, new_status, changed_by FROM job_status_history
+        WHERE job_id = $1 ORDER BY created_at DESC LIMIT 1
+      `, [job.id]);
+      expect(history.rows[0].previous_status).toBe('assigned');
+      expect(history.rows[0].new_status).toBe('in_progress');
+      expect(history.rows[0].changed_by).toBe(this.testUsers.contractor.id);
+
+      // Staff move jobs through the jobs:manage permission, which support does not hold
+      const stateMachine = new JobStateMachine(this.dbPool);
+      const supportActor = { id: crypto.randomUUID(), userType: 'support' };
+      expect(await stateMachine.resolveActorRole(job, supportActor)).toBe(null);
+      expect(await stateMachine.resolveActorRole(job, { id: this.testUsers.admin.id, userType: 'admin' })).toBe('admin');
+
+      // Drafts are published through the draft endpoint, which validates and geocodes
+      const draftResponse = await request(this.baseUrl)
+        .post('/jobs/drafts')
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({ title: 'Half-finished job post' });
+
+      expect(draftResponse.status).toBe(201);
+
+      const publishResponse = await request(this.baseUrl)
+        .patch(`/jobs/${draftResponse.body.id}/status`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({ status: 'posted' });
+
+      expect(publishResponse.status).toBe(409);
+      expect(publishResponse.body.details.endpoint).toBe('POST /jobs/drafts/:id/publish');
+
+      console.log('✅ Job state machine test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Job state machine test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test cancellation fees and escrow settlement retries
+   */
+  async testCancellationPolicy() {
+    console.log('🛑 Testing cancellation policy...');
+
+    try {
+      const assigned = {
+        status: 'assigned',
+        contractorId: this.testUsers.contractor.id,
+        quotedPrice: 200.00
+      };
+
+      // Inside the free window: 15% of $200 beats the $25 minimum
+      const lateJob = await this.createTestJob({ ...assigned, ...this.scheduleFromNow(6) });
+      const payment = await this.createTestPayment(lateJob);
+
+      const previewResponse = await request(this.baseUrl)
+        .get(`/jobs/${lateJob.id}/cancellation`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`);
+
+      expect(previewResponse.status).toBe(200);
+      expect(previewResponse.body.faultParty).toBe('customer');
+      expect(previewResponse.body.feeAmount).toBe(30);
+      expect(previewResponse.body.feeCollectible).toBe(true);
+
+      // Stripe fails on the first capture; the cancellation is kept for the retry job
+      const idempotencyKeys = [];
+      let stripeDown = true;
+      const paymentService = {
+        calculatePlatformFee: (amount) => ({
+          platformFee: Math.round(amount * 10) / 100,
+          stripeFee: Math.round((amount * 0.029 + 0.30) * 100) / 100
+        }),
+        releaseEscrowPayment: async (paymentIntentId, options) => {
+          idempotencyKeys.push(options.idempotencyKey);
+          if (stripeDown) throw new Error('Stripe API unavailable');
+          return { chargeId: 'ch_test_cancel', transferId: 'tr_test_cancel', amountCaptured: options.amountToCapture };
+        },
+        cancelEscrowPayment: async () => {
+          throw new Error('Escrow with a late fee should be partially captured');
+        }
+      };
+      const cancellationService = new JobCancellationService(
+        this.dbPool, new JobStateMachine(this.dbPool), paymentService
+      );
+      const customer = { id: this.testUsers.customer.id, userType: 'customer' };
+
+      const cancelResult = await cancellationService.cancelJob(lateJob.id, customer, { reasonCode: 'schedule_conflict' });
+      expect(cancelResult.job.status).toBe('cancelled');
+      expect(cancelResult.escrowAction).toBe('pending');
+      expect(cancelResult.feeAmount).toBe(0);
+
+      const pending = await this.dbPool.query(`
+        SELECT * FROM job_cancellations WHERE job_id = $1
+      `, [lateJob.id]);
+      expect(pending.rows[0].settled_at).toBe(null);
+      expect(pending.rows[0].settlement_attempts).toBe(1);
+      expect(parseFloat(pending.rows[0].fee_amount)).toBe(30);
+
+      stripeDown = false;
+      await cancellationService.retryPendingSettlements();
+
+      const settled = await this.dbPool.query(`
+        SELECT c.*, p.payment_status FROM job_cancellations c
+        JOIN payments p ON p.id = $2
+        WHERE c.job_id = $1
+      `, [lateJob.id, payment.id]);
+      expect(settled.rows[0].escrow_action).toBe('partial_capture');
+      expect(settled.rows[0].settlement_attempts).toBe(2);
+      expect(settled.rows[0].payment_status).toBe('completed');
+
+      // Both attempts share a key, so Stripe can't capture twice
+      expect(idempotencyKeys.length).toBe(2);
+      expect(idempotencyKeys[1]).toBe(idempotencyKeys[0]);
+      expect(idempotencyKeys[0]).toBe(`cancellation-${settled.rows[0].id}-capture`);
+
+      // Outside the free window: no fee
+      const earlyJob = await this.createTestJob({ ...assigned, ...this.scheduleFromNow(72) });
+      const earlyResponse = await request(this.baseUrl)
+        .post(`/jobs/${earlyJob.id}/cancel`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({ reasonCode: 'customer_request' });
+
+      expect(earlyResponse.status).toBe(200);
+      expect(earlyResponse.body.faultParty).toBe(null);
+      expect(earlyResponse.body.feeAmount).toBe(0);
+      expect(earlyResponse.body.escrowAction).toBe('none');
+
+      // A contractor withdrawing reopens the job instead of cancelling it
+      const withdrawnJob = await this.createTestJob({ ...assigned, ...this.scheduleFromNow(6) });
+      const withdrawResponse = await request(this.baseUrl)
+        .post(`/jobs/${withdrawnJob.id}/cancel`)
+        .set('Authorization', `Bearer ${this.testTokens.contractor}`)
+        .send({ reasonCode: 'contractor_unavailable' });
+
+      expect(withdrawResponse.status).toBe(200);
+      expect(withdrawResponse.body.faultParty).toBe('contractor');
+      expect(withdrawResponse.body.job.status).toBe('posted');
+
+      const reopened = await this.dbPool.query(`
+        SELECT contractor_id, quoted_price FROM jobs WHERE id = $1
+      `, [withdrawnJob.id]);
+      expect(reopened.rows[0].contractor_id).toBe(null);
+      expect(reopened.rows[0].quoted_price).toBe(null);
+
+      console.log('✅ Cancellation policy test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Cancellation policy test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that a dispute freezes escrow until an admin resolves it
+   */
+  async testDisputeFreeze() {
+    console.log('⚖️ Testing dispute freeze and resolution...');
+
+    try {
+      const job = await this.createTestJob({
+        status: 'in_progress',
+        contractorId: this.testUsers.contractor.id,
+        quotedPrice: 180.00
+      });
+      const payment = await this.createTestPayment(job);
+
+      const disputeResponse = await request(this.baseUrl)
+        .post('/disputes')
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({
+          jobId: job.id,
+          reason: 'work_incomplete',
+          description: 'The contractor left before the drain was fixed.'
+        });
+
+      expect(disputeResponse.status).toBe(201);
+      const disputeId = disputeResponse.body.id;
+
+      const frozen = await this.dbPool.query(`
+        SELECT j.status AS job_status, p.payment_status FROM jobs j
+        JOIN payments p ON p.job_id = j.id
+        WHERE p.id = $1
+      `, [payment.id]);
+      expect(frozen.rows[0].job_status).toBe('disputed');
+      expect(frozen.rows[0].payment_status).toBe('disputed');
+
+      // Neither party can route around the dispute
+      const cancelResponse = await request(this.baseUrl)
+        .post(`/jobs/${job.id}/cancel`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({ reasonCode: 'customer_request' });
+
+      expect(cancelResponse.status).toBe(409);
+      expect(cancelResponse.body.code).toBe('JOB_DISPUTED');
+
+      const secondDisputeResponse = await request(this.baseUrl)
+        .post('/disputes')
+        .set('Authorization', `Bearer ${this.testTokens.contractor}`)
+        .send({
+          jobId: job.id,
+          reason: 'payment_issue',
+          description: 'Customer is withholding payment for finished work.'
+        });
+
+      expect(secondDisputeResponse.status).toBe(409);
+      expect(secondDisputeResponse.body.code).toBe('DISPUTE_ALREADY_OPEN');
+
+      const customerResolveResponse = await request(this.baseUrl)
+        .post(`/disputes/${disputeId}/resolve`)
+        .set('Authorization', `Bearer ${this.testTokens.customer}`)
+        .send({ resolution: 'cancel_full', notes: 'Customer trying to resolve their own dispute' });
+
+      expect(customerResolveResponse.status).toBe(403);
+
+      // Resuming work unfreezes the hold for the normal completion flow
+      const resolveResponse = await request(this.baseUrl)
+        .post(`/disputes/${disputeId}/resolve`)
+        .set('Authorization', `Bearer ${this.testTokens.admin}`)
+        .send({ resolution: 'resume_work', notes: 'Contractor agreed to return and finish the drain' });
+
+      expect(resolveResponse.status).toBe(200);
+      expect(resolveResponse.body.status).toBe('resolved');
+      expect(resolveResponse.body.job.status).toBe('in_progress');
+      expect(resolveResponse.body.paymentOutcome.action).toBe('unfreeze');
+
+      const unfrozen = await this.dbPool.query(`
+        SELECT payment_status, resolved_at FROM payments WHERE id = $1
+      `, [payment.id]);
+      expect(unfrozen.rows[0].payment_status).toBe('processing');
+      expect(unfrozen.rows[0].resolved_at instanceof Date).toBe(true);
+
+      // Stripe fails on the first release; the resolved dispute is kept for the retry job
+      const cancelledJob = await this.createTestJob({
+        status: 'in_progress',
+        contractorId: this.testUsers.contractor.id,
+        quotedPrice: 220.00
+      });
+      const cancelledPayment = await this.createTestPayment(cancelledJob);
+      const idempotencyKeys = [];
+      let stripeDown = true;
+      const paymentService = {
+        cancelEscrowPayment: async (paymentIntentId, reason, options) => {
+          idempotencyKeys.push(options.idempotencyKey);
+          if (stripeDown) throw new Error('Stripe API unavailable');
+          return { paymentIntentId, status: 'canceled' };
+        }
+      };
+      const disputeService = new DisputeService(this.dbPool, new JobStateMachine(this.dbPool), paymentService);
+
+      const opened = await disputeService.openDispute(
+        cancelledJob.id,
+        { id: this.testUsers.customer.id, userType: 'customer' },
+        { reason: 'no_show', description: 'The contractor never came back.' }
+      );
+      const resolved = await disputeService.resolveDispute(
+        opened.id,
+        { id: this.testUsers.admin.id, userType: 'admin' },
+        { resolution: 'cancel_full', notes: 'Contractor did not return' }
+      );
+      expect(resolved.job.status).toBe('cancelled');
+      expect(resolved.settledAt).toBe(null);
+      expect(resolved.paymentOutcome.failed).toBe(true);
+
+      stripeDown = false;
+      const retry = await disputeService.retryFailedSettlements();
+      expect(retry.settled >= 1).toBe(true);
+
+      const settled = await this.dbPool.query(`
+        SELECT d.settled_at, d.settlement_attempts, d.settlement_error, p.payment_status
+        FROM disputes d JOIN payments p ON p.id = $2
+        WHERE d.id = $1
+      `, [opened.id, cancelledPayment.id]);
+      expect(settled.rows[0].settled_at instanceof Date).toBe(true);
+      expect(settled.rows[0].settlement_attempts).toBe(2);
+      expect(settled.rows[0].settlement_error).toBe(null);
+      expect(settled.rows[0].payment_status).toBe('cancelled');
+
+      // Both attempts share a key, so Stripe can't settle twice
+      expect(idempotencyKeys.length).toBe(2);
+      expect(idempotencyKeys[1]).toBe(idempotencyKeys[0]);
+      expect(idempotencyKeys[0]).toBe(`dispute-${opened.id}-cancel`);
+
+      console.log('✅ Dispute freeze test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Dispute freeze test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that a quote is accepted at most once and never after it is withdrawn
+   */
+  async testQuoteAcceptance() {
+    console.log('💬 Testing quote acceptance...');
+
+    try {
+      const customer = { id: this.testUsers.customer.id, userType: 'customer' };
+      const contractorId = this.testUsers.contractor.id;
+      const createQuote = async (job) => {
+        const result = await this.dbPool.query(`
+          INSERT INTO job_quotes (job_id, contractor_id, line_items, total_amount, valid_until)
+          VALUES ($1, $2, $3, 175.00, NOW() + INTERVAL '7 days')
+          RETURNING *
+        `, [job.id, contractorId, JSON.stringify([
+          { description: 'Clear drain and replace cartridge', category: 'labor', quantity: 1, unitPrice: 175, total: 175 }
+        ])]);
+        return result.rows[0];
+      };
+      const assignment = async (job) => {
+        const result = await this.dbPool.query(`
+          SELECT j.status, j.contractor_id,
+            (SELECT COUNT(*) FROM job_status_history WHERE job_id = j.id AND new_status = 'assigned') AS assignments
+          FROM jobs j WHERE j.id = $1
+        `, [job.id]);
+        return result.rows[0];
+      };
+
+      // The contractor withdraws after the customer's checks but before the assignment commits
+      const withdrawnJob = await this.createTestJob();
+      const withdrawnQuote = await createQuote(withdrawnJob);
+      const jobStateMachine = new JobStateMachine(this.dbPool);
+      const quoteService = new QuoteService(this.dbPool, jobStateMachine);
+      const transition = jobStateMachine.transition.bind(jobStateMachine);
+      jobStateMachine.transition = async (...args) => {
+        await quoteService.withdrawQuote(withdrawnJob.id, withdrawnQuote.id, contractorId);
+        return transition(...args);
+      };
+
+      await expectError(quoteService.acceptQuote(withdrawnJob.id, withdrawnQuote.id, customer), 'QUOTE_NOT_PENDING');
+
+      const rolledBack = await assignment(withdrawnJob);
+      expect(rolledBack.status).toBe('posted');
+      expect(rolledBack.contractor_id).toBe(null);
+      expect(parseInt(rolledBack.assignments, 10)).toBe(0);
+
+      // Two acceptances at once: one assigns the job, the other fails cleanly
+      const job = await this.createTestJob();
+      const quote = await createQuote(job);
+      const concurrentService = new QuoteService(this.dbPool, new JobStateMachine(this.dbPool));
+
+      const results = await Promise.allSettled([
+        concurrentService.acceptQuote(job.id, quote.id, customer),
+        concurrentService.acceptQuote(job.id, quote.id, customer)
+      ]);
+      const accepted = results.filter(result => result.status === 'fulfilled');
+
+      expect(accepted.length).toBe(1);
+      expect(accepted[0].value.job.status).toBe('assigned');
+      expect(results.filter(result => result.status === 'rejected').length).toBe(1);
+
+      const assigned = await assignment(job);
+      expect(assigned.status).toBe('assigned');
+      expect(assigned.contractor_id).toBe(contractorId);
+      expect(parseInt(assigned.assignments, 10)).toBe(1);
+
+      console.log('✅ Quote acceptance test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Quote acceptance test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that overlapping generation runs post each occurrence once
+   */
+  async testRecurringGeneration() {
+    console.log('🔁 Testing recurring occurrence generation...');
+
+    try {
+      const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      const occurrenceDate = start.toISOString().slice(0, 10);
+
+      const seriesResult = await this.dbPool.query(`
+        INSERT INTO recurring_job_series (
+          customer_id, title, description, trade_category,
+          service_address_line1, service_city, service_state, service_zip_code,
+          price_per_occurrence, recurrence_rule, start_date, preferred_time_start
+        ) VALUES (
+          $1, 'Water Softener Service', 'Refill salt and check the resin tank', 'plumbing',
+          '123 N Main St', 'Des Moines', 'IA', '50309',
+          85.00, 'FREQ=WEEKLY;INTERVAL=1', $2, '09:00'
+        )
+        RETURNING *
+      `, [this.testUsers.customer.id, occurrenceDate]);
+      const series = seriesResult.rows[0];
+
+      const provider = new FixtureGeocodingProvider({
+        fixtures: {
+          '123 n main st, des moines, ia 50309': { latitude: 41.5912, longitude: -93.6037, placeId: 'fixture-main-st' }
+        }
+      });
+      const recurringService = new RecurringJobService(
+        this.dbPool, new JobStateMachine(this.dbPool), null, null, null,
+        new MappingService(this.dbPool, { geocoder: provider })
+      );
+      const occurrences = async () => {
+        const result = await this.dbPool.query(`
+          SELECT o.job_id, j.status,
+            (SELECT COUNT(*) FROM job_status_history WHERE job_id = o.job_id) AS history
+          FROM recurring_job_occurrences o
+          LEFT JOIN jobs j ON j.id = o.job_id
+          WHERE o.series_id = $1 AND o.occurrence_date = $2
+        `, [series.id, occurrenceDate]);
+        return result.rows;
+      };
+
+      // A failed job insert releases the claim on the date
+      await expectError(
+        recurringService.generateOccurrence({ ...series, trade_category: 'not_a_trade' }, occurrenceDate),
+        '22P02' // invalid enum value
+      );
+      expect((await occurrences()).length).toBe(0);
+
+      // Two runs at once: one posts the job, the other finds the date taken
+      const [first, second] = await Promise.all([
+        recurringService.generateOccurrence(series, occurrenceDate),
+        recurringService.generateOccurrence(series, occurrenceDate)
+      ]);
+      const posted = [first, second].filter(Boolean);
+      expect(posted.length).toBe(1);
+      expect([first, second].filter(job => job === null).length).toBe(1);
+
+      const rows = await occurrences();
+      expect(rows.length).toBe(1);
+      expect(rows[0].job_id).toBe(posted[0].id);
+      expect(rows[0].status).toBe('posted');
+      expect(parseInt(rows[0].history, 10)).toBe(1);
+
+      const jobs = await this.dbPool.query(`
+        SELECT COUNT(*) AS count FROM jobs WHERE customer_id = $1 AND title = $2 AND preferred_date = $3
+      `, [this.testUsers.customer.id, series.title, occurrenceDate]);
+      expect(parseInt(jobs.rows[0].count, 10)).toBe(1);
+
+      // The occurrence is geocoded like a posted job, so matching and routing can find it
+      const located = await this.dbPool.query(`
+        SELECT geocode_status, ST_Y(service_coordinates) AS latitude, ST_X(service_coordinates) AS longitude
+        FROM jobs WHERE id = $1
+      `, [posted[0].id]);
+      expect(located.rows[0].geocode_status).toBe('resolved');
+      expect(located.rows[0].latitude).toBe(41.5912);
+      expect(located.rows[0].longitude).toBe(-93.6037);
+
+      console.log('✅ Recurring generation test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Recurring generation test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that emergency dispatch needs a price and assigns at the offered one
+   */
+  async testEmergencyDispatch() {
+    console.log('🚨 Testing emergency dispatch pricing...');
+
+    try {
+      const job = await this.createTestJob();
+      await this.dbPool.query(`UPDATE jobs SET priority = 'urgent' WHERE id = $1`, [job.id]);
+
+      const contractorId = this.testUsers.contractor.id;
+      const matchingService = {
+        findBestContractors: async () => ({
+          contractors: [{ contractorId, smartScore: 0.92, distance: 2.4 }]
+        })
+      };
+      const dispatchService = new EmergencyDispatchService(this.dbPool, matchingService, new JobStateMachine(this.dbPool));
+      const customer = { id: this.testUsers.customer.id, userType: 'customer' };
+
+      // Accepting assigns the job outright, so there must be a price to offer
+      const unpriced = await expectError(dispatchService.startDispatch(job.id, customer), 'ESTIMATED_COST_REQUIRED');
+      expect(unpriced.status).toBe(422);
+
+      await this.dbPool.query('UPDATE jobs SET estimated_cost = 240.00 WHERE id = $1', [job.id]);
+      await dispatchService.startDispatch(job.id, customer);
+
+      const offerResult = await this.dbPool.query(`
+        SELECT id, offered_price FROM emergency_dispatch_offers WHERE job_id = $1 AND contractor_id = $2
+      `, [job.id, contractorId]);
+      const offer = offerResult.rows[0];
+      expect(parseFloat(offer.offered_price)).toBe(240);
+
+      // A later estimate change doesn't alter what the contractor agreed to
+      await this.dbPool.query('UPDATE jobs SET estimated_cost = 300.00 WHERE id = $1', [job.id]);
+      const accepted = await dispatchService.acceptOffer(job.id, offer.id, contractorId);
+      expect(accepted.job.status).toBe('assigned');
+      expect(accepted.job.contractorId).toBe(contractorId);
+      expect(parseFloat(accepted.job.quotedPrice)).toBe(240);
+
+      console.log('✅ Emergency dispatch test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Emergency dispatch test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that a change order is claimed before the escrow grows
+   */
+  async testChangeOrderApproval() {
+    console.log('📝 Testing change order approval...');
+
+    try {
+      const job = await this.createTestJob({
+        status: 'in_progress',
+        contractorId: this.testUsers.contractor.id,
+        quotedPrice: 200.00
+      });
+      const payment = await this.createTestPayment(job);
+      const customer = { id: this.testUsers.customer.id, userType: 'customer' };
+
+      const incrementKeys = [];
+      let stripeDown = true;
+      const paymentService = {
+        calculatePlatformFee: (amount) => ({
+          platformFee: Math.round(amount * 10) / 100,
+          contractorAmount: Math.round(amount * 90) / 100,
+          stripeFee: Math.round((amount * 0.029 + 0.30) * 100) / 100
+        }),
+        incrementEscrowAuthorization: async (paymentIntentId, amount, platformFee, options) => {
+          incrementKeys.push(options.idempotencyKey);
+          if (stripeDown) throw new Error('Stripe API unavailable');
+          // Slow enough that a second approval arrives while the first is in flight
+          await new Promise(resolve => setTimeout(resolve, 100));
+          return { paymentIntentId, amount };
+        }
+      };
+      const changeOrderService = new ChangeOrderService(this.dbPool, paymentService);
+
+      const changeOrder = await changeOrderService.proposeChangeOrder(
+        job.id,
+        { id: this.testUsers.contractor.id, userType: 'contractor' },
+        {
+          description: 'Replace corroded shutoff valve',
+          lineItems: [{ description: 'Shutoff valve', category: 'materials', unitPrice: 45.00 }]
+        }
+      );
+
+      // The increment fails and there is no payout account for a supplementary hold
+      await expectError(
+        changeOrderService.approveChangeOrder(job.id, changeOrder.id, customer),
+        'CONTRACTOR_PAYOUTS_NOT_SET_UP'
+      );
+
+      const handedBack = await this.dbPool.query(`
+        SELECT co.status, j.quoted_price FROM change_orders co
+        JOIN jobs j ON j.id = co.job_id
+        WHERE co.id = $1
+      `, [changeOrder.id]);
+      expect(handedBack.rows[0].status).toBe('proposed');
+      expect(parseFloat(handedBack.rows[0].quoted_price)).toBe(200);
+
+      // Two approvals at once: only one claims the order and grows the hold
+      stripeDown = false;
+      const results = await Promise.allSettled([
+        changeOrderService.approveChangeOrder(job.id, changeOrder.id, customer),
+        changeOrderService.approveChangeOrder(job.id, changeOrder.id, customer)
+      ]);
+      const approved = results.filter(result => result.status === 'fulfilled');
+      const rejected = results.filter(result => result.status === 'rejected');
+
+      expect(approved.length).toBe(1);
+      expect(approved[0].value.status).toBe('approved');
+      expect(rejected[0].reason.code).toBe('CHANGE_ORDER_NOT_PENDING');
+
+      // One failed and one successful increment, retried under the same key
+      expect(incrementKeys.length).toBe(2);
+      expect(incrementKeys[0]).toBe(`change-order-${changeOrder.id}-increment`);
+      expect(incrementKeys[1]).toBe(incrementKeys[0]);
+
+      const settled = await this.dbPool.query(`
+        SELECT j.quoted_price, p.amount_total,
+          (SELECT COUNT(*) FROM change_order_events
+           WHERE change_order_id = $2 AND event = 'approved') AS approvals
+        FROM jobs j JOIN payments p ON p.id = $3
+        WHERE j.id = $1
+      `, [job.id, changeOrder.id, payment.id]);
+      expect(parseFloat(settled.rows[0].quoted_price)).toBe(245);
+      expect(parseFloat(settled.rows[0].amount_total)).toBe(245);
+      expect(parseInt(settled.rows[0].approvals, 10)).toBe(1);
+
+      console.log('✅ Change order approval test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Change order approval test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that a failed milestone charge is retried against the same intent
+   */
+  async testMilestoneChargeRetry() {
+    console.log('🪜 Testing milestone charge retry...');
+
+    const stripeAccountId = 'acct_test_milestones';
+
+    try {
+      const job = await this.createTestJob({
+        status: 'in_progress',
+        contractorId: this.testUsers.contractor.id,
+        quotedPrice: 300.00
+      });
+
+      await this.dbPool.query(`
+        INSERT INTO contractor_payouts (contractor_id, stripe_account_id, account_status)
+        VALUES ($1, $2, 'active')
+      `, [this.testUsers.contractor.id, stripeAccountId]);
+
+      const milestoneResult = await this.dbPool.query(`
+        INSERT INTO job_milestones (
+          job_id, created_by, sequence, title, amount, status,
+          funding_mode, stripe_customer_id, payment_method_id, submitted_at
+        ) VALUES ($1, $2, 1, 'Rough-in plumbing', 120.00, 'submitted',
+          'charge_on_approval', 'cus_test_milestones', 'pm_test_milestones', NOW())
+        RETURNING *
+      `, [job.id, this.testUsers.customer.id]);
+      const milestone = milestoneResult.rows[0];
+
+      const paymentIntentId = `pi_test_ms_${milestone.id.slice(0, 8)}`;
+      const intentKeys = [];
+      const chargeKeys = [];
+      let stripeDown = true;
+      const paymentService = {
+        calculatePlatformFee: (amount) => ({
+          platformFee: Math.round(amount * 10) / 100,
+          contractorAmount: Math.round(amount * 90) / 100,
+          stripeFee: Math.round((amount * 0.029 + 0.30) * 100) / 100
+        }),
+        createSavedPaymentCharge: async (paymentData, options) => {
+          intentKeys.push(options.idempotencyKey);
+          return { paymentIntentId, status: 'requires_confirmation' };
+        },
+        chargeSavedPaymentMethod: async (intentId, options) => {
+          chargeKeys.push(options.idempotencyKey);
+          if (stripeDown) throw new Error('Stripe API unavailable');
+          return { paymentIntentId: intentId, chargeId: 'ch_test_milestones', transferId: null, amountCaptured: 120 };
+        }
+      };
+      const milestoneService = new MilestoneService(this.dbPool, paymentService);
+
+      // The charge fails after the intent is recorded on the milestone
+      const approved = await milestoneService.approveMilestone(
+        job.id,
+        milestone.id,
+        { id: this.testUsers.customer.id, userType: 'customer' }
+      );
+      expect(approved.status).toBe('approved');
+      expect(approved.release.released).toBe(false);
+      expect(approved.release.reason).toBe('RELEASE_FAILED');
+
+      const pending = await this.dbPool.query(`
+        SELECT m.payment_id, p.stripe_payment_intent_id FROM job_milestones m
+        JOIN payments p ON p.id = m.payment_id
+        WHERE m.id = $1
+      `, [milestone.id]);
+      expect(pending.rows[0].stripe_payment_intent_id).toBe(paymentIntentId);
+
+      // The retry job confirms the recorded intent instead of creating another
+      stripeDown = false;
+      const released = await milestoneService.releaseApprovedMilestones();
+      expect(released).toBe(1);
+
+      const settled = await this.dbPool.query(`
+        SELECT m.status, m.payment_id,
+          (SELECT COUNT(*) FROM payments WHERE job_id = m.job_id) AS payments,
+          (SELECT payment_status FROM payments WHERE id = m.payment_id) AS payment_status
+        FROM job_milestones m
+        WHERE m.id = $1
+      `, [milestone.id]);
+      expect(settled.rows[0].status).toBe('released');
+      expect(settled.rows[0].payment_id).toBe(pending.rows[0].payment_id);
+      expect(parseInt(settled.rows[0].payments, 10)).toBe(1);
+      expect(settled.rows[0].payment_status).toBe('completed');
+
+      expect(intentKeys.length).toBe(1);
+      expect(intentKeys[0]).toBe(`milestone-${milestone.id}-intent`);
+      expect(chargeKeys.length).toBe(2);
+      expect(chargeKeys[0]).toBe(`milestone-${milestone.id}-charge`);
+      expect(chargeKeys[1]).toBe(chargeKeys[0]);
+
+      console.log('✅ Milestone charge retry test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Milestone charge retry test failed:', error);
+      throw error;
+    } finally {
+      // Payout reconciliation sets up its own account for the same contractor
+      await this.dbPool.query('DELETE FROM contractor_payouts WHERE stripe_account_id = $1', [stripeAccountId]);
+    }
+  }
+
+  // =================================================================
+  // LOCATION TESTS
+  // =================================================================
+
+  /**
+   * Test server-side geocoding of service addresses against fixtures
+   */
+  async testAddressGeocoding() {
+    console.log('📍 Testing address geocoding...');
+
+    try {
+      const provider = new FixtureGeocodingProvider({
+        fixtures: {
+          '123 n main st, des moines, ia 50309': { latitude: 41.5912, longitude: -93.6037, placeId: 'fixture-main-st' },
+          'zip:50309': { latitude: 41.5868, longitude: -93.6250 }
+        }
+      });
+      const queries = [];
+      let providerDown = false;
+      const lookup = provider.geocode.bind(provider);
+      provider.geocode = async (query) => {
+        queries.push(query);
+        if (providerDown) throw new GeocodingError('Geocoding request failed: timeout', 'GEOCODING_UNAVAILABLE');
+        return lookup(query);
+      };
+      const mappingService = new MappingService(this.dbPool, { geocoder: provider });
+
+      // Addresses are normalized before lookup and storage
+      const location = await mappingService.resolveServiceAddress({
+        addressLine1: '123 North Main Street.',
+        city: 'des moines',
+        state: 'Iowa',
+        zipCode: '50309'
+      });
+      expect(location.geocodeStatus).toBe('resolved');
+      expect(location.address.addressLine1).toBe('123 N Main St');
+      expect(location.address.state).toBe('IA');
+      expect(location.coordinates.latitude).toBe(41.5912);
+
+      // Another spelling of the same address is served from the cache
+      await mappingService.resolveServiceAddress({
+        addressLine1: '123 N Main St',
+        city: 'Des Moines',
+        state: 'IA',
+        zipCode: '50309'
+      });
+      expect(queries.length).toBe(1);
+
+      const approximate = await mappingService.geocodeAddress({
+        addressLine1: '999 Unknown Road',
+        city: 'Des Moines',
+        state: 'IA',
+        zipCode: '50309'
+      });
+      expect(approximate.locationType).toBe('APPROXIMATE');
+
+      // No match: flagged as unresolved, or placed at the device's coordinates when given
+      const nowhere = { addressLine1: '1 Nowhere Ln', city: 'Faraway', state: 'AK', zipCode: '99999' };
+      const unresolved = await mappingService.resolveServiceAddress(nowhere);
+      expect(unresolved.geocodeStatus).toBe('unresolved');
+      expect(unresolved.coordinates).toBe(null);
+
+      const fromClient = await mappingService.resolveServiceAddress(nowhere, { latitude: 64.8378, longitude: -147.7164 });
+      expect(fromClient.geocodeStatus).toBe('client');
+
+      // Provider outages leave the job for the retry job rather than marking it unresolved
+      providerDown = true;
+      const outage = await mappingService.resolveServiceAddress({
+        addressLine1: '500 Grand Avenue',
+        city: 'Des Moines',
+        state: 'IA',
+        zipCode: '50309'
+      });
+      expect(outage.geocodeStatus).toBe('failed');
+
+      const job = await this.createTestJob();
+      await this.dbPool.query(`
+        UPDATE jobs SET geocode_status = 'failed', service_coordinates = NULL WHERE id = $1
+      `, [job.id]);
+
+      providerDown = false;
+      expect(await mappingService.retryFailedJobGeocodes()).toBe(1);
+
+      const retried = await this.dbPool.query(`
+        SELECT geocode_status, ST_Y(service_coordinates) AS latitude FROM jobs WHERE id = $1
+      `, [job.id]);
+      expect(retried.rows[0].geocode_status).toBe('resolved');
+      expect(retried.rows[0].latitude).toBe(41.5868);
+
+      console.log('✅ Address geocoding test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Address geocoding test failed:', error);
+      throw error;
+    }
+  }
+
+  // =================================================================
+  // AUTHENTICATION SECURITY TESTS
+  // =================================================================
+
+  /**
+   * Test TOTP enrollment and MFA sign-in
+   */
+  async testMfaLogin() {
+    console.log('🔐 Testing MFA sign-in...');
+
+    try {
+      const authService = this.createAuthService();
+      const user = await this.createAuthTestUser(authService, 'test.mfa@example.com');
+
+      const { secret } = await authService.mfaService.beginTotpEnrollment(user);
+      const step = Math.floor(Date.now() / 1000 / 30);
+      const enrollmentCode = totpCode(secret, step);
+
+      const enrollment = await authService.mfaService.confirmTotpEnrollment(user.id, enrollmentCode);
+      expect(enrollment.recoveryCodes.length).toBe(config.auth.mfa.recoveryCodeCount);
+
+      // The password alone only gets a challenge
+      const login = await authService.authenticateUser(user.email, 'TestPassword123!', { ipAddress: '203.0.113.10' });
+      expect(login.mfaRequired).toBe(true);
+      expect(login.tokens).toBe(undefined);
+
+      const wrongCode = await expectError(
+        authService.completeMfaLogin(login.challengeToken, { method: 'totp', code: totpCode(secret, step - 10) }),
+        'INVALID_MFA_CODE'
+      );
+      expect(wrongCode.details.attemptsRemaining).toBe(config.auth.mfa.maxAttempts - 1);
+
+      // A code from an already used time step is refused
+      await expectError(
+        authService.completeMfaLogin(login.challengeToken, { method: 'totp', code: enrollmentCode }),
+        'INVALID_MFA_CODE'
+      );
+
+      const session = await authService.completeMfaLogin(login.challengeToken, {
+        method: 'totp',
+        code: totpCode(secret, step + 1)
+      });
+      expect(session.user.id).toBe(user.id);
+      expect(typeof session.tokens.accessToken).toBe('string');
+
+      await expectError(
+        authService.completeMfaLogin(login.challengeToken, { method: 'totp', code: totpCode(secret, step + 1) }),
+        'CHALLENGE_ALREADY_USED'
+      );
+
+      // Recovery codes work once each
+      const recoveryLogin = await authService.authenticateUser(user.email, 'TestPassword123!', { ipAddress: '203.0.113.10' });
+      const recovered = await authService.completeMfaLogin(recoveryLogin.challengeToken, {
+        method: 'recovery',
+        code: enrollment.recoveryCodes[0]
+      });
+      expect(recovered.user.id).toBe(user.id);
+
+      const reuseLogin = await authService.authenticateUser(user.email, 'TestPassword123!', { ipAddress: '203.0.113.10' });
+      await expectError(
+        authService.completeMfaLogin(reuseLogin.challengeToken, { method: 'recovery', code: enrollment.recoveryCodes[0] }),
+        'INVALID_MFA_CODE'
+      );
+
+      console.log('✅ MFA sign-in test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ MFA sign-in test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that wrong codes are counted per account, not only per challenge
+   */
+  async testMfaAccountLockout() {
+    console.log('🔐 Testing MFA lockout across challenges...');
+
+    try {
+      const authService = this.createAuthService();
+      authService.mfaService = new MfaService(this.dbPool, null, {
+        ...config.auth.mfa,
+        accountMaxFailures: 3,
+        lockoutMinutes: 30
+      }, new MemoryAttemptStore());
+      const user = await this.createAuthTestUser(authService, 'test.mfa.lockout@example.com');
+
+      const { secret } = await authService.mfaService.beginTotpEnrollment(user);
+      const step = Math.floor(Date.now() / 1000 / 30);
+      await authService.mfaService.confirmTotpEnrollment(user.id, totpCode(secret, step));
+
+      const signIn = () => authService.authenticateUser(user.email, 'TestPassword123!', { ipAddress: '203.0.113.11' });
+      const wrongCode = { method: 'totp', code: totpCode(secret, step - 10) };
+
+      // A fresh challenge for every guess stays under the per-challenge limit
+      for (let guess = 1; guess < 3; guess++) {
+        const login = await signIn();
+        await expectError(authService.completeMfaLogin(login.challengeToken, wrongCode), 'INVALID_MFA_CODE');
+      }
+
+      const lastGuess = await signIn();
+      const locked = await expectError(authService.completeMfaLogin(lastGuess.challengeToken, wrongCode), 'MFA_LOCKED');
+      expect(locked.status).toBe(429);
+
+      // Locked: even the right code on a new challenge is refused
+      const retry = await signIn();
+      const stillLocked = await expectError(
+        authService.completeMfaLogin(retry.challengeToken, { method: 'totp', code: totpCode(secret, step + 1) }),
+        'MFA_LOCKED'
+      );
+      expect(stillLocked.details.retryAfterSeconds).toBeGreaterThan(29 * 60);
+
+      console.log('✅ MFA lockout test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ MFA lockout test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test sign-in delays and lockout per account
+   */
+  async testLoginLockout() {
+    console.log('🔒 Testing login lockout...');
+
+    try {
+      const authService = this.createAuthService({
+        freeAttempts: 1,
+        baseDelaySeconds: 1,
+        maxDelaySeconds: 1,
+        accountMaxAttempts: 3,
+        lockoutMinutes: 30
+      });
+      const user = await this.createAuthTestUser(authService, 'test.lockout@example.com');
+      const device = { ipAddress: '203.0.113.20' };
+      const signIn = (email, password) => authService.authenticateUser(email, password, device);
+      const failSignIn = (email) => signIn(email, 'WrongPassword123!').then(
+        () => { throw new Error('Expected sign-in to fail'); },
+        error => error
+      );
+
+      const firstFailure = await failSignIn(user.email);
+      expect(firstFailure.message).toBe('Invalid credentials');
+
+      // Past the free attempts each failure makes the account wait
+      await failSignIn(user.email);
+      await expectError(signIn(user.email, 'TestPassword123!'), 'LOGIN_DELAYED');
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await failSignIn(user.email);
+
+      // Locked: even the right password is refused
+      const locked = await expectError(signIn(user.email, 'TestPassword123!'), 'LOGIN_LOCKED');
+      expect(locked.status).toBe(429);
+      expect(locked.details.retryAfterSeconds).toBeGreaterThan(29 * 60);
+
+      const wasLocked = await authService.loginAttemptService.unlockAccount(user.email);
+      expect(wasLocked).toBe(true);
+
+      const session = await signIn(user.email, 'TestPassword123!');
+      expect(session.user.id).toBe(user.id);
+
+      // Unknown emails fail and lock the same way, so they can't be told apart
+      const unknownFailure = await failSignIn('nobody@example.com');
+      expect(unknownFailure.message).toBe(firstFailure.message);
+
+      await failSignIn('nobody@example.com');
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await failSignIn('nobody@example.com');
+      await expectError(signIn('nobody@example.com', 'TestPassword123!'), 'LOGIN_LOCKED');
+
+      console.log('✅ Login lockout test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Login lockout test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test refresh token rotation and reuse detection
+   */
+  async testRefreshReuseDetection() {
+    console.log('🔁 Testing refresh token reuse detection...');
+
+    try {
+      const authService = this.createAuthService();
+      const user = await this.createAuthTestUser(authService, 'test.refresh@example.com');
+      const login = await authService.authenticateUser(user.email, 'TestPassword123!', { ipAddress: '203.0.113.30' });
+      const originalToken = login.tokens.refreshToken;
+
+      // Rotations in the same second still issue distinct tokens
+      const first = await authService.refreshAccessToken(originalToken);
+      expect(first.refreshToken === originalToken).toBe(false);
+
+      // A concurrent refresh with the token just rotated out is told to retry, not revoked
+      await expectError(authService.refreshAccessToken(originalToken), 'REFRESH_TOKEN_ROTATED');
+
+      const second = await authService.refreshAccessToken(first.refreshToken);
+      expect(second.user.id).toBe(user.id);
+
+      // Outside the grace window an old token means it leaked: the whole session goes
+      await this.dbPool.query(`
+        UPDATE user_sessions SET refresh_rotated_at = NOW() - INTERVAL '5 minutes' WHERE user_id = $1
+      `, [user.id]);
+
+      await expectError(authService.refreshAccessToken(first.refreshToken), 'REFRESH_TOKEN_REUSED');
+      await expectError(authService.refreshAccessToken(second.refreshToken), 'INVALID_REFRESH_TOKEN');
+
+      console.log('✅ Refresh reuse detection test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Refresh reuse detection test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test Google and Apple ID-token sign-in against a local signing key
+   */
+  async testOAuthSignIn() {
+    console.log('🪪 Testing OAuth sign-in...');
+
+    try {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+      const keySource = new JwksKeySource(async () => ({ keys: [jwk] }), 60);
+
+      const oAuthService = new OAuthService(this.dbPool, { google: keySource, apple: keySource }, {
+        ...config.auth.oauth,
+        google: { audiences: ['test-google-client'] },
+        apple: { audiences: ['test.apple.client'] }
+      });
+
+      const signIdToken = (claims, { key = privateKey, issuer = 'https://accounts.google.com', audience = 'test-google-client' } = {}) =>
+        jwt.sign(claims, key, { algorithm: 'RS256', keyid: 'test-key', issuer, audience, expiresIn: '5m' });
+
+      // First sign-in creates a verified account
+      const { nonce } = await oAuthService.issueNonce('google');
+      const idToken = signIdToken({
+        sub: 'google-user-1',
+        email: 'test.oauth@example.com',
+        email_verified: true,
+        given_name: 'Oauth',
+        family_name: 'Tester',
+        nonce
+      });
+
+      const firstSignIn = await oAuthService.handleGoogleAuth(idToken, { nonce });
+      expect(firstSignIn.isNewUser).toBe(true);
+      expect(firstSignIn.user.account_status).toBe('active');
+
+      // The nonce is spent, so a captured token can't be replayed
+      await expectError(oAuthService.handleGoogleAuth(idToken, { nonce }), 'INVALID_NONCE');
+
+      const madeUpNonce = crypto.randomBytes(32).toString('base64url');
+      await expectError(
+        oAuthService.handleGoogleAuth(signIdToken({ sub: 'google-user-1', nonce: madeUpNonce }), { nonce: madeUpNonce }),
+        'INVALID_NONCE'
+      );
+
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const forged = await oAuthService.issueNonce('google');
+      await expectError(
+        oAuthService.handleGoogleAuth(signIdToken({ sub: 'google-user-1', nonce: forged.nonce }, { key: otherKey }), forged),
+        'INVALID_ID_TOKEN'
+      );
+
+      // An unverified registration of the address is handed over with its credentials wiped
+      const squatterPassword = 'SquatterPassword123!';
+      const squatter = await this.dbPool.query(`
+        INSERT INTO users (email, password_hash, user_type, first_name, last_name, account_status)
+        VALUES ('test.claimed@example.com', $1, 'customer', 'Not', 'Owner', 'pending')
+        RETURNING *
+      `, [await oAuthService.passwordService.hashPassword(squatterPassword)]);
+
+      const claim = await oAuthService.issueNonce('google');
+      const claimed = await oAuthService.handleGoogleAuth(signIdToken({
+        sub: 'google-user-2',
+        email: 'test.claimed@example.com',
+        email_verified: true,
+        nonce: claim.nonce
+      }), { nonce: claim.nonce });
+
+      expect(claimed.isNewUser).toBe(false);
+      expect(claimed.user.id).toBe(squatter.rows[0].id);
+      expect(claimed.user.account_status).toBe('active');
+      expect(claimed.user.email_verified_at instanceof Date).toBe(true);
+      expect(await oAuthService.passwordService.verifyPassword(squatterPassword, claimed.user.password_hash)).toBe(false);
+
+      // Apple puts the SHA-256 of the nonce in the token
+      const apple = await oAuthService.issueNonce('apple');
+      const appleSignIn = await oAuthService.handleAppleAuth(signIdToken({
+        sub: 'apple-user-1',
+        email: 'relay123@privaterelay.appleid.com',
+        email_verified: 'true',
+        is_private_email: 'true',
+        nonce: crypto.createHash('sha256').update(apple.nonce).digest('hex')
+      }, { issuer: 'https://appleid.apple.com', audience: 'test.apple.client' }), {
+        nonce: apple.nonce,
+        name: { firstName: 'Apple', lastName: 'Tester' }
+      });
+
+      expect(appleSignIn.isNewUser).toBe(true);
+      expect(appleSignIn.user.first_name).toBe('Apple');
+
+      console.log('✅ OAuth sign-in test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ OAuth sign-in test failed:', error);
+      throw error;
+    }
+  }
+
+  // =================================================================
+  // PAYMENT LEDGER TESTS
+  // =================================================================
+
+  /**
+   * Test that escrow movements post balanced, idempotent journal entries
+   */
+  async testLedgerIntegrity() {
+    console.log('📒 Testing payment ledger...');
+
+    try {
+      const paymentDb = new PaymentDatabaseService(this.dbPool);
+      const job = await this.createTestJob({
+        status: 'in_progress',
+        contractorId: this.testUsers.contractor.id,
+        quotedPrice: 250.00
+      });
+      const payment = await this.createTestPayment(job);
+
+      const balanceCents = (balances, account) =>
+        Math.round((balances.find(balance => balance.account === account)?.balance || 0) * 100);
+      const snapshot = async () => ({
+        customer: await paymentDb.getAccountBalances({ partyId: job.customer_id }),
+        contractor: await paymentDb.getAccountBalances({ partyId: job.contractor_id }),
+        all: await paymentDb.getAccountBalances()
+      });
+      const before = await snapshot();
+
+      // Repeated authorization webhooks post the hold once
+      const authorization = await paymentDb.recordAuthorization(payment.stripe_payment_intent_id);
+      expect(authorization.entryType).toBe('authorization');
+      expect(await paymentDb.recordAuthorization(payment.stripe_payment_intent_id)).toBe(null);
+
+      // Partial capture: the uncaptured $50 goes back to the customer
+      const capture = { amountCaptured: 200.00, platformFee: 20.00, stripeFee: 6.10 };
+      await paymentDb.recordCapture(payment.stripe_payment_intent_id, capture);
+      await paymentDb.recordCapture(payment.stripe_payment_intent_id, capture);
+
+      const ledger = await paymentDb.getPaymentLedger(payment.id);
+      expect(ledger.map(entry => entry.entryType).sort().join(','))
+        .toBe('authorization,authorization_release,capture,stripe_fee');
+
+      const after = await snapshot();
+      const delta = (party, account) => balanceCents(after[party], account) - balanceCents(before[party], account);
+
+      expect(delta('customer', 'customer_escrow')).toBe(0);
+      expect(delta('customer', 'customer_funds')).toBe(-20000);
+      expect(delta('contractor', 'contractor_payable')).toBe(18000);
+      expect(delta('all', 'platform_revenue')).toBe(1390);
+      expect(delta('all', 'stripe_fees')).toBe(610);
+
+      // A reversed refund comes out of the contractor's share and the fee in proportion
+      await paymentDb.recordRefund(payment.stripe_payment_intent_id, { refundId: `re_test_${job.id}`, amount: 50.00, reverseTransfer: true });
+
+      const refunded = await snapshot();
+      const refundDelta = (party, account) => balanceCents(refunded[party], account) - balanceCents(after[party], account);
+
+      expect(refundDelta('contractor', 'contractor_payable')).toBe(-4500);
+      expect(refundDelta('all', 'platform_revenue')).toBe(-500);
+      expect(refundDelta('customer', 'refunds')).toBe(5000);
+
+      // The database refuses an unbalanced entry even if application code is bypassed
+      const client = await this.dbPool.connect();
+      let rejected = false;
+      try {
+        await client.query('BEGIN');
+        const entry = await client.query(`
+          INSERT INTO ledger_entries (entry_type, reference, description)
+          VALUES ('payout', 'test:unbalanced', 'One-sided entry')
+          RETURNING id
+        `);
+        await client.query(`
+          INSERT INTO ledger_lines (entry_id, account, amount_cents) VALUES ($1, 'platform_revenue', 100)
+        `, [entry.rows[0].id]);
+        await client.query('COMMIT');
+      } catch (error) {
+        rejected = /does not balance/.test(error.message);
+        await client.query('ROLLBACK');
+      } finally {
+        client.release();
+      }
+      expect(rejected).toBe(true);
+
+      const integrity = await paymentDb.checkLedgerIntegrity();
+      expect(integrity.healthy).toBe(true);
+      expect(integrity.totalCents).toBe(0);
+
+      console.log('✅ Payment ledger test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Payment ledger test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that webhook redeliveries run once and failures retry with backoff
+   */
+  async testWebhookIdempotency() {
+    console.log('📬 Testing Stripe webhook event store...');
+
+    try {
+      const handled = [];
+      let refundFailures = 2;
+      const webhookService = new StripeWebhookService(this.dbPool, {
+        'payment_intent.succeeded': async (paymentIntent) => {
+          handled.push(paymentIntent.id);
+        },
+        'charge.refunded': async (charge) => {
+          if (refundFailures-- > 0) throw new Error('Ledger temporarily unavailable');
+          handled.push(charge.id);
+        }
+      }, { maxAttempts: 2, retryBaseSeconds: 60, staleProcessingMinutes: 10 });
+
+      const stripeEvent = (id, type, object) => ({
+        id,
+        type,
+        created: Math.floor(Date.now() / 1000),
+        livemode: false,
+        data: { object }
+      });
+
+      // Stripe redelivers when it misses our 200; the handler still runs once
+      const succeeded = stripeEvent('evt_test_succeeded', 'payment_intent.succeeded', { id: 'pi_test_webhook' });
+      const first = await webhookService.receiveEvent(succeeded);
+      expect(first.duplicate).toBe(false);
+      expect(first.event.status).toBe('processed');
+
+      const redelivered = await webhookService.receiveEvent(succeeded);
+      expect(redelivered.duplicate).toBe(true);
+      expect(redelivered.event.id).toBe(first.event.id);
+      expect(handled.length).toBe(1);
+
+      const ignored = await webhookService.receiveEvent(stripeEvent('evt_test_ignored', 'customer.created', { id: 'cus_test' }));
+      expect(ignored.event.status).toBe('ignored');
+
+      // A failing handler leaves the event for the retry job, after its backoff
+      const refunded = await webhookService.receiveEvent(stripeEvent('evt_test_refunded', 'charge.refunded', { id: 'ch_test_webhook' }));
+      expect(refunded.event.status).toBe('failed');
+      expect(refunded.event.attempts).toBe(1);
+      expect(refunded.event.lastError).toBe('Ledger temporarily unavailable');
+
+      const notDue = await webhookService.retryDueEvents();
+      expect(notDue.attempted).toBe(0);
+
+      await this.dbPool.query(`
+        UPDATE stripe_webhook_events SET next_retry_at = NOW() - INTERVAL '1 second' WHERE id = $1
+      `, [refunded.event.id]);
+
+      const retried = await webhookService.retryDueEvents();
+      expect(retried.attempted).toBe(1);
+      expect(retried.processed).toBe(0);
+
+      // Out of attempts: only a manual replay runs it again
+      const exhausted = await this.dbPool.query(`
+        SELECT status, attempts, next_retry_at FROM stripe_webhook_events WHERE id = $1
+      `, [refunded.event.id]);
+      expect(exhausted.rows[0].status).toBe('failed');
+      expect(exhausted.rows[0].attempts).toBe(2);
+      expect(exhausted.rows[0].next_retry_at).toBe(null);
+      expect((await webhookService.retryDueEvents()).attempted).toBe(0);
+
+      const replayed = await webhookService.replayEvent(refunded.event.id);
+      expect(replayed.status).toBe('processed');
+      expect(handled.join(',')).toBe('pi_test_webhook,ch_test_webhook');
+
+      await expectError(webhookService.replayEvent(refunded.event.id), 'WEBHOOK_EVENT_NOT_FAILED');
+
+      console.log('✅ Stripe webhook event store test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Stripe webhook event store test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Test that reconciliation classifies each kind of Stripe mismatch
+   */
+  async testPayoutReconciliation() {
+    console.log('🧾 Testing payout reconciliation...');
+
+    try {
+      const contractorId = this.testUsers.contractor.id;
+      const stripeAccountId = 'acct_test_reconcile';
+      const now = new Date();
+      const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - 2));
+      const midday = new Date(day.getTime() + 12 * 60 * 60 * 1000);
+      const middaySeconds = Math.floor(midday.getTime() / 1000);
+
+      await this.dbPool.query(`
+        INSERT INTO contractor_payouts (contractor_id, stripe_account_id, account_status)
+        VALUES ($1, $2, 'active')
+      `, [contractorId, stripeAccountId]);
+
+      // Captured payments: contractor share is 90% of the quoted price
+      const capturedPayment = async (quotedPrice, transferId) => {
+        const job = await this.createTestJob({ status: 'approved', contractorId, quotedPrice });
+        const payment = await this.createTestPayment(job);
+        await this.dbPool.query(`
+          UPDATE payments SET payment_status = 'completed', stripe_transfer_id = $2, captured_at = $3
+          WHERE id = $1
+        `, [payment.id, transferId, midday]);
+        return payment;
+      };
+
+      await capturedPayment(100.00, 'tr_test_matched');   // $90.00, transferred exactly
+      await capturedPayment(50.00, 'tr_test_rounding');   // $45.00, transferred with a cent over
+      await capturedPayment(200.00, 'tr_test_short');     // $180.00, only $170.00 transferred
+      await capturedPayment(80.00, 'tr_test_missing');    // $72.00, never transferred
+
+      const paymentDb = new PaymentDatabaseService(this.dbPool);
+      await paymentDb.recordPayout({ contractorId, payoutId: 'po_test_recorded', amount: 100.00 });
+
+      const transfer = (id, transferId, amount) => ({
+        id, amount, created: middaySeconds, source: { id: `py_${id}`, source_transfer: transferId }
+      });
+      const page = (data) => ({ data, has_more: false });
+      const stubStripe = {
+        balanceTransactions: {
+          list: async (params, options) => {
+            if (params.type === 'charge' || options?.stripeAccount !== stripeAccountId) return page([]);
+            return page([
+              transfer('txn_test_1', 'tr_test_matched', 9000),
+              transfer('txn_test_2', 'tr_test_rounding', 4501),
+              transfer('txn_test_3', 'tr_test_short', 17000),
+              transfer('txn_test_4', 'tr_test_unknown', 5000)
+            ]);
+          }
+        },
+        payouts: {
+          list: async (params, options) => page(options?.stripeAccount !== stripeAccountId ? [] : [
+            { id: 'po_test_recorded', amount: 10000, arrival_date: middaySeconds, status: 'paid' },
+            { id: 'po_test_unrecorded', amount: 25000, arrival_date: middaySeconds, status: 'paid' },
+            { id: 'po_test_in_transit', amount: 4000, arrival_date: middaySeconds, status: 'in_transit' }
+          ])
+        }
+      };
+
+      const reconciliationService = new PayoutReconciliationService(this.dbPool, stubStripe, {
+        roundingToleranceCents: 1,
+        settlementLagMinutes: 60
+      });
+
+      await expectError(reconciliationService.reconcileDay(now), 'PERIOD_NOT_SETTLED');
+
+      const run = await reconciliationService.reconcileDay(day);
+      expect(run.status).toBe('completed');
+      expect(run.mismatchCount).toBe(5);
+      expect(run.summary.transfersChecked).toBe(4);
+      expect(run.summary.payoutsChecked).toBe(2);
+
+      const report = await reconciliationService.getReport(run.id);
+      const byType = Object.fromEntries(report.items.map(item => [item.type, item]));
+      expect(Object.keys(byType).sort().join(','))
+        .toBe('amount_mismatch,missing_transfer,payout_not_recorded,rounding_difference,unknown_transfer');
+
+      expect(byType.amount_mismatch.stripeObjectId).toBe('tr_test_short');
+      expect(byType.amount_mismatch.difference).toBe(-10);
+      expect(byType.rounding_difference.difference).toBe(0.01);
+      expect(byType.missing_transfer.stripeObjectId).toBe('tr_test_missing');
+      expect(byType.unknown_transfer.stripeObjectId).toBe('tr_test_unknown');
+      expect(byType.unknown_transfer.paymentId).toBe(null);
+      expect(byType.payout_not_recorded.stripeObjectId).toBe('po_test_unrecorded');
+      expect(byType.payout_not_recorded.stripeAccountId).toBe(stripeAccountId);
+
+      // Rerunning the day replaces the report but keeps finance's review
+      await reconciliationService.resolveItem(byType.rounding_difference.id, this.testUsers.admin.id, 'Within tolerance, no action');
+
+      const rerun = await reconciliationService.reconcileDay(day);
+      expect(rerun.id).toBe(run.id);
+
+      const rerunReport = await reconciliationService.getReport(run.id, { includeResolved: false });
+      expect(rerunReport.items.length).toBe(4);
+
+      const resolved = (await reconciliationService.getReport(run.id)).items
+        .find(item => item.type === 'rounding_difference');
+      expect(resolved.resolutionNote).toBe('Within tolerance, no action');
+      await expectError(
+        reconciliationService.resolveItem(resolved.id, this.testUsers.admin.id, 'Again'),
+        'ITEM_ALREADY_RESOLVED'
+      );
+
+      console.log('✅ Payout reconciliation test passed');
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ Payout reconciliation test failed:', error);
+      throw error;
+    }
+  }
+
   // =================================================================
   // NOTIFICATION TESTS
   // =================================================================
@@ -615,6 +2263,23 @@ class IntegrationTestFramework {
     const tests = [
       { name: 'Environment Setup', fn: () => this.setupTestEnvironment() },
       { name: 'Complete Job Workflow', fn: () => this.testCompleteJobWorkflow() },
+      { name: 'Job State Machine', fn: () => this.testJobStateMachine() },
+      { name: 'Cancellation Policy', fn: () => this.testCancellationPolicy() },
+      { name: 'Dispute Freeze', fn: () => this.testDisputeFreeze() },
+      { name: 'Quote Acceptance', fn: () => this.testQuoteAcceptance() },
+      { name: 'Recurring Generation', fn: () => this.testRecurringGeneration() },
+      { name: 'Emergency Dispatch', fn: () => this.testEmergencyDispatch() },
+      { name: 'Change Order Approval', fn: () => this.testChangeOrderApproval() },
+      { name: 'Milestone Charge Retry', fn: () => this.testMilestoneChargeRetry() },
+      { name: 'Address Geocoding', fn: () => this.testAddressGeocoding() },
+      { name: 'MFA Login', fn: () => this.testMfaLogin() },
+      { name: 'MFA Account Lockout', fn: () => this.testMfaAccountLockout() },
+      { name: 'Login Lockout', fn: () => this.testLoginLockout() },
+      { name: 'Refresh Reuse Detection', fn: () => this.testRefreshReuseDetection() },
+      { name: 'OAuth Sign-In', fn: () => this.testOAuthSignIn() },
+      { name: 'Ledger Integrity', fn: () => this.testLedgerIntegrity() },
+      { name: 'Webhook Idempotency', fn: () => this.testWebhookIdempotency() },
+      { name: 'Payout Reconciliation', fn: () => this.testPayoutReconciliation() },
       { name: 'Notification System', fn: () => this.testNotificationSystem() },
       { name: 'Performance', fn: () => this.testPerformance() },
       { name: 'Security', fn: () => this.testSecurity() },
@@ -674,37 +2339,75 @@ class IntegrationTestFramework {
 /**
  * Custom assertion helpers for integration tests
  */
-const expect = {
-  toBe: (actual, expected) => {
+const expect = (actual) => ({
+  toBe: (expected) => {
     if (actual !== expected) {
       throw new Error(`Expected ${actual} to be ${expected}`);
     }
   },
   
-  toBeGreaterThan: (actual, expected) => {
+  toBeGreaterThan: (expected) => {
     if (actual <= expected) {
       throw new Error(`Expected ${actual} to be greater than ${expected}`);
     }
   },
   
-  toBeLessThan: (actual, expected) => {
+  toBeLessThan: (expected) => {
     if (actual >= expected) {
       throw new Error(`Expected ${actual} to be less than ${expected}`);
     }
   },
   
-  toBeDefined: (actual) => {
+  toBeDefined: () => {
     if (actual === undefined) {
       throw new Error('Expected value to be defined');
     }
   },
   
-  toMatch: (actual, pattern) => {
+  toMatch: (pattern) => {
     if (!pattern.test(actual)) {
       throw new Error(`Expected ${actual} to match ${pattern}`);
     }
   }
-};
+});
+
+/**
+ * Await a call that should fail, and check the error code it fails with
+ */
+async function expectError(promise, code) {
+  let error = null;
+  try {
+    await promise;
+  } catch (caught) {
+    error = caught;
+  }
+
+  if (!error) {
+    throw new Error(`Expected call to fail with ${code}`);
+  }
+  if (error.code !== code) {
+    throw new Error(`Expected error ${code} but got ${error.code || error.message}`);
+  }
+  return error;
+}
+
+/**
+ * Authenticator app code (RFC 6238, SHA-1, 6 digits) for a base32 secret and 30-second step
+ */
+function totpCode(secret, step) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...secret.replace(/=+$/, '')]
+    .map(char => alphabet.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
 
 // =================================================================
 // EXPORTS
@@ -712,7 +2415,8 @@ const expect = {
 
 module.exports = {
   IntegrationTestFramework,
-  expect
+  expect,
+  expectError
 };
 
 // =================================================================
@@ -0,0 +1,376 @@
+/**
+ * Module: job_cancellation_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, job_state_machine_v1, payment_processing_v1, change_orders_v1, milestone_payments_v1
+ * Provides: Job cancellation policy, late-cancel fees, contractor no-show handling, escrow settlement
+ * Integration Points: Job API routes, Stripe escrow, notification triggers
+ * Last Updated: 2025-06-09
+ */
+
+const { config } = require('./config/env');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+const { ChangeOrderService } = require('./change_orders_v1');
+const { MilestoneService } = require('./milestone_payments_v1');
+
+// =================================================================
+// CANCELLATION POLICY
+// =================================================================
+
+/**
+ * Reason codes a cancellation can be filed under
+ */
+const CANCELLATION_REASONS = [
+  'customer_request', 'schedule_conflict', 'found_another_contractor',
+  'contractor_unavailable', 'contractor_no_show', 'other'
+];
+
+/**
+ * Error raised when a cancellation is rejected by policy
+ */
+class CancellationError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'CancellationError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Cancellation Policy
+ * Pure evaluation of who pays what when a job is cancelled
+ */
+class CancellationPolicy {
+  constructor(policyConfig = config.jobs.cancellation) {
+    this.freeWindowHours = policyConfig.freeWindowHours;
+    this.lateFeePercent = policyConfig.lateFeePercent;
+    this.lateFeeMinimum = policyConfig.lateFeeMinimum;
+    this.noShowGraceMinutes = policyConfig.noShowGraceMinutes;
+    this.reopenOnContractorCancel = policyConfig.reopenOnContractorCancel;
+  }
+
+  /**
+   * Scheduled start of the job, or null when unscheduled
+   * Dates and times are stored as UTC wall-clock values, so the result doesn't
+   * depend on the server's time zone
+   */
+  getScheduledStart(job) {
+    if (!job.preferred_date) return null;
+
+    // pg returns DATE columns as local midnight; strings are 'YYYY-MM-DD'
+    const [year, month, day] = job.preferred_date instanceof Date
+      ? [job.preferred_date.getFullYear(), job.preferred_date.getMonth() + 1, job.preferred_date.getDate()]
+      : String(job.preferred_date).slice(0, 10).split('-').map(Number);
+    const [hours, minutes] = (job.preferred_time_start || '00:00').split(':').map(Number);
+
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  }
+
+  /**
+   * Evaluate a cancellation request
+   */
+  evaluate(job, role, reasonCode, now = new Date()) {
+    const scheduledStart = this.getScheduledStart(job);
+    const jobAmount = parseFloat(job.quoted_price || job.estimated_cost || 0);
+
+    const outcome = {
+      faultParty: null,
+      feeAmount: 0,
+      targetStatus: 'cancelled',
+      scheduledStart,
+      freeUntil: null
+    };
+
+    // Nothing committed yet: always free
+    if (['draft', 'posted'].includes(job.status) || role === 'admin') {
+      return outcome;
+    }
+
+    if (reasonCode === 'contractor_no_show') {
+      if (role !== 'customer') {
+        throw new CancellationError('Only the customer can report a no-show', 'NO_SHOW_NOT_PERMITTED', 403);
+      }
+
+      const noShowAfter = scheduledStart
+        ? new Date(scheduledStart.getTime() + this.noShowGraceMinutes * 60 * 1000)
+        : null;
+
+      if (!noShowAfter || now < noShowAfter) {
+        throw new CancellationError(
+          'A no-show can only be reported after the scheduled start plus grace period',
+          'NO_SHOW_TOO_EARLY',
+          409,
+          { noShowAfter }
+        );
+      }
+
+      return { ...outcome, faultParty: 'contractor' };
+    }
+
+    if (role === 'contractor') {
+      return {
+        ...outcome,
+        faultParty: 'contractor',
+        targetStatus: this.reopenOnContractorCancel ? 'posted' : 'cancelled'
+      };
+    }
+
+    // Customer cancelling an assigned job
+    if (!scheduledStart) {
+      return outcome;
+    }
+
+    const freeUntil = new Date(scheduledStart.getTime() - this.freeWindowHours * 60 * 60 * 1000);
+    if (now <= freeUntil) {
+      return { ...outcome, freeUntil };
+    }
+
+    const percentFee = jobAmount * (this.lateFeePercent / 100);
+    const feeAmount = Math.min(jobAmount, Math.max(percentFee, this.lateFeeMinimum));
+
+    return {
+      ...outcome,
+      faultParty: 'customer',
+      feeAmount: Math.round(feeAmount * 100) / 100,
+      freeUntil
+    };
+  }
+}
+
+// =================================================================
+// CANCELLATION SERVICE
+// =================================================================
+
+/**
+ * Job Cancellation Service
+ * Applies the policy, moves the job and settles the escrow hold
+ */
+class JobCancellationService {
+  constructor(database, jobStateMachine, paymentService = null, policy = new CancellationPolicy()) {
+    this.db = database;
+    this.jobStateMachine = jobStateMachine;
+    this.paymentService = paymentService;
+    this.paymentDb = new PaymentDatabaseService(database);
+    this.changeOrderService = new ChangeOrderService(database, paymentService);
+    this.milestoneService = new MilestoneService(database, paymentService);
+    this.policy = policy;
+  }
+
+  /**
+   * Preview what cancelling now would cost
+   */
+  async previewCancellation(jobId, actor, reasonCode = 'customer_request') {
+    const job = await this.getJob(jobId);
+    const role = await this.resolveRole(job, actor);
+    const outcome = this.policy.evaluate(job, role, reasonCode);
+    const payment = await this.paymentDb.getPaymentByJobId(jobId);
+
+    return {
+      jobId,
+      status: job.status,
+      ...outcome,
+      feeCollectible: outcome.feeAmount > 0 && this.isEscrowAuthorized(payment)
+    };
+  }
+
+  /**
+   * Cancel a job under the configured policy
+   */
+  async cancelJob(jobId, actor, { reasonCode = 'customer_request', reason = null } = {}) {
+    const job = await this.getJob(jobId);
+
+    // Escrow is frozen while disputed; only a dispute resolution may release it
+    if (job.status === 'disputed') {
+      throw new CancellationError(
+        'Disputed jobs are cancelled through dispute resolution',
+        'JOB_DISPUTED',
+        409
+      );
+    }
+    const role = await this.resolveRole(job, actor);
+    const outcome = this.policy.evaluate(job, role, reasonCode);
+    const payment = await this.paymentDb.getPaymentByJobId(jobId);
+
+    const updates = outcome.targetStatus === 'posted'
+      ? { contractor_id: null, quoted_price: null, assigned_at: null }
+      : { cancellation_reason: reason || reasonCode };
+
+    // The cancellation is recorded as pending settlement with the status change,
+    // so a Stripe failure afterwards leaves a row for the retry job instead of an orphaned hold
+    let cancellation;
+    const updatedJob = await this.jobStateMachine.transition(jobId, outcome.targetStatus, actor, {
+      reason: outcome.targetStatus === 'posted' ? 'Contractor withdrew from job' : 'Job cancelled',
+      notes: reason,
+      updates,
+      withinTransaction: async (client) => {
+        if (outcome.targetStatus === 'cancelled') {
+          await client.query(`
+            UPDATE job_quotes
+            SET status = 'rejected', responded_at = NOW(), decline_reason = 'Job was cancelled'
+            WHERE job_id = $1 AND status = 'pending'
+          `, [jobId]);
+        }
+
+        const result = await client.query(`
+          INSERT INTO job_cancellations (
+            job_id, cancelled_by, canceller_role, reason_code, reason,
+            fault_party, fee_amount, escrow_action, stripe_payment_intent_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8)
+          RETURNING *
+        `, [
+          jobId, actor.id, role, reasonCode, reason, outcome.faultParty,
+          outcome.feeAmount, payment?.stripe_payment_intent_id || null
+        ]);
+        cancellation = result.rows[0];
+      }
+    });
+
+    const settlement = await this.settleCancellation(cancellation);
+
+    return {
+      job: {
+        id: updatedJob.id,
+        status: updatedJob.status,
+        cancelledAt: updatedJob.cancelled_at
+      },
+      faultParty: outcome.faultParty,
+      feeAmount: settlement.feeCollected,
+      escrowAction: settlement.escrowAction
+    };
+  }
+
+  /**
+   * Settle the escrow, change orders and milestones of a recorded cancellation
+   * Failures are recorded on the cancellation and left for retryPendingSettlements.
+   */
+  async settleCancellation(cancellation) {
+    try {
+      const payment = await this.paymentDb.getPaymentByJobId(cancellation.job_id);
+      const settlement = await this.settleEscrow(payment, parseFloat(cancellation.fee_amount), cancellation.id);
+
+      // Change orders and milestones belong to the assignment that just ended
+      await this.changeOrderService.settleCancelledJob(cancellation.job_id);
+      await this.milestoneService.cancelOutstandingMilestones(cancellation.job_id);
+
+      await this.db.query(`
+        UPDATE job_cancellations SET
+          escrow_action = $2, fee_amount = $3, settled_at = NOW(),
+          settlement_attempts = settlement_attempts + 1, settlement_error = NULL
+        WHERE id = $1
+      `, [cancellation.id, settlement.escrowAction, settlement.feeCollected]);
+
+      return settlement;
+
+    } catch (error) {
+      console.error(`Cancellation settlement error for job ${cancellation.job_id}:`, error);
+      await this.db.query(`
+        UPDATE job_cancellations SET
+          settlement_attempts = settlement_attempts + 1, settlement_error = $2
+        WHERE id = $1
+      `, [cancellation.id, error.message]);
+
+      return { escrowAction: 'pending', feeCollected: 0 };
+    }
+  }
+
+  /**
+   * Retry cancellations whose settlement failed
+   */
+  async retryPendingSettlements(maxAttempts = config.jobs.cancellation.settlementMaxAttempts) {
+    const result = await this.db.query(`
+      SELECT * FROM job_cancellations
+      WHERE settled_at IS NULL AND settlement_attempts < $1
+      ORDER BY created_at
+    `, [maxAttempts]);
+
+    let settled = 0;
+    for (const cancellation of result.rows) {
+      const settlement = await this.settleCancellation(cancellation);
+      if (settlement.escrowAction !== 'pending') settled++;
+    }
+
+    return { attempted: result.rows.length, settled };
+  }
+
+  /**
+   * Cancel or partially capture the escrow hold for a cancelled job
+   * Stripe calls are keyed on the cancellation so a retry can't settle twice.
+   */
+  async settleEscrow(payment, feeAmount, cancellationId) {
+    const result = { escrowAction: 'none', feeCollected: 0 };
+
+    if (!this.paymentService || !payment || !payment.stripe_payment_intent_id) {
+      return result;
+    }
+
+    if (!['pending', 'processing'].includes(payment.payment_status)) {
+      return result;
+    }
+
+    if (feeAmount > 0 && this.isEscrowAuthorized(payment)) {
+      const { platformFee, stripeFee } = this.paymentService.calculatePlatformFee(feeAmount);
+      const capture = await this.paymentService.releaseEscrowPayment(payment.stripe_payment_intent_id, {
+        amountToCapture: feeAmount,
+        platformFee,
+        idempotencyKey: `cancellation-${cancellationId}-capture`
+      });
+
+      await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'completed', {
+        chargeId: capture.chargeId,
+        transferId: capture.transferId,
+        amountCaptured: capture.amountCaptured,
+        platformFee,
+        stripeFee
+      });
+
+      return { escrowAction: 'partial_capture', feeCollected: feeAmount };
+    }
+
+    await this.paymentService.cancelEscrowPayment(payment.stripe_payment_intent_id, 'requested_by_customer', {
+      idempotencyKey: `cancellation-${cancellationId}-cancel`
+    });
+    await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'cancelled');
+
+    return { ...result, escrowAction: 'cancelled' };
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  isEscrowAuthorized(payment) {
+    return !!(payment && payment.authorized_at && !payment.captured_at);
+  }
+
+  async resolveRole(job, actor) {
+    const role = await this.jobStateMachine.resolveActorRole(job, actor);
+    if (!role || role === 'system') {
+      throw new CancellationError('Not permitted to cancel this job', 'CANCEL_NOT_PERMITTED', 403);
+    }
+    return role;
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new CancellationError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  CancellationPolicy,
+  JobCancellationService,
+  CancellationError,
+  CANCELLATION_REASONS
+};
@@ -0,0 +1,476 @@
+/**
+ * Module: job_completion_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, job_state_machine_v1, payment_processing_v1, change_orders_v1, milestone_payments_v1
+ * Provides: Completion submission, customer approve/reject, auto-approval and escrow capture on approval
+ * Integration Points: API routes, contractor active job screen, customer job review, background jobs
+ * Last Updated: 2025-06-09
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { JobStateMachine, JobTransitionError, SYSTEM_ACTOR } = require('./job_state_machine_v1');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+const { ChangeOrderService } = require('./change_orders_v1');
+const { MilestoneService } = require('./milestone_payments_v1');
+
+// =================================================================
+// COMPLETION SERVICE
+// =================================================================
+
+/**
+ * Error raised when a completion operation is rejected
+ */
+class CompletionError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'CompletionError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Job Completion Service
+ * Moves finished work through review and releases the escrow hold
+ */
+class JobCompletionService {
+  constructor(database, jobStateMachine, paymentService = null, options = config.jobs.completion) {
+    this.db = database;
+    this.jobStateMachine = jobStateMachine;
+    this.paymentService = paymentService;
+    this.paymentDb = new PaymentDatabaseService(database);
+    this.rbacService = new RbacService(database);
+    this.changeOrderService = new ChangeOrderService(database, paymentService);
+    this.milestoneService = new MilestoneService(database, paymentService);
+    this.autoApproveHours = options.autoApproveHours;
+    this.requireAfterPhotos = options.requireAfterPhotos;
+  }
+
+  /**
+   * Submit completed work for customer review (contractor)
+   * finalPrice may lower the price but not raise it past the agreed price,
+   * which already includes approved change orders; more work needs a change order.
+   */
+  async submitCompletion(jobId, actor, submission) {
+    const { workDuration = null, materialsUsed = [], completionNotes = null, finalPrice = null } = submission;
+    const job = await this.getJob(jobId);
+
+    if (finalPrice !== null && job.quoted_price !== null && finalPrice > parseFloat(job.quoted_price)) {
+      throw new CompletionError(
+        'Final price cannot exceed the agreed price; propose a change order for added work',
+        'FINAL_PRICE_EXCEEDS_AGREED',
+        422,
+        { agreedPrice: parseFloat(job.quoted_price) }
+      );
+    }
+
+    if (this.requireAfterPhotos) {
+      const photoResult = await this.db.query(`
+        SELECT COUNT(*) as count FROM job_photos WHERE job_id = $1 AND photo_type = 'after'
+      `, [jobId]);
+
+      if (parseInt(photoResult.rows[0].count) === 0) {
+        throw new CompletionError(
+          'Upload at least one after photo before submitting completion',
+          'AFTER_PHOTOS_REQUIRED',
+          422
+        );
+      }
+    }
+
+    const materials = materialsUsed.map(material => ({
+      name: material.name,
+      cost: Math.round(parseFloat(material.cost || 0) * 100) / 100
+    }));
+    const materialsTotal = materials.reduce((sum, material) => sum + Math.round(material.cost * 100), 0) / 100;
+    const agreedPrice = finalPrice !== null ? finalPrice : job.quoted_price;
+    const reviewDueAt = new Date(Date.now() + this.autoApproveHours * 60 * 60 * 1000);
+
+    let completion;
+
+    const updatedJob = await this.jobStateMachine.transition(jobId, 'completed', actor, {
+      reason: 'Completion submitted for review',
+      notes: completionNotes,
+      updates: { final_price: agreedPrice },
+      withinTransaction: async (client) => {
+        // A resubmission replaces any submission the customer sent back
+        await client.query(`
+          UPDATE job_completions SET status = 'superseded'
+          WHERE job_id = $1 AND status = 'pending_review'
+        `, [jobId]);
+
+        const result = await client.query(`
+          INSERT INTO job_completions (
+            job_id, submitted_by, work_duration_minutes, materials_used, materials_total,
+            completion_notes, final_price, review_due_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [
+          jobId, actor.id, workDuration !== null ? Math.round(workDuration / 60) : null,
+          JSON.stringify(materials), materialsTotal, completionNotes, agreedPrice, reviewDueAt
+        ]);
+        completion = result.rows[0];
+      }
+    });
+
+    return {
+      job: { id: updatedJob.id, status: updatedJob.status, completedAt: updatedJob.completed_at },
+      completion: this.formatCompletion(completion)
+    };
+  }
+
+  /**
+   * Approve completed work and capture the escrow hold (customer or system)
+   */
+  async approveCompletion(jobId, actor, { notes = null } = {}) {
+    const completion = await this.getPendingCompletion(jobId);
+    const autoApproved = actor.userType === 'system';
+
+    const updatedJob = await this.jobStateMachine.transition(jobId, 'approved', actor, {
+      reason: autoApproved ? 'Auto-approved after review window elapsed' : 'Customer approved completed work',
+      notes,
+      withinTransaction: async (client) => {
+        await client.query(`
+          UPDATE job_completions
+          SET status = $2, reviewed_by = $3, reviewed_at = NOW()
+          WHERE id = $1
+        `, [completion.id, autoApproved ? 'auto_approved' : 'approved', actor.id]);
+      }
+    });
+
+    const escrow = await this.captureEscrow(updatedJob);
+
+    return {
+      job: { id: updatedJob.id, status: updatedJob.status, approvedAt: updatedJob.approved_at },
+      escrow
+    };
+  }
+
+  /**
+   * Send completed work back to the contractor (customer)
+   */
+  async rejectCompletion(jobId, actor, { reason }) {
+    const completion = await this.getPendingCompletion(jobId);
+
+    const updatedJob = await this.jobStateMachine.transition(jobId, 'in_progress', actor, {
+      reason,
+      notes: 'Customer requested changes to completed work',
+      withinTransaction: async (client) => {
+        await client.query(`
+          UPDATE job_completions
+          SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), rejection_reason = $3
+          WHERE id = $1
+        `, [completion.id, actor.id, reason]);
+      }
+    });
+
+    return {
+      job: { id: updatedJob.id, status: updatedJob.status },
+      rejectionReason: reason
+    };
+  }
+
+  /**
+   * Get the latest completion submission for a job
+   */
+  async getCompletion(jobId, user) {
+    const job = await this.getJob(jobId);
+    const isParticipant = job.customer_id === user.id || job.contractor_id === user.id;
+
+    if (!isParticipant && !(await this.rbacService.hasPermission(user, 'jobs:read'))) {
+      throw new CompletionError('Not permitted to view this completion', 'COMPLETION_ACCESS_DENIED', 403);
+    }
+
+    const result = await this.db.query(`
+      SELECT * FROM job_completions
+      WHERE job_id = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new CompletionError('No completion has been submitted', 'COMPLETION_NOT_FOUND', 404);
+    }
+
+    return this.formatCompletion(result.rows[0]);
+  }
+
+  /**
+   * Capture the escrow hold for an approved job
+   * Failures are reported, not thrown: approval is already committed and
+   * releasePendingEscrow retries the capture.
+   */
+  async captureEscrow(job) {
+    const payment = await this.paymentDb.getPaymentByJobId(job.id);
+    const supplementary = await this.changeOrderService.captureSupplementaryPayments(job.id);
+    const milestones = await this.milestoneService.releaseOutstandingMilestones(job.id);
+
+    if (!this.paymentService || !payment || !payment.stripe_payment_intent_id) {
+      return { captured: false, reason: 'NO_ESCROW', supplementary, milestones };
+    }
+
+    if (!payment.authorized_at || payment.captured_at) {
+      return { captured: false, reason: payment.captured_at ? 'ALREADY_CAPTURED' : 'NOT_AUTHORIZED', supplementary, milestones };
+    }
+
+    try {
+      // Never capture more than the customer authorized
+      const authorized = parseFloat(payment.amount_total);
+      const amount = Math.min(parseFloat(job.final_price || authorized), authorized);
+      const { platformFee, stripeFee } = this.paymentService.calculatePlatformFee(amount);
+
+      const capture = await this.paymentService.releaseEscrowPayment(payment.stripe_payment_intent_id, {
+        amountToCapture: amount,
+        platformFee
+      });
+
+      await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'completed', {
+        chargeId: capture.chargeId,
+        transferId: capture.transferId,
+        amountCaptured: capture.amountCaptured,
+        platformFee,
+        stripeFee
+      });
+
+      return { captured: true, amount: capture.amountCaptured, supplementary, milestones };
+
+    } catch (error) {
+      console.error(`Escrow capture error for job ${job.id}:`, error);
+      return { captured: false, reason: 'CAPTURE_FAILED', supplementary, milestones };
+    }
+  }
+
+  /**
+   * Approve completions whose review window has elapsed
+   */
+  async autoApproveOverdue() {
+    const result = await this.db.query(`
+      SELECT jc.job_id
+      FROM job_completions jc
+      JOIN jobs j ON jc.job_id = j.id
+      WHERE jc.status = 'pending_review'
+        AND jc.review_due_at < NOW()
+        AND j.status = 'completed'
+    `);
+
+    let approved = 0;
+    for (const row of result.rows) {
+      try {
+        await this.approveCompletion(row.job_id, SYSTEM_ACTOR);
+        approved++;
+      } catch (error) {
+        console.error(`Auto-approve error for job ${row.job_id}:`, error);
+      }
+    }
+
+    return approved;
+  }
+
+  /**
+   * Retry escrow capture for approved jobs still holding an authorization
+   */
+  async releasePendingEscrow() {
+    const result = await this.db.query(`
+      SELECT j.*
+      FROM jobs j
+      WHERE j.status = 'approved'
+        AND EXISTS (
+          SELECT 1 FROM payments p
+          WHERE p.job_id = j.id
+            AND p.authorized_at IS NOT NULL
+            AND p.captured_at IS NULL
+            AND p.payment_status IN ('pending', 'processing')
+        )
+    `);
+
+    let captured = 0;
+    for (const job of result.rows) {
+      const escrow = await this.captureEscrow(job);
+      if (escrow.captured) captured++;
+    }
+
+    return captured;
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new CompletionError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getPendingCompletion(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM job_completions
+      WHERE job_id = $1 AND status = 'pending_review'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new CompletionError('No completion is awaiting review', 'COMPLETION_NOT_PENDING', 409);
+    }
+
+    return result.rows[0];
+  }
+
+  formatCompletion(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      status: row.status,
+      workDurationMinutes: row.work_duration_minutes,
+      materialsUsed: row.materials_used,
+      materialsTotal: parseFloat(row.materials_total),
+      completionNotes: row.completion_notes,
+      finalPrice: row.final_price !== null ? parseFloat(row.final_price) : null,
+      reviewDueAt: row.review_due_at,
+      reviewedAt: row.reviewed_at,
+      rejectionReason: row.rejection_reason,
+      submittedAt: row.created_at
+    };
+  }
+}
+
+// =================================================================
+// COMPLETION ROUTES
+// =================================================================
+
+/**
+ * Create completion routes, mounted under /jobs
+ */
+function createCompletionRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const jobStateMachine = services.jobStateMachine || new JobStateMachine(database, {
+    notificationTriggers: services.notificationTriggers,
+    broadcastJobUpdate: services.broadcastJobUpdate
+  });
+  const completionService = services.completionService ||
+    new JobCompletionService(database, jobStateMachine, services.paymentService);
+
+  const handleCompletionError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof CompletionError || error instanceof JobTransitionError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const toActor = (user) => ({ id: user.id, userType: user.user_type });
+
+  // Submit Completion (Contractors only)
+  router.post('/:id/complete',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('id').isUUID(),
+      body('workDuration').optional().isInt({ min: 0 }),
+      body('materialsUsed').optional().isArray({ max: 100 }),
+      body('materialsUsed.*.name').trim().isLength({ min: 1, max: 255 }),
+      body('materialsUsed.*.cost').isFloat({ min: 0 }),
+      body('completionNotes').optional().trim().isLength({ max: 2000 }),
+      body('finalPrice').optional().isFloat({ min: 0 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await completionService.submitCompletion(req.params.id, toActor(req.user), {
+          workDuration: req.body.workDuration,
+          materialsUsed: req.body.materialsUsed,
+          completionNotes: req.body.completionNotes,
+          finalPrice: req.body.finalPrice !== undefined ? parseFloat(req.body.finalPrice) : null
+        });
+        res.status(201).json(result);
+      } catch (error) {
+        handleCompletionError(res, error, 'Failed to submit completion', 'SUBMIT_COMPLETION_ERROR');
+      }
+    }
+  );
+
+  // Get Completion
+  router.get('/:id/completion',
+    middleware.requireAuth(),
+    [
+      param('id').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const completion = await completionService.getCompletion(req.params.id, req.user);
+        res.json(completion);
+      } catch (error) {
+        handleCompletionError(res, error, 'Failed to get completion', 'GET_COMPLETION_ERROR');
+      }
+    }
+  );
+
+  // Approve Completion (Customers only)
+  router.post('/:id/approve',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('id').isUUID(),
+      body('notes').optional().trim().isLength({ max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await completionService.approveCompletion(req.params.id, toActor(req.user), {
+          notes: req.body.notes
+        });
+        res.json(result);
+      } catch (error) {
+        handleCompletionError(res, error, 'Failed to approve completion', 'APPROVE_COMPLETION_ERROR');
+      }
+    }
+  );
+
+  // Reject Completion (Customers only)
+  router.post('/:id/reject',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('id').isUUID(),
+      body('reason').trim().isLength({ min: 10, max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await completionService.rejectCompletion(req.params.id, toActor(req.user), {
+          reason: req.body.reason
+        });
+        res.json(result);
+      } catch (error) {
+        handleCompletionError(res, error, 'Failed to reject completion', 'REJECT_COMPLETION_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  JobCompletionService,
+  CompletionError,
+  createCompletionRoutes
+};
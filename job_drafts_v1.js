@@ -0,0 +1,581 @@
+/**
+ * Module: job_drafts_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, job_state_machine_v1, gps_mapping_service_v1
+ * Provides: Server-side job drafts for the post-job flow, step autosave/resume, draft publishing and stale draft expiry
+ * Integration Points: API routes, customer app PostJobScreen, background jobs
+ * Last Updated: 2025-06-14
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { JobStateMachine, SYSTEM_ACTOR, JobTransitionError } = require('./job_state_machine_v1');
+const { MappingService } = require('./gps_mapping_service_v1');
+
+// =================================================================
+// JOB DRAFT SERVICE
+// =================================================================
+
+/**
+ * Number of steps in the customer app's post-job flow
+ */
+const DRAFT_STEPS = 6;
+
+/**
+ * Trade categories, mirroring the trade_category enum
+ */
+const TRADE_CATEGORIES = ['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping'];
+
+/**
+ * Draft request fields and the job columns they are saved to
+ */
+const DRAFT_FIELDS = {
+  title: 'title',
+  description: 'description',
+  tradeCategory: 'trade_category',
+  priority: 'priority',
+  estimatedCost: 'estimated_cost',
+  preferredDate: 'preferred_date',
+  preferredTimeStart: 'preferred_time_start',
+  preferredTimeEnd: 'preferred_time_end',
+  accessInstructions: 'access_instructions'
+};
+
+const DRAFT_ADDRESS_FIELDS = {
+  addressLine1: 'service_address_line1',
+  addressLine2: 'service_address_line2',
+  city: 'service_city',
+  state: 'service_state',
+  zipCode: 'service_zip_code'
+};
+
+/**
+ * Error raised when a draft operation is rejected
+ */
+class JobDraftError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'JobDraftError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Job Draft Service
+ * Drafts are ordinary job rows in 'draft' status whose required columns
+ * may still be empty. Every save pushes the expiry out; drafts left
+ * untouched past it are cancelled by a background job.
+ */
+class JobDraftService {
+  constructor(database, jobStateMachine, mappingService = null, options = config.jobs.drafts) {
+    this.db = database;
+    this.jobStateMachine = jobStateMachine;
+    this.mappingService = mappingService || new MappingService(database);
+    this.expiryDays = options.expiryDays;
+    this.maxOpenDrafts = options.maxOpenDrafts;
+  }
+
+  /**
+   * Start a draft (customer)
+   */
+  async createDraft(customerId, data) {
+    const existing = await this.db.query(`
+      SELECT COUNT(*) FROM jobs
+      WHERE customer_id = $1 AND status = 'draft' AND draft_expires_at > NOW()
+    `, [customerId]);
+
+    if (parseInt(existing.rows[0].count) >= this.maxOpenDrafts) {
+      throw new JobDraftError(
+        `You can keep at most ${this.maxOpenDrafts} unfinished jobs`,
+        'TOO_MANY_DRAFTS',
+        409
+      );
+    }
+
+    const values = [customerId, data.step || 1, this.expiryDays];
+    const columns = ['customer_id', 'draft_step', 'draft_expires_at', 'status'];
+    const placeholders = ['$1', '$2', `NOW() + make_interval(days => $3)`, `'draft'`];
+
+    this.collectDraftColumns(data, values).forEach(({ column, expression }) => {
+      columns.push(column);
+      placeholders.push(expression);
+    });
+
+    const result = await this.db.query(`
+      INSERT INTO jobs (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      RETURNING id
+    `, values);
+
+    const draftId = result.rows[0].id;
+
+    await this.db.query(`
+      INSERT INTO job_status_history (job_id, changed_by, new_status, reason)
+      VALUES ($1, $2, $3, $4)
+    `, [draftId, customerId, 'draft', 'Draft started']);
+
+    return this.getDraft(draftId, customerId);
+  }
+
+  /**
+   * Autosave a draft's fields and the step the customer is on (customer)
+   */
+  async saveDraft(draftId, customerId, data) {
+    await this.getOpenDraft(draftId, customerId);
+
+    const values = [draftId, this.expiryDays];
+    const setClauses = ['draft_expires_at = NOW() + make_interval(days => $2)'];
+
+    if (data.step !== undefined) {
+      values.push(data.step);
+      setClauses.push(`draft_step = $${values.length}`);
+    }
+
+    this.collectDraftColumns(data, values).forEach(({ column, expression }) => {
+      setClauses.push(`${column} = ${expression}`);
+    });
+
+    // Guard on status so a save racing a publish cannot edit a live job
+    const result = await this.db.query(`
+      UPDATE jobs
+      SET ${setClauses.join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND status = 'draft'
+      RETURNING id
+    `, values);
+
+    if (result.rows.length === 0) {
+      throw new JobDraftError('Draft was published or discarded, please reload', 'DRAFT_NOT_OPEN', 409);
+    }
+
+    return this.getDraft(draftId, customerId);
+  }
+
+  /**
+   * List a customer's unexpired drafts, most recently saved first
+   */
+  async listDrafts(customerId) {
+    const result = await this.db.query(`
+      SELECT j.*,
+        ST_X(j.service_coordinates) as longitude, ST_Y(j.service_coordinates) as latitude,
+        (SELECT COUNT(*) FROM job_photos WHERE job_id = j.id) as photo_count
+      FROM jobs j
+      WHERE j.customer_id = $1 AND j.status = 'draft' AND j.draft_expires_at > NOW()
+      ORDER BY j.updated_at DESC
+    `, [customerId]);
+
+    return result.rows.map(row => this.formatDraft(row));
+  }
+
+  /**
+   * Get a single draft (customer)
+   */
+  async getDraft(draftId, customerId) {
+    const draft = await this.getOpenDraft(draftId, customerId);
+    return this.formatDraft(draft);
+  }
+
+  /**
+   * Discard a draft (customer)
+   */
+  async discardDraft(draftId, customerId) {
+    await this.getOpenDraft(draftId, customerId);
+
+    await this.jobStateMachine.transition(draftId, 'cancelled', { id: customerId, userType: 'customer' }, {
+      reason: 'Draft discarded',
+      updates: { draft_expires_at: null }
+    });
+  }
+
+  /**
+   * Publish a complete draft as a posted job (customer)
+   *
+   * Runs the same checks as creating a job directly; anything still
+   * missing is reported per field so the app can send the customer
+   * back to the right step.
+   */
+  async publishDraft(draftId, customerId) {
+    const draft = await this.getOpenDraft(draftId, customerId);
+
+    const problems = this.validateForPublish(draft);
+    if (problems.length > 0) {
+      throw new JobDraftError('Draft is not ready to post', 'DRAFT_INCOMPLETE', 422, { fields: problems });
+    }
+
+    // Geocode the final address; coordinates saved while drafting are only a fallback
+    const location = await this.mappingService.resolveServiceAddress({
+      addressLine1: draft.service_address_line1,
+      addressLine2: draft.service_address_line2,
+      city: draft.service_city,
+      state: draft.service_state,
+      zipCode: draft.service_zip_code
+    }, draft.latitude !== null ? { latitude: parseFloat(draft.latitude), longitude: parseFloat(draft.longitude) } : null);
+
+    return this.jobStateMachine.transition(draftId, 'posted', { id: customerId, userType: 'customer' }, {
+      reason: 'Job posted from draft',
+      updates: {
+        service_address_line1: location.address.addressLine1,
+        service_address_line2: location.address.addressLine2,
+        service_city: location.address.city,
+        service_state: location.address.state,
+        service_zip_code: location.address.zipCode,
+        service_coordinates: location.coordinates
+          ? `SRID=4326;POINT(${location.coordinates.longitude} ${location.coordinates.latitude})`
+          : null,
+        geocode_status: location.geocodeStatus,
+        draft_step: null,
+        draft_expires_at: null
+      }
+    });
+  }
+
+  /**
+   * Cancel drafts nobody has saved within the expiry window
+   */
+  async expireStaleDrafts() {
+    const result = await this.db.query(`
+      SELECT id FROM jobs
+      WHERE status = 'draft' AND draft_expires_at <= NOW()
+      ORDER BY draft_expires_at ASC
+      LIMIT 500
+    `);
+
+    let expired = 0;
+
+    for (const row of result.rows) {
+      try {
+        await this.jobStateMachine.transition(row.id, 'cancelled', SYSTEM_ACTOR, {
+          reason: 'Draft expired',
+          updates: { cancellation_reason: 'Draft expired before it was posted' },
+          notify: false
+        });
+        expired++;
+      } catch (error) {
+        // Published or discarded since the query ran
+        if (!(error instanceof JobTransitionError)) {
+          console.error(`Failed to expire draft ${row.id}:`, error);
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  /**
+   * Map provided draft fields to column assignments, appending their
+   * values to `values`. Fields left undefined are not touched; null
+   * clears them.
+   */
+  collectDraftColumns(data, values) {
+    const assignments = [];
+
+    const assign = (column, value) => {
+      values.push(value === '' ? null : value);
+      assignments.push({ column, expression: `$${values.length}` });
+    };
+
+    Object.entries(DRAFT_FIELDS).forEach(([field, column]) => {
+      if (data[field] !== undefined) assign(column, data[field]);
+    });
+
+    const address = data.serviceAddress;
+    if (address) {
+      Object.entries(DRAFT_ADDRESS_FIELDS).forEach(([field, column]) => {
+        if (address[field] !== undefined) assign(column, address[field]);
+      });
+
+      if (address.coordinates === null) {
+        assignments.push({ column: 'service_coordinates', expression: 'NULL' });
+      } else if (address.coordinates) {
+        values.push(address.coordinates.longitude, address.coordinates.latitude);
+        assignments.push({
+          column: 'service_coordinates',
+          expression: `ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)`
+        });
+      }
+    }
+
+    return assignments;
+  }
+
+  /**
+   * Check a draft against the rules for creating a job directly
+   */
+  validateForPublish(draft) {
+    const problems = [];
+    const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+    if (isBlank(draft.title)) {
+      problems.push({ field: 'title', message: 'Title is required' });
+    }
+    if (isBlank(draft.description) || draft.description.trim().length < 10) {
+      problems.push({ field: 'description', message: 'Description must be at least 10 characters' });
+    }
+    if (!TRADE_CATEGORIES.includes(draft.trade_category)) {
+      problems.push({ field: 'tradeCategory', message: 'Trade category is required' });
+    }
+    if (isBlank(draft.service_address_line1)) {
+      problems.push({ field: 'serviceAddress.addressLine1', message: 'Street address is required' });
+    }
+    if (isBlank(draft.service_city)) {
+      problems.push({ field: 'serviceAddress.city', message: 'City is required' });
+    }
+    if (isBlank(draft.service_state) || draft.service_state.trim().length < 2) {
+      problems.push({ field: 'serviceAddress.state', message: 'State is required' });
+    }
+    if (isBlank(draft.service_zip_code) || draft.service_zip_code.trim().length < 5) {
+      problems.push({ field: 'serviceAddress.zipCode', message: 'ZIP code is required' });
+    }
+
+    // A draft resumed days later may still carry a date that has passed
+    if (draft.preferred_date) {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (new Date(draft.preferred_date) < today) {
+        problems.push({ field: 'preferredDate', message: 'Preferred date is in the past' });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Load a customer's draft that can still be edited
+   */
+  async getOpenDraft(draftId, customerId) {
+    const result = await this.db.query(`
+      SELECT j.*,
+        ST_X(j.service_coordinates) as longitude, ST_Y(j.service_coordinates) as latitude,
+        (SELECT COUNT(*) FROM job_photos WHERE job_id = j.id) as photo_count
+      FROM jobs j
+      WHERE j.id = $1 AND j.customer_id = $2
+    `, [draftId, customerId]);
+
+    if (result.rows.length === 0) {
+      throw new JobDraftError('Draft not found', 'DRAFT_NOT_FOUND', 404);
+    }
+
+    const draft = result.rows[0];
+
+    if (draft.status !== 'draft') {
+      throw new JobDraftError(`Job is already ${draft.status}`, 'DRAFT_NOT_OPEN', 409, { status: draft.status });
+    }
+
+    if (draft.draft_expires_at && new Date(draft.draft_expires_at) <= new Date()) {
+      throw new JobDraftError('Draft has expired', 'DRAFT_EXPIRED', 409);
+    }
+
+    return draft;
+  }
+
+  formatDraft(row) {
+    return {
+      id: row.id,
+      step: row.draft_step,
+      title: row.title,
+      description: row.description,
+      tradeCategory: row.trade_category,
+      priority: row.priority,
+      serviceAddress: {
+        addressLine1: row.service_address_line1,
+        addressLine2: row.service_address_line2,
+        city: row.service_city,
+        state: row.service_state,
+        zipCode: row.service_zip_code,
+        coordinates: row.latitude !== null && row.latitude !== undefined
+          ? { latitude: parseFloat(row.latitude), longitude: parseFloat(row.longitude) }
+          : null
+      },
+      estimatedCost: row.estimated_cost !== null ? parseFloat(row.estimated_cost) : null,
+      preferredDate: row.preferred_date,
+      preferredTimeStart: row.preferred_time_start,
+      preferredTimeEnd: row.preferred_time_end,
+      accessInstructions: row.access_instructions,
+      photoCount: parseInt(row.photo_count || 0),
+      expiresAt: row.draft_expires_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// =================================================================
+// JOB DRAFT ROUTES
+// =================================================================
+
+/**
+ * Create job draft routes, mounted under /jobs before /jobs/:id
+ */
+function createJobDraftRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const jobStateMachine = services.jobStateMachine || new JobStateMachine(database, {
+    notificationTriggers: services.notificationTriggers,
+    broadcastJobUpdate: services.broadcastJobUpdate,
+    onJobPosted: services.savedSearchService
+      ? (job) => services.savedSearchService.matchPostedJob(job.id)
+      : null
+  });
+  const jobDraftService = services.jobDraftService ||
+    new JobDraftService(database, jobStateMachine, services.mappingService);
+
+  const handleJobDraftError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof JobDraftError || error instanceof JobTransitionError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Every field is optional while drafting and blanks clear it; completeness is checked on publish
+  const draftValidators = [
+    body('step').optional().isInt({ min: 1, max: DRAFT_STEPS }).toInt(),
+    body('title').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('description').optional({ checkFalsy: true }).trim().isLength({ max: 5000 }),
+    body('tradeCategory').optional({ checkFalsy: true }).isIn(TRADE_CATEGORIES),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+    body('serviceAddress').optional().isObject(),
+    body('serviceAddress.addressLine1').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('serviceAddress.addressLine2').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('serviceAddress.city').optional({ checkFalsy: true }).trim().isLength({ max: 100 }),
+    body('serviceAddress.state').optional({ checkFalsy: true }).trim().isLength({ max: 50 }),
+    body('serviceAddress.zipCode').optional({ checkFalsy: true }).trim().isLength({ max: 20 }),
+    body('serviceAddress.coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+    body('serviceAddress.coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+    body('estimatedCost').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body('preferredDate').optional({ checkFalsy: true }).isISO8601(),
+    body('preferredTimeStart').optional({ checkFalsy: true }).matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    body('preferredTimeEnd').optional({ checkFalsy: true }).matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    body('accessInstructions').optional({ checkFalsy: true }).trim().isLength({ max: 2000 })
+  ];
+
+  // Start Job Draft (Customers only)
+  router.post('/drafts',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    draftValidators,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const draft = await jobDraftService.createDraft(req.user.id, req.body);
+        res.status(201).json(draft);
+      } catch (error) {
+        handleJobDraftError(res, error, 'Failed to save draft', 'CREATE_DRAFT_ERROR');
+      }
+    }
+  );
+
+  // List Job Drafts (Customers only)
+  router.get('/drafts',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    async (req, res) => {
+      try {
+        const drafts = await jobDraftService.listDrafts(req.user.id);
+        res.json({ data: drafts });
+      } catch (error) {
+        handleJobDraftError(res, error, 'Failed to list drafts', 'LIST_DRAFTS_ERROR');
+      }
+    }
+  );
+
+  // Get Job Draft (Customers only)
+  router.get('/drafts/:draftId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [param('draftId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const draft = await jobDraftService.getDraft(req.params.draftId, req.user.id);
+        res.json(draft);
+      } catch (error) {
+        handleJobDraftError(res, error, 'Failed to get draft', 'GET_DRAFT_ERROR');
+      }
+    }
+  );
+
+  // Autosave Job Draft (Customers only)
+  router.put('/drafts/:draftId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('draftId').isUUID(),
+      ...draftValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const draft = await jobDraftService.saveDraft(req.params.draftId, req.user.id, req.body);
+        res.json(draft);
+      } catch (error) {
+        handleJobDraftError(res, error, 'Failed to save draft', 'SAVE_DRAFT_ERROR');
+      }
+    }
+  );
+
+  // Discard Job Draft (Customers only)
+  router.delete('/drafts/:draftId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [param('draftId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await jobDraftService.discardDraft(req.params.draftId, req.user.id);
+        res.status(204).send();
+      } catch (error) {
+        handleJobDraftError(res, error, 'Failed to discard draft', 'DISCARD_DRAFT_ERROR');
+      }
+    }
+  );
+
+  // Publish Job Draft (Customers only)
+  router.post('/drafts/:draftId/publish',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [param('draftId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const job = await jobDraftService.publishDraft(req.params.draftId, req.user.id);
+        res.json({
+          id: job.id,
+          title: job.title,
+          description: job.description,
+          tradeCategory: job.trade_category,
+          status: job.status,
+          priority: job.priority,
+          estimatedCost: job.estimated_cost,
+          preferredDate: job.preferred_date,
+          addressUnresolved: job.geocode_status === 'unresolved',
+          createdAt: job.created_at
+        });
+      } catch (error) {
+        handleJobDraftError(res, error, 'Failed to post job', 'PUBLISH_DRAFT_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  JobDraftService,
+  JobDraftError,
+  DRAFT_STEPS,
+  createJobDraftRoutes
+};
@@ -0,0 +1,420 @@
+/**
+ * Module: job_photos_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, file_storage_v1
+ * Provides: Job photo ingestion, EXIF stripping, thumbnails, before/after galleries
+ * Integration Points: API routes, contractor active job screen, customer job details
+ * Last Updated: 2025-06-05
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const { body, param, query } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { createStorageAdapter } = require('./file_storage_v1');
+
+// =================================================================
+// PHOTO SERVICE
+// =================================================================
+
+/**
+ * Photo types a job photo can be filed under
+ */
+const PHOTO_TYPES = ['before', 'progress', 'after', 'issue'];
+
+/**
+ * Image formats accepted for upload
+ */
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+/**
+ * Error raised when a photo operation is rejected
+ */
+class PhotoError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'PhotoError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Job Photo Service
+ * Normalizes uploaded images and stores them with a thumbnail
+ */
+class JobPhotoService {
+  constructor(database, storage = createStorageAdapter(), options = config.services.storage.photos) {
+    this.db = database;
+    this.storage = storage;
+    this.rbacService = new RbacService(database);
+    this.maxDimension = options.maxDimension;
+    this.thumbnailWidth = options.thumbnailWidth;
+  }
+
+  /**
+   * Upload a photo to a job
+   */
+  async uploadPhoto(jobId, user, file, { photoType, caption = null, takenAt = null }) {
+    const job = await this.getJob(jobId);
+    this.assertCanUpload(job, user, photoType);
+
+    const processed = await this.processImage(file.buffer);
+    const photoId = crypto.randomUUID();
+    const baseKey = `jobs/${jobId}/photos/${photoId}`;
+
+    const original = await this.storage.putObject(`${baseKey}.jpg`, processed.image, 'image/jpeg');
+    const thumbnail = await this.storage.putObject(`${baseKey}_thumb.jpg`, processed.thumbnail, 'image/jpeg');
+
+    try {
+      const result = await this.db.query(`
+        INSERT INTO job_photos (
+          id, job_id, uploaded_by, photo_url, thumbnail_url, storage_key, thumbnail_key,
+          photo_type, caption, timestamp_taken, width, height, file_size
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        photoId, jobId, user.id, original.url, thumbnail.url, original.key, thumbnail.key,
+        photoType, caption, takenAt, processed.width, processed.height, processed.image.length
+      ]);
+
+      return this.formatPhoto(result.rows[0]);
+
+    } catch (error) {
+      // Don't leave orphaned objects behind when the row can't be written
+      await Promise.allSettled([
+        this.storage.deleteObject(original.key),
+        this.storage.deleteObject(thumbnail.key)
+      ]);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a job's photos, grouped into galleries by type
+   */
+  async getJobPhotos(jobId, user, filters = {}) {
+    const job = await this.getJob(jobId);
+    await this.assertCanView(job, user);
+
+    const values = [jobId];
+    let typeClause = '';
+
+    if (filters.photoType) {
+      values.push(filters.photoType);
+      typeClause = `AND jp.photo_type = $${values.length}`;
+    }
+
+    const result = await this.db.query(`
+      SELECT jp.*, u.first_name as uploader_first_name, u.user_type as uploader_type
+      FROM job_photos jp
+      JOIN users u ON jp.uploaded_by = u.id
+      WHERE jp.job_id = $1 ${typeClause}
+      ORDER BY COALESCE(jp.timestamp_taken, jp.created_at) ASC
+    `, values);
+
+    const photos = result.rows.map(row => this.formatPhoto(row));
+    const galleries = PHOTO_TYPES.reduce((groups, type) => {
+      groups[type] = photos.filter(photo => photo.photoType === type);
+      return groups;
+    }, {});
+
+    return { jobId, total: photos.length, galleries };
+  }
+
+  /**
+   * Delete a photo (uploader only, while the job is still open)
+   */
+  async deletePhoto(jobId, photoId, user) {
+    const job = await this.getJob(jobId);
+
+    const result = await this.db.query(`
+      SELECT * FROM job_photos WHERE id = $1 AND job_id = $2
+    `, [photoId, jobId]);
+
+    if (result.rows.length === 0) {
+      throw new PhotoError('Photo not found', 'PHOTO_NOT_FOUND', 404);
+    }
+
+    const photo = result.rows[0];
+
+    if (photo.uploaded_by !== user.id) {
+      throw new PhotoError('Only the uploader can delete this photo', 'PHOTO_DELETE_NOT_PERMITTED', 403);
+    }
+
+    if (['approved', 'cancelled', 'disputed'].includes(job.status)) {
+      throw new PhotoError(`Photos cannot be removed while job is ${job.status}`, 'JOB_PHOTOS_LOCKED', 409);
+    }
+
+    await this.db.query('DELETE FROM job_photos WHERE id = $1', [photoId]);
+
+    await Promise.allSettled([
+      photo.storage_key && this.storage.deleteObject(photo.storage_key),
+      photo.thumbnail_key && this.storage.deleteObject(photo.thumbnail_key)
+    ]);
+
+    return { id: photoId, deleted: true };
+  }
+
+  /**
+   * Auto-orient, resize and re-encode an image, dropping EXIF/GPS metadata
+   */
+  async processImage(buffer) {
+    let pipeline;
+    let metadata;
+
+    try {
+      // rotate() applies the EXIF orientation before sharp discards metadata
+      pipeline = sharp(buffer, { failOn: 'error' }).rotate();
+      metadata = await pipeline.metadata();
+    } catch (error) {
+      throw new PhotoError('Uploaded file is not a readable image', 'INVALID_IMAGE', 422);
+    }
+
+    const { data: image, info } = await pipeline
+      .clone()
+      .resize({ width: this.maxDimension, height: this.maxDimension, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await pipeline
+      .clone()
+      .resize({ width: this.thumbnailWidth, withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+
+    return {
+      image,
+      thumbnail,
+      width: info.width,
+      height: info.height,
+      sourceFormat: metadata.format
+    };
+  }
+
+  // =================================================================
+  // ACCESS CHECKS
+  // =================================================================
+
+  assertCanUpload(job, user, photoType) {
+    const isCustomer = job.customer_id === user.id;
+    const isContractor = job.contractor_id === user.id;
+
+    if (!isCustomer && !isContractor) {
+      throw new PhotoError('Not permitted to add photos to this job', 'PHOTO_UPLOAD_NOT_PERMITTED', 403);
+    }
+
+    if (['approved', 'cancelled'].includes(job.status)) {
+      throw new PhotoError(`Photos cannot be added while job is ${job.status}`, 'JOB_PHOTOS_LOCKED', 409);
+    }
+
+    // Progress and after shots document the contractor's work
+    if (isCustomer && ['progress', 'after'].includes(photoType)) {
+      throw new PhotoError(
+        'Customers can only add before and issue photos',
+        'PHOTO_TYPE_NOT_PERMITTED',
+        403,
+        { allowedTypes: ['before', 'issue'] }
+      );
+    }
+
+    if (isContractor && !['assigned', 'in_progress', 'completed', 'disputed'].includes(job.status)) {
+      throw new PhotoError(`Photos cannot be added while job is ${job.status}`, 'JOB_PHOTOS_LOCKED', 409);
+    }
+  }
+
+  async assertCanView(job, user) {
+    const isParticipant = job.customer_id === user.id || job.contractor_id === user.id;
+    const isOpenToContractor = user.user_type === 'contractor' && job.status === 'posted';
+
+    if (!isParticipant && !isOpenToContractor && !(await this.rbacService.hasPermission(user, 'jobs:read'))) {
+      throw new PhotoError('Not permitted to view photos for this job', 'PHOTO_ACCESS_DENIED', 403);
+    }
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT id, customer_id, contractor_id, status FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new PhotoError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  formatPhoto(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      url: row.photo_url,
+      thumbnailUrl: row.thumbnail_url,
+      photoType: row.photo_type,
+      caption: row.caption,
+      width: row.width,
+      height: row.height,
+      uploadedBy: {
+        id: row.uploaded_by,
+        firstName: row.uploader_first_name,
+        userType: row.uploader_type
+      },
+      takenAt: row.timestamp_taken,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// =================================================================
+// PHOTO ROUTES
+// =================================================================
+
+/**
+ * Create photo routes, mounted under /jobs
+ */
+function createPhotoRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const photoService = services.photoService || new JobPhotoService(database, services.storage);
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.services.storage.photos.maxFileSizeMb * 1024 * 1024,
+      files: 1
+    },
+    fileFilter: (req, file, callback) => {
+      if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+        return callback(new PhotoError('Unsupported image type', 'UNSUPPORTED_IMAGE_TYPE', 415, {
+          acceptedTypes: ACCEPTED_MIME_TYPES
+        }));
+      }
+      callback(null, true);
+    }
+  });
+
+  /**
+   * Parse the single `photo` field, mapping multer errors to API errors
+   */
+  const parsePhotoUpload = (req, res, next) => {
+    upload.single('photo')(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof PhotoError) {
+        return sendServiceError(res, error);
+      }
+
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({
+          error: error.message,
+          code: error.code === 'LIMIT_FILE_SIZE' ? 'PHOTO_TOO_LARGE' : 'INVALID_UPLOAD'
+        });
+      }
+
+      next(error);
+    });
+  };
+
+  const handlePhotoError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof PhotoError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Upload Job Photo
+  router.post('/photos',
+    middleware.requireAuth(),
+    parsePhotoUpload,
+    [
+      body('jobId').isUUID(),
+      body('photoType').isIn(PHOTO_TYPES),
+      body('caption').optional().trim().isLength({ max: 500 }),
+      body('takenAt').optional().isISO8601()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({
+            error: 'A photo file is required',
+            code: 'PHOTO_REQUIRED'
+          });
+        }
+
+        const photo = await photoService.uploadPhoto(req.body.jobId, req.user, req.file, {
+          photoType: req.body.photoType,
+          caption: req.body.caption,
+          takenAt: req.body.takenAt
+        });
+
+        res.status(201).json(photo);
+      } catch (error) {
+        handlePhotoError(res, error, 'Failed to upload photo', 'UPLOAD_PHOTO_ERROR');
+      }
+    }
+  );
+
+  // Get Job Photos
+  router.get('/:jobId/photos',
+    middleware.requireAuth(),
+    [
+      param('jobId').isUUID(),
+      query('photoType').optional().isIn(PHOTO_TYPES)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const photos = await photoService.getJobPhotos(req.params.jobId, req.user, {
+          photoType: req.query.photoType
+        });
+        res.json(photos);
+      } catch (error) {
+        handlePhotoError(res, error, 'Failed to get photos', 'GET_PHOTOS_ERROR');
+      }
+    }
+  );
+
+  // Delete Job Photo
+  router.delete('/:jobId/photos/:photoId',
+    middleware.requireAuth(),
+    [
+      param('jobId').isUUID(),
+      param('photoId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await photoService.deletePhoto(req.params.jobId, req.params.photoId, req.user);
+        res.json(result);
+      } catch (error) {
+        handlePhotoError(res, error, 'Failed to delete photo', 'DELETE_PHOTO_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  JobPhotoService,
+  PhotoError,
+  PHOTO_TYPES,
+  createPhotoRoutes
+};
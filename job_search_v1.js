@@ -0,0 +1,365 @@
+/**
+ * Module: job_search_v1
+ * Version: 1.0.0
+ * Dependencies: db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1
+ * Provides: Contractor job search with full-text matching, filters, distance sort, trade category facets and cursor pagination
+ * Integration Points: API routes, contractor mobile app job feed
+ * Last Updated: 2025-06-11
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const { AuthenticationService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+
+// =================================================================
+// SEARCH DEFINITION
+// =================================================================
+
+/**
+ * Trade categories, mirroring the trade_category enum
+ */
+const TRADE_CATEGORIES = ['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping'];
+
+/**
+ * Priority levels, mirroring the priority_level enum
+ */
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Sort orders. Each is a keyset over (sort value, job id) so a cursor
+ * keeps its place while new jobs are posted.
+ */
+const SEARCH_SORTS = {
+  newest: { direction: 'DESC' },
+  distance: { direction: 'ASC', requires: 'location' },
+  relevance: { direction: 'DESC', requires: 'keywords' }
+};
+
+const METERS_PER_MILE = 1609.34;
+
+/**
+ * Error raised when a search request is rejected
+ */
+class JobSearchError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'JobSearchError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// =================================================================
+// JOB SEARCH SERVICE
+// =================================================================
+
+/**
+ * Job Search Service
+ * Searches open (posted) jobs for contractors
+ */
+class JobSearchService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Search posted jobs
+   *
+   * criteria: { keywords, tradeCategories, priorities, minPrice, maxPrice,
+   *             dateFrom, dateTo, latitude, longitude, radiusMiles,
+   *             sort, cursor, limit }
+   */
+  async search(criteria) {
+    const sort = criteria.sort || 'newest';
+    const hasLocation = criteria.latitude !== undefined && criteria.longitude !== undefined;
+
+    if (SEARCH_SORTS[sort].requires === 'location' && !hasLocation) {
+      throw new JobSearchError('Distance sort requires latitude and longitude', 'LOCATION_REQUIRED', 400);
+    }
+
+    if (SEARCH_SORTS[sort].requires === 'keywords' && !criteria.keywords) {
+      throw new JobSearchError('Relevance sort requires keywords', 'KEYWORDS_REQUIRED', 400);
+    }
+
+    if (criteria.radiusMiles !== undefined && !hasLocation) {
+      throw new JobSearchError('Radius filter requires latitude and longitude', 'LOCATION_REQUIRED', 400);
+    }
+
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Parameters are added in the order the facet and total queries need
+    // them, so each of those can reuse a prefix of the list.
+    let distanceExpr = null;
+    const useDistance = () => {
+      if (!distanceExpr) {
+        distanceExpr = `ST_Distance(j.service_coordinates::geography, ST_SetSRID(ST_MakePoint(${addParam(criteria.longitude)}, ${addParam(criteria.latitude)}), 4326)::geography)`;
+      }
+      return distanceExpr;
+    };
+    const keywordsParam = criteria.keywords ? addParam(criteria.keywords) : null;
+    const priceExpr = 'COALESCE(j.quoted_price, j.estimated_cost)';
+
+    // Filters other than trade category; facets are counted over these
+    const conditions = [`j.status = 'posted'`];
+
+    if (keywordsParam) {
+      conditions.push(`j.search_vector @@ websearch_to_tsquery('english', ${keywordsParam})`);
+    }
+    if (criteria.priorities && criteria.priorities.length > 0) {
+      conditions.push(`j.priority = ANY(${addParam(criteria.priorities)})`);
+    }
+    if (criteria.minPrice !== undefined) {
+      conditions.push(`${priceExpr} >= ${addParam(criteria.minPrice)}`);
+    }
+    if (criteria.maxPrice !== undefined) {
+      conditions.push(`${priceExpr} <= ${addParam(criteria.maxPrice)}`);
+    }
+    if (criteria.dateFrom) {
+      conditions.push(`j.preferred_date >= ${addParam(criteria.dateFrom)}`);
+    }
+    if (criteria.dateTo) {
+      conditions.push(`j.preferred_date <= ${addParam(criteria.dateTo)}`);
+    }
+    if (hasLocation) {
+      conditions.push('j.service_coordinates IS NOT NULL');
+    }
+    if (criteria.radiusMiles !== undefined) {
+      conditions.push(`${useDistance()} <= ${addParam(criteria.radiusMiles * METERS_PER_MILE)}`);
+    }
+
+    const facetParams = [...params];
+    const facetWhere = conditions.join(' AND ');
+
+    if (criteria.tradeCategories && criteria.tradeCategories.length > 0) {
+      conditions.push(`j.trade_category = ANY(${addParam(criteria.tradeCategories)})`);
+    }
+
+    const totalParams = [...params];
+    const totalWhere = conditions.join(' AND ');
+
+    // Computed output columns
+    const selectDistance = hasLocation ? useDistance() : 'NULL::DOUBLE PRECISION';
+    const rankExpr = keywordsParam
+      ? `ts_rank(j.search_vector, websearch_to_tsquery('english', ${keywordsParam}))`
+      : 'NULL::REAL';
+
+    // Keyset pagination
+    const sortExpr = { newest: 'j.created_at', distance: selectDistance, relevance: rankExpr }[sort];
+    const direction = SEARCH_SORTS[sort].direction;
+    const comparator = direction === 'DESC' ? '<' : '>';
+
+    if (criteria.cursor) {
+      const cursor = this.decodeCursor(criteria.cursor, sort);
+      const cursorValue = sort === 'newest' ? `${addParam(cursor.value)}::TIMESTAMP` : addParam(cursor.value);
+      conditions.push(`(${sortExpr}, j.id) ${comparator} (${cursorValue}, ${addParam(cursor.id)})`);
+    }
+
+    const limit = criteria.limit || 20;
+
+    const result = await this.db.query(`
+      SELECT
+        j.id, j.title, j.description, j.trade_category, j.status, j.priority,
+        j.service_city, j.service_state,
+        j.estimated_cost, j.quoted_price,
+        j.preferred_date, j.preferred_time_start, j.preferred_time_end,
+        j.created_at,
+        to_char(j.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') as created_at_key,
+        ST_X(j.service_coordinates) as longitude, ST_Y(j.service_coordinates) as latitude,
+        ${selectDistance} as distance_meters,
+        ${rankExpr} as rank,
+        (SELECT COUNT(*) FROM job_photos WHERE job_id = j.id) as photo_count,
+        (SELECT COUNT(*) FROM job_quotes WHERE job_id = j.id AND status = 'pending') as quote_count
+      FROM jobs j
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sortExpr} ${direction}, j.id ${direction}
+      LIMIT ${addParam(limit + 1)}
+    `, params);
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    const [facets, total] = await Promise.all([
+      this.getTradeCategoryFacets(facetWhere, facetParams),
+      this.db.query(`SELECT COUNT(*) FROM jobs j WHERE ${totalWhere}`, totalParams)
+    ]);
+
+    return {
+      data: rows.map(row => this.formatResult(row)),
+      facets: { tradeCategory: facets },
+      pagination: {
+        limit,
+        total: parseInt(total.rows[0].count),
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(sort, last) : null
+      }
+    };
+  }
+
+  /**
+   * Count matching jobs per trade category, ignoring the category filter
+   * so the client can show how many results each category would give.
+   */
+  async getTradeCategoryFacets(whereClause, params) {
+    const result = await this.db.query(`
+      SELECT j.trade_category, COUNT(*) as count
+      FROM jobs j
+      WHERE ${whereClause}
+      GROUP BY j.trade_category
+    `, params);
+
+    const facets = Object.fromEntries(TRADE_CATEGORIES.map(category => [category, 0]));
+    result.rows.forEach(row => {
+      facets[row.trade_category] = parseInt(row.count);
+    });
+
+    return facets;
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  encodeCursor(sort, row) {
+    const value = {
+      newest: row.created_at_key, // microsecond precision, unlike a JS Date
+      distance: row.distance_meters,
+      relevance: row.rank
+    }[sort];
+
+    return Buffer.from(JSON.stringify({ sort, value, id: row.id })).toString('base64url');
+  }
+
+  decodeCursor(cursorText, sort) {
+    let cursor;
+    try {
+      cursor = JSON.parse(Buffer.from(cursorText, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new JobSearchError('Invalid cursor', 'INVALID_CURSOR', 400);
+    }
+
+    if (!cursor || cursor.sort !== sort || cursor.value === undefined || cursor.value === null || !cursor.id) {
+      throw new JobSearchError('Cursor does not match this search', 'INVALID_CURSOR', 400);
+    }
+
+    return cursor;
+  }
+
+  formatResult(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      tradeCategory: row.trade_category,
+      status: row.status,
+      priority: row.priority,
+      serviceAddress: {
+        city: row.service_city,
+        state: row.service_state,
+        coordinates: row.longitude && row.latitude ? {
+          latitude: row.latitude,
+          longitude: row.longitude
+        } : null
+      },
+      estimatedCost: row.estimated_cost,
+      quotedPrice: row.quoted_price,
+      preferredDate: row.preferred_date,
+      preferredTimeStart: row.preferred_time_start,
+      preferredTimeEnd: row.preferred_time_end,
+      distanceMiles: row.distance_meters !== null ? Math.round(row.distance_meters / METERS_PER_MILE * 10) / 10 : null,
+      relevance: row.rank,
+      photoCount: parseInt(row.photo_count),
+      quoteCount: parseInt(row.quote_count),
+      createdAt: row.created_at
+    };
+  }
+}
+
+// =================================================================
+// JOB SEARCH ROUTES
+// =================================================================
+
+/**
+ * Create job search routes, mounted under /jobs
+ */
+function createJobSearchRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const searchService = services.jobSearchService || new JobSearchService(database);
+
+  const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  // Search Open Jobs (Contractors only)
+  router.get('/search',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor', 'admin', 'support']),
+    [
+      query('q').optional().trim().isLength({ min: 1, max: 200 }),
+      query('tradeCategory').optional().customSanitizer(toList)
+        .custom(values => values.every(value => TRADE_CATEGORIES.includes(value))),
+      query('priority').optional().customSanitizer(toList)
+        .custom(values => values.every(value => PRIORITY_LEVELS.includes(value))),
+      query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
+      query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+      query('dateFrom').optional().isISO8601({ strict: true }),
+      query('dateTo').optional().isISO8601({ strict: true }),
+      query('lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+      query('lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+      query('radius').optional().isFloat({ gt: 0, max: 500 }).toFloat(),
+      query('sort').optional().isIn(Object.keys(SEARCH_SORTS)),
+      query('cursor').optional().isString().isLength({ max: 500 }),
+      query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const results = await searchService.search({
+          keywords: req.query.q,
+          tradeCategories: req.query.tradeCategory,
+          priorities: req.query.priority,
+          minPrice: req.query.minPrice,
+          maxPrice: req.query.maxPrice,
+          dateFrom: req.query.dateFrom,
+          dateTo: req.query.dateTo,
+          latitude: req.query.lat,
+          longitude: req.query.lng,
+          radiusMiles: req.query.radius,
+          sort: req.query.sort,
+          cursor: req.query.cursor,
+          limit: req.query.limit
+        });
+
+        res.json(results);
+      } catch (error) {
+        if (error instanceof JobSearchError) {
+          return sendServiceError(res, error);
+        }
+        console.error('Job search error:', error);
+        res.status(500).json({
+          error: 'Failed to search jobs',
+          code: 'JOB_SEARCH_ERROR'
+        });
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  JobSearchService,
+  JobSearchError,
+  SEARCH_SORTS,
+  createJobSearchRoutes
+};
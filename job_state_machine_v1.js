@@ -0,0 +1,335 @@
+/**
+ * Module: job_state_machine_v1
+ * Version: 1.0.0
+ * Dependencies: db_schema_foundation_v1, auth_strategy_v1, notification_service_v1, messaging_system_v1
+ * Provides: Job lifecycle transitions, role checks, status history and transition side effects
+ * Integration Points: API routes, payment webhooks, scheduling, background jobs
+ * Last Updated: 2025-06-12
+ */
+
+const { RbacService } = require('./auth/auth-strategy');
+
+// =================================================================
+// JOB LIFECYCLE DEFINITION
+// =================================================================
+
+/**
+ * All job statuses, mirroring the job_status enum
+ */
+const JOB_STATUSES = [
+  'draft', 'posted', 'assigned', 'in_progress',
+  'completed', 'approved', 'cancelled', 'disputed'
+];
+
+/**
+ * Legal transitions keyed by current status, then target status.
+ * Each entry lists the roles allowed to trigger it and the lifecycle
+ * timestamp column stamped when it happens.
+ *
+ * Roles: customer/contractor are the job's own participants, admin is
+ * platform staff holding jobs:manage, system is used by background jobs.
+ */
+const JOB_TRANSITIONS = {
+  draft: {
+    posted: { roles: ['customer'], timestamp: 'posted_at' },
+    cancelled: { roles: ['customer', 'system'], timestamp: 'cancelled_at' }
+  },
+  posted: {
+    assigned: { roles: ['customer', 'system'], timestamp: 'assigned_at' },
+    cancelled: { roles: ['customer', 'admin'], timestamp: 'cancelled_at' }
+  },
+  assigned: {
+    in_progress: { roles: ['contractor'], timestamp: 'started_at' },
+    posted: { roles: ['contractor', 'admin'], timestamp: null },
+    cancelled: { roles: ['customer', 'contractor', 'admin'], timestamp: 'cancelled_at' }
+  },
+  in_progress: {
+    completed: { roles: ['contractor'], timestamp: 'completed_at' },
+    disputed: { roles: ['customer', 'contractor'], timestamp: null },
+    cancelled: { roles: ['admin'], timestamp: 'cancelled_at' }
+  },
+  completed: {
+    approved: { roles: ['customer', 'system'], timestamp: 'approved_at' },
+    in_progress: { roles: ['customer'], timestamp: null },
+    disputed: { roles: ['customer', 'contractor'], timestamp: null }
+  },
+  disputed: {
+    approved: { roles: ['admin'], timestamp: 'approved_at' },
+    in_progress: { roles: ['admin'], timestamp: null },
+    cancelled: { roles: ['admin'], timestamp: 'cancelled_at' }
+  },
+  approved: {},
+  cancelled: {}
+};
+
+/**
+ * Actor used for transitions made by background jobs
+ */
+const SYSTEM_ACTOR = Object.freeze({ id: null, userType: 'system' });
+
+/**
+ * Error raised when a transition is rejected
+ */
+class JobTransitionError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// =================================================================
+// JOB STATE MACHINE
+// =================================================================
+
+/**
+ * Job State Machine
+ * Single entry point for changing a job's status
+ */
+class JobStateMachine {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.rbacService = new RbacService(database);
+    this.notificationTriggers = options.notificationTriggers || null;
+    this.broadcastJobUpdate = options.broadcastJobUpdate || null;
+    this.onJobPosted = options.onJobPosted || null;
+  }
+
+  /**
+   * Get target statuses reachable from a status
+   */
+  getAllowedTransitions(status) {
+    return Object.keys(JOB_TRANSITIONS[status] || {});
+  }
+
+  /**
+   * Resolve the role an actor plays on a specific job
+   * Staff act as 'admin' only with the jobs:manage permission.
+   */
+  async resolveActorRole(job, actor) {
+    if (actor.userType === 'system') return 'system';
+    if (actor.id === job.customer_id) return 'customer';
+    if (actor.id === job.contractor_id) return 'contractor';
+    if (await this.rbacService.hasPermission({ id: actor.id, user_type: actor.userType }, 'jobs:manage')) return 'admin';
+    return null;
+  }
+
+  /**
+   * Check whether an actor may move a job to a new status
+   */
+  async assertTransition(job, toStatus, actor) {
+    if (!JOB_STATUSES.includes(toStatus)) {
+      throw new JobTransitionError(`Unknown job status: ${toStatus}`, 'INVALID_JOB_STATUS', 400);
+    }
+
+    const rule = (JOB_TRANSITIONS[job.status] || {})[toStatus];
+    if (!rule) {
+      throw new JobTransitionError(
+        `Cannot move job from '${job.status}' to '${toStatus}'`,
+        'ILLEGAL_STATUS_TRANSITION',
+        409,
+        { from: job.status, to: toStatus, allowed: this.getAllowedTransitions(job.status) }
+      );
+    }
+
+    const role = await this.resolveActorRole(job, actor);
+    if (!role || !rule.roles.includes(role)) {
+      throw new JobTransitionError(
+        `Not permitted to move job from '${job.status}' to '${toStatus}'`,
+        'TRANSITION_NOT_PERMITTED',
+        403,
+        { from: job.status, to: toStatus, requiredRoles: rule.roles }
+      );
+    }
+
+    return rule;
+  }
+
+  /**
+   * Transition a job to a new status
+   *
+   * `updates` holds extra job columns to set in the same statement
+   * (e.g. contractor_id, final_price, cancellation_reason).
+   * `withinTransaction(client, updatedJob)` writes records that must commit
+   * or roll back with the status change.
+   */
+  async transition(jobId, toStatus, actor, options = {}) {
+    const { reason = null, notes = null, updates = {}, notify = true, withinTransaction = null } = options;
+
+    const jobResult = await this.db.query(`
+      SELECT * FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (jobResult.rows.length === 0) {
+      throw new JobTransitionError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    const job = jobResult.rows[0];
+    const rule = await this.assertTransition(job, toStatus, actor);
+
+    // Build update, guarded on the status we validated against
+    const setClauses = ['status = $3'];
+    const values = [jobId, job.status, toStatus];
+
+    if (rule.timestamp) {
+      setClauses.push(`${rule.timestamp} = NOW()`);
+    }
+
+    Object.entries(updates).forEach(([column, value]) => {
+      values.push(value);
+      setClauses.push(`${column} = $${values.length}`);
+    });
+
+    // The status change and its history row commit together
+    const client = await this.db.connect();
+    let updatedJob;
+    try {
+      await client.query('BEGIN');
+
+      const updateResult = await client.query(`
+        UPDATE jobs
+        SET ${setClauses.join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND status = $2
+        RETURNING *
+      `, values);
+
+      if (updateResult.rows.length === 0) {
+        throw new JobTransitionError(
+          'Job status changed concurrently, please retry',
+          'JOB_STATUS_CONFLICT',
+          409
+        );
+      }
+
+      updatedJob = updateResult.rows[0];
+
+      await client.query(`
+        INSERT INTO job_status_history (job_id, changed_by, previous_status, new_status, reason, notes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [jobId, actor.id, job.status, toStatus, reason, notes]);
+
+      if (withinTransaction) {
+        await withinTransaction(client, updatedJob);
+      }
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (notify) {
+      await this.runSideEffects(updatedJob, job, actor, reason);
+    }
+
+    return updatedJob;
+  }
+
+  /**
+   * Broadcast and notify after a successful transition
+   */
+  async runSideEffects(job, previousJob, actor, reason = null) {
+    try {
+      if (this.broadcastJobUpdate) {
+        await this.broadcastJobUpdate(job.id, {
+          status: job.status,
+          previousStatus: previousJob.status,
+          updatedAt: job.updated_at
+        });
+      }
+
+      // Newly open jobs feed contractors' saved search alerts
+      if (job.status === 'posted' && this.onJobPosted) {
+        await this.onJobPosted(job);
+      }
+
+      if (!this.notificationTriggers) return;
+
+      const jobData = {
+        jobId: job.id,
+        customerId: job.customer_id,
+        contractorId: job.contractor_id
+      };
+
+      switch (job.status) {
+        case 'assigned':
+          await this.notificationTriggers.onJobAssigned(jobData);
+          break;
+        case 'completed':
+          await this.notificationTriggers.onJobCompleted(jobData);
+          break;
+        case 'approved':
+          // Dispute resolutions send their own notifications
+          if (previousJob.status !== 'disputed') {
+            await this.notificationTriggers.onJobApproved({ ...jobData, autoApproved: actor.userType === 'system' });
+          }
+          break;
+        case 'in_progress':
+          // Customer sent completed work back for changes
+          if (previousJob.status === 'completed') {
+            await this.notificationTriggers.onCompletionRejected({ ...jobData, reason });
+          }
+          break;
+        case 'cancelled':
+          if (job.contractor_id && previousJob.status !== 'disputed') {
+            await this.notificationTriggers.onJobCancelled({ ...jobData, cancelledBy: actor.id });
+          }
+          break;
+        case 'posted':
+          // Assigned contractor withdrew and the job was reopened
+          if (previousJob.status === 'assigned') {
+            await this.notificationTriggers.onJobCancelled({
+              ...jobData,
+              contractorId: previousJob.contractor_id,
+              cancelledBy: previousJob.contractor_id
+            });
+          }
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      // Side effects must not roll back a committed transition
+      console.error('Job transition side effect error:', error);
+    }
+  }
+
+  /**
+   * Get status history for a job
+   */
+  async getStatusHistory(jobId) {
+    const result = await this.db.query(`
+      SELECT id, changed_by, previous_status, new_status, reason, notes, created_at
+      FROM job_status_history
+      WHERE job_id = $1
+      ORDER BY created_at ASC
+    `, [jobId]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      changedBy: row.changed_by,
+      previousStatus: row.previous_status,
+      newStatus: row.new_status,
+      reason: row.reason,
+      notes: row.notes,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  JobStateMachine,
+  JobTransitionError,
+  JOB_STATUSES,
+  JOB_TRANSITIONS,
+  SYSTEM_ACTOR
+};
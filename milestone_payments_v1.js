@@ -0,0 +1,773 @@
+/**
+ * Module: milestone_payments_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, payment_processing_v1, notification_service_v1
+ * Provides: Milestone schedules for multi-day jobs, per-milestone escrow holds, release on approval, authorization renewal
+ * Integration Points: API routes, job completion and cancellation flows, background jobs
+ * Last Updated: 2025-06-09
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+
+// =================================================================
+// MILESTONE SERVICE
+// =================================================================
+
+/**
+ * Milestone statuses, mirroring the milestone_status enum
+ */
+const MILESTONE_STATUSES = ['pending', 'funded', 'submitted', 'approved', 'released', 'cancelled'];
+
+/**
+ * Milestones that still hold or owe money
+ */
+const OUTSTANDING_STATUSES = ['funded', 'submitted', 'approved'];
+
+/**
+ * Error raised when a milestone operation is rejected
+ */
+class MilestoneError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'MilestoneError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Milestone Service
+ * Splits a job's price into milestones, each with its own escrow hold
+ */
+class MilestoneService {
+  constructor(database, paymentService = null, notificationService = null, options = config.payments.milestones) {
+    this.db = database;
+    this.paymentService = paymentService;
+    this.notificationService = notificationService;
+    this.paymentDb = new PaymentDatabaseService(database);
+    this.rbacService = new RbacService(database);
+    this.maxPerJob = options.maxPerJob;
+    this.authorizationValidityDays = options.authorizationValidityDays;
+    this.renewBeforeHours = options.renewBeforeHours;
+    this.expiryStrategy = options.expiryStrategy;
+  }
+
+  /**
+   * Define (or redefine) a job's milestone schedule
+   * Allowed until the first milestone is funded.
+   */
+  async defineMilestones(jobId, actor, milestones) {
+    const job = await this.getJob(jobId);
+    this.assertParticipant(job, actor);
+
+    if (!['posted', 'assigned'].includes(job.status)) {
+      throw new MilestoneError(`Milestones cannot be changed while job is ${job.status}`, 'MILESTONES_LOCKED', 409);
+    }
+
+    if (milestones.length > this.maxPerJob) {
+      throw new MilestoneError(`A job can have at most ${this.maxPerJob} milestones`, 'TOO_MANY_MILESTONES', 400);
+    }
+
+    const locked = await this.db.query(`
+      SELECT id FROM job_milestones WHERE job_id = $1 AND status NOT IN ('pending', 'cancelled')
+    `, [jobId]);
+
+    if (locked.rows.length > 0) {
+      throw new MilestoneError('Milestones cannot be changed after funding starts', 'MILESTONES_LOCKED', 409);
+    }
+
+    const jobPayment = await this.paymentDb.getPaymentByJobId(jobId);
+    if (jobPayment && jobPayment.payment_status !== 'cancelled') {
+      throw new MilestoneError('Job is already funded with a single escrow hold', 'JOB_ALREADY_FUNDED', 409);
+    }
+
+    const amounts = milestones.map(milestone => Math.round(parseFloat(milestone.amount) * 100));
+    const totalCents = amounts.reduce((sum, cents) => sum + cents, 0);
+    const jobPriceCents = job.quoted_price !== null ? Math.round(parseFloat(job.quoted_price) * 100) : null;
+
+    if (jobPriceCents !== null && totalCents !== jobPriceCents) {
+      throw new MilestoneError('Milestone amounts must add up to the job price', 'MILESTONE_TOTAL_MISMATCH', 400, {
+        jobPrice: jobPriceCents / 100,
+        milestoneTotal: totalCents / 100
+      });
+    }
+
+    await this.db.query('DELETE FROM job_milestones WHERE job_id = $1', [jobId]);
+
+    for (const [index, milestone] of milestones.entries()) {
+      await this.db.query(`
+        INSERT INTO job_milestones (job_id, sequence, title, description, amount, due_date, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        jobId, index + 1, milestone.title, milestone.description || null,
+        amounts[index] / 100, milestone.dueDate || null, actor.id
+      ]);
+    }
+
+    if (jobPriceCents === null) {
+      await this.db.query(`
+        UPDATE jobs SET quoted_price = $2, updated_at = NOW() WHERE id = $1
+      `, [jobId, totalCents / 100]);
+    }
+
+    return this.getMilestones(jobId, { id: actor.id, user_type: actor.userType });
+  }
+
+  /**
+   * Get a job's milestone schedule
+   */
+  async getMilestones(jobId, user) {
+    const job = await this.getJob(jobId);
+    const isParticipant = job.customer_id === user.id || job.contractor_id === user.id;
+
+    if (!isParticipant && !(await this.rbacService.hasPermission(user, 'jobs:read'))) {
+      throw new MilestoneError('Not permitted to view milestones for this job', 'MILESTONE_ACCESS_DENIED', 403);
+    }
+
+    const result = await this.db.query(`
+      SELECT m.*, p.payment_status, p.authorized_at, p.captured_at
+      FROM job_milestones m
+      LEFT JOIN payments p ON m.payment_id = p.id
+      WHERE m.job_id = $1
+      ORDER BY m.sequence ASC
+    `, [jobId]);
+
+    return result.rows.map(row => this.formatMilestone(row));
+  }
+
+  /**
+   * Place the escrow hold for a milestone (customer)
+   */
+  async fundMilestone(jobId, milestoneId, actor) {
+    const { job, milestone } = await this.getMilestone(jobId, milestoneId);
+
+    if (job.customer_id !== actor.id) {
+      throw new MilestoneError('Only the customer can fund milestones', 'MILESTONE_NOT_PERMITTED', 403);
+    }
+
+    if (!['assigned', 'in_progress'].includes(job.status)) {
+      throw new MilestoneError(`Milestones cannot be funded while job is ${job.status}`, 'MILESTONE_NOT_FUNDABLE', 409);
+    }
+
+    this.assertMilestoneStatus(milestone, ['pending']);
+
+    if (!this.paymentService) {
+      throw new MilestoneError('Payments are not available', 'PAYMENTS_UNAVAILABLE', 503);
+    }
+
+    const amount = parseFloat(milestone.amount);
+    const fees = this.paymentService.calculatePlatformFee(amount);
+    const escrow = await this.paymentService.createEscrowPayment({
+      jobId,
+      customerId: job.customer_id,
+      contractorStripeAccountId: await this.getContractorAccountId(job),
+      amount,
+      platformFee: fees.platformFee,
+      description: `Milestone ${milestone.sequence} for job #${jobId}`
+    });
+
+    const payment = await this.paymentDb.createPaymentRecord({
+      jobId,
+      customerId: job.customer_id,
+      contractorId: job.contractor_id,
+      amountTotal: amount,
+      amountContractor: fees.contractorAmount,
+      amountPlatformFee: fees.platformFee,
+      amountStripeFee: fees.stripeFee,
+      stripePaymentIntentId: escrow.paymentIntentId,
+      paymentType: 'milestone'
+    });
+
+    const updated = await this.updateMilestone(milestoneId, 'pending', {
+      status: 'funded',
+      payment_id: payment.id,
+      funding_mode: 'escrow'
+    });
+
+    return {
+      ...this.formatMilestone(updated),
+      clientSecret: escrow.clientSecret
+    };
+  }
+
+  /**
+   * Mark a milestone's work as done (contractor)
+   */
+  async submitMilestone(jobId, milestoneId, actor, { notes = null } = {}) {
+    const { job, milestone } = await this.getMilestone(jobId, milestoneId);
+
+    if (job.contractor_id !== actor.id) {
+      throw new MilestoneError('Only the assigned contractor can submit milestones', 'MILESTONE_NOT_PERMITTED', 403);
+    }
+
+    if (job.status !== 'in_progress') {
+      throw new MilestoneError('Milestones can only be submitted while work is in progress', 'MILESTONE_NOT_SUBMITTABLE', 409);
+    }
+
+    this.assertMilestoneStatus(milestone, ['funded']);
+
+    const updated = await this.updateMilestone(milestoneId, 'funded', {
+      status: 'submitted',
+      submission_notes: notes,
+      submitted_at: new Date()
+    });
+
+    await this.notify(job.customer_id, {
+      title: 'Milestone Ready for Review',
+      body: `"${milestone.title}" is complete on "${job.title}". Approve it to release payment.`,
+      data: { type: 'milestone_submitted', jobId, milestoneId }
+    });
+
+    return this.formatMilestone(updated);
+  }
+
+  /**
+   * Approve a submitted milestone and release its payment (customer)
+   */
+  async approveMilestone(jobId, milestoneId, actor) {
+    const { job, milestone } = await this.getMilestone(jobId, milestoneId);
+
+    if (job.customer_id !== actor.id) {
+      throw new MilestoneError('Only the customer can approve milestones', 'MILESTONE_NOT_PERMITTED', 403);
+    }
+
+    this.assertMilestoneStatus(milestone, ['submitted']);
+
+    const approved = await this.updateMilestone(milestoneId, 'submitted', {
+      status: 'approved',
+      approved_at: new Date()
+    });
+
+    const release = await this.releaseMilestone(job, approved);
+
+    return {
+      ...this.formatMilestone(release.milestone),
+      release: release.outcome
+    };
+  }
+
+  // =================================================================
+  // ESCROW
+  // =================================================================
+
+  /**
+   * Release an approved milestone's payment
+   * Failures leave the milestone 'approved' for releaseApprovedMilestones to retry.
+   */
+  async releaseMilestone(job, milestone) {
+    try {
+      if (milestone.funding_mode === 'charge_on_approval') {
+        // The intent is on the milestone before the card is charged, so a retry confirms it again instead of charging twice
+        const payment = await this.getMilestonePayment(milestone) || await this.createMilestoneCharge(job, milestone);
+        const charge = await this.paymentService.chargeSavedPaymentMethod(payment.stripe_payment_intent_id, {
+          idempotencyKey: `milestone-${milestone.id}-charge`
+        });
+
+        await this.paymentDb.updatePaymentStatus(charge.paymentIntentId, 'completed', {
+          chargeId: charge.chargeId,
+          transferId: charge.transferId,
+          amountCaptured: charge.amountCaptured
+        });
+
+        const released = await this.updateMilestone(milestone.id, 'approved', {
+          status: 'released',
+          released_at: new Date()
+        });
+        return { milestone: released, outcome: { released: true, amount: charge.amountCaptured } };
+      }
+
+      const payment = await this.getMilestonePayment(milestone);
+
+      if (!payment || !payment.authorized_at) {
+        return { milestone, outcome: { released: false, reason: 'NOT_AUTHORIZED' } };
+      }
+
+      const capture = await this.paymentService.releaseEscrowPayment(payment.stripe_payment_intent_id);
+      await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'completed', {
+        chargeId: capture.chargeId,
+        transferId: capture.transferId,
+        amountCaptured: capture.amountCaptured
+      });
+
+      const released = await this.updateMilestone(milestone.id, 'approved', {
+        status: 'released',
+        released_at: new Date()
+      });
+
+      await this.notify(job.contractor_id, {
+        title: 'Milestone Paid',
+        body: `Payment for "${milestone.title}" has been released.`,
+        data: { type: 'milestone_released', jobId: job.id, milestoneId: milestone.id }
+      });
+
+      return { milestone: released, outcome: { released: true, amount: capture.amountCaptured } };
+
+    } catch (error) {
+      console.error(`Milestone release error for ${milestone.id}:`, error);
+      return { milestone, outcome: { released: false, reason: 'RELEASE_FAILED' } };
+    }
+  }
+
+  /**
+   * Release every outstanding milestone once the whole job is approved
+   */
+  async releaseOutstandingMilestones(jobId) {
+    if (!this.paymentService) return [];
+
+    const job = await this.getJob(jobId);
+    const result = await this.db.query(`
+      SELECT * FROM job_milestones
+      WHERE job_id = $1 AND status = ANY($2)
+      ORDER BY sequence ASC
+    `, [jobId, OUTSTANDING_STATUSES]);
+
+    const outcomes = [];
+    for (const milestone of result.rows) {
+      const approved = milestone.status === 'approved'
+        ? milestone
+        : await this.updateMilestone(milestone.id, milestone.status, { status: 'approved', approved_at: new Date() });
+
+      const release = await this.releaseMilestone(job, approved);
+      outcomes.push({ milestoneId: milestone.id, ...release.outcome });
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Retry releases for approved milestones whose payment failed to move
+   */
+  async releaseApprovedMilestones() {
+    if (!this.paymentService) return 0;
+
+    const result = await this.db.query(`
+      SELECT m.*, j.customer_id, j.contractor_id
+      FROM job_milestones m
+      JOIN jobs j ON m.job_id = j.id
+      WHERE m.status = 'approved'
+    `);
+
+    let released = 0;
+    for (const milestone of result.rows) {
+      const job = { id: milestone.job_id, customer_id: milestone.customer_id, contractor_id: milestone.contractor_id };
+      const release = await this.releaseMilestone(job, milestone);
+      if (release.outcome.released) released++;
+    }
+
+    return released;
+  }
+
+  /**
+   * Create a charge_on_approval milestone's payment intent and record it on the milestone
+   * Stripe returns the same intent for the idempotency key, so a crash between the
+   * two steps picks up the existing payment record rather than adding another.
+   */
+  async createMilestoneCharge(job, milestone) {
+    const amount = parseFloat(milestone.amount);
+    const fees = this.paymentService.calculatePlatformFee(amount);
+    const intent = await this.paymentService.createSavedPaymentCharge({
+      jobId: job.id,
+      customerId: job.customer_id,
+      stripeCustomerId: milestone.stripe_customer_id,
+      paymentMethodId: milestone.payment_method_id,
+      contractorStripeAccountId: await this.getContractorAccountId(job),
+      amount,
+      platformFee: fees.platformFee,
+      description: `Milestone ${milestone.sequence} for job #${job.id}`,
+      metadata: { milestone_id: milestone.id }
+    }, { idempotencyKey: `milestone-${milestone.id}-intent` });
+
+    const payment = await this.paymentDb.getPaymentByIntentId(intent.paymentIntentId) ||
+      await this.paymentDb.createPaymentRecord({
+        jobId: job.id,
+        customerId: job.customer_id,
+        contractorId: job.contractor_id,
+        amountTotal: amount,
+        amountContractor: fees.contractorAmount,
+        amountPlatformFee: fees.platformFee,
+        amountStripeFee: fees.stripeFee,
+        stripePaymentIntentId: intent.paymentIntentId,
+        paymentType: 'milestone'
+      });
+
+    await this.updateMilestone(milestone.id, 'approved', { payment_id: payment.id });
+    return payment;
+  }
+
+  /**
+   * Cancel unreleased milestones and their holds when a job is cancelled
+   */
+  async cancelOutstandingMilestones(jobId) {
+    const result = await this.db.query(`
+      UPDATE job_milestones
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE job_id = $1 AND status IN ('pending', 'funded', 'submitted', 'approved')
+      RETURNING *
+    `, [jobId]);
+
+    if (!this.paymentService) return result.rows.length;
+
+    for (const milestone of result.rows) {
+      const payment = await this.getMilestonePayment(milestone);
+      if (!payment || payment.captured_at || !['pending', 'processing'].includes(payment.payment_status)) {
+        continue;
+      }
+
+      try {
+        await this.paymentService.cancelEscrowPayment(payment.stripe_payment_intent_id);
+        await this.paymentDb.updatePaymentStatus(payment.stripe_payment_intent_id, 'cancelled');
+      } catch (error) {
+        console.error(`Milestone hold release error for ${milestone.id}:`, error);
+      }
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Renew milestone holds before Stripe's authorization window closes
+   * Depending on configuration the hold is re-authorized against the saved
+   * card, or dropped and the milestone charged directly on approval.
+   * A failed re-authorization always falls back to charge-on-approval.
+   */
+  async renewExpiringAuthorizations() {
+    if (!this.paymentService) return { reauthorized: 0, converted: 0 };
+
+    const renewAfterHours = this.authorizationValidityDays * 24 - this.renewBeforeHours;
+
+    const result = await this.db.query(`
+      SELECT m.*, p.stripe_payment_intent_id
+      FROM job_milestones m
+      JOIN payments p ON m.payment_id = p.id
+      WHERE m.funding_mode = 'escrow'
+        AND m.status IN ('funded', 'submitted', 'approved')
+        AND p.captured_at IS NULL
+        AND p.payment_status IN ('pending', 'processing')
+        AND p.authorized_at < NOW() - ($1 || ' hours')::INTERVAL
+    `, [renewAfterHours]);
+
+    const counts = { reauthorized: 0, converted: 0 };
+
+    for (const milestone of result.rows) {
+      const intentId = milestone.stripe_payment_intent_id;
+
+      if (this.expiryStrategy === 'reauthorize') {
+        try {
+          const renewed = await this.paymentService.reauthorizeEscrowPayment(intentId);
+
+          await this.db.query(`
+            UPDATE payments
+            SET stripe_payment_intent_id = $2, authorized_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+          `, [milestone.payment_id, renewed.paymentIntentId]);
+
+          await this.updateMilestone(milestone.id, milestone.status, {
+            authorization_renewals: (milestone.authorization_renewals || 0) + 1
+          });
+
+          counts.reauthorized++;
+          continue;
+        } catch (error) {
+          console.error(`Milestone reauthorization failed for ${milestone.id}, converting to charge on approval:`, error.message);
+        }
+      }
+
+      try {
+        await this.convertToChargeOnApproval(milestone, intentId);
+        counts.converted++;
+      } catch (error) {
+        console.error(`Milestone conversion error for ${milestone.id}:`, error);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Drop a milestone's hold and charge the saved card on approval instead
+   */
+  async convertToChargeOnApproval(milestone, paymentIntentId) {
+    const source = await this.paymentService.getPaymentIntentSource(paymentIntentId);
+
+    await this.paymentService.cancelEscrowPayment(paymentIntentId, 'abandoned');
+    await this.paymentDb.updatePaymentStatus(paymentIntentId, 'cancelled');
+
+    await this.updateMilestone(milestone.id, milestone.status, {
+      funding_mode: 'charge_on_approval',
+      payment_id: null,
+      stripe_customer_id: source.customerId,
+      payment_method_id: source.paymentMethodId
+    });
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  /**
+   * Update a milestone, guarded on the status it was read in
+   */
+  async updateMilestone(milestoneId, expectedStatus, fields) {
+    const columns = Object.keys(fields);
+    const setClause = columns.map((column, index) => `${column} = $${index + 3}`).join(', ');
+
+    const result = await this.db.query(`
+      UPDATE job_milestones
+      SET ${setClause}, updated_at = NOW()
+      WHERE id = $1 AND status = $2
+      RETURNING *
+    `, [milestoneId, expectedStatus, ...Object.values(fields)]);
+
+    if (result.rows.length === 0) {
+      throw new MilestoneError('Milestone changed concurrently, please retry', 'MILESTONE_CONFLICT', 409);
+    }
+
+    return result.rows[0];
+  }
+
+  assertParticipant(job, actor) {
+    if (job.customer_id !== actor.id && job.contractor_id !== actor.id) {
+      throw new MilestoneError('Not permitted to manage milestones for this job', 'MILESTONE_NOT_PERMITTED', 403);
+    }
+  }
+
+  assertMilestoneStatus(milestone, allowed) {
+    if (!allowed.includes(milestone.status)) {
+      throw new MilestoneError(
+        `Milestone is ${milestone.status}`,
+        'INVALID_MILESTONE_STATUS',
+        409,
+        { status: milestone.status, expected: allowed }
+      );
+    }
+  }
+
+  async getMilestonePayment(milestone) {
+    if (!milestone.payment_id) return null;
+
+    const result = await this.db.query(`
+      SELECT * FROM payments WHERE id = $1
+    `, [milestone.payment_id]);
+
+    return result.rows[0] || null;
+  }
+
+  async getContractorAccountId(job) {
+    const result = await this.db.query(`
+      SELECT stripe_account_id FROM contractor_payouts WHERE contractor_id = $1
+    `, [job.contractor_id]);
+
+    if (result.rows.length === 0 || !result.rows[0].stripe_account_id) {
+      throw new MilestoneError('Contractor cannot receive payments yet', 'CONTRACTOR_PAYOUTS_NOT_SET_UP', 409);
+    }
+
+    return result.rows[0].stripe_account_id;
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT * FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new MilestoneError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getMilestone(jobId, milestoneId) {
+    const job = await this.getJob(jobId);
+
+    const result = await this.db.query(`
+      SELECT * FROM job_milestones WHERE id = $1 AND job_id = $2
+    `, [milestoneId, jobId]);
+
+    if (result.rows.length === 0) {
+      throw new MilestoneError('Milestone not found', 'MILESTONE_NOT_FOUND', 404);
+    }
+
+    return { job, milestone: result.rows[0] };
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService || !userId) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, {
+        channels: ['push'],
+        ...notification
+      });
+    } catch (error) {
+      console.error('Milestone notification error:', error);
+    }
+  }
+
+  formatMilestone(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      sequence: row.sequence,
+      title: row.title,
+      description: row.description,
+      amount: parseFloat(row.amount),
+      dueDate: row.due_date,
+      status: row.status,
+      fundingMode: row.funding_mode,
+      paymentStatus: row.payment_status || null,
+      authorizedAt: row.authorized_at || null,
+      submissionNotes: row.submission_notes,
+      submittedAt: row.submitted_at,
+      approvedAt: row.approved_at,
+      releasedAt: row.released_at
+    };
+  }
+}
+
+// =================================================================
+// MILESTONE ROUTES
+// =================================================================
+
+/**
+ * Create milestone routes, mounted under /jobs
+ */
+function createMilestoneRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const milestoneService = services.milestoneService ||
+    new MilestoneService(database, services.paymentService, services.notificationService);
+
+  const handleMilestoneError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof MilestoneError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const toActor = (user) => ({ id: user.id, userType: user.user_type });
+
+  const milestoneParams = [
+    param('jobId').isUUID(),
+    param('milestoneId').isUUID()
+  ];
+
+  // Define Milestones
+  router.put('/:jobId/milestones',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer', 'contractor']),
+    [
+      param('jobId').isUUID(),
+      body('milestones').isArray({ min: 1 }),
+      body('milestones.*.title').trim().isLength({ min: 1, max: 255 }),
+      body('milestones.*.description').optional().trim().isLength({ max: 2000 }),
+      body('milestones.*.amount').isFloat({ gt: 0 }),
+      body('milestones.*.dueDate').optional().isISO8601()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const milestones = await milestoneService.defineMilestones(
+          req.params.jobId, toActor(req.user), req.body.milestones
+        );
+        res.json({ data: milestones });
+      } catch (error) {
+        handleMilestoneError(res, error, 'Failed to define milestones', 'DEFINE_MILESTONES_ERROR');
+      }
+    }
+  );
+
+  // List Milestones
+  router.get('/:jobId/milestones',
+    middleware.requireAuth(),
+    [
+      param('jobId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const milestones = await milestoneService.getMilestones(req.params.jobId, req.user);
+        res.json({ data: milestones });
+      } catch (error) {
+        handleMilestoneError(res, error, 'Failed to get milestones', 'GET_MILESTONES_ERROR');
+      }
+    }
+  );
+
+  // Fund Milestone (Customers only)
+  router.post('/:jobId/milestones/:milestoneId/fund',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    milestoneParams,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const milestone = await milestoneService.fundMilestone(
+          req.params.jobId, req.params.milestoneId, toActor(req.user)
+        );
+        res.json(milestone);
+      } catch (error) {
+        handleMilestoneError(res, error, 'Failed to fund milestone', 'FUND_MILESTONE_ERROR');
+      }
+    }
+  );
+
+  // Submit Milestone (Contractors only)
+  router.post('/:jobId/milestones/:milestoneId/submit',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      ...milestoneParams,
+      body('notes').optional().trim().isLength({ max: 2000 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const milestone = await milestoneService.submitMilestone(
+          req.params.jobId, req.params.milestoneId, toActor(req.user), { notes: req.body.notes }
+        );
+        res.json(milestone);
+      } catch (error) {
+        handleMilestoneError(res, error, 'Failed to submit milestone', 'SUBMIT_MILESTONE_ERROR');
+      }
+    }
+  );
+
+  // Approve Milestone (Customers only)
+  router.post('/:jobId/milestones/:milestoneId/approve',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    milestoneParams,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const milestone = await milestoneService.approveMilestone(
+          req.params.jobId, req.params.milestoneId, toActor(req.user)
+        );
+        res.json(milestone);
+      } catch (error) {
+        handleMilestoneError(res, error, 'Failed to approve milestone', 'APPROVE_MILESTONE_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  MilestoneService,
+  MilestoneError,
+  MILESTONE_STATUSES,
+  createMilestoneRoutes
+};
@@ -202,16 +202,18 @@ class NotificationService {
 
   /**
    * Send email notification
+   * Security emails (verification and reset links) ignore preferences, skip
+   * click tracking and are recorded without their contents
    */
   async sendEmailNotification(userId, emailData) {
     try {
-      const { template, subject, data = {}, priority = 'normal' } = emailData;
+      const { template, subject, data = {}, priority = 'normal', security = false } = emailData;
 
       // Get user info and preferences
       const user = await this.getUserInfo(userId);
       const preferences = await this.getUserNotificationPreferences(userId);
 
-      if (!preferences.emailNotifications) {
+      if (!security && !preferences.emailNotifications) {
         console.log(`Email notifications disabled for user ${userId}`);
         return { success: false, reason: 'disabled' };
       }
@@ -237,7 +239,7 @@ class NotificationService {
         html: emailContent.html,
         text: emailContent.text,
         trackingSettings: {
-          clickTracking: { enable: true },
+          clickTracking: { enable: !security },
           openTracking: { enable: true }
         },
         customArgs: {
@@ -255,8 +257,8 @@ class NotificationService {
         userId,
         type: template,
         title: subject,
-        body: emailContent.text.substring(0, 500),
-        data,
+        body: security ? 'Security email sent' : emailContent.text.substring(0, 500),
+        data: security ? {} : data,
         channel: 'email',
         deliveryResults: [{
           success: true,
@@ -279,7 +281,7 @@ class NotificationService {
         type: emailData.template,
         title: emailData.subject,
         body: 'Failed to send',
-        data: emailData.data || {},
+        data: emailData.security ? {} : emailData.data || {},
         channel: 'email',
         deliveryResults: [{
           success: false,
@@ -362,6 +364,44 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a security code by SMS
+   * Ignores notification preferences (codes cannot be opted out of) and
+   * never stores the message body, which contains the code
+   */
+  async sendSecuritySMS(userId, phone, message) {
+    if (!this.twilioClient) {
+      throw new Error('SMS delivery is not configured');
+    }
+
+    const response = await this.twilioClient.messages.create({
+      body: message,
+      from: config.services.communication.twilio.phoneNumber,
+      to: phone,
+      statusCallback: `${config.apiUrl}/webhooks/twilio/status`
+    });
+
+    await this.saveNotificationRecord({
+      userId,
+      type: 'security_code',
+      title: 'Security Code',
+      body: 'Verification code sent',
+      data: {},
+      channel: 'sms',
+      deliveryResults: [{
+        success: true,
+        messageId: response.sid,
+        phone
+      }]
+    });
+
+    return {
+      success: true,
+      messageId: response.sid,
+      status: response.status
+    };
+  }
+
   // =================================================================
   // MULTI-CHANNEL NOTIFICATIONS
   // =================================================================
@@ -470,6 +510,89 @@ class NotificationService {
         text: `Welcome to Trades Platform! Start by posting your first job.`
       },
 
+      job_alert_digest: {
+        subject: '{{digest.count}} new jobs match your saved searches',
+        html: `
+          <h2>New jobs for you</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>These jobs were posted since your last digest:</p>
+          <ul>{{digest.itemsHtml}}</ul>
+          <a href="{{app.opportunitiesUrl}}" style="background: #f97316; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Opportunities</a>
+        `,
+        text: `New jobs matching your saved searches:\n{{digest.itemsText}}`
+      },
+
+      // Account security templates
+      email_verification: {
+        subject: 'Verify your email address',
+        html: `
+          <h2>Confirm your email</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>Please confirm that {{user.email}} is your email address. This link expires in {{link.expiresIn}}.</p>
+          <a href="{{app.verifyUrl}}" style="background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Verify Email</a>
+          <p>If you didn't create a Trades Platform account, you can ignore this email.</p>
+        `,
+        text: `Confirm your email address by opening this link within {{link.expiresIn}}: {{app.verifyUrl}}`
+      },
+
+      password_reset: {
+        subject: 'Reset your password',
+        html: `
+          <h2>Reset your password</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>We received a request to reset your password. This link expires in {{link.expiresIn}} and can be used once.</p>
+          <a href="{{app.resetUrl}}" style="background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Reset Password</a>
+          <p>If you didn't ask for this, ignore this email and your password will stay the same.</p>
+        `,
+        text: `Reset your password within {{link.expiresIn}}: {{app.resetUrl}}. If you didn't ask for this, ignore this email.`
+      },
+
+      password_changed: {
+        subject: 'Your password was changed',
+        html: `
+          <h2>Your password was changed</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>The password for {{user.email}} was just reset and you have been signed out on all devices.</p>
+          <p>If this wasn't you, contact support immediately.</p>
+        `,
+        text: `The password for {{user.email}} was just reset and you have been signed out on all devices. If this wasn't you, contact support immediately.`
+      },
+
+      account_locked: {
+        subject: 'Sign-in to your account was locked',
+        html: `
+          <h2>Sign-in temporarily locked</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>After repeated failed attempts to sign in to {{user.email}}, most recently from {{lockout.ipAddress}}, we've locked sign-in for {{lockout.duration}}.</p>
+          <p>If this wasn't you, reset your password now; resetting it also lifts the lock.</p>
+        `,
+        text: `After repeated failed sign-in attempts from {{lockout.ipAddress}}, sign-in to {{user.email}} is locked for {{lockout.duration}}. If this wasn't you, reset your password now.`
+      },
+
+      data_export_ready: {
+        subject: 'Your data export is ready',
+        html: `
+          <h2>Your data export is ready</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>The copy of your Trades Platform data you requested is ready. Sign in to download it within {{export.expiresIn}}; after that it is deleted.</p>
+          <a href="{{app.privacyUrl}}" style="background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Download Data</a>
+          <p>If you didn't request this, change your password and contact support.</p>
+        `,
+        text: `Your data export is ready. Sign in to download it within {{export.expiresIn}}: {{app.privacyUrl}}`
+      },
+
+      account_deletion_scheduled: {
+        subject: 'Your account is scheduled for deletion',
+        html: `
+          <h2>Account deletion scheduled</h2>
+          <p>Hi {{user.firstName}},</p>
+          <p>Your account {{user.email}} will be permanently deleted on {{deletion.date}}. Until then you can cancel from your privacy settings.</p>
+          <a href="{{app.privacyUrl}}" style="background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Keep My Account</a>
+          <p>If you didn't ask for this, cancel the deletion and reset your password immediately.</p>
+        `,
+        text: `Your account {{user.email}} will be deleted on {{deletion.date}}. Cancel any time before then: {{app.privacyUrl}}`
+      },
+
       welcome_contractor: {
         subject: 'Welcome to Trades Platform - Start Earning!',
         html: `
@@ -779,6 +902,33 @@ class NotificationTriggers {
     });
   }
 
+  async onJobApproved(jobData) {
+    const { jobId, contractorId, autoApproved } = jobData;
+
+    // Notify contractor that payment is being released
+    await this.notificationService.sendMultiChannelNotification(contractorId, {
+      channels: ['push', 'email'],
+      title: 'Job Approved!',
+      body: autoApproved
+        ? `The review window closed and your work was approved automatically. Payment is on its way.`
+        : `The customer approved your work. Payment is on its way.`,
+      template: 'job_approved',
+      data: { type: 'job_approved', jobId }
+    });
+  }
+
+  async onCompletionRejected(jobData) {
+    const { jobId, contractorId, reason } = jobData;
+
+    await this.notificationService.sendMultiChannelNotification(contractorId, {
+      channels: ['push', 'email'],
+      title: 'Changes Requested',
+      body: `The customer has asked for changes before approving: ${reason || 'see job details'}`,
+      urgent: true,
+      data: { type: 'completion_rejected', jobId }
+    });
+  }
+
   async onJobCancelled(jobData) {
     const { jobId, customerId, contractorId, cancelledBy } = jobData;
 
@@ -834,38 +984,6 @@ class NotificationTriggers {
       data: { userType }
     });
   }
-
-  /**
-   * Emergency notifications
-   */
-  async onEmergencyJob(jobData) {
-    const { jobId, location, tradeCategory } = jobData;
-
-    // Get nearby contractors
-    const nearbyContractors = await this.getNearbyContractors(location, tradeCategory);
-
-    // Send urgent notifications to qualified contractors
-    const notifications = nearbyContractors.map(contractorId =>
-      this.notificationService.sendMultiChannelNotification(contractorId, {
-        channels: ['push', 'sms'],
-        title: '🚨 Emergency Job Available',
-        body: `Urgent ${tradeCategory} job available nearby. Premium pay!`,
-        urgent: true,
-        data: { type: 'emergency_job', jobId }
-      })
-    );
-
-    await Promise.all(notifications);
-  }
-
-  /**
-   * Get contractors near location
-   */
-  async getNearbyContractors(location, tradeCategory, radiusMiles = 25) {
-    // This would integrate with the contractor database
-    // For now, returning mock data
-    return ['contractor-1', 'contractor-2', 'contractor-3'];
-  }
 }
 
 // =================================================================
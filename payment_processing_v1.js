@@ -2,9 +2,9 @@
  * Module: payment_processing_v1
  * Version: 1.0.0
  * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1
- * Provides: Stripe marketplace payment processing, contractor payouts, escrow system
+ * Provides: Stripe marketplace payment processing, contractor payouts, escrow system, double-entry ledger
  * Integration Points: Mobile apps, API routes, webhook handling, admin dashboard
- * Last Updated: 2025-05-31
+ * Last Updated: 2025-06-25
  */
 
 const stripe = require('stripe');
@@ -139,6 +139,20 @@ class StripePaymentService {
     }
   }
 
+  /**
+   * Create Express dashboard login link, where contractors change payout bank details
+   */
+  async createDashboardLink(stripeAccountId) {
+    try {
+      const loginLink = await this.stripe.accounts.createLoginLink(stripeAccountId);
+      return loginLink.url;
+
+    } catch (error) {
+      console.error('Dashboard link creation error:', error);
+      throw new Error(`Failed to create dashboard link: ${error.message}`);
+    }
+  }
+
   /**
    * Check contractor account status
    */
@@ -166,6 +180,24 @@ class StripePaymentService {
     }
   }
 
+  /**
+   * Map a Connect account onto contractor_payouts.account_status
+   * (pending, active, restricted, rejected)
+   */
+  determinePayoutAccountStatus(account) {
+    if (account.requirements?.disabled_reason?.startsWith('rejected')) return 'rejected';
+
+    switch (this.determineAccountStatus(account)) {
+      case 'active':
+        return 'active';
+      case 'incomplete':
+      case 'requires_information':
+        return 'pending';
+      default:
+        return 'restricted';
+    }
+  }
+
   /**
    * Determine overall account status
    */
@@ -368,18 +400,47 @@ class StripePaymentService {
     }
   }
 
+  /**
+   * Get a saved payment method with the platform user that owns it
+   */
+  async getSavedPaymentMethod(paymentMethodId) {
+    try {
+      const paymentMethod = await this.stripe.paymentMethods.retrieve(paymentMethodId, {
+        expand: ['customer']
+      });
+
+      return {
+        id: paymentMethod.id,
+        stripeCustomerId: paymentMethod.customer ? paymentMethod.customer.id : null,
+        userId: paymentMethod.customer ? paymentMethod.customer.metadata.user_id : null,
+        card: paymentMethod.card ? {
+          brand: paymentMethod.card.brand,
+          last4: paymentMethod.card.last4,
+          expMonth: paymentMethod.card.exp_month,
+          expYear: paymentMethod.card.exp_year
+        } : null
+      };
+
+    } catch (error) {
+      console.error('Get payment method error:', error);
+      throw new Error(`Failed to get payment method: ${error.message}`);
+    }
+  }
+
   // =================================================================
   // ESCROW AND HOLD FUNCTIONALITY
   // =================================================================
 
   /**
    * Create escrow payment (authorize but don't capture)
+   * Pass stripeCustomerId and paymentMethodId to authorize a saved card
+   * off-session instead of returning a client secret for confirmation.
    */
-  async createEscrowPayment(paymentData) {
+  async createEscrowPayment(paymentData, options = {}) {
     try {
       const {
         jobId, customerId, contractorStripeAccountId, amount,
-        platformFee, description
+        platformFee, description, stripeCustomerId, paymentMethodId
       } = paymentData;
 
       const applicationFee = Math.round(platformFee * 100);
@@ -399,8 +460,14 @@ class StripePaymentService {
           customer_id: customerId,
           type: 'escrow_payment'
         },
-        description: description || `Escrow payment for job #${jobId}`
-      });
+        description: description || `Escrow payment for job #${jobId}`,
+        ...(paymentMethodId && {
+          customer: stripeCustomerId,
+          payment_method: paymentMethodId,
+          confirm: true,
+          off_session: true
+        })
+      }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
 
       return {
         paymentIntentId: paymentIntent.id,
@@ -417,14 +484,33 @@ class StripePaymentService {
 
   /**
    * Release escrow payment when job is completed
+   * Pass amountToCapture (and its platform fee) to capture part of the hold;
+   * Stripe releases the uncaptured remainder back to the customer.
+   * Retried callers pass an idempotencyKey so Stripe runs the capture once.
    */
-  async releaseEscrowPayment(paymentIntentId) {
+  async releaseEscrowPayment(paymentIntentId, options = {}) {
     try {
-      const paymentIntent = await this.stripe.paymentIntents.capture(paymentIntentId);
+      const { amountToCapture, platformFee, idempotencyKey } = options;
+      const captureParams = {};
+
+      if (amountToCapture !== undefined) {
+        captureParams.amount_to_capture = Math.round(amountToCapture * 100);
+      }
+
+      if (platformFee !== undefined) {
+        captureParams.application_fee_amount = Math.round(platformFee * 100);
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.capture(
+        paymentIntentId,
+        captureParams,
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
 
       return {
         paymentIntentId: paymentIntent.id,
         status: paymentIntent.status,
+        amountCaptured: paymentIntent.amount_received / 100,
         chargeId: paymentIntent.charges.data[0]?.id,
         transferId: paymentIntent.charges.data[0]?.transfer,
         releasedAt: new Date().toISOString()
@@ -436,14 +522,166 @@ class StripePaymentService {
     }
   }
 
+  /**
+   * Raise the authorized amount on an escrow hold
+   * Only supported for cards that allow incremental authorization; callers
+   * fall back to a supplementary hold when Stripe rejects the increment.
+   */
+  async incrementEscrowAuthorization(paymentIntentId, newAmount, platformFee, options = {}) {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.incrementAuthorization(paymentIntentId, {
+        amount: Math.round(newAmount * 100),
+        application_fee_amount: Math.round(platformFee * 100)
+      }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
+
+      return {
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
+        amountAuthorized: paymentIntent.amount / 100
+      };
+
+    } catch (error) {
+      console.error('Escrow increment error:', error);
+      throw new Error(`Failed to increment escrow authorization: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace an escrow hold that is about to expire with a fresh one
+   * Confirms off-session against the same saved card, then cancels the old hold.
+   */
+  async reauthorizeEscrowPayment(paymentIntentId) {
+    try {
+      const previous = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: previous.amount,
+        currency: previous.currency,
+        customer: previous.customer,
+        payment_method: previous.payment_method,
+        application_fee_amount: previous.application_fee_amount,
+        transfer_data: previous.transfer_data,
+        capture_method: 'manual',
+        confirm: true,
+        off_session: true,
+        metadata: {
+          ...previous.metadata,
+          reauthorized_from: previous.id
+        },
+        description: previous.description
+      });
+
+      await this.stripe.paymentIntents.cancel(previous.id, { cancellation_reason: 'abandoned' });
+
+      return {
+        paymentIntentId: paymentIntent.id,
+        previousPaymentIntentId: previous.id,
+        status: paymentIntent.status,
+        customerId: previous.customer,
+        paymentMethodId: previous.payment_method
+      };
+
+    } catch (error) {
+      console.error('Escrow reauthorization error:', error);
+      throw new Error(`Failed to reauthorize escrow payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the saved customer and card behind a payment intent
+   */
+  async getPaymentIntentSource(paymentIntentId) {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+
+      return {
+        customerId: paymentIntent.customer,
+        paymentMethodId: paymentIntent.payment_method
+      };
+
+    } catch (error) {
+      console.error('Payment intent retrieval error:', error);
+      throw new Error(`Failed to retrieve payment intent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an unconfirmed charge against a saved card
+   * Callers record the intent before chargeSavedPaymentMethod confirms it, so a
+   * retry after a crash confirms the same intent rather than creating another.
+   */
+  async createSavedPaymentCharge(paymentData, options = {}) {
+    try {
+      const {
+        jobId, customerId, stripeCustomerId, paymentMethodId,
+        contractorStripeAccountId, amount, platformFee, description, metadata = {}
+      } = paymentData;
+
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: Math.round(amount * 100),
+        currency: 'usd',
+        customer: stripeCustomerId,
+        payment_method: paymentMethodId,
+        application_fee_amount: Math.round(platformFee * 100),
+        transfer_data: {
+          destination: contractorStripeAccountId
+        },
+        metadata: {
+          job_id: jobId,
+          customer_id: customerId,
+          type: 'direct_charge',
+          ...metadata
+        },
+        description
+      }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
+
+      return {
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status
+      };
+
+    } catch (error) {
+      console.error('Saved payment method charge creation error:', error);
+      throw new Error(`Failed to create saved payment method charge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Charge a saved card immediately (no escrow hold)
+   * Confirms an intent from createSavedPaymentCharge; one that already succeeded is returned as is.
+   */
+  async chargeSavedPaymentMethod(paymentIntentId, options = {}) {
+    try {
+      let paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+
+      if (paymentIntent.status !== 'succeeded') {
+        paymentIntent = await this.stripe.paymentIntents.confirm(paymentIntentId, {
+          off_session: true
+        }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
+      }
+
+      return {
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
+        amountCaptured: paymentIntent.amount_received / 100,
+        chargeId: paymentIntent.charges.data[0]?.id,
+        transferId: paymentIntent.charges.data[0]?.transfer
+      };
+
+    } catch (error) {
+      console.error('Saved payment method charge error:', error);
+      throw new Error(`Failed to charge saved payment method: ${error.message}`);
+    }
+  }
+
   /**
    * Cancel escrow payment and refund customer
    */
-  async cancelEscrowPayment(paymentIntentId, reason = 'requested_by_customer') {
+  async cancelEscrowPayment(paymentIntentId, reason = 'requested_by_customer', options = {}) {
     try {
       const paymentIntent = await this.stripe.paymentIntents.cancel(paymentIntentId, {
         cancellation_reason: reason
-      });
+      }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
 
       return {
         paymentIntentId: paymentIntent.id,
@@ -464,18 +702,25 @@ class StripePaymentService {
 
   /**
    * Process refund
+   * Pass reverseTransfer for destination charges the contractor was paid from,
+   * so Stripe pulls the refund back from the contractor's transfer and the
+   * platform fee pro rata instead of out of the platform balance.
    */
-  async processRefund(chargeId, amount, reason = 'requested_by_customer') {
+  async processRefund(chargeId, amount, reason = 'requested_by_customer', options = {}) {
     try {
       const refund = await this.stripe.refunds.create({
         charge: chargeId,
         amount: amount ? Math.round(amount * 100) : undefined, // Partial or full refund
         reason: reason,
+        ...(options.reverseTransfer && {
+          reverse_transfer: true,
+          refund_application_fee: true
+        }),
+        // No per-call values here: a retried refund must repeat the keyed request exactly
         metadata: {
-          refund_reason: reason,
-          processed_at: new Date().toISOString()
+          refund_reason: reason
         }
-      });
+      }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
 
       return {
         refundId: refund.id,
@@ -618,6 +863,23 @@ class StripePaymentService {
 // PAYMENT DATABASE INTEGRATION
 // =================================================================
 
+/**
+ * Ledger accounts
+ * Each journal line moves money into (positive) or out of (negative) one
+ * account, in cents, and every entry's lines sum to zero.
+ */
+const LEDGER_ACCOUNTS = {
+  CUSTOMER_FUNDS: 'customer_funds', // Customer's card; source of holds, destination of released holds
+  CUSTOMER_ESCROW: 'customer_escrow', // Authorized and not yet captured or released
+  CONTRACTOR_PAYABLE: 'contractor_payable', // Contractor's share of captured payments, until paid out
+  CONTRACTOR_BANK: 'contractor_bank', // Paid out to the contractor's bank account
+  PLATFORM_REVENUE: 'platform_revenue', // Platform fees, less Stripe fees and refunds the platform absorbed
+  STRIPE_FEES: 'stripe_fees', // Processing fees Stripe took from the platform
+  REFUNDS: 'refunds' // Returned to customers after capture
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
 /**
  * Payment Database Service
  * Handles database operations for payment records
@@ -634,18 +896,19 @@ class PaymentDatabaseService {
     try {
       const {
         jobId, customerId, contractorId, amountTotal, amountContractor,
-        amountPlatformFee, stripePaymentIntentId, status = 'pending'
+        amountPlatformFee, amountStripeFee = 0, stripePaymentIntentId,
+        status = 'pending', paymentType = 'job'
       } = paymentData;
 
       const result = await this.db.query(`
         INSERT INTO payments (
           job_id, customer_id, contractor_id, amount_total, amount_contractor,
-          amount_platform_fee, stripe_payment_intent_id, payment_status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          amount_platform_fee, amount_stripe_fee, stripe_payment_intent_id, payment_status, payment_type
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING *
       `, [
         jobId, customerId, contractorId, amountTotal, amountContractor,
-        amountPlatformFee, stripePaymentIntentId, status
+        amountPlatformFee, amountStripeFee, stripePaymentIntentId, status, paymentType
       ]);
 
       return result.rows[0];
@@ -686,7 +949,18 @@ class PaymentDatabaseService {
         RETURNING *
       `, values);
 
-      return result.rows[0];
+      const payment = result.rows[0];
+
+      // The Stripe side has already happened; a ledger failure is logged for the integrity check, not thrown
+      if (payment && status === 'completed') {
+        await this.recordCapture(paymentIntentId, metadata)
+          .catch(error => console.error(`Ledger capture error for ${paymentIntentId}:`, error));
+      } else if (payment && ['cancelled', 'failed'].includes(status)) {
+        await this.recordRelease(paymentIntentId)
+          .catch(error => console.error(`Ledger release error for ${paymentIntentId}:`, error));
+      }
+
+      return payment;
 
     } catch (error) {
       console.error('Payment status update error:', error);
@@ -700,7 +974,7 @@ class PaymentDatabaseService {
   async getPaymentByJobId(jobId) {
     try {
       const result = await this.db.query(`
-        SELECT * FROM payments WHERE job_id = $1
+        SELECT * FROM payments WHERE job_id = $1 AND payment_type = 'job'
       `, [jobId]);
 
       return result.rows[0] || null;
@@ -711,6 +985,42 @@ class PaymentDatabaseService {
     }
   }
 
+  /**
+   * Get payment by Stripe payment intent ID
+   */
+  async getPaymentByIntentId(paymentIntentId) {
+    try {
+      const result = await this.db.query(`
+        SELECT * FROM payments WHERE stripe_payment_intent_id = $1
+      `, [paymentIntentId]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('Get payment error:', error);
+      throw new Error('Failed to get payment record');
+    }
+  }
+
+  /**
+   * Get supplementary holds (change orders or milestones) for a job
+   */
+  async getSupplementaryPayments(jobId, paymentType = 'change_order') {
+    try {
+      const result = await this.db.query(`
+        SELECT * FROM payments
+        WHERE job_id = $1 AND payment_type = $2
+        ORDER BY created_at ASC
+      `, [jobId, paymentType]);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('Get supplementary payments error:', error);
+      throw new Error('Failed to get supplementary payments');
+    }
+  }
+
   /**
    * Update contractor payout info
    */
@@ -734,6 +1044,428 @@ class PaymentDatabaseService {
       throw new Error('Failed to update contractor payout info');
     }
   }
+
+  /**
+   * Sync a contractor's payout record from a Stripe Connect account object
+   * Returns null for accounts that don't belong to a contractor.
+   */
+  async syncContractorAccount(account, accountStatus) {
+    try {
+      const bankAccount = account.external_accounts?.data?.find(external => external.object === 'bank_account');
+
+      const result = await this.db.query(`
+        UPDATE contractor_payouts SET
+          account_status = $2,
+          identity_verified = COALESCE($3, identity_verified),
+          bank_verified = $4,
+          bank_account_last4 = COALESCE($5, bank_account_last4),
+          bank_name = COALESCE($6, bank_name),
+          updated_at = NOW()
+        WHERE stripe_account_id = $1
+        RETURNING *
+      `, [
+        account.id,
+        accountStatus,
+        account.individual?.verification ? account.individual.verification.status === 'verified' : null,
+        Boolean(account.payouts_enabled && bankAccount),
+        bankAccount?.last4 || null,
+        bankAccount?.bank_name || null
+      ]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('Contractor account sync error:', error);
+      throw new Error('Failed to sync contractor account');
+    }
+  }
+
+  /**
+   * Find the contractor behind a Stripe Connect account
+   */
+  async getContractorPayoutByAccount(stripeAccountId) {
+    try {
+      const result = await this.db.query(`
+        SELECT * FROM contractor_payouts WHERE stripe_account_id = $1
+      `, [stripeAccountId]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('Get contractor payout error:', error);
+      throw new Error('Failed to get contractor payout info');
+    }
+  }
+
+  // =================================================================
+  // LEDGER
+  // =================================================================
+
+  /**
+   * Record an escrow hold, or the increase of one
+   * Posts whatever the payment's amount exceeds what is already held, so it is
+   * safe to call again after an incremental authorization or a repeated webhook.
+   */
+  async recordAuthorization(paymentIntentId) {
+    return this.withLockedPayment(paymentIntentId, (client, payment) => this.postAuthorization(client, payment));
+  }
+
+  /**
+   * Record a capture: escrow to the contractor and platform, Stripe's fee out of
+   * the platform's share, and any uncaptured remainder back to the customer
+   * Amounts default to the payment record; pass them for partial captures.
+   */
+  async recordCapture(paymentIntentId, { amountCaptured, platformFee, stripeFee } = {}) {
+    return this.withLockedPayment(paymentIntentId, async (client, payment) => {
+      // Direct charges are never held first; post the hold they imply
+      await this.postAuthorization(client, payment);
+
+      const capturedCents = toCents(amountCaptured ?? payment.amount_total);
+      const platformFeeCents = toCents(platformFee ?? payment.amount_platform_fee);
+      const stripeFeeCents = toCents(stripeFee ?? payment.amount_stripe_fee);
+
+      const posted = await this.postJournalEntry(client, {
+        entryType: 'capture',
+        reference: `capture:${payment.id}`,
+        payment,
+        description: 'Escrow captured',
+        lines: [
+          { account: LEDGER_ACCOUNTS.CUSTOMER_ESCROW, partyId: payment.customer_id, amountCents: -capturedCents },
+          { account: LEDGER_ACCOUNTS.CONTRACTOR_PAYABLE, partyId: payment.contractor_id, amountCents: capturedCents - platformFeeCents },
+          { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amountCents: platformFeeCents }
+        ]
+      });
+
+      if (!posted) return;
+
+      await this.postJournalEntry(client, {
+        entryType: 'stripe_fee',
+        reference: `stripe_fee:${payment.id}`,
+        payment,
+        description: 'Stripe processing fee',
+        lines: [
+          { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amountCents: -stripeFeeCents },
+          { account: LEDGER_ACCOUNTS.STRIPE_FEES, amountCents: stripeFeeCents }
+        ]
+      });
+
+      await this.postRelease(client, payment, 'Uncaptured remainder released');
+    });
+  }
+
+  /**
+   * Record a hold that was cancelled or failed without capture
+   */
+  async recordRelease(paymentIntentId) {
+    return this.withLockedPayment(paymentIntentId, (client, payment) =>
+      this.postRelease(client, payment, 'Escrow hold released'));
+  }
+
+  /**
+   * Record a refund after capture
+   * Without reverseTransfer the contractor keeps their transfer and the platform
+   * absorbs the refund. With it, the refund comes out of the contractor's share
+   * and the platform fee in the proportion they were captured, as Stripe applies it.
+   */
+  async recordRefund(paymentIntentId, { refundId, amount, reverseTransfer = false }) {
+    return this.withLockedPayment(paymentIntentId, async (client, payment) => {
+      const refundCents = toCents(amount);
+      let platformCents = refundCents;
+
+      if (reverseTransfer) {
+        const { capturedCents, platformFeeCents } = await this.getCapturedShares(client, payment);
+        platformCents = capturedCents > 0 ? Math.round(platformFeeCents * refundCents / capturedCents) : 0;
+      }
+
+      return this.postJournalEntry(client, {
+        entryType: 'refund',
+        reference: `refund:${refundId}`,
+        payment,
+        description: `Refund ${refundId}`,
+        lines: [
+          { account: LEDGER_ACCOUNTS.CONTRACTOR_PAYABLE, partyId: payment.contractor_id, amountCents: -(refundCents - platformCents) },
+          { account: LEDGER_ACCOUNTS.PLATFORM_REVENUE, amountCents: -platformCents },
+          { account: LEDGER_ACCOUNTS.REFUNDS, partyId: payment.customer_id, amountCents: refundCents }
+        ]
+      });
+    });
+  }
+
+  /**
+   * Record a Stripe payout to a contractor's bank account
+   */
+  async recordPayout({ contractorId, payoutId, amount, currency = 'usd' }) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const posted = await this.postJournalEntry(client, {
+        entryType: 'payout',
+        reference: `payout:${payoutId}`,
+        currency,
+        description: `Payout ${payoutId}`,
+        lines: [
+          { account: LEDGER_ACCOUNTS.CONTRACTOR_PAYABLE, partyId: contractorId, amountCents: -toCents(amount) },
+          { account: LEDGER_ACCOUNTS.CONTRACTOR_BANK, partyId: contractorId, amountCents: toCents(amount) }
+        ]
+      });
+
+      await client.query('COMMIT');
+      return posted;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Ledger payout error:', error);
+      throw new Error('Failed to record payout');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Account balances, for one customer or contractor when partyId is given
+   */
+  async getAccountBalances({ partyId } = {}) {
+    try {
+      const result = await this.db.query(`
+        SELECT account, currency, SUM(amount_cents) AS balance_cents
+        FROM ledger_lines
+        WHERE ($1::uuid IS NULL OR party_id = $1)
+        GROUP BY account, currency
+        ORDER BY account
+      `, [partyId || null]);
+
+      return result.rows.map(row => ({
+        account: row.account,
+        currency: row.currency,
+        balance: parseInt(row.balance_cents, 10) / 100
+      }));
+
+    } catch (error) {
+      console.error('Ledger balance error:', error);
+      throw new Error('Failed to get ledger balances');
+    }
+  }
+
+  /**
+   * Journal entries for one payment, oldest first
+   */
+  async getPaymentLedger(paymentId) {
+    try {
+      const result = await this.db.query(`
+        SELECT e.id, e.entry_type, e.reference, e.description, e.created_at,
+               json_agg(json_build_object(
+                 'account', l.account,
+                 'partyId', l.party_id,
+                 'amount', l.amount_cents / 100.0,
+                 'currency', l.currency
+               ) ORDER BY l.amount_cents) AS lines
+        FROM ledger_entries e
+        JOIN ledger_lines l ON l.entry_id = e.id
+        WHERE e.payment_id = $1
+        GROUP BY e.id
+        ORDER BY e.created_at
+      `, [paymentId]);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        entryType: row.entry_type,
+        reference: row.reference,
+        description: row.description,
+        createdAt: row.created_at,
+        lines: row.lines
+      }));
+
+    } catch (error) {
+      console.error('Payment ledger error:', error);
+      throw new Error('Failed to get payment ledger');
+    }
+  }
+
+  /**
+   * Check that every entry balances, and that no hold was captured or released
+   * for more than was authorized
+   */
+  async checkLedgerIntegrity() {
+    try {
+      const [unbalanced, overdrawn, total] = await Promise.all([
+        this.db.query(`
+          SELECT e.id, e.reference, SUM(l.amount_cents) AS imbalance_cents
+          FROM ledger_entries e
+          LEFT JOIN ledger_lines l ON l.entry_id = e.id
+          GROUP BY e.id
+          HAVING COALESCE(SUM(l.amount_cents), 0) <> 0 OR COUNT(l.id) = 0
+        `),
+        this.db.query(`
+          SELECT e.payment_id, SUM(l.amount_cents) AS escrow_cents
+          FROM ledger_lines l
+          JOIN ledger_entries e ON e.id = l.entry_id
+          WHERE l.account = $1 AND e.payment_id IS NOT NULL
+          GROUP BY e.payment_id
+          HAVING SUM(l.amount_cents) < 0
+        `, [LEDGER_ACCOUNTS.CUSTOMER_ESCROW]),
+        this.db.query(`SELECT COALESCE(SUM(amount_cents), 0) AS total_cents FROM ledger_lines`)
+      ]);
+
+      const totalCents = parseInt(total.rows[0].total_cents, 10);
+
+      return {
+        healthy: unbalanced.rows.length === 0 && overdrawn.rows.length === 0 && totalCents === 0,
+        totalCents,
+        unbalancedEntries: unbalanced.rows.map(row => ({
+          entryId: row.id,
+          reference: row.reference,
+          imbalanceCents: parseInt(row.imbalance_cents || 0, 10)
+        })),
+        overdrawnEscrow: overdrawn.rows.map(row => ({
+          paymentId: row.payment_id,
+          escrowCents: parseInt(row.escrow_cents, 10)
+        })),
+        checkedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('Ledger integrity check error:', error);
+      throw new Error('Failed to check ledger integrity');
+    }
+  }
+
+  /**
+   * Run ledger postings for a payment in a transaction holding its row lock,
+   * so a webhook and the service that caused it can't post the same movement twice
+   */
+  async withLockedPayment(paymentIntentId, post) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        SELECT * FROM payments WHERE stripe_payment_intent_id = $1 FOR UPDATE
+      `, [paymentIntentId]);
+
+      const posted = result.rows[0] ? await post(client, result.rows[0]) : null;
+
+      await client.query('COMMIT');
+      return posted;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Amount captured on a payment and the platform fee taken from it, per the
+   * capture entry, falling back to the payment record where none was posted
+   */
+  async getCapturedShares(client, payment) {
+    const result = await client.query(`
+      SELECT
+        SUM(l.amount_cents) FILTER (WHERE l.account = $2) AS escrow_cents,
+        SUM(l.amount_cents) FILTER (WHERE l.account = $3) AS platform_fee_cents
+      FROM ledger_lines l
+      JOIN ledger_entries e ON e.id = l.entry_id
+      WHERE e.payment_id = $1 AND e.entry_type = 'capture'
+    `, [payment.id, LEDGER_ACCOUNTS.CUSTOMER_ESCROW, LEDGER_ACCOUNTS.PLATFORM_REVENUE]);
+
+    const row = result.rows[0];
+    if (row.escrow_cents === null) {
+      return {
+        capturedCents: toCents(payment.amount_total),
+        platformFeeCents: toCents(payment.amount_platform_fee)
+      };
+    }
+
+    return {
+      capturedCents: -parseInt(row.escrow_cents, 10),
+      platformFeeCents: parseInt(row.platform_fee_cents || 0, 10)
+    };
+  }
+
+  async getEscrowHeldCents(client, paymentId) {
+    const result = await client.query(`
+      SELECT COALESCE(SUM(l.amount_cents), 0) AS held_cents
+      FROM ledger_lines l
+      JOIN ledger_entries e ON e.id = l.entry_id
+      WHERE e.payment_id = $1 AND l.account = $2
+    `, [paymentId, LEDGER_ACCOUNTS.CUSTOMER_ESCROW]);
+
+    return parseInt(result.rows[0].held_cents, 10);
+  }
+
+  async postAuthorization(client, payment) {
+    // Nothing more to hold once any of it has been captured or released
+    const settled = await client.query(`
+      SELECT 1 FROM ledger_entries
+      WHERE payment_id = $1 AND entry_type IN ('capture', 'authorization_release')
+    `, [payment.id]);
+    if (settled.rows.length > 0) return null;
+
+    const heldCents = await this.getEscrowHeldCents(client, payment.id);
+    const totalCents = toCents(payment.amount_total);
+    if (totalCents <= heldCents) return null;
+
+    return this.postJournalEntry(client, {
+      entryType: 'authorization',
+      reference: `authorization:${payment.id}:${totalCents}`,
+      payment,
+      description: heldCents > 0 ? 'Escrow hold increased' : 'Escrow hold authorized',
+      lines: [
+        { account: LEDGER_ACCOUNTS.CUSTOMER_FUNDS, partyId: payment.customer_id, amountCents: heldCents - totalCents },
+        { account: LEDGER_ACCOUNTS.CUSTOMER_ESCROW, partyId: payment.customer_id, amountCents: totalCents - heldCents }
+      ]
+    });
+  }
+
+  async postRelease(client, payment, description) {
+    const heldCents = await this.getEscrowHeldCents(client, payment.id);
+    if (heldCents <= 0) return null;
+
+    return this.postJournalEntry(client, {
+      entryType: 'authorization_release',
+      reference: `release:${payment.id}`,
+      payment,
+      description,
+      lines: [
+        { account: LEDGER_ACCOUNTS.CUSTOMER_ESCROW, partyId: payment.customer_id, amountCents: -heldCents },
+        { account: LEDGER_ACCOUNTS.CUSTOMER_FUNDS, partyId: payment.customer_id, amountCents: heldCents }
+      ]
+    });
+  }
+
+  /**
+   * Write one balanced journal entry
+   * Returns null when an entry with the same reference was already posted.
+   */
+  async postJournalEntry(client, { entryType, reference, payment = null, currency = 'usd', description, lines }) {
+    const entryLines = lines.filter(line => line.amountCents !== 0);
+    const imbalance = entryLines.reduce((sum, line) => sum + line.amountCents, 0);
+
+    if (imbalance !== 0) {
+      throw new Error(`Ledger entry ${reference} does not balance (off by ${imbalance} cents)`);
+    }
+    if (entryLines.length === 0) return null;
+
+    const entry = await client.query(`
+      INSERT INTO ledger_entries (entry_type, reference, payment_id, job_id, description)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (reference) DO NOTHING
+      RETURNING id
+    `, [entryType, reference, payment?.id || null, payment?.job_id || null, description]);
+
+    if (entry.rows.length === 0) return null;
+
+    for (const line of entryLines) {
+      await client.query(`
+        INSERT INTO ledger_lines (entry_id, account, party_id, amount_cents, currency)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [entry.rows[0].id, line.account, line.partyId || null, line.amountCents, currency]);
+    }
+
+    return { id: entry.rows[0].id, entryType, reference };
+  }
 }
 
 // =================================================================
@@ -742,5 +1474,6 @@ class PaymentDatabaseService {
 
 module.exports = {
   StripePaymentService,
-  PaymentDatabaseService
+  PaymentDatabaseService,
+  LEDGER_ACCOUNTS
 };
\ No newline at end of file
@@ -0,0 +1,530 @@
+/**
+ * Module: payout_reconciliation_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, payment_processing_v1
+ * Provides: Nightly reconciliation of Stripe balance transactions and payouts against payment records and the ledger
+ * Integration Points: Background jobs, admin API (finance review)
+ * Last Updated: 2025-06-26
+ */
+
+const stripe = require('stripe');
+const { config } = require('./config/env');
+const { LEDGER_ACCOUNTS } = require('./payment_processing_v1');
+
+// =================================================================
+// PAYOUT RECONCILIATION SERVICE
+// =================================================================
+
+/**
+ * Mismatch types written to the report
+ */
+const MISMATCH_TYPES = {
+  MISSING_TRANSFER: 'missing_transfer', // Captured here, nothing arrived on the contractor's account
+  UNKNOWN_TRANSFER: 'unknown_transfer', // Arrived on the contractor's account, no payment here
+  AMOUNT_MISMATCH: 'amount_mismatch', // Transfer differs from the contractor's share
+  ROUNDING_DIFFERENCE: 'rounding_difference', // Transfer or fee off by no more than the rounding tolerance
+  FEE_DISCREPANCY: 'fee_discrepancy', // Stripe's actual fee differs from the one recorded
+  PAYOUT_NOT_RECORDED: 'payout_not_recorded', // Paid out by Stripe, missing from the ledger
+  PAYOUT_AMOUNT_MISMATCH: 'payout_amount_mismatch' // Paid out by Stripe for a different amount than the ledger holds
+};
+
+/**
+ * Error raised when a reconciliation request is rejected
+ */
+class ReconciliationError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'ReconciliationError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Payout Reconciliation Service
+ * Reconciles one UTC day at a time. For each connected account it pulls the
+ * transfers that landed (balance transactions of type 'payment') and the
+ * payouts that arrived, and matches them to payments by transfer id and to
+ * ledger payout entries by payout id. Platform charge transactions are used
+ * to check the Stripe fee recorded for each capture.
+ *
+ * The Stripe client only needs balanceTransactions.list and payouts.list,
+ * each returning { data, has_more }, so a stub can stand in for it.
+ */
+class PayoutReconciliationService {
+  constructor(database, stripeClient = null, options = config.payments.reconciliation) {
+    this.db = database;
+    this.stripe = stripeClient || stripe(config.payments.stripe.secretKey);
+    this.options = options;
+  }
+
+  /**
+   * Reconcile the last settled day, unless it already has a completed run
+   * Safe to call often; a day is picked up once its settlement lag has passed.
+   */
+  async runNightly(now = new Date()) {
+    const settled = new Date(now.getTime() - this.options.settlementLagMinutes * 60 * 1000);
+    const day = new Date(Date.UTC(settled.getUTCFullYear(), settled.getUTCMonth(), settled.getUTCDate() - 1));
+
+    const existing = await this.db.query(`
+      SELECT id FROM payout_reconciliation_runs WHERE period_start = $1 AND status = 'completed'
+    `, [day]);
+
+    if (existing.rows.length > 0) return null;
+
+    return this.reconcileDay(day);
+  }
+
+  /**
+   * Reconcile one UTC day
+   * Running a day again replaces its report; mismatches found again keep their resolution.
+   */
+  async reconcileDay(day) {
+    const periodStart = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    const periodEnd = new Date(periodStart.getTime() + 24 * 60 * 60 * 1000);
+
+    if (periodEnd.getTime() + this.options.settlementLagMinutes * 60 * 1000 > Date.now()) {
+      throw new ReconciliationError('Only settled days can be reconciled', 'PERIOD_NOT_SETTLED', 400, {
+        settlementLagMinutes: this.options.settlementLagMinutes
+      });
+    }
+
+    const run = await this.startRun(periodStart, periodEnd);
+
+    try {
+      const mismatches = [];
+      const stats = { accountsChecked: 0, transfersChecked: 0, payoutsChecked: 0, chargesChecked: 0 };
+
+      mismatches.push(...await this.checkPlatformFees(periodStart, periodEnd, stats));
+
+      const accounts = await this.db.query(`
+        SELECT contractor_id, stripe_account_id FROM contractor_payouts
+        WHERE stripe_account_id IS NOT NULL
+        ORDER BY contractor_id
+      `);
+
+      for (const account of accounts.rows) {
+        mismatches.push(...await this.checkTransfers(account, periodStart, periodEnd, stats));
+        mismatches.push(...await this.checkPayouts(account, periodStart, periodEnd, stats));
+        stats.accountsChecked++;
+      }
+
+      return await this.completeRun(run.id, mismatches, stats);
+
+    } catch (error) {
+      console.error(`Payout reconciliation for ${periodStart.toISOString().slice(0, 10)} failed:`, error);
+      await this.db.query(`
+        UPDATE payout_reconciliation_runs SET status = 'failed', error = $2, completed_at = NOW()
+        WHERE id = $1
+      `, [run.id, error.message]);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare Stripe's fee on each captured charge with the fee in the ledger
+   */
+  async checkPlatformFees(periodStart, periodEnd, stats) {
+    const charges = await this.listAll(this.stripe.balanceTransactions, {
+      type: 'charge',
+      created: toStripeRange(periodStart, periodEnd)
+    });
+    stats.chargesChecked += charges.length;
+
+    const chargeIds = charges.map(txn => sourceId(txn.source));
+    if (chargeIds.length === 0) return [];
+
+    const payments = await this.getPaymentsWithLedger('p.stripe_charge_id = ANY($1)', [chargeIds]);
+    const byCharge = new Map(payments.map(payment => [payment.stripe_charge_id, payment]));
+
+    const mismatches = [];
+    for (const txn of charges) {
+      const payment = byCharge.get(sourceId(txn.source));
+      if (!payment) continue; // Not a job payment
+
+      const difference = txn.fee - payment.stripeFeeCents;
+      if (difference !== 0) {
+        mismatches.push(this.mismatch(this.isRounding(difference) ? MISMATCH_TYPES.ROUNDING_DIFFERENCE : MISMATCH_TYPES.FEE_DISCREPANCY, {
+          payment,
+          stripeObjectId: txn.id,
+          expectedCents: payment.stripeFeeCents,
+          actualCents: txn.fee,
+          details: { check: 'stripe_fee', chargeId: sourceId(txn.source), feeDetails: txn.fee_details }
+        }));
+      }
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Match transfers that landed on a connected account to captured payments
+   */
+  async checkTransfers(account, periodStart, periodEnd, stats) {
+    // Captures late in the day can land just after midnight; look a little past the period to match them
+    const lagEnd = new Date(periodEnd.getTime() + this.options.settlementLagMinutes * 60 * 1000);
+    const transactions = (await this.listAll(this.stripe.balanceTransactions, {
+      type: 'payment',
+      created: toStripeRange(periodStart, lagEnd),
+      expand: ['data.source']
+    }, account.stripe_account_id)).map(txn => ({
+      ...txn,
+      transferId: sourceId(txn.source?.source_transfer),
+      inPeriod: txn.created * 1000 < periodEnd.getTime()
+    }));
+    stats.transfersChecked += transactions.filter(txn => txn.inPeriod).length;
+
+    const transferIds = transactions.map(txn => txn.transferId).filter(Boolean);
+    const matched = await this.getPaymentsWithLedger('p.stripe_transfer_id = ANY($1)', [transferIds]);
+    const byTransfer = new Map(matched.map(payment => [payment.stripe_transfer_id, payment]));
+
+    const mismatches = [];
+    for (const txn of transactions.filter(txn => txn.inPeriod)) {
+      const payment = byTransfer.get(txn.transferId);
+
+      if (!payment) {
+        mismatches.push(this.mismatch(MISMATCH_TYPES.UNKNOWN_TRANSFER, {
+          account,
+          stripeObjectId: txn.transferId || txn.id,
+          actualCents: txn.amount,
+          details: { balanceTransactionId: txn.id }
+        }));
+        continue;
+      }
+
+      const difference = txn.amount - payment.contractorCents;
+      if (difference !== 0) {
+        mismatches.push(this.mismatch(this.isRounding(difference) ? MISMATCH_TYPES.ROUNDING_DIFFERENCE : MISMATCH_TYPES.AMOUNT_MISMATCH, {
+          payment,
+          account,
+          stripeObjectId: txn.transferId,
+          expectedCents: payment.contractorCents,
+          actualCents: txn.amount,
+          details: { check: 'transfer', balanceTransactionId: txn.id }
+        }));
+      }
+    }
+
+    // Captured here during the period but never seen on the contractor's account
+    const captured = await this.getPaymentsWithLedger(`
+      p.contractor_id = $1 AND p.payment_status IN ('completed', 'refunded')
+      AND p.captured_at >= $2 AND p.captured_at < $3
+    `, [account.contractor_id, periodStart, periodEnd]);
+
+    const seen = new Set(transferIds);
+    for (const payment of captured) {
+      if (payment.contractorCents > 0 && !seen.has(payment.stripe_transfer_id)) {
+        mismatches.push(this.mismatch(MISMATCH_TYPES.MISSING_TRANSFER, {
+          payment,
+          account,
+          stripeObjectId: payment.stripe_transfer_id,
+          expectedCents: payment.contractorCents,
+          details: { capturedAt: payment.captured_at }
+        }));
+      }
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Match payouts that arrived during the period to ledger payout entries
+   */
+  async checkPayouts(account, periodStart, periodEnd, stats) {
+    const payouts = (await this.listAll(this.stripe.payouts, {
+      arrival_date: toStripeRange(periodStart, periodEnd)
+    }, account.stripe_account_id)).filter(payout => payout.status === 'paid');
+    stats.payoutsChecked += payouts.length;
+
+    if (payouts.length === 0) return [];
+
+    const recorded = await this.db.query(`
+      SELECT e.reference, l.amount_cents
+      FROM ledger_entries e
+      JOIN ledger_lines l ON l.entry_id = e.id
+      WHERE e.entry_type = 'payout' AND e.reference = ANY($1) AND l.account = $2
+    `, [payouts.map(payout => `payout:${payout.id}`), LEDGER_ACCOUNTS.CONTRACTOR_BANK]);
+    const byReference = new Map(recorded.rows.map(row => [row.reference, parseInt(row.amount_cents, 10)]));
+
+    const mismatches = [];
+    for (const payout of payouts) {
+      const recordedCents = byReference.get(`payout:${payout.id}`);
+
+      if (recordedCents === undefined) {
+        mismatches.push(this.mismatch(MISMATCH_TYPES.PAYOUT_NOT_RECORDED, {
+          account,
+          stripeObjectId: payout.id,
+          actualCents: payout.amount,
+          details: { arrivalDate: new Date(payout.arrival_date * 1000).toISOString() }
+        }));
+      } else if (recordedCents !== payout.amount) {
+        mismatches.push(this.mismatch(MISMATCH_TYPES.PAYOUT_AMOUNT_MISMATCH, {
+          account,
+          stripeObjectId: payout.id,
+          expectedCents: recordedCents,
+          actualCents: payout.amount
+        }));
+      }
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Payments with the contractor share and Stripe fee the ledger recorded at capture,
+   * falling back to the payment record where nothing was posted
+   */
+  async getPaymentsWithLedger(condition, params) {
+    const contractorAccount = params.length + 1;
+    const stripeFeeAccount = params.length + 2;
+
+    const result = await this.db.query(`
+      SELECT p.id, p.job_id, p.contractor_id, p.stripe_charge_id, p.stripe_transfer_id, p.captured_at,
+             p.amount_contractor, p.amount_stripe_fee,
+             (SELECT SUM(l.amount_cents) FROM ledger_lines l JOIN ledger_entries e ON e.id = l.entry_id
+              WHERE e.payment_id = p.id AND e.entry_type = 'capture' AND l.account = $${contractorAccount}) AS contractor_cents,
+             (SELECT SUM(l.amount_cents) FROM ledger_lines l JOIN ledger_entries e ON e.id = l.entry_id
+              WHERE e.payment_id = p.id AND e.entry_type = 'stripe_fee' AND l.account = $${stripeFeeAccount}) AS stripe_fee_cents
+      FROM payments p
+      WHERE ${condition}
+    `, [...params, LEDGER_ACCOUNTS.CONTRACTOR_PAYABLE, LEDGER_ACCOUNTS.STRIPE_FEES]);
+
+    return result.rows.map(row => ({
+      ...row,
+      contractorCents: row.contractor_cents !== null
+        ? parseInt(row.contractor_cents, 10)
+        : Math.round(parseFloat(row.amount_contractor) * 100),
+      stripeFeeCents: row.stripe_fee_cents !== null
+        ? parseInt(row.stripe_fee_cents, 10)
+        : Math.round(parseFloat(row.amount_stripe_fee) * 100)
+    }));
+  }
+
+  /**
+   * Read every page of a Stripe list, optionally on a connected account
+   */
+  async listAll(resource, params, stripeAccount = null) {
+    const items = [];
+    let startingAfter;
+
+    do {
+      const page = await resource.list(
+        { ...params, limit: 100, ...(startingAfter && { starting_after: startingAfter }) },
+        stripeAccount ? { stripeAccount } : undefined
+      );
+      items.push(...page.data);
+      startingAfter = page.has_more && page.data.length > 0 ? page.data[page.data.length - 1].id : null;
+    } while (startingAfter);
+
+    return items;
+  }
+
+  isRounding(differenceCents) {
+    return Math.abs(differenceCents) <= this.options.roundingToleranceCents;
+  }
+
+  mismatch(type, { payment = null, account = null, stripeObjectId = null, expectedCents = null, actualCents = null, details = {} }) {
+    return {
+      type,
+      paymentId: payment?.id || null,
+      jobId: payment?.job_id || null,
+      contractorId: payment?.contractor_id || account?.contractor_id || null,
+      stripeAccountId: account?.stripe_account_id || null,
+      stripeObjectId,
+      expectedCents,
+      actualCents,
+      differenceCents: expectedCents !== null && actualCents !== null ? actualCents - expectedCents : null,
+      details
+    };
+  }
+
+  async startRun(periodStart, periodEnd) {
+    const result = await this.db.query(`
+      INSERT INTO payout_reconciliation_runs (period_start, period_end)
+      VALUES ($1, $2)
+      ON CONFLICT (period_start) DO UPDATE SET
+        status = 'running', error = NULL, started_at = NOW(), completed_at = NULL
+      RETURNING *
+    `, [periodStart, periodEnd]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the run's items with this pass's mismatches and mark it completed
+   * One transaction, so an interrupted run keeps its previous report and resolutions.
+   */
+  async completeRun(runId, mismatches, stats) {
+    const byType = mismatches.reduce((counts, item) => ({ ...counts, [item.type]: (counts[item.type] || 0) + 1 }), {});
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const previous = await client.query(`
+        DELETE FROM payout_reconciliation_items WHERE run_id = $1 RETURNING *
+      `, [runId]);
+
+      const resolutions = new Map(previous.rows
+        .filter(item => item.resolved_at)
+        .map(item => [itemKey(item.mismatch_type, item.payment_id, item.stripe_object_id), item]));
+
+      for (const item of mismatches) {
+        const resolved = resolutions.get(itemKey(item.type, item.paymentId, item.stripeObjectId));
+
+        await client.query(`
+          INSERT INTO payout_reconciliation_items (
+            run_id, mismatch_type, payment_id, job_id, contractor_id, stripe_account_id,
+            stripe_object_id, expected_cents, actual_cents, difference_cents, details,
+            resolved_at, resolved_by, resolution_note
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `, [
+          runId, item.type, item.paymentId, item.jobId, item.contractorId, item.stripeAccountId,
+          item.stripeObjectId, item.expectedCents, item.actualCents, item.differenceCents, JSON.stringify(item.details),
+          resolved?.resolved_at || null, resolved?.resolved_by || null, resolved?.resolution_note || null
+        ]);
+      }
+
+      const result = await client.query(`
+        UPDATE payout_reconciliation_runs SET
+          status = 'completed',
+          mismatch_count = $2,
+          summary = $3,
+          completed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [runId, mismatches.length, JSON.stringify({ ...stats, mismatchesByType: byType })]);
+
+      await client.query('COMMIT');
+      return formatRun(result.rows[0]);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // =================================================================
+  // FINANCE REVIEW
+  // =================================================================
+
+  async listRuns({ limit = 30, offset = 0 } = {}) {
+    const result = await this.db.query(`
+      SELECT r.*, COUNT(i.id) FILTER (WHERE i.resolved_at IS NULL) AS open_count
+      FROM payout_reconciliation_runs r
+      LEFT JOIN payout_reconciliation_items i ON i.run_id = r.id
+      GROUP BY r.id
+      ORDER BY r.period_start DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return result.rows.map(formatRun);
+  }
+
+  /**
+   * A run's report with its mismatches
+   */
+  async getReport(runId, { includeResolved = true } = {}) {
+    const run = await this.db.query('SELECT * FROM payout_reconciliation_runs WHERE id = $1', [runId]);
+
+    if (run.rows.length === 0) {
+      throw new ReconciliationError('Reconciliation run not found', 'RUN_NOT_FOUND', 404);
+    }
+
+    const items = await this.db.query(`
+      SELECT * FROM payout_reconciliation_items
+      WHERE run_id = $1 AND ($2 OR resolved_at IS NULL)
+      ORDER BY mismatch_type, contractor_id, created_at
+    `, [runId, includeResolved]);
+
+    return { run: formatRun(run.rows[0]), items: items.rows.map(formatItem) };
+  }
+
+  /**
+   * Mark a mismatch reviewed
+   */
+  async resolveItem(itemId, resolvedBy, note) {
+    const result = await this.db.query(`
+      UPDATE payout_reconciliation_items SET
+        resolved_at = NOW(), resolved_by = $2, resolution_note = $3
+      WHERE id = $1 AND resolved_at IS NULL
+      RETURNING *
+    `, [itemId, resolvedBy, note]);
+
+    if (result.rows.length === 0) {
+      const exists = await this.db.query('SELECT 1 FROM payout_reconciliation_items WHERE id = $1', [itemId]);
+      throw exists.rows.length > 0
+        ? new ReconciliationError('Mismatch already resolved', 'ITEM_ALREADY_RESOLVED', 409)
+        : new ReconciliationError('Mismatch not found', 'ITEM_NOT_FOUND', 404);
+    }
+
+    return formatItem(result.rows[0]);
+  }
+}
+
+// =================================================================
+// UTILITY FUNCTIONS
+// =================================================================
+
+function itemKey(type, paymentId, stripeObjectId) {
+  return `${type}:${paymentId || ''}:${stripeObjectId || ''}`;
+}
+
+function toStripeRange(start, end) {
+  return { gte: Math.floor(start.getTime() / 1000), lt: Math.floor(end.getTime() / 1000) };
+}
+
+// Stripe fields hold either an id or the expanded object
+function sourceId(source) {
+  return typeof source === 'string' ? source : source?.id || null;
+}
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    status: row.status,
+    mismatchCount: row.mismatch_count,
+    ...(row.open_count !== undefined && { openCount: parseInt(row.open_count, 10) }),
+    summary: row.summary,
+    error: row.error,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+function formatItem(row) {
+  const dollars = (cents) => (cents === null ? null : parseInt(cents, 10) / 100);
+
+  return {
+    id: row.id,
+    type: row.mismatch_type,
+    paymentId: row.payment_id,
+    jobId: row.job_id,
+    contractorId: row.contractor_id,
+    stripeAccountId: row.stripe_account_id,
+    stripeObjectId: row.stripe_object_id,
+    expected: dollars(row.expected_cents),
+    actual: dollars(row.actual_cents),
+    difference: dollars(row.difference_cents),
+    details: row.details,
+    resolvedAt: row.resolved_at,
+    resolvedBy: row.resolved_by,
+    resolutionNote: row.resolution_note,
+    createdAt: row.created_at
+  };
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  PayoutReconciliationService,
+  ReconciliationError,
+  MISMATCH_TYPES
+};
@@ -0,0 +1,715 @@
+/**
+ * Module: privacy_requests_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, file_storage_v1, notification_service_v1
+ * Provides: GDPR/CCPA self-service data exports (ZIP of JSON/CSV) and account deletion with a grace period and anonymization
+ * Integration Points: API routes (/api/v1/privacy), background jobs, file storage
+ * Last Updated: 2025-06-23
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { body, param } = require('express-validator');
+const archiver = require('archiver');
+const { config } = require('./config/env');
+const { AuthenticationService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { createStorageAdapter } = require('./file_storage_v1');
+
+// =================================================================
+// PRIVACY SERVICE
+// =================================================================
+
+/**
+ * Job statuses that still involve the other party; deletion waits until none remain
+ */
+const OPEN_JOB_STATUSES = ['posted', 'assigned', 'in_progress', 'completed', 'disputed'];
+
+/**
+ * Error raised when a data request is rejected
+ */
+class PrivacyError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Privacy Service
+ * Exports are built in the background and downloaded through the API, never
+ * from a public storage URL. Deleting an account anonymizes the user row
+ * instead of removing it: reviews, messages and jobs other users rely on stay
+ * readable under "Deleted User", and payment records are kept as the law
+ * requires. Everything else personal is erased.
+ */
+class PrivacyService {
+  constructor(database, storage = null, notificationService = null, options = config.privacy) {
+    this.db = database;
+    this.storage = storage || createStorageAdapter();
+    this.notificationService = notificationService;
+    this.options = options;
+  }
+
+  /**
+   * Queue a data export
+   */
+  async requestExport(userId) {
+    const recent = await this.db.query(`
+      SELECT id, status, created_at FROM data_export_requests
+      WHERE user_id = $1 AND (
+        status IN ('pending', 'processing') OR
+        (status = 'ready' AND created_at > NOW() - make_interval(hours => $2))
+      )
+      ORDER BY created_at DESC LIMIT 1
+    `, [userId, this.options.exportCooldownHours]);
+
+    if (recent.rows.length > 0) {
+      const existing = recent.rows[0];
+      throw existing.status === 'ready'
+        ? new PrivacyError('An export was created recently; download that one', 'EXPORT_TOO_SOON', 429, { exportId: existing.id })
+        : new PrivacyError('An export is already being prepared', 'EXPORT_IN_PROGRESS', 409, { exportId: existing.id });
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO data_export_requests (user_id) VALUES ($1) RETURNING *
+    `, [userId]);
+
+    return formatExport(result.rows[0]);
+  }
+
+  async listExports(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM data_export_requests WHERE user_id = $1 ORDER BY created_at DESC LIMIT 10
+    `, [userId]);
+
+    return result.rows.map(formatExport);
+  }
+
+  /**
+   * Read a finished export for download
+   */
+  async getExportFile(userId, exportId) {
+    const result = await this.db.query(`
+      SELECT * FROM data_export_requests WHERE id = $1 AND user_id = $2
+    `, [exportId, userId]);
+
+    const request = result.rows[0];
+    if (!request) {
+      throw new PrivacyError('Export not found', 'EXPORT_NOT_FOUND', 404);
+    }
+    if (request.status !== 'ready' || new Date(request.expires_at) <= new Date()) {
+      throw new PrivacyError('Export is not available for download', 'EXPORT_NOT_READY', 409, { status: request.status });
+    }
+
+    return {
+      filename: `trades-platform-data-${request.created_at.toISOString().slice(0, 10)}.zip`,
+      content: await this.storage.getObject(request.storage_key)
+    };
+  }
+
+  /**
+   * Build queued exports; safe to run on several instances at once
+   */
+  async processPendingExports(limit = 5) {
+    const claimed = await this.db.query(`
+      UPDATE data_export_requests SET status = 'processing'
+      WHERE id IN (
+        SELECT id FROM data_export_requests
+        WHERE status = 'pending'
+        ORDER BY created_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit]);
+
+    let completed = 0;
+    for (const request of claimed.rows) {
+      try {
+        const archive = await buildZip(await this.collectUserData(request.user_id));
+        const storageKey = `exports/${request.user_id}/${crypto.randomBytes(16).toString('hex')}.zip`;
+        await this.storage.putObject(storageKey, archive, 'application/zip');
+
+        await this.db.query(`
+          UPDATE data_export_requests SET
+            status = 'ready',
+            storage_key = $2,
+            file_size = $3,
+            completed_at = NOW(),
+            expires_at = NOW() + make_interval(days => $4)
+          WHERE id = $1
+        `, [request.id, storageKey, archive.length, this.options.exportRetentionDays]);
+
+        await this.notify(request.user_id, 'data_export_ready', 'Your data export is ready', {
+          export: { expiresIn: `${this.options.exportRetentionDays} days` },
+          app: { privacyUrl: this.options.settingsUrl }
+        });
+        completed++;
+      } catch (error) {
+        console.error(`Data export ${request.id} failed:`, error);
+        await this.db.query(`
+          UPDATE data_export_requests SET status = 'failed', error = $2 WHERE id = $1
+        `, [request.id, error.message]);
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Delete export files past their download window
+   */
+  async expireExports() {
+    const expired = await this.db.query(`
+      SELECT id, storage_key FROM data_export_requests
+      WHERE status = 'ready' AND expires_at <= NOW()
+    `);
+
+    for (const request of expired.rows) {
+      await this.storage.deleteObject(request.storage_key);
+      await this.db.query(`
+        UPDATE data_export_requests SET status = 'expired', storage_key = NULL WHERE id = $1
+      `, [request.id]);
+    }
+
+    return expired.rows.length;
+  }
+
+  /**
+   * Gather everything held about a user, one entry per domain
+   * Tabular domains are written as both JSON and CSV
+   */
+  async collectUserData(userId) {
+    const query = async (sql) => (await this.db.query(sql, [userId])).rows;
+    const rowsOf = async (sql) => (await query(sql)).map(row => row.data);
+
+    const [profile] = await query(`
+      SELECT id, email, phone, user_type, account_status, first_name, last_name, date_of_birth,
+             profile_image_url, address_line1, address_line2, city, state, zip_code, country,
+             email_verified_at, phone_verified_at, last_login_at, referral_code,
+             terms_accepted_at, privacy_accepted_at, created_at, updated_at
+      FROM users WHERE id = $1
+    `);
+
+    const domains = {
+      profile: {
+        account: profile,
+        preferences: (await rowsOf(`SELECT to_jsonb(p) - 'user_id' AS data FROM user_preferences p WHERE p.user_id = $1`))[0] || null,
+        contractorProfile: (await rowsOf(`SELECT to_jsonb(c) AS data FROM contractor_profiles c WHERE c.user_id = $1`))[0] || null,
+        licenses: await rowsOf(`SELECT to_jsonb(l) AS data FROM contractor_licenses l WHERE l.contractor_id = $1`),
+        insurance: await rowsOf(`SELECT to_jsonb(i) AS data FROM contractor_insurance i WHERE i.contractor_id = $1`),
+        linkedSignIns: await query(`
+          SELECT provider, email, is_private_relay, created_at, last_used_at
+          FROM user_identities WHERE user_id = $1
+        `)
+      },
+      sessions: await query(`
+        SELECT id, device_type, device_info, ip_address, user_agent, created_at, last_used_at, expires_at
+        FROM user_sessions WHERE user_id = $1 ORDER BY created_at
+      `),
+      jobs: await rowsOf(`
+        SELECT to_jsonb(j) - 'service_coordinates' - 'search_vector' AS data FROM jobs j
+        WHERE j.customer_id = $1 OR j.contractor_id = $1 ORDER BY j.created_at
+      `),
+      quotes: await rowsOf(`
+        SELECT to_jsonb(q) AS data FROM job_quotes q WHERE q.contractor_id = $1 ORDER BY q.created_at
+      `),
+      recurringJobs: await rowsOf(`
+        SELECT to_jsonb(r) - 'stripe_customer_id' - 'payment_method_id' AS data FROM recurring_job_series r
+        WHERE r.customer_id = $1 OR r.contractor_id = $1 ORDER BY r.created_at
+      `),
+      messages: await query(`
+        SELECT m.id, m.conversation_id, c.job_id, m.sender_id, m.sender_id = $1 AS sent_by_me,
+               m.message_text, m.message_type, m.attachment_url, m.sent_at, m.read_at
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE c.customer_id = $1 OR c.contractor_id = $1
+        ORDER BY m.sent_at
+      `),
+      reviews: await query(`
+        SELECT r.id, r.job_id, CASE WHEN r.reviewer_id = $1 THEN 'written' ELSE 'received' END AS direction,
+               r.overall_rating, r.quality_rating, r.communication_rating, r.timeliness_rating,
+               r.review_text, r.would_recommend, r.is_public, r.created_at
+        FROM reviews r
+        WHERE r.reviewer_id = $1 OR r.reviewee_id = $1
+        ORDER BY r.created_at
+      `),
+      payments: await rowsOf(`
+        SELECT to_jsonb(p) AS data FROM payments p
+        WHERE p.customer_id = $1 OR p.contractor_id = $1 ORDER BY p.created_at
+      `),
+      payoutAccount: (await rowsOf(`SELECT to_jsonb(c) AS data FROM contractor_payouts c WHERE c.contractor_id = $1`))[0] || null,
+      disputes: await rowsOf(`
+        SELECT to_jsonb(d) - 'assigned_to' AS data FROM disputes d
+        JOIN jobs j ON j.id = d.job_id
+        WHERE j.customer_id = $1 OR j.contractor_id = $1 ORDER BY d.created_at
+      `),
+      locationHistory: await query(`
+        SELECT latitude, longitude, accuracy, recorded_at
+        FROM contractor_location_history WHERE contractor_id = $1 ORDER BY recorded_at
+      `),
+      savedSearches: await rowsOf(`
+        SELECT to_jsonb(s) AS data FROM saved_searches s WHERE s.contractor_id = $1
+      `),
+      notifications: await query(`
+        SELECT notification_type, title, message, job_id, sent_at, read_at
+        FROM notifications WHERE user_id = $1 ORDER BY sent_at
+      `)
+    };
+
+    const files = [{
+      name: 'README.txt',
+      content: `Personal data export for ${profile.email}, generated ${new Date().toISOString()}.\n` +
+        'Each file holds one area of the platform. Lists are also provided as CSV for spreadsheets.\n'
+    }];
+
+    for (const [domain, data] of Object.entries(domains)) {
+      files.push({ name: `${domain}.json`, content: JSON.stringify(data, null, 2) });
+      if (Array.isArray(data)) {
+        files.push({ name: `${domain}.csv`, content: toCsv(data) });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Current deletion request, if any
+   */
+  async getDeletionRequest(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM account_deletion_requests
+      WHERE user_id = $1 AND status = 'scheduled'
+    `, [userId]);
+
+    return result.rows[0] ? formatDeletion(result.rows[0]) : null;
+  }
+
+  /**
+   * Schedule the account for deletion after the grace period
+   */
+  async requestDeletion(userId, { reason = null } = {}) {
+    if (await this.getDeletionRequest(userId)) {
+      throw new PrivacyError('Account deletion is already scheduled', 'DELETION_ALREADY_SCHEDULED', 409);
+    }
+
+    const obligations = await this.getOpenObligations(userId);
+    if (obligations.length > 0) {
+      throw new PrivacyError('Finish or cancel open jobs and recurring series before deleting your account',
+        'OPEN_OBLIGATIONS', 409, { obligations });
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO account_deletion_requests (user_id, reason, scheduled_for)
+      VALUES ($1, $2, NOW() + make_interval(days => $3))
+      RETURNING *
+    `, [userId, reason, this.options.deletionGraceDays]);
+
+    const request = formatDeletion(result.rows[0]);
+
+    await this.notify(userId, 'account_deletion_scheduled', 'Your account is scheduled for deletion', {
+      deletion: { date: request.scheduledFor.toDateString() },
+      app: { privacyUrl: this.options.settingsUrl }
+    });
+
+    return request;
+  }
+
+  async cancelDeletion(userId) {
+    const result = await this.db.query(`
+      UPDATE account_deletion_requests SET status = 'cancelled', cancelled_at = NOW()
+      WHERE user_id = $1 AND status = 'scheduled'
+      RETURNING *
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      throw new PrivacyError('No account deletion is scheduled', 'DELETION_NOT_SCHEDULED', 404);
+    }
+
+    return formatDeletion(result.rows[0]);
+  }
+
+  /**
+   * Delete accounts whose grace period has ended
+   * Requests blocked by work taken on during the grace period are retried daily
+   */
+  async processDueDeletions() {
+    const due = await this.db.query(`
+      SELECT * FROM account_deletion_requests
+      WHERE status = 'scheduled' AND scheduled_for <= NOW()
+      ORDER BY scheduled_for
+    `);
+
+    let completed = 0;
+    for (const request of due.rows) {
+      try {
+        const obligations = await this.getOpenObligations(request.user_id);
+        if (obligations.length > 0) {
+          await this.db.query(`
+            UPDATE account_deletion_requests SET last_error = $2 WHERE id = $1
+          `, [request.id, `Waiting on ${obligations.map(o => `${o.type} ${o.id}`).join(', ')}`]);
+          continue;
+        }
+
+        await this.anonymizeAccount(request.user_id, request.id);
+        completed++;
+      } catch (error) {
+        console.error(`Account deletion ${request.id} failed:`, error);
+        await this.db.query(`
+          UPDATE account_deletion_requests SET last_error = $2 WHERE id = $1
+        `, [request.id, error.message]);
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Jobs and recurring series that still tie the user to someone else
+   */
+  async getOpenObligations(userId) {
+    const [jobs, series] = await Promise.all([
+      this.db.query(`
+        SELECT id, status FROM jobs
+        WHERE (customer_id = $1 OR contractor_id = $1) AND status = ANY($2)
+      `, [userId, OPEN_JOB_STATUSES]),
+      this.db.query(`
+        SELECT id, status FROM recurring_job_series
+        WHERE (customer_id = $1 OR contractor_id = $1) AND status <> 'ended'
+      `, [userId])
+    ]);
+
+    return [
+      ...jobs.rows.map(row => ({ type: 'job', id: row.id, status: row.status })),
+      ...series.rows.map(row => ({ type: 'recurring_series', id: row.id, status: row.status }))
+    ];
+  }
+
+  /**
+   * Erase personal data and sign the user out everywhere
+   * Kept: payments and payout records (financial retention), and the content of
+   * jobs, reviews and messages other users rely on, now attributed to "Deleted User".
+   * Photos the user uploaded and photos of their own jobs (their home) are removed.
+   */
+  async anonymizeAccount(userId, requestId) {
+    const exports = await this.db.query(`
+      SELECT storage_key FROM data_export_requests WHERE user_id = $1 AND storage_key IS NOT NULL
+    `, [userId]);
+    const photos = await this.db.query(`
+      SELECT jp.id, jp.storage_key, jp.thumbnail_key
+      FROM job_photos jp
+      JOIN jobs j ON jp.job_id = j.id
+      WHERE jp.uploaded_by = $1 OR j.customer_id = $1
+    `, [userId]);
+    const photoIds = photos.rows.map(photo => photo.id);
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Sign-in, sessions and devices
+      await client.query('DELETE FROM trusted_devices WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM mfa_challenges WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_mfa_factors WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM account_tokens WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_identities WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_roles WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM notification_tokens WHERE user_id = $1', [userId]);
+
+      // Personal history nobody else depends on
+      await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_preferences WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM saved_searches WHERE contractor_id = $1', [userId]);
+      await client.query('DELETE FROM contractor_location_history WHERE contractor_id = $1', [userId]);
+      await client.query('DELETE FROM contractor_availability WHERE contractor_id = $1', [userId]);
+      await client.query('DELETE FROM contractor_blocked_dates WHERE contractor_id = $1', [userId]);
+      await client.query('DELETE FROM data_export_requests WHERE user_id = $1', [userId]);
+
+      // Dispute evidence keeps its note but no longer points at the photo
+      await client.query('UPDATE dispute_evidence SET photo_id = NULL WHERE photo_id = ANY($1)', [photoIds]);
+      await client.query('DELETE FROM job_photos WHERE id = ANY($1)', [photoIds]);
+
+      // Home addresses on the user's jobs; city and ZIP stay for the other party's records
+      await client.query(`
+        UPDATE jobs SET
+          service_address_line1 = NULL,
+          service_address_line2 = NULL,
+          service_coordinates = NULL,
+          access_instructions = NULL
+        WHERE customer_id = $1
+      `, [userId]);
+      await client.query(`
+        UPDATE recurring_job_series SET
+          service_address_line1 = NULL,
+          service_address_line2 = NULL,
+          access_instructions = NULL,
+          payment_method_id = NULL
+        WHERE customer_id = $1
+      `, [userId]);
+
+      await client.query(`
+        UPDATE contractor_profiles SET
+          business_name = NULL,
+          business_license_number = NULL,
+          tax_id = NULL,
+          service_description = NULL,
+          work_schedule = NULL,
+          available_for_work = false,
+          emergency_services = false
+        WHERE user_id = $1
+      `, [userId]);
+
+      // The row stays so jobs, reviews, messages and payments keep their references
+      await client.query(`
+        UPDATE users SET
+          email = 'deleted-' || id || '@deleted.invalid',
+          phone = NULL,
+          password_hash = '!',
+          first_name = 'Deleted',
+          last_name = 'User',
+          date_of_birth = NULL,
+          profile_image_url = NULL,
+          address_line1 = NULL,
+          address_line2 = NULL,
+          city = NULL,
+          state = NULL,
+          zip_code = NULL,
+          coordinates = NULL,
+          referral_code = NULL,
+          account_status = 'deactivated',
+          deleted_at = NOW()
+        WHERE id = $1
+      `, [userId]);
+
+      await client.query(`
+        UPDATE account_deletion_requests SET status = 'completed', completed_at = NOW(), last_error = NULL
+        WHERE id = $1
+      `, [requestId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const { storage_key: storageKey } of exports.rows) {
+      await this.storage.deleteObject(storageKey)
+        .catch(error => console.error(`Failed to delete export ${storageKey}:`, error));
+    }
+
+    const photoKeys = photos.rows.flatMap(photo => [photo.storage_key, photo.thumbnail_key]).filter(Boolean);
+    for (const storageKey of photoKeys) {
+      await this.storage.deleteObject(storageKey)
+        .catch(error => console.error(`Failed to delete photo ${storageKey}:`, error));
+    }
+  }
+
+  async notify(userId, template, subject, data) {
+    if (!this.notificationService) return;
+
+    try {
+      await this.notificationService.sendEmailNotification(userId, { template, subject, data, security: true });
+    } catch (error) {
+      console.error(`Privacy notification (${template}) error:`, error);
+    }
+  }
+}
+
+// =================================================================
+// UTILITY FUNCTIONS
+// =================================================================
+
+function formatExport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileSize: row.file_size,
+    requestedAt: row.created_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at
+  };
+}
+
+function formatDeletion(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    reason: row.reason,
+    scheduledFor: new Date(row.scheduled_for),
+    cancelledAt: row.cancelled_at,
+    requestedAt: row.created_at
+  };
+}
+
+/**
+ * Rows to CSV; nested values are written as JSON, and cells that a spreadsheet
+ * would run as a formula are prefixed with a quote
+ */
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString()
+      : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => cell(row[column])).join(','))
+  ].join('\r\n');
+}
+
+/**
+ * Zip { name, content } entries into a buffer
+ */
+function buildZip(files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    files.forEach(({ name, content }) => archive.append(content, { name }));
+    archive.finalize();
+  });
+}
+
+// =================================================================
+// ROUTES
+// =================================================================
+
+/**
+ * Privacy routes factory, mounted at /privacy
+ */
+function createPrivacyRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const privacyService = services.privacyService ||
+    new PrivacyService(database, services.storage, services.notificationService);
+
+  const handlePrivacyError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof PrivacyError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Request Data Export (requires step-up)
+  router.post('/exports',
+    middleware.requireAuth(),
+    middleware.requireStepUp({ allowUnenrolled: true }),
+    async (req, res) => {
+      try {
+        const request = await privacyService.requestExport(req.user.id);
+        res.status(202).json(request);
+      } catch (error) {
+        handlePrivacyError(res, error, 'Failed to request data export', 'REQUEST_EXPORT_ERROR');
+      }
+    }
+  );
+
+  // List Data Exports
+  router.get('/exports',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const exports = await privacyService.listExports(req.user.id);
+        res.json({ exports });
+      } catch (error) {
+        handlePrivacyError(res, error, 'Failed to list data exports', 'LIST_EXPORTS_ERROR');
+      }
+    }
+  );
+
+  // Download Data Export
+  router.get('/exports/:exportId/download',
+    middleware.requireAuth(),
+    [param('exportId').isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { filename, content } = await privacyService.getExportFile(req.user.id, req.params.exportId);
+        res.set({
+          'Content-Type': 'application/zip',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'no-store'
+        });
+        res.send(content);
+      } catch (error) {
+        handlePrivacyError(res, error, 'Failed to download data export', 'DOWNLOAD_EXPORT_ERROR');
+      }
+    }
+  );
+
+  // Get Scheduled Account Deletion
+  router.get('/deletion',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const request = await privacyService.getDeletionRequest(req.user.id);
+        res.json({ deletion: request });
+      } catch (error) {
+        handlePrivacyError(res, error, 'Failed to get deletion request', 'GET_DELETION_ERROR');
+      }
+    }
+  );
+
+  // Schedule Account Deletion (requires step-up)
+  router.post('/deletion',
+    middleware.requireAuth(),
+    middleware.requireStepUp({ allowUnenrolled: true }),
+    [body('reason').optional().trim().isLength({ max: 1000 })],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const request = await privacyService.requestDeletion(req.user.id, { reason: req.body.reason });
+        res.status(201).json(request);
+      } catch (error) {
+        handlePrivacyError(res, error, 'Failed to schedule account deletion', 'REQUEST_DELETION_ERROR');
+      }
+    }
+  );
+
+  // Cancel Account Deletion
+  router.delete('/deletion',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const request = await privacyService.cancelDeletion(req.user.id);
+        res.json(request);
+      } catch (error) {
+        handlePrivacyError(res, error, 'Failed to cancel account deletion', 'CANCEL_DELETION_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  PrivacyService,
+  PrivacyError,
+  OPEN_JOB_STATUSES,
+  toCsv,
+  createPrivacyRoutes
+};
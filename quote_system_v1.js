@@ -0,0 +1,592 @@
+/**
+ * Module: quote_system_v1
+ * Version: 1.0.0
+ * Dependencies: db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, job_state_machine_v1, notification_service_v1
+ * Provides: Contractor quotes on posted jobs, quote comparison, acceptance and job assignment
+ * Integration Points: API routes, contractor app opportunities, customer job details
+ * Last Updated: 2025-06-03
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { AuthenticationService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { JobStateMachine, JobTransitionError } = require('./job_state_machine_v1');
+
+// =================================================================
+// QUOTE SERVICE
+// =================================================================
+
+/**
+ * Quote statuses, mirroring the quote_status enum
+ */
+const QUOTE_STATUSES = ['pending', 'accepted', 'declined', 'rejected', 'withdrawn', 'expired'];
+
+/**
+ * Error raised when a quote operation is rejected
+ */
+class QuoteError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'QuoteError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Line item categories shared by quotes and change orders
+ */
+const LINE_ITEM_CATEGORIES = ['labor', 'materials', 'equipment', 'permit', 'other'];
+
+/**
+ * Normalize line items and compute per-line totals in cents
+ */
+function normalizeLineItems(lineItems) {
+  return lineItems.map(item => {
+    const quantity = parseFloat(item.quantity || 1);
+    const unitPriceCents = Math.round(parseFloat(item.unitPrice) * 100);
+
+    return {
+      description: item.description.trim(),
+      category: item.category || 'labor',
+      quantity,
+      unitPrice: unitPriceCents / 100,
+      total: Math.round(quantity * unitPriceCents) / 100
+    };
+  });
+}
+
+/**
+ * Sum line item totals
+ */
+function calculateLineItemTotal(lineItems) {
+  const totalCents = lineItems.reduce((sum, item) => sum + Math.round(item.total * 100), 0);
+  return totalCents / 100;
+}
+
+/**
+ * Quote Service
+ * Handles quote submission, comparison and acceptance
+ */
+class QuoteService {
+  constructor(database, jobStateMachine, notificationService = null) {
+    this.db = database;
+    this.jobStateMachine = jobStateMachine;
+    this.notificationService = notificationService;
+    this.defaultValidityDays = 7;
+  }
+
+  /**
+   * Submit a quote for a posted job
+   */
+  async submitQuote(jobId, contractorId, quoteData) {
+    const {
+      lineItems,
+      notes = null,
+      validForDays = this.defaultValidityDays,
+      estimatedDurationHours = null,
+      estimatedStartDate = null
+    } = quoteData;
+
+    const job = await this.getJob(jobId);
+
+    if (job.status !== 'posted') {
+      throw new QuoteError('Job is not accepting quotes', 'JOB_NOT_ACCEPTING_QUOTES', 409);
+    }
+
+    if (job.customer_id === contractorId) {
+      throw new QuoteError('Cannot quote on your own job', 'QUOTE_NOT_PERMITTED', 403);
+    }
+
+    const existing = await this.db.query(`
+      SELECT id FROM job_quotes
+      WHERE job_id = $1 AND contractor_id = $2 AND status = 'pending'
+    `, [jobId, contractorId]);
+
+    if (existing.rows.length > 0) {
+      throw new QuoteError(
+        'You already have a pending quote on this job',
+        'QUOTE_ALREADY_SUBMITTED',
+        409,
+        { quoteId: existing.rows[0].id }
+      );
+    }
+
+    const normalizedItems = this.normalizeLineItems(lineItems);
+    const totalAmount = this.calculateTotal(normalizedItems);
+
+    const result = await this.db.query(`
+      INSERT INTO job_quotes (
+        job_id, contractor_id, line_items, total_amount, notes,
+        estimated_duration_hours, estimated_start_date, valid_until
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + ($8 || ' days')::INTERVAL)
+      RETURNING *
+    `, [
+      jobId, contractorId, JSON.stringify(normalizedItems), totalAmount, notes,
+      estimatedDurationHours, estimatedStartDate, validForDays
+    ]);
+
+    const quote = result.rows[0];
+
+    await this.notify(job.customer_id, {
+      title: 'New Quote Received',
+      body: `You received a $${totalAmount} quote for "${job.title}".`,
+      data: { type: 'quote_received', jobId, quoteId: quote.id }
+    });
+
+    return this.formatQuote(quote);
+  }
+
+  /**
+   * List quotes on a job
+   * Customers see every quote, contractors only their own
+   */
+  async getJobQuotes(jobId, viewer, options = {}) {
+    const { status } = options;
+    const job = await this.getJob(jobId);
+
+    const params = [jobId];
+    let whereClause = 'WHERE q.job_id = $1';
+
+    if (job.customer_id !== viewer.id) {
+      params.push(viewer.id);
+      whereClause += ` AND q.contractor_id = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      whereClause += ` AND q.status = $${params.length}`;
+    }
+
+    const result = await this.db.query(`
+      SELECT
+        q.*,
+        cp.business_name, cp.average_rating, cp.total_jobs_completed,
+        u.first_name, u.last_name, u.profile_image_url
+      FROM job_quotes q
+      JOIN contractor_profiles cp ON q.contractor_id = cp.user_id
+      JOIN users u ON q.contractor_id = u.id
+      ${whereClause}
+      ORDER BY q.created_at DESC
+    `, params);
+
+    return result.rows.map(row => this.formatQuote(row));
+  }
+
+  /**
+   * Compare pending quotes on a job side by side
+   */
+  async compareQuotes(jobId, customerId) {
+    const job = await this.getJob(jobId);
+    this.assertJobOwner(job, customerId);
+
+    const quotes = (await this.getJobQuotes(jobId, { id: customerId }, { status: 'pending' }))
+      .filter(quote => new Date(quote.validUntil) > new Date())
+      .sort((a, b) => a.totalAmount - b.totalAmount);
+
+    const totals = quotes.map(quote => quote.totalAmount);
+    const average = totals.length > 0
+      ? Math.round((totals.reduce((sum, total) => sum + total, 0) / totals.length) * 100) / 100
+      : null;
+
+    return {
+      jobId,
+      estimatedCost: job.estimated_cost ? parseFloat(job.estimated_cost) : null,
+      quotes: quotes.map(quote => ({
+        ...quote,
+        differenceFromAverage: average !== null
+          ? Math.round((quote.totalAmount - average) * 100) / 100
+          : null
+      })),
+      summary: {
+        count: quotes.length,
+        lowest: totals.length > 0 ? Math.min(...totals) : null,
+        highest: totals.length > 0 ? Math.max(...totals) : null,
+        average
+      }
+    };
+  }
+
+  /**
+   * Accept a quote, assign the job and reject competing quotes
+   */
+  async acceptQuote(jobId, quoteId, actor) {
+    const job = await this.getJob(jobId);
+    this.assertJobOwner(job, actor.id);
+
+    const quote = await this.getQuote(jobId, quoteId);
+
+    if (quote.status !== 'pending') {
+      throw new QuoteError(`Quote is ${quote.status}`, 'QUOTE_NOT_PENDING', 409);
+    }
+
+    if (new Date(quote.valid_until) <= new Date()) {
+      throw new QuoteError('Quote has expired', 'QUOTE_EXPIRED', 409);
+    }
+
+    let accepted;
+    let rejected;
+
+    // The transition is guarded on job status and the quote update on quote status,
+    // so only one acceptance can win and a withdrawn quote rolls the assignment back
+    const assignedJob = await this.jobStateMachine.transition(jobId, 'assigned', actor, {
+      reason: 'Quote accepted',
+      notes: `Quote ${quoteId}`,
+      updates: {
+        contractor_id: quote.contractor_id,
+        quoted_price: quote.total_amount
+      },
+      withinTransaction: async (client) => {
+        const acceptedResult = await client.query(`
+          UPDATE job_quotes
+          SET status = 'accepted', responded_at = NOW(), updated_at = NOW()
+          WHERE id = $1 AND status = 'pending'
+          RETURNING *
+        `, [quoteId]);
+
+        if (acceptedResult.rows.length === 0) {
+          throw new QuoteError('Quote is no longer pending', 'QUOTE_NOT_PENDING', 409);
+        }
+        accepted = acceptedResult.rows[0];
+
+        const rejectedResult = await client.query(`
+          UPDATE job_quotes
+          SET status = 'rejected', responded_at = NOW(), updated_at = NOW(),
+              decline_reason = 'Another quote was accepted'
+          WHERE job_id = $1 AND id != $2 AND status = 'pending'
+          RETURNING contractor_id
+        `, [jobId, quoteId]);
+        rejected = rejectedResult.rows;
+      }
+    });
+
+    for (const row of rejected) {
+      await this.notify(row.contractor_id, {
+        title: 'Quote Not Selected',
+        body: `The customer chose another quote for "${job.title}".`,
+        data: { type: 'quote_rejected', jobId }
+      });
+    }
+
+    return {
+      quote: this.formatQuote(accepted),
+      job: {
+        id: assignedJob.id,
+        status: assignedJob.status,
+        contractorId: assignedJob.contractor_id,
+        quotedPrice: assignedJob.quoted_price
+      },
+      rejectedQuotes: rejected.length
+    };
+  }
+
+  /**
+   * Decline a single quote
+   */
+  async declineQuote(jobId, quoteId, customerId, reason = null) {
+    const job = await this.getJob(jobId);
+    this.assertJobOwner(job, customerId);
+
+    const result = await this.db.query(`
+      UPDATE job_quotes
+      SET status = 'declined', responded_at = NOW(), updated_at = NOW(), decline_reason = $3
+      WHERE id = $1 AND job_id = $2 AND status = 'pending'
+      RETURNING *
+    `, [quoteId, jobId, reason]);
+
+    if (result.rows.length === 0) {
+      throw new QuoteError('Quote not found or no longer pending', 'QUOTE_NOT_PENDING', 409);
+    }
+
+    const quote = result.rows[0];
+
+    await this.notify(quote.contractor_id, {
+      title: 'Quote Declined',
+      body: `Your quote for "${job.title}" was declined.`,
+      data: { type: 'quote_declined', jobId, quoteId }
+    });
+
+    return this.formatQuote(quote);
+  }
+
+  /**
+   * Withdraw a pending quote
+   */
+  async withdrawQuote(jobId, quoteId, contractorId) {
+    const result = await this.db.query(`
+      UPDATE job_quotes
+      SET status = 'withdrawn', updated_at = NOW()
+      WHERE id = $1 AND job_id = $2 AND contractor_id = $3 AND status = 'pending'
+      RETURNING *
+    `, [quoteId, jobId, contractorId]);
+
+    if (result.rows.length === 0) {
+      throw new QuoteError('Quote not found or no longer pending', 'QUOTE_NOT_PENDING', 409);
+    }
+
+    return this.formatQuote(result.rows[0]);
+  }
+
+  /**
+   * Mark quotes past their validity window as expired
+   */
+  async expireStaleQuotes() {
+    const result = await this.db.query(`
+      UPDATE job_quotes
+      SET status = 'expired', updated_at = NOW()
+      WHERE status = 'pending' AND valid_until <= NOW()
+    `);
+    return result.rowCount;
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  normalizeLineItems(lineItems) {
+    return normalizeLineItems(lineItems);
+  }
+
+  calculateTotal(lineItems) {
+    return calculateLineItemTotal(lineItems);
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query(`
+      SELECT id, customer_id, contractor_id, title, status, estimated_cost
+      FROM jobs WHERE id = $1
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new QuoteError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getQuote(jobId, quoteId) {
+    const result = await this.db.query(`
+      SELECT * FROM job_quotes WHERE id = $1 AND job_id = $2
+    `, [quoteId, jobId]);
+
+    if (result.rows.length === 0) {
+      throw new QuoteError('Quote not found', 'QUOTE_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  assertJobOwner(job, customerId) {
+    if (job.customer_id !== customerId) {
+      throw new QuoteError('Only the job owner can manage quotes', 'QUOTE_NOT_PERMITTED', 403);
+    }
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, {
+        channels: ['push'],
+        ...notification
+      });
+    } catch (error) {
+      console.error('Quote notification error:', error);
+    }
+  }
+
+  formatQuote(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      contractorId: row.contractor_id,
+      contractor: row.business_name !== undefined ? {
+        businessName: row.business_name,
+        name: `${row.first_name} ${row.last_name}`,
+        profileImageUrl: row.profile_image_url,
+        rating: parseFloat(row.average_rating) || 0,
+        jobsCompleted: row.total_jobs_completed || 0
+      } : undefined,
+      status: row.status,
+      lineItems: row.line_items,
+      totalAmount: parseFloat(row.total_amount),
+      notes: row.notes,
+      estimatedDurationHours: row.estimated_duration_hours,
+      estimatedStartDate: row.estimated_start_date,
+      validUntil: row.valid_until,
+      declineReason: row.decline_reason,
+      respondedAt: row.responded_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// =================================================================
+// QUOTE API ROUTES
+// =================================================================
+
+/**
+ * Create quote routes, mounted under /jobs
+ */
+function createQuoteRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const jobStateMachine = services.jobStateMachine || new JobStateMachine(database, {
+    notificationTriggers: services.notificationTriggers,
+    broadcastJobUpdate: services.broadcastJobUpdate
+  });
+  const quoteService = new QuoteService(database, jobStateMachine, services.notificationService);
+
+  const handleQuoteError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof QuoteError || error instanceof JobTransitionError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Submit Quote (Contractors only)
+  router.post('/:jobId/quotes',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('jobId').isUUID(),
+      body('lineItems').isArray({ min: 1, max: 50 }),
+      body('lineItems.*.description').trim().isLength({ min: 1, max: 255 }),
+      body('lineItems.*.quantity').optional().isFloat({ gt: 0 }),
+      body('lineItems.*.unitPrice').isFloat({ min: 0 }),
+      body('lineItems.*.category').optional().isIn(LINE_ITEM_CATEGORIES),
+      body('notes').optional().trim().isLength({ max: 2000 }),
+      body('validForDays').optional().isInt({ min: 1, max: 30 }),
+      body('estimatedDurationHours').optional().isFloat({ min: 0 }),
+      body('estimatedStartDate').optional().isISO8601()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const quote = await quoteService.submitQuote(req.params.jobId, req.user.id, req.body);
+        res.status(201).json(quote);
+      } catch (error) {
+        handleQuoteError(res, error, 'Failed to submit quote', 'SUBMIT_QUOTE_ERROR');
+      }
+    }
+  );
+
+  // List Quotes
+  router.get('/:jobId/quotes',
+    middleware.requireAuth(),
+    [
+      param('jobId').isUUID(),
+      query('status').optional().isIn(QUOTE_STATUSES)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const quotes = await quoteService.getJobQuotes(req.params.jobId, req.user, {
+          status: req.query.status
+        });
+        res.json({ data: quotes });
+      } catch (error) {
+        handleQuoteError(res, error, 'Failed to get quotes', 'GET_QUOTES_ERROR');
+      }
+    }
+  );
+
+  // Compare Quotes (Customers only)
+  router.get('/:jobId/quotes/compare',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('jobId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const comparison = await quoteService.compareQuotes(req.params.jobId, req.user.id);
+        res.json(comparison);
+      } catch (error) {
+        handleQuoteError(res, error, 'Failed to compare quotes', 'COMPARE_QUOTES_ERROR');
+      }
+    }
+  );
+
+  // Accept Quote (Customers only)
+  router.post('/:jobId/quotes/:quoteId/accept',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('jobId').isUUID(),
+      param('quoteId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const actor = { id: req.user.id, userType: req.user.user_type };
+        const result = await quoteService.acceptQuote(req.params.jobId, req.params.quoteId, actor);
+        res.json(result);
+      } catch (error) {
+        handleQuoteError(res, error, 'Failed to accept quote', 'ACCEPT_QUOTE_ERROR');
+      }
+    }
+  );
+
+  // Decline Quote (Customers only)
+  router.post('/:jobId/quotes/:quoteId/decline',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('jobId').isUUID(),
+      param('quoteId').isUUID(),
+      body('reason').optional().trim().isLength({ max: 500 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const quote = await quoteService.declineQuote(
+          req.params.jobId, req.params.quoteId, req.user.id, req.body.reason
+        );
+        res.json(quote);
+      } catch (error) {
+        handleQuoteError(res, error, 'Failed to decline quote', 'DECLINE_QUOTE_ERROR');
+      }
+    }
+  );
+
+  // Withdraw Quote (Contractors only)
+  router.delete('/:jobId/quotes/:quoteId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('jobId').isUUID(),
+      param('quoteId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const quote = await quoteService.withdrawQuote(req.params.jobId, req.params.quoteId, req.user.id);
+        res.json(quote);
+      } catch (error) {
+        handleQuoteError(res, error, 'Failed to withdraw quote', 'WITHDRAW_QUOTE_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  QuoteService,
+  QuoteError,
+  QUOTE_STATUSES,
+  LINE_ITEM_CATEGORIES,
+  normalizeLineItems,
+  calculateLineItemTotal,
+  createQuoteRoutes
+};
@@ -0,0 +1,1128 @@
+/**
+ * Module: recurring_jobs_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, job_state_machine_v1, job_cancellation_v1, scheduling_system_v1, payment_processing_v1, gps_mapping_service_v1, notification_service_v1
+ * Provides: Recurring job series (maintenance plans), RRULE-style recurrence, occurrence generation, skip/pause, per-occurrence escrow
+ * Integration Points: API routes, scheduling, background jobs
+ * Last Updated: 2025-06-10
+ */
+
+const express = require('express');
+const moment = require('moment-timezone');
+const { body, param } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService, RbacService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+const { SYSTEM_ACTOR, JobTransitionError } = require('./job_state_machine_v1');
+const { JobCancellationService, CancellationError } = require('./job_cancellation_v1');
+const { PaymentDatabaseService } = require('./payment_processing_v1');
+const { MappingService } = require('./gps_mapping_service_v1');
+
+// =================================================================
+// RECURRENCE RULES
+// =================================================================
+
+/**
+ * Supported RRULE frequencies and the period each one steps by
+ */
+const RECURRENCE_FREQUENCIES = {
+  DAILY: 'days',
+  WEEKLY: 'weeks',
+  MONTHLY: 'months',
+  YEARLY: 'years'
+};
+
+/**
+ * RRULE weekday codes mapped to ISO weekday numbers
+ */
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+/**
+ * Trade categories, mirroring the trade_category enum
+ */
+const TRADE_CATEGORIES = ['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping'];
+
+/**
+ * Upper bound on recurrence periods walked in one expansion
+ */
+const MAX_RECURRENCE_PERIODS = 5000;
+
+/**
+ * Error raised when a recurring job operation is rejected
+ */
+class RecurringJobError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'RecurringJobError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse the supported subset of an RFC 5545 RRULE
+ * e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=12"
+ */
+function parseRecurrenceRule(ruleText) {
+  const invalid = (reason) => new RecurringJobError(
+    `Invalid recurrence rule: ${reason}`,
+    'INVALID_RECURRENCE_RULE',
+    400,
+    { rule: ruleText }
+  );
+
+  const parts = {};
+  for (const part of String(ruleText).replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) throw invalid(`malformed part '${part}'`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1,
+    byDay: [],
+    byMonthDay: [],
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? moment.utc(parts.UNTIL.slice(0, 8), 'YYYYMMDD', true) : null
+  };
+
+  if (!RECURRENCE_FREQUENCIES[rule.freq]) throw invalid('FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+  if (!(rule.interval >= 1)) throw invalid('INTERVAL must be a positive integer');
+  if (rule.count !== null && !(rule.count >= 1)) throw invalid('COUNT must be a positive integer');
+  if (rule.until && !rule.until.isValid()) throw invalid('UNTIL must be a date (YYYYMMDD)');
+
+  if (parts.BYDAY) {
+    if (rule.freq !== 'WEEKLY') throw invalid('BYDAY is only supported with FREQ=WEEKLY');
+    rule.byDay = parts.BYDAY.split(',').map(code => {
+      if (!WEEKDAYS[code]) throw invalid(`unknown weekday '${code}'`);
+      return WEEKDAYS[code];
+    }).sort((a, b) => a - b);
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== 'MONTHLY') throw invalid('BYMONTHDAY is only supported with FREQ=MONTHLY');
+    rule.byMonthDay = parts.BYMONTHDAY.split(',').map(value => {
+      const day = parseInt(value, 10);
+      if (!day || day > 31 || day < -31) throw invalid(`invalid month day '${value}'`);
+      return day;
+    });
+  }
+
+  const unsupported = Object.keys(parts).filter(key =>
+    !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key)
+  );
+  if (unsupported.length > 0) throw invalid(`unsupported part(s) ${unsupported.join(', ')}`);
+
+  return rule;
+}
+
+/**
+ * Candidate dates within one recurrence period
+ */
+function periodCandidates(rule, periodStart) {
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const week = periodStart.clone().startOf('isoWeek');
+    return rule.byDay.map(weekday => week.clone().isoWeekday(weekday));
+  }
+
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay.length > 0) {
+    const month = periodStart.clone().startOf('month');
+    const daysInMonth = month.daysInMonth();
+
+    return rule.byMonthDay
+      .map(day => (day > 0 ? day : daysInMonth + day + 1))
+      .filter(day => day >= 1 && day <= daysInMonth)
+      .sort((a, b) => a - b)
+      .map(day => month.clone().date(day));
+  }
+
+  return [periodStart];
+}
+
+/**
+ * Expand a rule into occurrence dates (YYYY-MM-DD) between from and to
+ * COUNT is counted from the series start, so earlier occurrences are
+ * walked even when they fall before `from`.
+ */
+function expandOccurrences(rule, startDate, { from, to }) {
+  const start = moment.utc(startDate, 'YYYY-MM-DD');
+  const rangeStart = moment.utc(from, 'YYYY-MM-DD');
+  let rangeEnd = moment.utc(to, 'YYYY-MM-DD');
+
+  if (rule.until && rule.until.isBefore(rangeEnd)) {
+    rangeEnd = rule.until;
+  }
+
+  const dates = [];
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    const periodStart = start.clone().add(period * rule.interval, RECURRENCE_FREQUENCIES[rule.freq]);
+    const periodFloor = rule.freq === 'WEEKLY' ? periodStart.clone().startOf('isoWeek') : periodStart;
+
+    if (periodFloor.isAfter(rangeEnd)) break;
+
+    for (const date of periodCandidates(rule, periodStart)) {
+      if (date.isBefore(start)) continue;
+      if (date.isAfter(rangeEnd)) return dates;
+
+      emitted++;
+      if (rule.count !== null && emitted > rule.count) return dates;
+
+      if (!date.isBefore(rangeStart)) {
+        dates.push(date.format('YYYY-MM-DD'));
+      }
+    }
+  }
+
+  return dates;
+}
+
+// =================================================================
+// RECURRING JOB SERVICE
+// =================================================================
+
+/**
+ * Recurring Job Service
+ * Generates job instances from a series ahead of time and keeps them
+ * assigned to the series' contractor and funded per occurrence.
+ */
+class RecurringJobService {
+  constructor(database, jobStateMachine, schedulingService = null, paymentService = null, notificationService = null, mappingService = null, options = config.jobs.recurring) {
+    this.db = database;
+    this.jobStateMachine = jobStateMachine;
+    this.schedulingService = schedulingService;
+    this.paymentService = paymentService;
+    this.notificationService = notificationService;
+    this.mappingService = mappingService || new MappingService(database);
+    this.paymentDb = new PaymentDatabaseService(database);
+    this.rbacService = new RbacService(database);
+    this.cancellationService = new JobCancellationService(database, jobStateMachine, paymentService);
+    this.generateAheadDays = options.generateAheadDays;
+    this.holdLeadDays = options.holdLeadDays;
+    this.maxOccurrencesPerSeries = options.maxOccurrencesPerSeries;
+  }
+
+  /**
+   * Create a recurring series and generate its first occurrences (customer)
+   */
+  async createSeries(customerId, data) {
+    const rule = parseRecurrenceRule(data.recurrenceRule);
+
+    if (rule.count !== null && rule.count > this.maxOccurrencesPerSeries) {
+      throw new RecurringJobError(
+        `A series can have at most ${this.maxOccurrencesPerSeries} occurrences`,
+        'TOO_MANY_OCCURRENCES',
+        400
+      );
+    }
+
+    if (moment.utc(data.startDate, 'YYYY-MM-DD').isBefore(moment.utc().startOf('day'))) {
+      throw new RecurringJobError('Series cannot start in the past', 'INVALID_START_DATE', 400);
+    }
+
+    if (data.contractorId) {
+      const contractor = await this.db.query(`
+        SELECT user_id FROM contractor_profiles WHERE user_id = $1
+      `, [data.contractorId]);
+
+      if (contractor.rows.length === 0) {
+        throw new RecurringJobError('Contractor not found', 'CONTRACTOR_NOT_FOUND', 404);
+      }
+    }
+
+    const paymentMethod = data.paymentMethodId
+      ? await this.verifyPaymentMethod(customerId, data.paymentMethodId)
+      : null;
+
+    const { serviceAddress } = data;
+    const result = await this.db.query(`
+      INSERT INTO recurring_job_series (
+        customer_id, contractor_id, title, description, trade_category, priority,
+        service_address_line1, service_address_line2, service_city, service_state, service_zip_code,
+        access_instructions, price_per_occurrence, recurrence_rule, start_date,
+        preferred_time_start, preferred_time_end, estimated_duration_hours,
+        stripe_customer_id, payment_method_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      RETURNING *
+    `, [
+      customerId, data.contractorId || null, data.title, data.description, data.tradeCategory,
+      data.priority || 'medium',
+      serviceAddress.addressLine1, serviceAddress.addressLine2 || null, serviceAddress.city,
+      serviceAddress.state, serviceAddress.zipCode, data.accessInstructions || null,
+      data.pricePerOccurrence, data.recurrenceRule.replace(/^RRULE:/i, '').toUpperCase(), data.startDate,
+      data.preferredTimeStart || null, data.preferredTimeEnd || null, data.estimatedDurationHours || null,
+      paymentMethod ? paymentMethod.stripeCustomerId : null, paymentMethod ? paymentMethod.id : null
+    ]);
+
+    await this.generateForSeries(result.rows[0]);
+
+    return this.getSeries(result.rows[0].id, { id: customerId, user_type: 'customer' });
+  }
+
+  /**
+   * List series the user takes part in
+   */
+  async listSeries(user) {
+    const column = user.user_type === 'contractor' ? 'contractor_id' : 'customer_id';
+
+    const result = await this.db.query(`
+      SELECT * FROM recurring_job_series
+      WHERE ${column} = $1
+      ORDER BY created_at DESC
+    `, [user.id]);
+
+    return result.rows.map(row => this.formatSeries(row));
+  }
+
+  /**
+   * Get a series with its occurrences and upcoming dates
+   */
+  async getSeries(seriesId, user) {
+    const series = await this.getSeriesRow(seriesId);
+    await this.assertCanView(series, user);
+
+    const occurrences = await this.db.query(`
+      SELECT o.*, j.status AS job_status
+      FROM recurring_job_occurrences o
+      LEFT JOIN jobs j ON o.job_id = j.id
+      WHERE o.series_id = $1
+      ORDER BY o.occurrence_date ASC
+    `, [seriesId]);
+
+    const upcoming = series.status === 'ended' ? [] : expandOccurrences(
+      parseRecurrenceRule(series.recurrence_rule),
+      moment.utc(series.start_date).format('YYYY-MM-DD'),
+      { from: this.nextGenerationDate(series), to: moment.utc().add(90, 'days').format('YYYY-MM-DD') }
+    );
+
+    return {
+      ...this.formatSeries(series),
+      occurrences: occurrences.rows.map(row => this.formatOccurrence(row)),
+      upcomingDates: upcoming
+    };
+  }
+
+  /**
+   * Pause a series, optionally until a date (customer)
+   * Occurrences not yet generated that fall inside the pause are dropped;
+   * jobs already generated stay and can be skipped individually.
+   */
+  async pauseSeries(seriesId, actor, { until = null } = {}) {
+    const series = await this.getSeriesRow(seriesId);
+    this.assertOwner(series, actor);
+
+    if (series.status !== 'active') {
+      throw new RecurringJobError(`Series is ${series.status}`, 'SERIES_NOT_ACTIVE', 409);
+    }
+
+    const result = await this.db.query(`
+      UPDATE recurring_job_series
+      SET status = 'paused', paused_until = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [seriesId, until]);
+
+    return this.formatSeries(result.rows[0]);
+  }
+
+  /**
+   * Resume a paused series (customer)
+   */
+  async resumeSeries(seriesId, actor) {
+    const series = await this.getSeriesRow(seriesId);
+    this.assertOwner(series, actor);
+
+    if (series.status !== 'paused') {
+      throw new RecurringJobError(`Series is ${series.status}`, 'SERIES_NOT_PAUSED', 409);
+    }
+
+    const resumed = await this.resume(series);
+    await this.generateForSeries(resumed);
+
+    return this.getSeries(seriesId, { id: actor.id, user_type: actor.userType });
+  }
+
+  /**
+   * End a series; jobs already generated are left as they are (customer)
+   */
+  async endSeries(seriesId, actor) {
+    const series = await this.getSeriesRow(seriesId);
+    this.assertOwner(series, actor);
+
+    if (series.status === 'ended') {
+      throw new RecurringJobError('Series has already ended', 'SERIES_ENDED', 409);
+    }
+
+    const result = await this.db.query(`
+      UPDATE recurring_job_series
+      SET status = 'ended', ended_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [seriesId]);
+
+    return this.formatSeries(result.rows[0]);
+  }
+
+  /**
+   * Skip a single occurrence (customer)
+   * An occurrence whose job already exists is cancelled under the normal
+   * cancellation policy, so late skips can incur the late fee.
+   */
+  async skipOccurrence(seriesId, occurrenceDate, actor, { reason = null } = {}) {
+    const series = await this.getSeriesRow(seriesId);
+    this.assertOwner(series, actor);
+    this.assertOccurrenceDate(series, occurrenceDate);
+
+    const existing = await this.getOccurrenceRow(seriesId, occurrenceDate);
+
+    if (existing && existing.status === 'skipped') {
+      throw new RecurringJobError('Occurrence is already skipped', 'OCCURRENCE_SKIPPED', 409);
+    }
+
+    let cancellation = null;
+    if (existing && existing.job_id) {
+      cancellation = await this.cancellationService.cancelJob(existing.job_id, actor, {
+        reasonCode: 'schedule_conflict',
+        reason: reason || 'Recurring occurrence skipped'
+      });
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO recurring_job_occurrences (series_id, occurrence_date, status, skip_reason, skipped_by)
+      VALUES ($1, $2, 'skipped', $3, $4)
+      ON CONFLICT (series_id, occurrence_date)
+      DO UPDATE SET status = 'skipped', skip_reason = EXCLUDED.skip_reason,
+                    skipped_by = EXCLUDED.skipped_by, updated_at = NOW()
+      RETURNING *
+    `, [seriesId, occurrenceDate, reason, actor.id]);
+
+    return {
+      ...this.formatOccurrence(result.rows[0]),
+      cancellation
+    };
+  }
+
+  /**
+   * Undo a skip that has not been generated yet (customer)
+   */
+  async restoreOccurrence(seriesId, occurrenceDate, actor) {
+    const series = await this.getSeriesRow(seriesId);
+    this.assertOwner(series, actor);
+
+    const existing = await this.getOccurrenceRow(seriesId, occurrenceDate);
+
+    if (!existing || existing.status !== 'skipped') {
+      throw new RecurringJobError('Occurrence is not skipped', 'OCCURRENCE_NOT_SKIPPED', 409);
+    }
+
+    if (existing.job_id) {
+      throw new RecurringJobError(
+        'The job for this occurrence was already cancelled; post a new job instead',
+        'OCCURRENCE_ALREADY_CANCELLED',
+        409
+      );
+    }
+
+    await this.db.query(`
+      DELETE FROM recurring_job_occurrences WHERE id = $1
+    `, [existing.id]);
+
+    if (series.status === 'active') {
+      await this.generateForSeries(series);
+    }
+
+    return { seriesId, occurrenceDate, status: 'scheduled' };
+  }
+
+  // =================================================================
+  // GENERATION
+  // =================================================================
+
+  /**
+   * Generate occurrences for every active series (background job)
+   * Series whose pause has lapsed are resumed first.
+   */
+  async generateUpcomingOccurrences() {
+    const lapsed = await this.db.query(`
+      SELECT * FROM recurring_job_series
+      WHERE status = 'paused' AND paused_until IS NOT NULL AND paused_until <= CURRENT_DATE
+    `);
+
+    for (const series of lapsed.rows) {
+      await this.resume(series);
+    }
+
+    const result = await this.db.query(`
+      SELECT * FROM recurring_job_series WHERE status = 'active'
+    `);
+
+    let generated = 0;
+    for (const series of result.rows) {
+      try {
+        generated += await this.generateForSeries(series);
+      } catch (error) {
+        console.error(`Recurring generation error for series ${series.id}:`, error);
+      }
+    }
+
+    return generated;
+  }
+
+  /**
+   * Generate a series' occurrences up to the look-ahead horizon
+   */
+  async generateForSeries(series) {
+    const rule = parseRecurrenceRule(series.recurrence_rule);
+    const startDate = moment.utc(series.start_date).format('YYYY-MM-DD');
+    const horizon = moment.utc().add(this.generateAheadDays, 'days').format('YYYY-MM-DD');
+
+    const from = this.nextGenerationDate(series);
+    const dates = expandOccurrences(rule, startDate, { from, to: horizon });
+
+    const existing = await this.db.query(`
+      SELECT occurrence_date FROM recurring_job_occurrences
+      WHERE series_id = $1 AND occurrence_date BETWEEN $2 AND $3
+    `, [series.id, from, horizon]);
+
+    const taken = new Set(existing.rows.map(row => moment.utc(row.occurrence_date).format('YYYY-MM-DD')));
+
+    let generated = 0;
+    for (const date of dates) {
+      if (taken.has(date)) continue;
+      if (await this.generateOccurrence(series, date)) generated++;
+    }
+
+    // Nothing in the next full period after the horizon means the rule is exhausted
+    const remaining = expandOccurrences(rule, startDate, {
+      from: moment.utc(horizon).add(1, 'days').format('YYYY-MM-DD'),
+      to: moment.utc(horizon).add(rule.interval + 1, RECURRENCE_FREQUENCIES[rule.freq]).format('YYYY-MM-DD')
+    });
+
+    await this.db.query(`
+      UPDATE recurring_job_series
+      SET generated_through = $2,
+          status = CASE WHEN $3 THEN 'ended'::recurring_series_status ELSE status END,
+          ended_at = CASE WHEN $3 THEN NOW() ELSE ended_at END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [series.id, horizon, remaining.length === 0]);
+
+    return generated;
+  }
+
+  /**
+   * Create the job for one occurrence and assign it to the series contractor
+   * The occurrence row is claimed first and the job written in the same
+   * transaction, so overlapping generation runs can't post a date twice.
+   * Returns null when another run already generated the date.
+   */
+  async generateOccurrence(series, occurrenceDate) {
+    // Occurrences are matched and routed like any posted job, so they need coordinates
+    const location = await this.mappingService.resolveServiceAddress({
+      addressLine1: series.service_address_line1,
+      addressLine2: series.service_address_line2,
+      city: series.service_city,
+      state: series.service_state,
+      zipCode: series.service_zip_code
+    });
+    const { address, coordinates } = location;
+
+    const client = await this.db.connect();
+    let job;
+    let occurrence;
+
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(`
+        INSERT INTO recurring_job_occurrences (series_id, occurrence_date, status)
+        VALUES ($1, $2, 'generated')
+        ON CONFLICT (series_id, occurrence_date) DO NOTHING
+        RETURNING *
+      `, [series.id, occurrenceDate]);
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const jobResult = await client.query(`
+        INSERT INTO jobs (
+          customer_id, title, description, trade_category, priority,
+          service_address_line1, service_address_line2, service_city,
+          service_state, service_zip_code, service_coordinates, geocode_status, access_instructions,
+          quoted_price, preferred_date, preferred_time_start, preferred_time_end,
+          status, posted_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+          CASE WHEN $11::DOUBLE PRECISION IS NULL THEN NULL ELSE ST_SetSRID(ST_MakePoint($12, $11), 4326) END,
+          $13, $14, $15, $16, $17, $18, 'posted', NOW()
+        )
+        RETURNING *
+      `, [
+        series.customer_id, series.title, series.description, series.trade_category, series.priority,
+        address.addressLine1, address.addressLine2 || null, address.city,
+        address.state, address.zipCode,
+        coordinates ? coordinates.latitude : null,
+        coordinates ? coordinates.longitude : null,
+        location.geocodeStatus, series.access_instructions,
+        series.price_per_occurrence, occurrenceDate, series.preferred_time_start, series.preferred_time_end
+      ]);
+
+      job = jobResult.rows[0];
+
+      await client.query(`
+        INSERT INTO job_status_history (job_id, changed_by, new_status, reason)
+        VALUES ($1, $2, $3, $4)
+      `, [job.id, series.customer_id, 'posted', 'Generated from recurring series']);
+
+      const occurrenceResult = await client.query(`
+        UPDATE recurring_job_occurrences SET job_id = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [claimed.rows[0].id, job.id]);
+
+      occurrence = occurrenceResult.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (series.contractor_id) {
+      await this.assignOccurrence(series, job, occurrence);
+    }
+
+    return job;
+  }
+
+  /**
+   * Assign an occurrence's job to the series contractor via scheduling
+   * A busy contractor leaves the job posted for quotes instead.
+   */
+  async assignOccurrence(series, job, occurrence) {
+    if (!this.schedulingService) return;
+
+    try {
+      await this.schedulingService.scheduleJob(job.id, series.contractor_id, {
+        preferredDate: moment.utc(job.preferred_date).format('YYYY-MM-DD'),
+        preferredTimeStart: series.preferred_time_start,
+        preferredTimeEnd: series.preferred_time_end,
+        estimatedDuration: series.estimated_duration_hours,
+        urgency: series.priority,
+        actor: SYSTEM_ACTOR,
+        reason: 'Recurring series contractor'
+      });
+    } catch (error) {
+      await this.db.query(`
+        UPDATE recurring_job_occurrences
+        SET scheduling_error = $2, updated_at = NOW()
+        WHERE id = $1
+      `, [occurrence.id, error.message]);
+
+      await this.notify(series.customer_id, {
+        title: 'Recurring Visit Needs a Contractor',
+        body: `Your usual contractor can't make "${series.title}" on ${moment.utc(job.preferred_date).format('MMM D')}. It has been posted for quotes.`,
+        data: { type: 'recurring_unassigned', jobId: job.id, seriesId: series.id }
+      });
+    }
+  }
+
+  // =================================================================
+  // PAYMENTS
+  // =================================================================
+
+  /**
+   * Place escrow holds on the saved card for upcoming assigned occurrences
+   * Holds are placed close to the visit so they outlive Stripe's
+   * authorization window until completion.
+   */
+  async fundUpcomingOccurrences() {
+    if (!this.paymentService) return 0;
+
+    const result = await this.db.query(`
+      SELECT o.id AS occurrence_id, s.stripe_customer_id, s.payment_method_id, s.title AS series_title,
+             j.*, cp.stripe_account_id AS contractor_stripe_account_id
+      FROM recurring_job_occurrences o
+      JOIN recurring_job_series s ON o.series_id = s.id
+      JOIN jobs j ON o.job_id = j.id
+      LEFT JOIN contractor_payouts cp ON cp.contractor_id = j.contractor_id
+      WHERE o.status = 'generated'
+        AND o.payment_error IS NULL
+        AND s.payment_method_id IS NOT NULL
+        AND j.status = 'assigned'
+        AND o.occurrence_date <= CURRENT_DATE + $1::INTEGER
+        AND NOT EXISTS (
+          SELECT 1 FROM payments p
+          WHERE p.job_id = j.id AND p.payment_type = 'job' AND p.payment_status != 'cancelled'
+        )
+    `, [this.holdLeadDays]);
+
+    let funded = 0;
+    for (const row of result.rows) {
+      try {
+        if (!row.contractor_stripe_account_id) {
+          throw new Error('Contractor cannot receive payments yet');
+        }
+
+        const amount = parseFloat(row.quoted_price);
+        const fees = this.paymentService.calculatePlatformFee(amount);
+        const escrow = await this.paymentService.createEscrowPayment({
+          jobId: row.id,
+          customerId: row.customer_id,
+          contractorStripeAccountId: row.contractor_stripe_account_id,
+          amount,
+          platformFee: fees.platformFee,
+          description: `${row.series_title} on ${moment.utc(row.preferred_date).format('YYYY-MM-DD')}`,
+          stripeCustomerId: row.stripe_customer_id,
+          paymentMethodId: row.payment_method_id
+        });
+
+        await this.paymentDb.createPaymentRecord({
+          jobId: row.id,
+          customerId: row.customer_id,
+          contractorId: row.contractor_id,
+          amountTotal: amount,
+          amountContractor: fees.contractorAmount,
+          amountPlatformFee: fees.platformFee,
+          amountStripeFee: fees.stripeFee,
+          stripePaymentIntentId: escrow.paymentIntentId
+        });
+
+        funded++;
+      } catch (error) {
+        console.error(`Recurring occurrence funding error for job ${row.id}:`, error.message);
+
+        await this.db.query(`
+          UPDATE recurring_job_occurrences
+          SET payment_error = $2, updated_at = NOW()
+          WHERE id = $1
+        `, [row.occurrence_id, error.message]);
+
+        await this.notify(row.customer_id, {
+          title: 'Payment Needed for Upcoming Visit',
+          body: `We couldn't authorize your saved card for "${row.title}". Please fund the job to keep the visit.`,
+          data: { type: 'recurring_payment_failed', jobId: row.id }
+        });
+      }
+    }
+
+    return funded;
+  }
+
+  /**
+   * Replace the card used for future occurrences (customer)
+   * Clears earlier funding failures so they are retried.
+   */
+  async updatePaymentMethod(seriesId, actor, paymentMethodId) {
+    const series = await this.getSeriesRow(seriesId);
+    this.assertOwner(series, actor);
+
+    const paymentMethod = await this.verifyPaymentMethod(actor.id, paymentMethodId);
+
+    const result = await this.db.query(`
+      UPDATE recurring_job_series
+      SET stripe_customer_id = $2, payment_method_id = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [seriesId, paymentMethod.stripeCustomerId, paymentMethod.id]);
+
+    await this.db.query(`
+      UPDATE recurring_job_occurrences
+      SET payment_error = NULL, updated_at = NOW()
+      WHERE series_id = $1 AND payment_error IS NOT NULL
+    `, [seriesId]);
+
+    return this.formatSeries(result.rows[0]);
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  /**
+   * First date not yet considered for generation (never in the past)
+   */
+  nextGenerationDate(series) {
+    const today = moment.utc().format('YYYY-MM-DD');
+    const next = series.generated_through
+      ? moment.utc(series.generated_through).add(1, 'days').format('YYYY-MM-DD')
+      : moment.utc(series.start_date).format('YYYY-MM-DD');
+
+    return next > today ? next : today;
+  }
+
+  async resume(series) {
+    const result = await this.db.query(`
+      UPDATE recurring_job_series
+      SET status = 'active', paused_until = NULL,
+          generated_through = GREATEST(generated_through, CURRENT_DATE - 1),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [series.id]);
+
+    return result.rows[0];
+  }
+
+  async verifyPaymentMethod(customerId, paymentMethodId) {
+    if (!this.paymentService) {
+      throw new RecurringJobError('Payments are not available', 'PAYMENTS_UNAVAILABLE', 503);
+    }
+
+    const paymentMethod = await this.paymentService.getSavedPaymentMethod(paymentMethodId);
+
+    if (!paymentMethod.stripeCustomerId || paymentMethod.userId !== customerId) {
+      throw new RecurringJobError('Payment method is not saved to your account', 'INVALID_PAYMENT_METHOD', 400);
+    }
+
+    return paymentMethod;
+  }
+
+  assertOwner(series, actor) {
+    if (series.customer_id !== actor.id) {
+      throw new RecurringJobError('Only the customer can manage this series', 'SERIES_NOT_PERMITTED', 403);
+    }
+  }
+
+  async assertCanView(series, user) {
+    const isParticipant = series.customer_id === user.id || series.contractor_id === user.id;
+
+    if (!isParticipant && !(await this.rbacService.hasPermission(user, 'jobs:read'))) {
+      throw new RecurringJobError('Not permitted to view this series', 'SERIES_ACCESS_DENIED', 403);
+    }
+  }
+
+  assertOccurrenceDate(series, occurrenceDate) {
+    const dates = expandOccurrences(
+      parseRecurrenceRule(series.recurrence_rule),
+      moment.utc(series.start_date).format('YYYY-MM-DD'),
+      { from: occurrenceDate, to: occurrenceDate }
+    );
+
+    if (dates.length === 0) {
+      throw new RecurringJobError('Date is not an occurrence of this series', 'INVALID_OCCURRENCE_DATE', 400);
+    }
+
+    if (moment.utc(occurrenceDate, 'YYYY-MM-DD').isBefore(moment.utc().startOf('day'))) {
+      throw new RecurringJobError('Past occurrences cannot be skipped', 'OCCURRENCE_IN_PAST', 409);
+    }
+  }
+
+  async getSeriesRow(seriesId) {
+    const result = await this.db.query(`
+      SELECT * FROM recurring_job_series WHERE id = $1
+    `, [seriesId]);
+
+    if (result.rows.length === 0) {
+      throw new RecurringJobError('Series not found', 'SERIES_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async getOccurrenceRow(seriesId, occurrenceDate) {
+    const result = await this.db.query(`
+      SELECT * FROM recurring_job_occurrences WHERE series_id = $1 AND occurrence_date = $2
+    `, [seriesId, occurrenceDate]);
+
+    return result.rows[0] || null;
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService || !userId) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, {
+        channels: ['push'],
+        ...notification
+      });
+    } catch (error) {
+      console.error('Recurring job notification error:', error);
+    }
+  }
+
+  formatSeries(row) {
+    return {
+      id: row.id,
+      customerId: row.customer_id,
+      contractorId: row.contractor_id,
+      title: row.title,
+      description: row.description,
+      tradeCategory: row.trade_category,
+      priority: row.priority,
+      serviceAddress: {
+        addressLine1: row.service_address_line1,
+        addressLine2: row.service_address_line2,
+        city: row.service_city,
+        state: row.service_state,
+        zipCode: row.service_zip_code
+      },
+      pricePerOccurrence: parseFloat(row.price_per_occurrence),
+      recurrenceRule: row.recurrence_rule,
+      startDate: row.start_date,
+      preferredTimeStart: row.preferred_time_start,
+      preferredTimeEnd: row.preferred_time_end,
+      estimatedDurationHours: row.estimated_duration_hours ? parseFloat(row.estimated_duration_hours) : null,
+      hasPaymentMethod: !!row.payment_method_id,
+      status: row.status,
+      pausedUntil: row.paused_until,
+      generatedThrough: row.generated_through,
+      createdAt: row.created_at,
+      endedAt: row.ended_at
+    };
+  }
+
+  formatOccurrence(row) {
+    return {
+      id: row.id,
+      occurrenceDate: row.occurrence_date,
+      status: row.status,
+      jobId: row.job_id,
+      jobStatus: row.job_status || null,
+      skipReason: row.skip_reason,
+      schedulingError: row.scheduling_error,
+      paymentError: row.payment_error
+    };
+  }
+}
+
+// =================================================================
+// RECURRING JOB ROUTES
+// =================================================================
+
+/**
+ * Create recurring job routes, mounted under /recurring-jobs
+ */
+function createRecurringJobRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const recurringJobService = services.recurringJobService ||
+    new RecurringJobService(
+      database,
+      services.jobStateMachine,
+      services.schedulingService,
+      services.paymentService,
+      services.notificationService,
+      services.mappingService
+    );
+
+  const handleRecurringJobError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof RecurringJobError || error instanceof CancellationError || error instanceof JobTransitionError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  const toActor = (user) => ({ id: user.id, userType: user.user_type });
+  const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+  const occurrenceParams = [
+    param('seriesId').isUUID(),
+    param('date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+  ];
+
+  // Create Recurring Series (Customers only)
+  router.post('/',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      body('title').trim().isLength({ min: 1, max: 255 }),
+      body('description').trim().isLength({ min: 10 }),
+      body('tradeCategory').isIn(TRADE_CATEGORIES),
+      body('serviceAddress').isObject(),
+      body('serviceAddress.addressLine1').trim().isLength({ min: 1 }),
+      body('serviceAddress.city').trim().isLength({ min: 1 }),
+      body('serviceAddress.state').trim().isLength({ min: 2, max: 50 }),
+      body('serviceAddress.zipCode').trim().isLength({ min: 5 }),
+      body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+      body('pricePerOccurrence').isFloat({ gt: 0 }),
+      body('recurrenceRule').trim().isLength({ min: 6, max: 255 }),
+      body('startDate').isISO8601({ strict: true }),
+      body('preferredTimeStart').optional().matches(timePattern),
+      body('preferredTimeEnd').optional().matches(timePattern),
+      body('estimatedDurationHours').optional().isFloat({ gt: 0, max: 24 }),
+      body('contractorId').optional().isUUID(),
+      body('paymentMethodId').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.createSeries(req.user.id, req.body);
+        res.status(201).json(series);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to create recurring series', 'CREATE_SERIES_ERROR');
+      }
+    }
+  );
+
+  // List My Recurring Series
+  router.get('/',
+    middleware.requireAuth(),
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.listSeries(req.user);
+        res.json({ data: series });
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to list recurring series', 'LIST_SERIES_ERROR');
+      }
+    }
+  );
+
+  // Get Recurring Series
+  router.get('/:seriesId',
+    middleware.requireAuth(),
+    [
+      param('seriesId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.getSeries(req.params.seriesId, req.user);
+        res.json(series);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to get recurring series', 'GET_SERIES_ERROR');
+      }
+    }
+  );
+
+  // Pause Series (Customers only)
+  router.post('/:seriesId/pause',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('seriesId').isUUID(),
+      body('until').optional().isISO8601({ strict: true })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.pauseSeries(req.params.seriesId, toActor(req.user), {
+          until: req.body.until
+        });
+        res.json(series);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to pause series', 'PAUSE_SERIES_ERROR');
+      }
+    }
+  );
+
+  // Resume Series (Customers only)
+  router.post('/:seriesId/resume',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('seriesId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.resumeSeries(req.params.seriesId, toActor(req.user));
+        res.json(series);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to resume series', 'RESUME_SERIES_ERROR');
+      }
+    }
+  );
+
+  // End Series (Customers only)
+  router.post('/:seriesId/end',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      param('seriesId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.endSeries(req.params.seriesId, toActor(req.user));
+        res.json(series);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to end series', 'END_SERIES_ERROR');
+      }
+    }
+  );
+
+  // Update Payment Method (Customers only)
+  router.put('/:seriesId/payment-method',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    middleware.requireStepUp({ allowUnenrolled: true }),
+    [
+      param('seriesId').isUUID(),
+      body('paymentMethodId').isString().isLength({ min: 1 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const series = await recurringJobService.updatePaymentMethod(
+          req.params.seriesId, toActor(req.user), req.body.paymentMethodId
+        );
+        res.json(series);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to update payment method', 'UPDATE_SERIES_PAYMENT_ERROR');
+      }
+    }
+  );
+
+  // Skip Occurrence (Customers only)
+  router.post('/:seriesId/occurrences/:date/skip',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    [
+      ...occurrenceParams,
+      body('reason').optional().trim().isLength({ max: 500 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const occurrence = await recurringJobService.skipOccurrence(
+          req.params.seriesId, req.params.date, toActor(req.user), { reason: req.body.reason }
+        );
+        res.json(occurrence);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to skip occurrence', 'SKIP_OCCURRENCE_ERROR');
+      }
+    }
+  );
+
+  // Restore Skipped Occurrence (Customers only)
+  router.post('/:seriesId/occurrences/:date/restore',
+    middleware.requireAuth(),
+    middleware.requireUserType(['customer']),
+    occurrenceParams,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const occurrence = await recurringJobService.restoreOccurrence(
+          req.params.seriesId, req.params.date, toActor(req.user)
+        );
+        res.json(occurrence);
+      } catch (error) {
+        handleRecurringJobError(res, error, 'Failed to restore occurrence', 'RESTORE_OCCURRENCE_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  RecurringJobService,
+  RecurringJobError,
+  parseRecurrenceRule,
+  expandOccurrences,
+  createRecurringJobRoutes
+};
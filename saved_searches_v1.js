@@ -0,0 +1,597 @@
+/**
+ * Module: saved_searches_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, auth_strategy_v1, api_middleware_v1, gps_mapping_service_v1, notification_service_v1
+ * Provides: Contractor saved searches, new-job matching, throttled push alerts and daily digests
+ * Integration Points: API routes, job posting (create route and state machine), background jobs
+ * Last Updated: 2025-06-12
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { config } = require('./config/env');
+const { AuthenticationService } = require('./auth/auth-strategy');
+const { handleValidationErrors, sendServiceError } = require('./api_middleware_v1');
+
+// =================================================================
+// SAVED SEARCH SERVICE
+// =================================================================
+
+/**
+ * How a saved search delivers matches
+ */
+const ALERT_MODES = ['instant', 'daily_digest', 'off'];
+
+/**
+ * Trade categories, mirroring the trade_category enum
+ */
+const TRADE_CATEGORIES = ['plumbing', 'hvac', 'carpentry', 'electrical', 'general_handyman', 'painting', 'flooring', 'roofing', 'appliance_repair', 'landscaping'];
+
+/**
+ * Error raised when a saved search operation is rejected
+ */
+class SavedSearchError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'SavedSearchError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Saved Search Service
+ * Matches newly posted jobs against contractors' saved searches and
+ * alerts them, at most once per search per alert interval.
+ */
+class SavedSearchService {
+  constructor(database, mappingService = null, notificationService = null, options = config.jobs.alerts) {
+    this.db = database;
+    this.mappingService = mappingService;
+    this.notificationService = notificationService;
+    this.maxSavedSearches = options.maxSavedSearches;
+    this.alertIntervalMinutes = options.alertIntervalMinutes;
+    this.digestHour = options.digestHour;
+  }
+
+  /**
+   * Save a search (contractor)
+   */
+  async createSearch(contractorId, data) {
+    const existing = await this.db.query(`
+      SELECT COUNT(*) FROM saved_searches WHERE contractor_id = $1
+    `, [contractorId]);
+
+    if (parseInt(existing.rows[0].count) >= this.maxSavedSearches) {
+      throw new SavedSearchError(
+        `You can save at most ${this.maxSavedSearches} searches`,
+        'TOO_MANY_SAVED_SEARCHES',
+        409
+      );
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO saved_searches (
+        contractor_id, name, keywords, trade_categories, priorities,
+        radius_miles, min_budget, alert_mode
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      contractorId, data.name, data.keywords || null,
+      data.tradeCategories || [], data.priorities || [],
+      data.radiusMiles || null, data.minBudget || null, data.alertMode || 'instant'
+    ]);
+
+    return this.formatSearch(result.rows[0]);
+  }
+
+  /**
+   * List a contractor's saved searches with their pending match counts
+   */
+  async listSearches(contractorId) {
+    const result = await this.db.query(`
+      SELECT ss.*,
+        (SELECT COUNT(*) FROM saved_search_matches m
+         JOIN jobs j ON m.job_id = j.id
+         WHERE m.saved_search_id = ss.id AND m.notified_at IS NULL AND j.status = 'posted') as pending_matches
+      FROM saved_searches ss
+      WHERE ss.contractor_id = $1
+      ORDER BY ss.created_at ASC
+    `, [contractorId]);
+
+    return result.rows.map(row => this.formatSearch(row));
+  }
+
+  /**
+   * Update a saved search (contractor)
+   */
+  async updateSearch(searchId, contractorId, data) {
+    await this.getOwnedSearch(searchId, contractorId);
+
+    const fieldMap = {
+      name: 'name',
+      keywords: 'keywords',
+      tradeCategories: 'trade_categories',
+      priorities: 'priorities',
+      radiusMiles: 'radius_miles',
+      minBudget: 'min_budget',
+      alertMode: 'alert_mode'
+    };
+
+    const setClauses = [];
+    const values = [searchId];
+
+    Object.entries(fieldMap).forEach(([field, column]) => {
+      if (data[field] !== undefined) {
+        values.push(data[field]);
+        setClauses.push(`${column} = $${values.length}`);
+      }
+    });
+
+    if (setClauses.length === 0) {
+      throw new SavedSearchError('No changes provided', 'NO_CHANGES', 400);
+    }
+
+    const result = await this.db.query(`
+      UPDATE saved_searches
+      SET ${setClauses.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, values);
+
+    return this.formatSearch(result.rows[0]);
+  }
+
+  /**
+   * Delete a saved search (contractor)
+   */
+  async deleteSearch(searchId, contractorId) {
+    await this.getOwnedSearch(searchId, contractorId);
+
+    await this.db.query(`
+      DELETE FROM saved_searches WHERE id = $1
+    `, [searchId]);
+  }
+
+  /**
+   * Jobs matched by a saved search that are still open
+   */
+  async getMatches(searchId, contractorId, limit = 50) {
+    await this.getOwnedSearch(searchId, contractorId);
+
+    const result = await this.db.query(`
+      SELECT j.id, j.title, j.trade_category, j.priority, j.service_city, j.service_state,
+             COALESCE(j.quoted_price, j.estimated_cost) as budget, j.preferred_date,
+             m.distance_miles, m.matched_at, m.notified_at
+      FROM saved_search_matches m
+      JOIN jobs j ON m.job_id = j.id
+      WHERE m.saved_search_id = $1 AND j.status = 'posted'
+      ORDER BY m.matched_at DESC
+      LIMIT $2
+    `, [searchId, limit]);
+
+    return result.rows.map(row => ({
+      jobId: row.id,
+      title: row.title,
+      tradeCategory: row.trade_category,
+      priority: row.priority,
+      city: row.service_city,
+      state: row.service_state,
+      budget: row.budget !== null ? parseFloat(row.budget) : null,
+      preferredDate: row.preferred_date,
+      distanceMiles: row.distance_miles !== null ? parseFloat(row.distance_miles) : null,
+      matchedAt: row.matched_at,
+      notifiedAt: row.notified_at
+    }));
+  }
+
+  // =================================================================
+  // MATCHING AND ALERTS
+  // =================================================================
+
+  /**
+   * Match a newly posted job against every active saved search
+   * Instant searches are alerted now unless alerted within the interval;
+   * throttled and digest matches wait for the background jobs.
+   */
+  async matchPostedJob(jobId) {
+    const jobResult = await this.db.query(`
+      SELECT j.*, ST_X(j.service_coordinates) as longitude, ST_Y(j.service_coordinates) as latitude
+      FROM jobs j
+      WHERE j.id = $1 AND j.status = 'posted'
+    `, [jobId]);
+
+    const job = jobResult.rows[0];
+
+    // Location is part of every search, so unplaced jobs cannot match
+    if (!job || job.longitude === null || job.latitude === null) return 0;
+
+    const jobLocation = { latitude: job.latitude, longitude: job.longitude };
+
+    const candidates = await this.db.query(`
+      SELECT ss.*, ST_X(u.coordinates) as contractor_longitude, ST_Y(u.coordinates) as contractor_latitude
+      FROM saved_searches ss
+      JOIN users u ON ss.contractor_id = u.id
+      WHERE ss.alert_mode != 'off'
+        AND u.account_status = 'active'
+        AND (cardinality(ss.trade_categories) = 0 OR $2 = ANY(ss.trade_categories))
+        AND (cardinality(ss.priorities) = 0 OR $3 = ANY(ss.priorities))
+        AND (ss.min_budget IS NULL OR COALESCE($4::DECIMAL, 0) >= ss.min_budget)
+        AND (ss.keywords IS NULL OR (SELECT search_vector FROM jobs WHERE id = $1) @@ websearch_to_tsquery('english', ss.keywords))
+    `, [job.id, job.trade_category, job.priority, job.quoted_price || job.estimated_cost]);
+
+    let matched = 0;
+    for (const search of candidates.rows) {
+      const distance = await this.distanceIfInArea(search, jobLocation);
+      if (distance === false) continue;
+
+      const inserted = await this.db.query(`
+        INSERT INTO saved_search_matches (saved_search_id, job_id, distance_miles)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (saved_search_id, job_id) DO NOTHING
+        RETURNING id
+      `, [search.id, job.id, distance]);
+
+      if (inserted.rows.length === 0) continue;
+      matched++;
+
+      if (search.alert_mode === 'instant' && !this.isThrottled(search)) {
+        await this.sendInstantAlert(search);
+      }
+    }
+
+    return matched;
+  }
+
+  /**
+   * Distance to the job when it falls in the search area, false otherwise
+   * Without its own radius a search uses the contractor's service area.
+   */
+  async distanceIfInArea(search, jobLocation) {
+    if (search.contractor_latitude === null || search.contractor_longitude === null || !this.mappingService) {
+      return false;
+    }
+
+    const distance = this.mappingService.calculateDistance(
+      { latitude: search.contractor_latitude, longitude: search.contractor_longitude },
+      jobLocation,
+      'miles'
+    );
+
+    if (search.radius_miles !== null) {
+      return distance <= search.radius_miles ? Math.round(distance * 10) / 10 : false;
+    }
+
+    const inArea = await this.mappingService.isJobInServiceArea(search.contractor_id, jobLocation);
+    return inArea ? Math.round(distance * 10) / 10 : false;
+  }
+
+  /**
+   * Push every unnotified match for a search as one alert
+   */
+  async sendInstantAlert(search) {
+    const pending = await this.claimPendingMatches([search.id]);
+    if (pending.length === 0) return;
+
+    const body = pending.length === 1
+      ? `${pending[0].title} in ${pending[0].service_city} matches "${search.name}".`
+      : `${pending.length} new jobs match "${search.name}".`;
+
+    await this.notify(search.contractor_id, {
+      channels: ['push'],
+      title: 'New Job Match',
+      body,
+      data: {
+        type: 'saved_search_match',
+        savedSearchId: search.id,
+        jobId: pending.length === 1 ? pending[0].job_id : undefined
+      }
+    });
+
+    await this.db.query(`
+      UPDATE saved_searches SET last_alerted_at = NOW() WHERE id = $1
+    `, [search.id]);
+  }
+
+  /**
+   * Send alerts held back by throttling once their interval has passed
+   */
+  async flushThrottledAlerts() {
+    const result = await this.db.query(`
+      SELECT DISTINCT ss.*
+      FROM saved_searches ss
+      JOIN saved_search_matches m ON m.saved_search_id = ss.id
+      JOIN jobs j ON m.job_id = j.id
+      WHERE ss.alert_mode = 'instant'
+        AND m.notified_at IS NULL
+        AND j.status = 'posted'
+        AND (ss.last_alerted_at IS NULL OR ss.last_alerted_at < NOW() - ($1 || ' minutes')::INTERVAL)
+    `, [this.alertIntervalMinutes]);
+
+    for (const search of result.rows) {
+      try {
+        await this.sendInstantAlert(search);
+      } catch (error) {
+        console.error(`Saved search alert error for ${search.id}:`, error);
+      }
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Send one daily digest per contractor covering all digest searches
+   * Runs hourly; only acts during the configured digest hour.
+   */
+  async sendDailyDigests(now = new Date()) {
+    if (now.getHours() !== this.digestHour) return 0;
+
+    const result = await this.db.query(`
+      SELECT contractor_id, array_agg(id) as search_ids
+      FROM saved_searches
+      WHERE alert_mode = 'daily_digest'
+        AND (last_alerted_at IS NULL OR last_alerted_at < NOW() - INTERVAL '20 hours')
+      GROUP BY contractor_id
+    `);
+
+    let sent = 0;
+    for (const row of result.rows) {
+      try {
+        const matches = await this.claimPendingMatches(row.search_ids);
+
+        await this.db.query(`
+          UPDATE saved_searches SET last_alerted_at = NOW() WHERE id = ANY($1)
+        `, [row.search_ids]);
+
+        if (matches.length === 0) continue;
+
+        await this.notify(row.contractor_id, {
+          channels: ['push', 'email'],
+          title: 'Your Daily Job Digest',
+          body: `${matches.length} new job${matches.length === 1 ? '' : 's'} match your saved searches.`,
+          subject: `${matches.length} new jobs match your saved searches`,
+          template: 'job_alert_digest',
+          data: {
+            type: 'saved_search_digest',
+            digest: this.buildDigest(matches)
+          }
+        });
+        sent++;
+      } catch (error) {
+        console.error(`Saved search digest error for contractor ${row.contractor_id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  // =================================================================
+  // UTILITY FUNCTIONS
+  // =================================================================
+
+  /**
+   * Mark pending matches as notified and return the still-open jobs
+   * A job matched by several of a contractor's searches is listed once.
+   */
+  async claimPendingMatches(searchIds) {
+    const result = await this.db.query(`
+      UPDATE saved_search_matches m
+      SET notified_at = NOW()
+      FROM jobs j
+      WHERE m.job_id = j.id
+        AND m.saved_search_id = ANY($1)
+        AND m.notified_at IS NULL
+        AND j.status = 'posted'
+      RETURNING m.job_id, m.distance_miles, j.title, j.service_city, j.trade_category,
+                COALESCE(j.quoted_price, j.estimated_cost) as budget
+    `, [searchIds]);
+
+    const seen = new Set();
+    return result.rows.filter(row => {
+      if (seen.has(row.job_id)) return false;
+      seen.add(row.job_id);
+      return true;
+    });
+  }
+
+  isThrottled(search) {
+    if (!search.last_alerted_at) return false;
+    const elapsedMinutes = (Date.now() - new Date(search.last_alerted_at).getTime()) / 60000;
+    return elapsedMinutes < this.alertIntervalMinutes;
+  }
+
+  buildDigest(matches) {
+    const escapeHtml = (text) => String(text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const describe = (match) => [
+      match.title,
+      match.service_city,
+      match.distance_miles !== null ? `${match.distance_miles} mi` : null,
+      match.budget !== null ? `$${parseFloat(match.budget).toFixed(0)}` : null
+    ].filter(Boolean).join(' · ');
+
+    return {
+      count: matches.length,
+      itemsHtml: matches.map(match => `<li>${escapeHtml(describe(match))}</li>`).join(''),
+      itemsText: matches.map(match => `- ${describe(match)}`).join('\n')
+    };
+  }
+
+  async getOwnedSearch(searchId, contractorId) {
+    const result = await this.db.query(`
+      SELECT * FROM saved_searches WHERE id = $1
+    `, [searchId]);
+
+    if (result.rows.length === 0 || result.rows[0].contractor_id !== contractorId) {
+      throw new SavedSearchError('Saved search not found', 'SAVED_SEARCH_NOT_FOUND', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService) return;
+
+    try {
+      await this.notificationService.sendMultiChannelNotification(userId, notification);
+    } catch (error) {
+      console.error('Saved search notification error:', error);
+    }
+  }
+
+  formatSearch(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keywords: row.keywords,
+      tradeCategories: row.trade_categories,
+      priorities: row.priorities,
+      radiusMiles: row.radius_miles,
+      minBudget: row.min_budget !== null ? parseFloat(row.min_budget) : null,
+      alertMode: row.alert_mode,
+      pendingMatches: row.pending_matches !== undefined ? parseInt(row.pending_matches) : undefined,
+      lastAlertedAt: row.last_alerted_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// =================================================================
+// SAVED SEARCH ROUTES
+// =================================================================
+
+/**
+ * Create saved search routes, mounted under /saved-searches
+ */
+function createSavedSearchRoutes(database, services = {}) {
+  const router = express.Router();
+  const authService = new AuthenticationService(database);
+  const { middleware } = authService.getServices();
+  const savedSearchService = services.savedSearchService ||
+    new SavedSearchService(database, services.mappingService, services.notificationService);
+
+  const handleSavedSearchError = (res, error, fallbackMessage, fallbackCode) => {
+    if (error instanceof SavedSearchError) {
+      return sendServiceError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, code: fallbackCode });
+  };
+
+  // Criteria shared by create and update; null clears an optional limit
+  const criteriaValidators = [
+    body('keywords').optional({ nullable: true }).trim().isLength({ max: 200 }),
+    body('tradeCategories').optional().isArray({ max: TRADE_CATEGORIES.length }),
+    body('tradeCategories.*').isIn(TRADE_CATEGORIES),
+    body('priorities').optional().isArray({ max: 4 }),
+    body('priorities.*').isIn(['low', 'medium', 'high', 'urgent']),
+    body('radiusMiles').optional({ nullable: true }).isInt({ min: 1, max: 200 }).toInt(),
+    body('minBudget').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('alertMode').optional().isIn(ALERT_MODES)
+  ];
+
+  // Create Saved Search (Contractors only)
+  router.post('/',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      body('name').trim().isLength({ min: 1, max: 100 }),
+      ...criteriaValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const search = await savedSearchService.createSearch(req.user.id, req.body);
+        res.status(201).json(search);
+      } catch (error) {
+        handleSavedSearchError(res, error, 'Failed to save search', 'CREATE_SAVED_SEARCH_ERROR');
+      }
+    }
+  );
+
+  // List Saved Searches (Contractors only)
+  router.get('/',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    async (req, res) => {
+      try {
+        const searches = await savedSearchService.listSearches(req.user.id);
+        res.json({ data: searches });
+      } catch (error) {
+        handleSavedSearchError(res, error, 'Failed to list saved searches', 'LIST_SAVED_SEARCHES_ERROR');
+      }
+    }
+  );
+
+  // Update Saved Search (Contractors only)
+  router.put('/:searchId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('searchId').isUUID(),
+      body('name').optional().trim().isLength({ min: 1, max: 100 }),
+      ...criteriaValidators
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const search = await savedSearchService.updateSearch(req.params.searchId, req.user.id, req.body);
+        res.json(search);
+      } catch (error) {
+        handleSavedSearchError(res, error, 'Failed to update saved search', 'UPDATE_SAVED_SEARCH_ERROR');
+      }
+    }
+  );
+
+  // Delete Saved Search (Contractors only)
+  router.delete('/:searchId',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('searchId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        await savedSearchService.deleteSearch(req.params.searchId, req.user.id);
+        res.status(204).send();
+      } catch (error) {
+        handleSavedSearchError(res, error, 'Failed to delete saved search', 'DELETE_SAVED_SEARCH_ERROR');
+      }
+    }
+  );
+
+  // Get Saved Search Matches (Contractors only)
+  router.get('/:searchId/matches',
+    middleware.requireAuth(),
+    middleware.requireUserType(['contractor']),
+    [
+      param('searchId').isUUID()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const matches = await savedSearchService.getMatches(req.params.searchId, req.user.id);
+        res.json({ data: matches });
+      } catch (error) {
+        handleSavedSearchError(res, error, 'Failed to get saved search matches', 'GET_SAVED_SEARCH_MATCHES_ERROR');
+      }
+    }
+  );
+
+  return router;
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  SavedSearchService,
+  SavedSearchError,
+  ALERT_MODES,
+  createSavedSearchRoutes
+};
@@ -1,15 +1,16 @@
 /**
  * Module: scheduling_system_v1
  * Version: 1.0.0
- * Dependencies: config_env_v1, db_schema_foundation_v1, notification_service_v1, mapping_service_v1
+ * Dependencies: config_env_v1, db_schema_foundation_v1, notification_service_v1, mapping_service_v1, job_state_machine_v1
  * Provides: Calendar integration, appointment scheduling, availability management, time optimization
  * Integration Points: Job management, contractor profiles, mobile apps, external calendar services
- * Last Updated: 2025-05-31
+ * Last Updated: 2025-06-10
  */
 
 const moment = require('moment-timezone');
 const ical = require('ical-generator');
 const { config } = require('./config/env');
+const { SYSTEM_ACTOR } = require('./job_state_machine_v1');
 
 // =================================================================
 // SCHEDULING SERVICE CORE
@@ -20,10 +21,11 @@ const { config } = require('./config/env');
  * Handles contractor availability, job scheduling, and calendar integration
  */
 class SchedulingService {
-  constructor(database, notificationService = null, mappingService = null) {
+  constructor(database, notificationService = null, mappingService = null, jobStateMachine = null) {
     this.db = database;
     this.notificationService = notificationService;
     this.mappingService = mappingService;
+    this.jobStateMachine = jobStateMachine;
   }
 
   // =================================================================
@@ -280,6 +282,8 @@ class SchedulingService {
 
   /**
    * Schedule a job with a contractor
+   * With a state machine the assignment goes through the 'assigned'
+   * transition as `actor` (background jobs use the system actor).
    */
   async scheduleJob(jobId, contractorId, schedulingData) {
     try {
@@ -289,7 +293,9 @@ class SchedulingService {
         preferredTimeEnd,
         estimatedDuration,
         customerNotes,
-        urgency = 'normal'
+        urgency = 'medium',
+        actor = SYSTEM_ACTOR,
+        reason = 'Job scheduled'
       } = schedulingData;
 
       // Validate availability
@@ -304,31 +310,42 @@ class SchedulingService {
         throw new Error(`Time slot not available: ${availability.reason}`);
       }
 
-      // Update job with scheduling information
-      const result = await this.db.query(`
-        UPDATE jobs 
-        SET 
-          preferred_date = $2,
-          preferred_time_start = $3,
-          preferred_time_end = $4,
-          estimated_duration_hours = $5,
-          customer_notes = $6,
-          urgency_level = $7,
-          status = 'assigned',
-          assigned_at = NOW()
-        WHERE id = $1
-        RETURNING *
-      `, [
-        jobId,
-        preferredDate,
-        preferredTimeStart,
-        preferredTimeEnd,
-        estimatedDuration,
-        customerNotes,
-        urgency
-      ]);
+      const scheduling = {
+        contractor_id: contractorId,
+        preferred_date: preferredDate,
+        preferred_time_start: preferredTimeStart,
+        preferred_time_end: preferredTimeEnd,
+        estimated_duration_hours: estimatedDuration,
+        customer_notes: customerNotes,
+        urgency_level: urgency
+      };
 
-      const job = result.rows[0];
+      let job;
+      if (this.jobStateMachine) {
+        job = await this.jobStateMachine.transition(jobId, 'assigned', actor, {
+          reason,
+          updates: scheduling
+        });
+      } else {
+        // Update job with scheduling information
+        const result = await this.db.query(`
+          UPDATE jobs 
+          SET 
+            contractor_id = $2,
+            preferred_date = $3,
+            preferred_time_start = $4,
+            preferred_time_end = $5,
+            estimated_duration_hours = $6,
+            customer_notes = $7,
+            urgency_level = $8,
+            status = 'assigned',
+            assigned_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [jobId, ...Object.values(scheduling)]);
+
+        job = result.rows[0];
+      }
 
       // Create calendar event
       const calendarEvent = await this.createCalendarEvent(job);
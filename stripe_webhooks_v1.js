@@ -0,0 +1,258 @@
+/**
+ * Module: stripe_webhooks_v1
+ * Version: 1.0.0
+ * Dependencies: config_env_v1, db_schema_foundation_v1, payment_processing_v1
+ * Provides: Stripe webhook event store with idempotent processing, retry tracking and replay
+ * Integration Points: /webhooks/stripe, background jobs, admin API
+ * Last Updated: 2025-06-25
+ */
+
+const { config } = require('./config/env');
+
+// =================================================================
+// WEBHOOK EVENT STORE
+// =================================================================
+
+/**
+ * Event processing statuses
+ */
+const WEBHOOK_EVENT_STATUSES = ['pending', 'processing', 'processed', 'ignored', 'failed'];
+
+/**
+ * Error raised when a stored event can't be replayed
+ */
+class WebhookEventError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Stripe Webhook Service
+ * Every verified event is stored before it is handled, keyed by Stripe's
+ * event id, so a redelivered event is acknowledged without running twice.
+ * Handlers are passed in by type and receive (object, event); a handler that
+ * throws leaves the event 'failed' with a backoff for the retry job.
+ */
+class StripeWebhookService {
+  constructor(database, handlers = {}, options = config.payments.webhooks) {
+    this.db = database;
+    this.handlers = handlers;
+    this.options = options;
+  }
+
+  /**
+   * Store a verified event and process it
+   * Returns the stored event; duplicates come back as they were left.
+   */
+  async receiveEvent(event) {
+    const inserted = await this.db.query(`
+      INSERT INTO stripe_webhook_events (
+        stripe_event_id, event_type, stripe_account_id, livemode, payload, stripe_created_at
+      ) VALUES ($1, $2, $3, $4, $5, to_timestamp($6))
+      ON CONFLICT (stripe_event_id) DO NOTHING
+      RETURNING *
+    `, [
+      event.id, event.type, event.account || null, Boolean(event.livemode),
+      JSON.stringify(event), event.created
+    ]);
+
+    if (inserted.rows.length === 0) {
+      const existing = await this.db.query(`
+        SELECT * FROM stripe_webhook_events WHERE stripe_event_id = $1
+      `, [event.id]);
+
+      // An earlier delivery that failed is retried on schedule, not by redelivery
+      return { event: formatEvent(existing.rows[0]), duplicate: true };
+    }
+
+    return { event: await this.processEvent(inserted.rows[0].id), duplicate: false };
+  }
+
+  /**
+   * Run the handler for a stored event
+   * Claims the event first so concurrent deliveries and retries can't both run it.
+   */
+  async processEvent(id) {
+    const claimed = await this.db.query(`
+      UPDATE stripe_webhook_events SET
+        status = 'processing',
+        attempts = attempts + 1,
+        last_attempt_at = NOW(),
+        next_retry_at = NULL,
+        updated_at = NOW()
+      WHERE id = $1 AND (
+        status IN ('pending', 'failed') OR
+        (status = 'processing' AND last_attempt_at < NOW() - make_interval(mins => $2))
+      )
+      RETURNING *
+    `, [id, this.options.staleProcessingMinutes]);
+
+    if (claimed.rows.length === 0) {
+      const current = await this.db.query('SELECT * FROM stripe_webhook_events WHERE id = $1', [id]);
+      return current.rows[0] ? formatEvent(current.rows[0]) : null;
+    }
+
+    const row = claimed.rows[0];
+    const handler = this.handlers[row.event_type];
+
+    if (!handler) {
+      return this.finishEvent(row.id, 'ignored');
+    }
+
+    try {
+      await handler(row.payload.data.object, row.payload);
+      return this.finishEvent(row.id, 'processed');
+    } catch (error) {
+      console.error(`Stripe webhook ${row.stripe_event_id} (${row.event_type}) failed:`, error);
+      return this.failEvent(row, error);
+    }
+  }
+
+  /**
+   * Retry failed events whose backoff has elapsed, and events left mid-processing by a crash
+   */
+  async retryDueEvents(limit = 50) {
+    const due = await this.db.query(`
+      SELECT id FROM stripe_webhook_events
+      WHERE (status = 'failed' AND next_retry_at <= NOW())
+         OR (status = 'processing' AND last_attempt_at < NOW() - make_interval(mins => $2))
+      ORDER BY stripe_created_at
+      LIMIT $1
+    `, [limit, this.options.staleProcessingMinutes]);
+
+    let processed = 0;
+    for (const { id } of due.rows) {
+      const event = await this.processEvent(id);
+      if (event?.status === 'processed') processed++;
+    }
+
+    return { attempted: due.rows.length, processed };
+  }
+
+  /**
+   * Run a failed event again now, whether or not its retries were exhausted
+   */
+  async replayEvent(id) {
+    const result = await this.db.query('SELECT * FROM stripe_webhook_events WHERE id = $1', [id]);
+    const row = result.rows[0];
+
+    if (!row) {
+      throw new WebhookEventError('Webhook event not found', 'WEBHOOK_EVENT_NOT_FOUND', 404);
+    }
+    if (row.status !== 'failed') {
+      throw new WebhookEventError('Only failed events can be replayed', 'WEBHOOK_EVENT_NOT_FAILED', 409, {
+        status: row.status
+      });
+    }
+
+    return this.processEvent(id);
+  }
+
+  /**
+   * Replay every failed event matching the filters, oldest first
+   */
+  async replayFailedEvents({ eventType, since, limit = 100 } = {}) {
+    const result = await this.db.query(`
+      SELECT id FROM stripe_webhook_events
+      WHERE status = 'failed'
+        AND ($1::text IS NULL OR event_type = $1)
+        AND ($2::timestamp IS NULL OR stripe_created_at >= $2)
+      ORDER BY stripe_created_at
+      LIMIT $3
+    `, [eventType || null, since || null, limit]);
+
+    const events = [];
+    for (const { id } of result.rows) {
+      events.push(await this.processEvent(id));
+    }
+
+    return {
+      replayed: events.length,
+      processed: events.filter(event => event?.status === 'processed').length,
+      events
+    };
+  }
+
+  async listEvents(filters = {}) {
+    const { status, eventType, limit = 20, offset = 0 } = filters;
+
+    const result = await this.db.query(`
+      SELECT * FROM stripe_webhook_events
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR event_type = $2)
+      ORDER BY created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [status || null, eventType || null, limit, offset]);
+
+    return result.rows.map(formatEvent);
+  }
+
+  async finishEvent(id, status) {
+    const result = await this.db.query(`
+      UPDATE stripe_webhook_events SET
+        status = $2, last_error = NULL, processed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, status]);
+
+    return formatEvent(result.rows[0]);
+  }
+
+  /**
+   * Mark an attempt failed and schedule the next one, doubling the wait each time
+   * Once attempts run out the event stays failed until replayed.
+   */
+  async failEvent(row, error) {
+    const exhausted = row.attempts >= this.options.maxAttempts;
+    const delaySeconds = this.options.retryBaseSeconds * 2 ** (row.attempts - 1);
+
+    const result = await this.db.query(`
+      UPDATE stripe_webhook_events SET
+        status = 'failed',
+        last_error = $2,
+        next_retry_at = CASE WHEN $3 THEN NULL ELSE NOW() + make_interval(secs => $4) END,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [row.id, error.message, exhausted, delaySeconds]);
+
+    return formatEvent(result.rows[0]);
+  }
+}
+
+// =================================================================
+// UTILITY FUNCTIONS
+// =================================================================
+
+function formatEvent(row) {
+  return {
+    id: row.id,
+    stripeEventId: row.stripe_event_id,
+    eventType: row.event_type,
+    stripeAccountId: row.stripe_account_id,
+    livemode: row.livemode,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextRetryAt: row.next_retry_at,
+    lastAttemptAt: row.last_attempt_at,
+    processedAt: row.processed_at,
+    stripeCreatedAt: row.stripe_created_at,
+    receivedAt: row.created_at
+  };
+}
+
+// =================================================================
+// EXPORTS
+// =================================================================
+
+module.exports = {
+  StripeWebhookService,
+  WebhookEventError,
+  WEBHOOK_EVENT_STATUSES
+};